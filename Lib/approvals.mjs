@@ -0,0 +1,415 @@
+// lib/approvals.js - Persistent write-approval workflow
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { logger } from './logger.mjs';
+import { AuthorizationError, ResourceNotFoundError, ValidationError } from './errors.mjs';
+import { getAuthIdentity } from './auth.mjs';
+import { isAccessAllowed } from './policy.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+dotenv.config({ path: path.join(__dirname, '../.env') });
+
+const APPROVALS_FILE_VAL = process.env.APPROVALS_FILE || './data/approvals.jsonl';
+const APPROVALS_FILE = path.isAbsolute(APPROVALS_FILE_VAL)
+    ? APPROVALS_FILE_VAL
+    : path.resolve(path.join(__dirname, '..'), APPROVALS_FILE_VAL);
+const WRITE_APPROVAL_TTL_MS = parseInt(process.env.WRITE_APPROVAL_TTL_MS || '300000', 10);
+const APPROVAL_TWO_PERSON_DDL = process.env.APPROVAL_TWO_PERSON_DDL === 'true';
+const APPROVER_ROLES = (process.env.APPROVER_ROLES || '').split(',').map(s => s.trim()).filter(Boolean);
+
+// Approval requests by ID, rebuilt from the journal at startup
+const approvals = new Map();
+
+/**
+ * Get the SQL text an approval is bound to. The key covers the exact text a human approved
+ * (comments, literals and case included); only trailing whitespace and semicolons may differ.
+ * @param {string} sql - SQL text
+ * @returns {string} - SQL text without its trailing whitespace and semicolons
+ */
+function normalizeSqlForApproval(sql) {
+    if (!sql || typeof sql !== 'string') return '';
+    return sql.replace(/[\s;]+$/, '');
+}
+
+/**
+ * Serialize parameters with sorted keys
+ * @param {object} parameters - Query parameters
+ * @returns {string} - Stable JSON string
+ */
+function normalizeParameters(parameters) {
+    if (!parameters || typeof parameters !== 'object') return '{}';
+    const normalized = {};
+    for (const key of Object.keys(parameters).sort()) {
+        normalized[key] = parameters[key];
+    }
+    return JSON.stringify(normalized);
+}
+
+/**
+ * Hash the SQL, parameters and database an approval is bound to
+ * @param {string} sql - SQL text
+ * @param {object} parameters - Query parameters
+ * @param {string} databaseId - Database ID
+ * @returns {string} - Hex SHA-256 key
+ */
+function getApprovalKey(sql, parameters, databaseId) {
+    const hash = crypto.createHash('sha256');
+    hash.update(normalizeSqlForApproval(sql));
+    hash.update('|');
+    hash.update(normalizeParameters(parameters));
+    hash.update('|');
+    hash.update(databaseId);
+    return hash.digest('hex');
+}
+
+/**
+ * Number of distinct approvers an operation class needs
+ * @param {string} operation - Operation class (dml, ddl or exec)
+ * @returns {number} - Required approvals
+ */
+function getRequiredApprovals(operation) {
+    return operation === 'ddl' && APPROVAL_TWO_PERSON_DDL ? 2 : 1;
+}
+
+/**
+ * Apply one journal event to the in-memory state
+ * @param {object} event - Journal event
+ */
+function applyEvent(event) {
+    if (event.type === 'requested') {
+        approvals.set(event.id, {
+            id: event.id,
+            key: event.key,
+            sql: event.sql,
+            parameters: event.parameters,
+            databaseId: event.databaseId,
+            operation: event.operation,
+            requiredApprovals: event.requiredApprovals,
+            requestedBy: event.user,
+            sessionId: event.sessionId,
+            requestedAt: event.at,
+            expiresAt: event.expiresAt,
+            status: 'pending',
+            approvals: [],
+            rejectedBy: null,
+            rejectedAt: null,
+            reason: null,
+            executedAt: null,
+            failures: []
+        });
+        return;
+    }
+
+    const record = approvals.get(event.id);
+    if (!record) return;
+
+    if (event.type === 'approved') {
+        record.approvals.push({ user: event.user, at: event.at, via: event.via, comment: event.comment || null });
+        if (event.status === 'approved') {
+            record.status = 'approved';
+            record.expiresAt = event.expiresAt;
+        }
+    } else if (event.type === 'rejected') {
+        record.status = 'rejected';
+        record.rejectedBy = event.user;
+        record.rejectedAt = event.at;
+        record.reason = event.reason || null;
+    } else if (event.type === 'started') {
+        record.status = 'running';
+    } else if (event.type === 'executed') {
+        record.status = 'executed';
+        record.executedAt = event.at;
+    } else if (event.type === 'failed') {
+        // A failed run leaves the approval usable until it expires
+        record.status = 'approved';
+        record.failures.push({ at: event.at, error: event.error });
+    }
+}
+
+/**
+ * Append an event to the journal and apply it
+ * @param {object} event - Journal event
+ */
+function appendEvent(event) {
+    const entry = { ...event, at: event.at || new Date().toISOString() };
+    fs.mkdirSync(path.dirname(APPROVALS_FILE), { recursive: true });
+    fs.appendFileSync(APPROVALS_FILE, JSON.stringify(entry) + '\n');
+    applyEvent(entry);
+}
+
+/**
+ * Load approval state by replaying the journal file
+ */
+export function loadApprovals() {
+    approvals.clear();
+    if (!fs.existsSync(APPROVALS_FILE)) return;
+
+    const lines = fs.readFileSync(APPROVALS_FILE, 'utf8').split('\n').filter(Boolean);
+    for (const [index, line] of lines.entries()) {
+        try {
+            applyEvent(JSON.parse(line));
+        } catch (err) {
+            logger.error(`Skipping unreadable approval journal line ${index + 1} in ${APPROVALS_FILE}: ${err.message}`);
+        }
+    }
+
+    // A run cut short by a restart may have changed data, so its approval can't be used again
+    for (const record of approvals.values()) {
+        if (record.status === 'running') {
+            logger.warn(`Approval ${record.id} was running when the server stopped; treating it as executed`);
+            record.status = 'executed';
+        }
+    }
+    logger.info(`Loaded ${approvals.size} approval requests from ${APPROVALS_FILE}`);
+}
+
+/**
+ * Get the effective status of a record (pending and approved requests expire)
+ * @param {object} record - Approval record
+ * @returns {string} - pending, approved, running, rejected, executed or expired
+ */
+function getStatus(record) {
+    if ((record.status === 'pending' || record.status === 'approved') && Date.parse(record.expiresAt) < Date.now()) {
+        return 'expired';
+    }
+    return record.status;
+}
+
+/**
+ * Copy a record for callers, without the internal key
+ * @param {object} record - Approval record
+ * @returns {object} - Public view of the approval
+ */
+function toPublic(record) {
+    const { key, ...rest } = record;
+    return { ...rest, status: getStatus(record), approvals: [...record.approvals] };
+}
+
+/**
+ * Create (or reuse) a pending approval request for a data-altering query
+ * @param {object} request - Request details
+ * @param {string} request.sql - SQL text
+ * @param {object} request.parameters - Query parameters
+ * @param {string} request.databaseId - Target database ID
+ * @param {string} request.operation - Operation class of the SQL
+ * @param {object} extra - Tool handler extra (carries authInfo and sessionId)
+ * @returns {object} - Approval record
+ */
+export function requestApproval({ sql, parameters, databaseId, operation }, extra) {
+    const identity = getAuthIdentity(extra);
+    const key = getApprovalKey(sql, parameters, databaseId);
+
+    // Asking again for the same statement returns the open request instead of piling up duplicates
+    for (const record of approvals.values()) {
+        if (record.key === key && record.requestedBy === identity.user && getStatus(record) === 'pending') {
+            return toPublic(record);
+        }
+    }
+
+    const id = crypto.randomUUID();
+    appendEvent({
+        type: 'requested',
+        id,
+        key,
+        sql,
+        parameters,
+        databaseId,
+        operation,
+        requiredApprovals: getRequiredApprovals(operation),
+        user: identity.user,
+        sessionId: extra?.sessionId || null,
+        expiresAt: new Date(Date.now() + WRITE_APPROVAL_TTL_MS).toISOString()
+    });
+    logger.info(`Write approval ${id} requested by ${identity.user} for ${operation.toUpperCase()} on database ${databaseId}`);
+    return toPublic(approvals.get(id));
+}
+
+/**
+ * Look up an approval request
+ * @param {string} id - Approval ID (the approvalToken)
+ * @returns {object|null} - Approval record, or null if unknown
+ */
+export function getApproval(id) {
+    const record = approvals.get(id);
+    return record ? toPublic(record) : null;
+}
+
+/**
+ * List approval requests, newest first
+ * @param {object} options - Filters
+ * @param {string} options.status - Only return requests with this status
+ * @param {string} options.databaseId - Only return requests for this database
+ * @returns {Array<object>} - Approval records
+ */
+export function listApprovals({ status, databaseId } = {}) {
+    return [...approvals.values()]
+        .map(toPublic)
+        .filter(record => !status || record.status === status)
+        .filter(record => !databaseId || record.databaseId === databaseId)
+        .sort((a, b) => b.requestedAt.localeCompare(a.requestedAt));
+}
+
+/**
+ * Get a pending request or throw
+ * @param {string} id - Approval ID
+ * @returns {object} - Internal approval record
+ */
+function getPendingRecord(id) {
+    const record = approvals.get(id);
+    if (!record) {
+        throw new ResourceNotFoundError('approval', id);
+    }
+    const status = getStatus(record);
+    if (status !== 'pending') {
+        throw new ValidationError(`Approval ${id} is ${status}, not pending`, { id, status });
+    }
+    return record;
+}
+
+/**
+ * Throw unless the caller may decide on an approval request
+ * @param {object} record - Internal approval record
+ * @param {object} identity - Caller identity
+ * @param {object} extra - Handler extra (carries authInfo)
+ * @param {string} via - 'tool' or 'http'
+ */
+function assertCanDecide(record, identity, extra, via) {
+    // The model acts as the requester, so tool calls can't confirm its own request.
+    // The /approvals page is the human channel and may be used by the requester.
+    if (via === 'tool' && identity.user === record.requestedBy) {
+        throw new AuthorizationError(
+            `${identity.user} requested approval ${record.id} and cannot decide on it through a tool; use the /approvals page or another user`,
+            { id: record.id, user: identity.user }
+        );
+    }
+
+    if (APPROVER_ROLES.length > 0 && !identity.roles.some(role => APPROVER_ROLES.includes(role))) {
+        throw new AuthorizationError(
+            `${identity.user} does not have an approver role (${APPROVER_ROLES.join(', ')})`,
+            { id: record.id, user: identity.user }
+        );
+    }
+
+    if (!isAccessAllowed(extra, record.databaseId, record.operation)) {
+        throw new AuthorizationError(
+            `${identity.user} is not allowed to run ${record.operation} operations on database "${record.databaseId}"`,
+            { id: record.id, user: identity.user, databaseId: record.databaseId, operation: record.operation }
+        );
+    }
+}
+
+/**
+ * Record an approval. The request is approved once enough distinct users have approved it.
+ * @param {string} id - Approval ID
+ * @param {object} extra - Handler extra (carries authInfo)
+ * @param {object} options - Options
+ * @param {string} options.via - 'tool' or 'http'
+ * @param {string} options.comment - Optional comment
+ * @returns {object} - Updated approval record
+ */
+export function approveWrite(id, extra, { via = 'tool', comment } = {}) {
+    const record = getPendingRecord(id);
+    const identity = getAuthIdentity(extra);
+    assertCanDecide(record, identity, extra, via);
+
+    if (record.approvals.some(approval => approval.user === identity.user)) {
+        throw new ValidationError(`${identity.user} has already approved ${id}`, { id, user: identity.user });
+    }
+
+    const approved = record.approvals.length + 1 >= record.requiredApprovals;
+    appendEvent({
+        type: 'approved',
+        id,
+        user: identity.user,
+        via,
+        comment,
+        status: approved ? 'approved' : 'pending',
+        // The requester gets a fresh window to run the query once it is approved
+        expiresAt: approved ? new Date(Date.now() + WRITE_APPROVAL_TTL_MS).toISOString() : undefined
+    });
+    logger.info(`Write approval ${id} approved by ${identity.user} via ${via} (${record.approvals.length}/${record.requiredApprovals})`);
+    return toPublic(record);
+}
+
+/**
+ * Reject a pending approval request
+ * @param {string} id - Approval ID
+ * @param {object} extra - Handler extra (carries authInfo)
+ * @param {object} options - Options
+ * @param {string} options.via - 'tool' or 'http'
+ * @param {string} options.reason - Optional reason
+ * @returns {object} - Updated approval record
+ */
+export function rejectWrite(id, extra, { via = 'tool', reason } = {}) {
+    const record = getPendingRecord(id);
+    const identity = getAuthIdentity(extra);
+    assertCanDecide(record, identity, extra, via);
+
+    appendEvent({ type: 'rejected', id, user: identity.user, via, reason });
+    logger.info(`Write approval ${id} rejected by ${identity.user} via ${via}`);
+    return toPublic(record);
+}
+
+/**
+ * Check that an approved request covers a query. startApproval reserves it for the run.
+ * @param {string} id - Approval ID (the approvalToken)
+ * @param {object} query - Query being run
+ * @param {string} query.sql - SQL text
+ * @param {object} query.parameters - Query parameters
+ * @param {string} query.databaseId - Target database ID
+ * @param {object} extra - Tool handler extra (carries authInfo)
+ * @returns {{ok: boolean, status: string, approval: object|null}} - Whether the query may run
+ */
+export function verifyApproval(id, { sql, parameters, databaseId }, extra) {
+    const record = approvals.get(id);
+    if (!record) {
+        return { ok: false, status: 'unknown', approval: null };
+    }
+
+    const identity = getAuthIdentity(extra);
+    if (record.key !== getApprovalKey(sql, parameters, databaseId) || record.requestedBy !== identity.user) {
+        return { ok: false, status: 'mismatch', approval: toPublic(record) };
+    }
+
+    const status = getStatus(record);
+    if (status !== 'approved') {
+        return { ok: false, status, approval: toPublic(record) };
+    }
+
+    return { ok: true, status, approval: toPublic(record) };
+}
+
+/**
+ * Reserve an approved request for one run, so the same token can't run twice at once
+ * @param {string} id - Approval ID checked with verifyApproval
+ */
+export function startApproval(id) {
+    const record = approvals.get(id);
+    const status = record ? getStatus(record) : 'unknown';
+    if (status !== 'approved') {
+        throw new ValidationError(`Approval ${id} is ${status}, not approved`, { id, status });
+    }
+    appendEvent({ type: 'started', id });
+}
+
+/**
+ * Record how a reserved run ended. Each approval executes exactly once: a run that succeeded spends it,
+ * while a failed run (deadlock, timeout, constraint) leaves it usable until it expires.
+ * @param {string} id - Approval ID passed to startApproval
+ * @param {Error|null} error - Error the run failed with, or null when it succeeded
+ */
+export function finishApproval(id, error = null) {
+    if (error) {
+        appendEvent({ type: 'failed', id, error: error.message });
+        logger.warn(`Run under approval ${id} failed and can be retried until the approval expires: ${error.message}`);
+    } else {
+        appendEvent({ type: 'executed', id });
+    }
+}
+
+loadApprovals();
@@ -0,0 +1,239 @@
+// lib/audit.js - Tamper-evident audit trail of tool calls
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { logger, parseSizeToBytes } from './logger.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+dotenv.config({ path: path.join(__dirname, '../.env') });
+
+const AUDIT_LOG_FILE_VAL = process.env.AUDIT_LOG_FILE || './logs/audit.jsonl';
+const AUDIT_LOG_FILE = path.isAbsolute(AUDIT_LOG_FILE_VAL)
+    ? AUDIT_LOG_FILE_VAL
+    : path.resolve(path.join(__dirname, '..'), AUDIT_LOG_FILE_VAL);
+const AUDIT_LOG_MAX_SIZE_BYTES = parseSizeToBytes(process.env.AUDIT_LOG_MAX_SIZE || '10m');
+const AUDIT_LOG_MAX_FILES = parseInt(process.env.AUDIT_LOG_MAX_FILES, 10) || 10;
+const AUDIT_ENABLED = process.env.AUDIT_ENABLED !== 'false';
+const AUDIT_READER_ROLES = (process.env.AUDIT_READER_ROLES || '').split(',').map(s => s.trim()).filter(Boolean);
+
+// prevHash of the very first entry
+const GENESIS_HASH = '0'.repeat(64);
+
+// Chain state: hash and sequence number of the last entry written
+let lastHash = GENESIS_HASH;
+let lastSeq = 0;
+let currentSize = 0;
+
+/**
+ * Path of a rotated audit file (1 is the most recent)
+ * @param {number} index - Rotation index
+ * @returns {string} - File path
+ */
+function getRotatedPath(index) {
+    const ext = path.extname(AUDIT_LOG_FILE);
+    return `${AUDIT_LOG_FILE.slice(0, -ext.length || undefined)}.${index}${ext}`;
+}
+
+/**
+ * All audit files that exist, oldest first
+ * @returns {Array<string>} - File paths
+ */
+function getAuditFiles() {
+    const files = [];
+    for (let index = AUDIT_LOG_MAX_FILES; index >= 1; index--) {
+        if (fs.existsSync(getRotatedPath(index))) files.push(getRotatedPath(index));
+    }
+    if (fs.existsSync(AUDIT_LOG_FILE)) files.push(AUDIT_LOG_FILE);
+    return files;
+}
+
+/**
+ * Read the entries of one audit file
+ * @param {string} file - File path
+ * @returns {Array<object>} - Parsed entries (unparseable lines become {invalid: true})
+ */
+function readEntries(file) {
+    return fs.readFileSync(file, 'utf8')
+        .split('\n')
+        .filter(Boolean)
+        .map((line, index) => {
+            try {
+                return JSON.parse(line);
+            } catch {
+                return { invalid: true, file, line: index + 1 };
+            }
+        });
+}
+
+/**
+ * Compute the chained hash of an entry
+ * @param {object} entry - Audit entry without its hash
+ * @returns {string} - Hex SHA-256 of prevHash and the entry
+ */
+function computeHash(entry) {
+    return crypto.createHash('sha256').update(entry.prevHash).update(JSON.stringify(entry)).digest('hex');
+}
+
+/**
+ * Hash query parameters so the audit log shows whether they changed without storing their values
+ * @param {object} parameters - Query parameters
+ * @returns {string|null} - Hex SHA-256, or null when there are no parameters
+ */
+export function hashParameters(parameters) {
+    if (!parameters || typeof parameters !== 'object' || Object.keys(parameters).length === 0) return null;
+    const normalized = {};
+    for (const key of Object.keys(parameters).sort()) {
+        normalized[key] = parameters[key];
+    }
+    return crypto.createHash('sha256').update(JSON.stringify(normalized)).digest('hex');
+}
+
+/**
+ * Shift audit files up by one and start a new current file
+ */
+function rotate() {
+    const oldest = getRotatedPath(AUDIT_LOG_MAX_FILES);
+    if (fs.existsSync(oldest)) fs.unlinkSync(oldest);
+    for (let index = AUDIT_LOG_MAX_FILES - 1; index >= 1; index--) {
+        if (fs.existsSync(getRotatedPath(index))) {
+            fs.renameSync(getRotatedPath(index), getRotatedPath(index + 1));
+        }
+    }
+    fs.renameSync(AUDIT_LOG_FILE, getRotatedPath(1));
+    currentSize = 0;
+    logger.info(`Rotated audit log ${AUDIT_LOG_FILE}`);
+}
+
+/**
+ * Restore the chain state from the newest audit entry on disk
+ */
+function loadChainState() {
+    const files = getAuditFiles();
+    currentSize = fs.existsSync(AUDIT_LOG_FILE) ? fs.statSync(AUDIT_LOG_FILE).size : 0;
+
+    for (const file of files.reverse()) {
+        const entries = readEntries(file).filter(entry => !entry.invalid);
+        if (entries.length > 0) {
+            const last = entries[entries.length - 1];
+            lastHash = last.hash;
+            lastSeq = last.seq;
+            return;
+        }
+    }
+}
+
+/**
+ * Append an entry to the audit log. Failures are logged, never thrown, so auditing can't break a tool call.
+ * @param {object} record - Audit fields (tool, user, databaseId, sql, outcome, ...)
+ * @returns {object|null} - The written entry, or null if auditing is off or failed
+ */
+export function writeAuditEntry(record) {
+    if (!AUDIT_ENABLED) return null;
+
+    try {
+        const entry = {
+            seq: lastSeq + 1,
+            timestamp: new Date().toISOString(),
+            ...record,
+            prevHash: lastHash
+        };
+        entry.hash = computeHash(entry);
+
+        const line = JSON.stringify(entry) + '\n';
+        if (currentSize > 0 && currentSize + Buffer.byteLength(line) > AUDIT_LOG_MAX_SIZE_BYTES) {
+            rotate();
+        }
+
+        fs.mkdirSync(path.dirname(AUDIT_LOG_FILE), { recursive: true });
+        fs.appendFileSync(AUDIT_LOG_FILE, line);
+        currentSize += Buffer.byteLength(line);
+        lastHash = entry.hash;
+        lastSeq = entry.seq;
+        return entry;
+    } catch (err) {
+        logger.error(`Failed to write audit entry: ${err.message}`);
+        return null;
+    }
+}
+
+/**
+ * Check whether a caller may read other users' audit entries
+ * @param {object} identity - Caller identity from getAuthIdentity
+ * @returns {boolean} - True if AUDIT_READER_ROLES is unset or the caller has one of the roles
+ */
+export function isAuditReader(identity) {
+    return AUDIT_READER_ROLES.length === 0 || identity.roles.some(role => AUDIT_READER_ROLES.includes(role));
+}
+
+/**
+ * Search the audit log, newest first
+ * @param {object} filters - Search filters
+ * @param {string} filters.databaseId - Only entries for this database
+ * @param {string} filters.user - Only entries from this user
+ * @param {string} filters.tool - Only entries for this tool
+ * @param {string} filters.outcome - Only entries with this outcome
+ * @param {string} filters.from - ISO timestamp, inclusive
+ * @param {string} filters.to - ISO timestamp, inclusive
+ * @param {number} filters.limit - Maximum entries to return
+ * @param {function} filters.visible - Extra predicate an entry must pass
+ * @returns {Array<object>} - Matching entries
+ */
+export function queryAudit({ databaseId, user, tool, outcome, from, to, limit = 100, visible = () => true } = {}) {
+    const fromTime = from ? Date.parse(from) : null;
+    const toTime = to ? Date.parse(to) : null;
+    const matches = [];
+
+    for (const file of getAuditFiles().reverse()) {
+        const entries = readEntries(file).filter(entry => !entry.invalid).reverse();
+        for (const entry of entries) {
+            const time = Date.parse(entry.timestamp);
+            if (databaseId && entry.databaseId !== databaseId && !(entry.databaseIds || []).includes(databaseId)) continue;
+            if (user && entry.user !== user) continue;
+            if (tool && entry.tool !== tool) continue;
+            if (outcome && entry.outcome !== outcome) continue;
+            if (fromTime !== null && time < fromTime) continue;
+            if (toTime !== null && time > toTime) continue;
+            if (!visible(entry)) continue;
+
+            matches.push(entry);
+            if (matches.length >= limit) return matches;
+        }
+    }
+    return matches;
+}
+
+/**
+ * Check the hash chain across all audit files
+ * @returns {{valid: boolean, entries: number, brokenAt: object|null}} - Verification result
+ */
+export function verifyAuditChain() {
+    let prevHash = null;
+    let count = 0;
+
+    for (const file of getAuditFiles()) {
+        for (const entry of readEntries(file)) {
+            count++;
+            if (entry.invalid) {
+                return { valid: false, entries: count, brokenAt: { file, line: entry.line, reason: 'unparseable line' } };
+            }
+
+            const { hash, ...rest } = entry;
+            // The oldest remaining entry may point at a file that has been rotated away
+            if (prevHash !== null && entry.prevHash !== prevHash) {
+                return { valid: false, entries: count, brokenAt: { file, seq: entry.seq, reason: 'prevHash does not match the previous entry' } };
+            }
+            if (computeHash(rest) !== hash) {
+                return { valid: false, entries: count, brokenAt: { file, seq: entry.seq, reason: 'entry hash does not match its contents' } };
+            }
+            prevHash = hash;
+        }
+    }
+
+    return { valid: true, entries: count, brokenAt: null };
+}
+
+loadChainState();
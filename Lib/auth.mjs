@@ -0,0 +1,371 @@
+// lib/auth.js - API key and JWT authentication for the HTTP endpoints
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { logger } from './logger.mjs';
+import { AuthenticationError, AuthorizationError, createErrorResponse, createJsonRpcError } from './errors.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+dotenv.config({ path: path.join(__dirname, '../.env') });
+
+/**
+ * Resolve a config file path relative to the project root
+ * @param {string} filePath - Absolute or project-relative path
+ * @returns {string|null} - Absolute path, or null when not configured
+ */
+function resolveConfigPath(filePath) {
+    if (!filePath) return null;
+    return path.isAbsolute(filePath) ? filePath : path.resolve(path.join(__dirname, '..'), filePath);
+}
+
+// Auth configuration
+const AUTH_API_KEYS_FILE = resolveConfigPath(process.env.AUTH_API_KEYS_FILE);
+const AUTH_JWKS_FILE = resolveConfigPath(process.env.AUTH_JWKS_FILE);
+const AUTH_JWT_ISSUER = process.env.AUTH_JWT_ISSUER || '';
+const AUTH_JWT_AUDIENCE = process.env.AUTH_JWT_AUDIENCE || '';
+const AUTH_JWT_USER_CLAIM = process.env.AUTH_JWT_USER_CLAIM || 'sub';
+const AUTH_JWT_ROLES_CLAIM = process.env.AUTH_JWT_ROLES_CLAIM || 'roles';
+const AUTH_JWT_CLOCK_SKEW_SECONDS = parseInt(process.env.AUTH_JWT_CLOCK_SKEW_SECONDS || '60', 10);
+
+// Signature parameters for the JWT algorithms we accept (HMAC and "none" are deliberately absent)
+const JWT_ALGORITHMS = {
+    RS256: { hash: 'sha256', kty: 'RSA' },
+    RS384: { hash: 'sha384', kty: 'RSA' },
+    RS512: { hash: 'sha512', kty: 'RSA' },
+    PS256: { hash: 'sha256', kty: 'RSA', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+    PS384: { hash: 'sha384', kty: 'RSA', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+    PS512: { hash: 'sha512', kty: 'RSA', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+    ES256: { hash: 'sha256', kty: 'EC', dsaEncoding: 'ieee-p1363' },
+    ES384: { hash: 'sha384', kty: 'EC', dsaEncoding: 'ieee-p1363' },
+    ES512: { hash: 'sha512', kty: 'EC', dsaEncoding: 'ieee-p1363' },
+    EdDSA: { hash: null, kty: 'OKP' }
+};
+
+// Loaded credentials
+let apiKeys = [];
+let jwks = [];
+
+/**
+ * Hash an API key the way it is stored in the keys file
+ * @param {string} key - Plain API key
+ * @returns {string} - Hex-encoded SHA-256 digest
+ */
+export function hashApiKey(key) {
+    return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+/**
+ * Load API keys and the JWKS from the configured files
+ */
+export function loadAuthConfig() {
+    apiKeys = [];
+    jwks = [];
+
+    if (AUTH_API_KEYS_FILE) {
+        try {
+            const config = JSON.parse(fs.readFileSync(AUTH_API_KEYS_FILE, 'utf8'));
+            apiKeys = (config.keys || []).map((entry, index) => {
+                if (!entry.user || (!entry.key && !entry.keyHash)) {
+                    throw new Error(`API key entry ${index} needs a "user" and a "key" or "keyHash"`);
+                }
+                if (entry.key) {
+                    logger.warn(`API key for ${entry.user} is stored in plain text; prefer "keyHash"`);
+                }
+                return {
+                    id: entry.id || `key-${index}`,
+                    user: entry.user,
+                    roles: entry.roles || [],
+                    scopes: entry.scopes || [],
+                    hash: Buffer.from(entry.keyHash ? entry.keyHash.replace(/^sha256:/, '') : hashApiKey(entry.key), 'hex'),
+                    disabled: entry.disabled === true
+                };
+            });
+            logger.info(`Loaded ${apiKeys.length} API keys from ${AUTH_API_KEYS_FILE}`);
+        } catch (err) {
+            logger.error(`Failed to load API keys from ${AUTH_API_KEYS_FILE}: ${err.message}`);
+        }
+    }
+
+    if (AUTH_JWKS_FILE) {
+        try {
+            const config = JSON.parse(fs.readFileSync(AUTH_JWKS_FILE, 'utf8'));
+            jwks = (config.keys || []).map(jwk => ({
+                kid: jwk.kid,
+                alg: jwk.alg,
+                kty: jwk.kty,
+                key: crypto.createPublicKey({ key: jwk, format: 'jwk' })
+            }));
+            logger.info(`Loaded ${jwks.length} JWT verification keys from ${AUTH_JWKS_FILE}`);
+        } catch (err) {
+            logger.error(`Failed to load JWKS from ${AUTH_JWKS_FILE}: ${err.message}`);
+        }
+    }
+}
+
+/**
+ * Check whether authentication is enforced on the HTTP endpoints.
+ * It is on as soon as an API key file or JWKS file is configured, or when AUTH_REQUIRED=true.
+ * @returns {boolean} - True if requests must carry credentials
+ */
+export function isAuthEnabled() {
+    if (process.env.AUTH_REQUIRED === 'false') return false;
+    return process.env.AUTH_REQUIRED === 'true' || Boolean(AUTH_API_KEYS_FILE || AUTH_JWKS_FILE);
+}
+
+/**
+ * Decode a base64url JWT segment as JSON
+ * @param {string} segment - Encoded segment
+ * @returns {object} - Decoded object
+ */
+function decodeJwtSegment(segment) {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+/**
+ * Verify a JWT against the local JWKS and validate its claims
+ * @param {string} token - Compact JWT
+ * @returns {object} - Verified payload
+ */
+function verifyJwt(token) {
+    const [encodedHeader, encodedPayload, encodedSignature] = token.split('.');
+    let header;
+    let payload;
+    try {
+        header = decodeJwtSegment(encodedHeader);
+        payload = decodeJwtSegment(encodedPayload);
+    } catch (err) {
+        throw new AuthenticationError('Malformed bearer token');
+    }
+
+    const algorithm = JWT_ALGORITHMS[header.alg];
+    if (!algorithm) {
+        throw new AuthenticationError(`Unsupported token algorithm: ${header.alg}`);
+    }
+
+    const candidates = jwks.filter(jwk =>
+        jwk.kty === algorithm.kty &&
+        (!jwk.alg || jwk.alg === header.alg) &&
+        (!header.kid || jwk.kid === header.kid));
+    if (candidates.length === 0) {
+        throw new AuthenticationError('No verification key matches the token');
+    }
+
+    const signedData = Buffer.from(`${encodedHeader}.${encodedPayload}`);
+    const signature = Buffer.from(encodedSignature || '', 'base64url');
+    const verified = candidates.some(jwk => crypto.verify(
+        algorithm.hash,
+        signedData,
+        {
+            key: jwk.key,
+            padding: algorithm.padding,
+            saltLength: algorithm.padding ? crypto.constants.RSA_PSS_SALTLEN_DIGEST : undefined,
+            dsaEncoding: algorithm.dsaEncoding
+        },
+        signature
+    ));
+    if (!verified) {
+        throw new AuthenticationError('Invalid token signature');
+    }
+
+    // A token without an expiry would be valid forever
+    const now = Math.floor(Date.now() / 1000);
+    if (!Number.isFinite(payload.exp)) {
+        throw new AuthenticationError('Token has no expiry (exp claim)');
+    }
+    if (now > payload.exp + AUTH_JWT_CLOCK_SKEW_SECONDS) {
+        throw new AuthenticationError('Token has expired');
+    }
+    if (payload.nbf !== undefined && !Number.isFinite(payload.nbf)) {
+        throw new AuthenticationError('Token has an invalid nbf claim');
+    }
+    if (payload.nbf !== undefined && now < payload.nbf - AUTH_JWT_CLOCK_SKEW_SECONDS) {
+        throw new AuthenticationError('Token is not valid yet');
+    }
+    if (AUTH_JWT_ISSUER && payload.iss !== AUTH_JWT_ISSUER) {
+        throw new AuthenticationError('Token issuer is not accepted');
+    }
+    if (AUTH_JWT_AUDIENCE) {
+        const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+        if (!audiences.includes(AUTH_JWT_AUDIENCE)) {
+            throw new AuthenticationError('Token audience is not accepted');
+        }
+    }
+
+    return payload;
+}
+
+/**
+ * Build the auth info for a verified JWT
+ * @param {string} token - Compact JWT
+ * @returns {object} - MCP AuthInfo
+ */
+function authenticateJwt(token) {
+    const payload = verifyJwt(token);
+    const user = payload[AUTH_JWT_USER_CLAIM];
+    if (!user) {
+        throw new AuthenticationError(`Token has no "${AUTH_JWT_USER_CLAIM}" claim`);
+    }
+
+    const roles = payload[AUTH_JWT_ROLES_CLAIM];
+    const scopes = payload.scope ? String(payload.scope).split(' ') : (payload.scp || []);
+
+    return {
+        token,
+        clientId: payload.azp || payload.client_id || String(user),
+        scopes: Array.isArray(scopes) ? scopes : [scopes],
+        expiresAt: payload.exp,
+        extra: {
+            user: String(user),
+            roles: Array.isArray(roles) ? roles : (roles ? [roles] : []),
+            authMethod: 'jwt'
+        }
+    };
+}
+
+/**
+ * Build the auth info for an API key
+ * @param {string} key - Plain API key
+ * @returns {object} - MCP AuthInfo
+ */
+function authenticateApiKey(key) {
+    const hash = Buffer.from(hashApiKey(key), 'hex');
+    const entry = apiKeys.find(candidate =>
+        candidate.hash.length === hash.length && crypto.timingSafeEqual(candidate.hash, hash));
+
+    if (!entry || entry.disabled) {
+        throw new AuthenticationError('Invalid API key');
+    }
+
+    return {
+        token: key,
+        clientId: entry.id,
+        scopes: entry.scopes,
+        extra: {
+            user: entry.user,
+            roles: entry.roles,
+            authMethod: 'api-key'
+        }
+    };
+}
+
+/**
+ * Authenticate an HTTP request from its X-API-Key or Authorization header
+ * @param {object} req - Express request
+ * @returns {object} - MCP AuthInfo for the caller
+ */
+export function authenticateRequest(req) {
+    const apiKey = req.headers['x-api-key'];
+    if (apiKey) {
+        return authenticateApiKey(apiKey);
+    }
+
+    const authorization = req.headers['authorization'] || '';
+    const match = authorization.match(/^Bearer\s+(.+)$/i);
+    if (!match) {
+        throw new AuthenticationError('Missing credentials: send an X-API-Key header or an Authorization: Bearer token');
+    }
+
+    const token = match[1].trim();
+    // Compact JWTs have three dot-separated segments; anything else is treated as an API key
+    if (token.split('.').length === 3 && jwks.length > 0) {
+        return authenticateJwt(token);
+    }
+    return authenticateApiKey(token);
+}
+
+/**
+ * Send an auth failure in the shape the route's clients expect
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {AuthenticationError|AuthorizationError} error - Auth failure
+ */
+function sendAuthError(req, res, error) {
+    if (error.statusCode === 401) {
+        res.setHeader('WWW-Authenticate', 'Bearer realm="mssql-mcp-server"');
+    }
+
+    if (req.body?.jsonrpc === '2.0') {
+        return res.status(error.statusCode).json({
+            jsonrpc: "2.0",
+            id: req.body.id || null,
+            error: createJsonRpcError(error.code, error.message)
+        });
+    }
+
+    return res.status(error.statusCode).json(createErrorResponse(error.statusCode, error.message));
+}
+
+/**
+ * Express middleware that rejects unauthenticated requests and sets req.auth.
+ * The MCP SDK transports pass req.auth on to tool handlers as extra.authInfo.
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {function} next - Express next function
+ */
+export function requireAuth(req, res, next) {
+    if (!isAuthEnabled()) {
+        return next();
+    }
+
+    try {
+        req.auth = authenticateRequest(req);
+        logger.info(`Authenticated ${req.auth.extra.user} via ${req.auth.extra.authMethod} for ${req.method} ${req.path}`);
+        next();
+    } catch (err) {
+        if (!(err instanceof AuthenticationError)) {
+            logger.error(`Authentication error: ${err.message}`);
+        }
+        logger.warn(`Rejected ${req.method} ${req.path} from ${req.ip}: ${err.message}`);
+        sendAuthError(req, res, err instanceof AuthenticationError ? err : new AuthenticationError());
+    }
+}
+
+/**
+ * Get the caller identity from a tool handler's extra argument
+ * @param {object} extra - Request handler extra (may carry authInfo)
+ * @returns {object} - Identity with user, roles, scopes and authMethod
+ */
+export function getAuthIdentity(extra = {}) {
+    const authInfo = extra?.authInfo;
+    if (!authInfo?.extra?.user) {
+        return { user: 'anonymous', roles: [], scopes: [], authMethod: 'none' };
+    }
+
+    return {
+        user: authInfo.extra.user,
+        roles: authInfo.extra.roles || [],
+        scopes: authInfo.scopes || [],
+        authMethod: authInfo.extra.authMethod,
+        clientId: authInfo.clientId
+    };
+}
+
+/**
+ * Check that a request comes from the same user that opened the session
+ * @param {object} session - Session entry
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @returns {boolean} - True if the request may use the session (otherwise a 403 has been sent)
+ */
+export function checkSessionOwner(session, req, res) {
+    const owner = session.auth?.extra?.user;
+    const caller = req.auth?.extra?.user;
+    if (owner && owner !== caller) {
+        logger.warn(`User ${caller || 'anonymous'} tried to use session ${session.sessionId} owned by ${owner}`);
+        sendAuthError(req, res, new AuthorizationError('Session belongs to a different user'));
+        return false;
+    }
+    return true;
+}
+
+loadAuthConfig();
+
+if (isAuthEnabled()) {
+    logger.info(`HTTP authentication enabled (${apiKeys.length} API keys, ${jwks.length} JWT keys)`);
+} else {
+    logger.warn('HTTP authentication is disabled: set AUTH_API_KEYS_FILE and/or AUTH_JWKS_FILE to require credentials');
+}
@@ -0,0 +1,74 @@
+// lib/columnMetadata.js - SQL type metadata of result columns, from mssql recordset.columns
+
+// Types that report a length, a precision or a scale
+const LENGTH_TYPES = ['char', 'varchar', 'nchar', 'nvarchar', 'binary', 'varbinary'];
+const PRECISION_TYPES = ['decimal', 'numeric'];
+const SCALE_TYPES = ['decimal', 'numeric', 'time', 'datetime2', 'datetimeoffset'];
+
+// TDS reports nchar/nvarchar lengths in bytes, and (max) types with this length
+const UNICODE_TYPES = ['nchar', 'nvarchar'];
+const MAX_DATA_LENGTH = 65535;
+
+/**
+ * Describe one mssql column
+ * @param {object} column - Entry of recordset.columns
+ * @returns {object} - {name, type, length, precision, scale, nullable}
+ */
+function describeColumn(column) {
+    // CLR types (geography, geometry, hierarchyid) report their own name
+    const type = (column.udt?.name || column.type?.declaration || '').toLowerCase() || null;
+
+    let length = null;
+    if (LENGTH_TYPES.includes(type)) {
+        length = column.length >= MAX_DATA_LENGTH
+            ? 'max'
+            : (UNICODE_TYPES.includes(type) ? column.length / 2 : column.length);
+    }
+
+    return {
+        name: column.name,
+        type,
+        length,
+        precision: PRECISION_TYPES.includes(type) ? column.precision ?? null : null,
+        scale: SCALE_TYPES.includes(type) ? column.scale ?? null : null,
+        nullable: typeof column.nullable === 'boolean' ? column.nullable : null
+    };
+}
+
+/**
+ * Get the column metadata of a recordset in result order. A recordset without rows still has
+ * its columns; rows without metadata (e.g. read back from a file) only give their names.
+ * @param {Array<object>} recordset - mssql recordset
+ * @returns {Array<object>} - Columns {name, type, length, precision, scale, nullable}
+ */
+export function getColumnMetadata(recordset) {
+    if (recordset?.columns) {
+        return Object.values(recordset.columns)
+            .sort((a, b) => a.index - b.index)
+            .map(describeColumn);
+    }
+    return Object.keys(recordset?.[0] || {})
+        .map(name => ({ name, type: null, length: null, precision: null, scale: null, nullable: null }));
+}
+
+/**
+ * Get the column names of a recordset in result order
+ * @param {Array<object>} recordset - mssql recordset
+ * @returns {Array<string>} - Column names
+ */
+export function getColumnNames(recordset) {
+    return getColumnMetadata(recordset).map(column => column.name);
+}
+
+/**
+ * Format a column's type for display, e.g. "decimal(18, 4)" or "nvarchar(max)"
+ * @param {object} column - Column from getColumnMetadata
+ * @returns {string} - Type text, or "unknown" without metadata
+ */
+export function formatColumnType(column) {
+    if (!column.type) return 'unknown';
+    if (column.length !== null) return `${column.type}(${column.length})`;
+    if (column.precision !== null) return `${column.type}(${column.precision}, ${column.scale})`;
+    if (column.scale !== null) return `${column.type}(${column.scale})`;
+    return column.type;
+}
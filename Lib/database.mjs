@@ -5,6 +5,10 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { logger } from './logger.mjs';
+import { analyzeSql } from './sqlLexer.mjs';
+import { ReadOnlyViolationError } from './errors.mjs';
+import { getSessionPreferences, setSessionPreferences } from './sessions.mjs';
+import { addRequestParameters, bindParameter } from './sqlParameters.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -13,10 +17,14 @@ const __dirname = path.dirname(__filename);
 // This prevents stale exported credentials from causing region login failures.
 dotenv.config({ path: path.join(__dirname, '../.env'), override: true });
 
+// Refuse non-read statements on every database
+const READ_ONLY = process.env.READ_ONLY === 'true';
+
 // Database configurations - support multiple databases
 const databaseConfigs = {};
 const sqlPools = {};
-let currentDatabaseId = 'default';
+// Database used by calls that name no database and come from no session with its own choice
+const DEFAULT_DATABASE_ID = 'default';
 
 // Default database configuration
 const defaultDbConfig = {
@@ -25,8 +33,10 @@ const defaultDbConfig = {
     server: process.env.DB_SERVER || 'localhost',
     database: process.env.DB_DATABASE || 'master',
     port: parseInt(process.env.DB_PORT) || 1433,
+    readOnly: process.env.DB_READ_ONLY === 'true',
     options: {
         encrypt: process.env.DB_ENCRYPT === 'true',
+        readOnlyIntent: READ_ONLY || process.env.DB_READ_ONLY === 'true',
         trustServerCertificate: true, // Always trust server certificate for self-signed certs
         connectionTimeout: parseInt(process.env.DB_CONNECTION_TIMEOUT) || 15000,
         requestTimeout: parseInt(process.env.DB_REQUEST_TIMEOUT) || 15000,
@@ -61,11 +71,16 @@ export function registerDatabase(databaseId, config) {
             }
         }
 
+        // Read-only databases also connect with ApplicationIntent=ReadOnly
+        const readOnly = config.readOnly === true || config.readOnly === 'true';
+
         // Set default values for optional fields
         const fullConfig = {
             ...config,
+            readOnly,
             options: {
                 encrypt: config.options?.encrypt || false,
+                readOnlyIntent: readOnly || READ_ONLY || config.options?.readOnlyIntent === true,
                 trustServerCertificate: config.options?.trustServerCertificate !== false,
                 connectionTimeout: config.options?.connectionTimeout || 15000,
                 requestTimeout: config.options?.requestTimeout || 15000,
@@ -101,7 +116,8 @@ export function registerDatabase(databaseId, config) {
         databaseConfigs[databaseId] = fullConfig;
         const instanceSuffix = fullConfig.options.instanceName ? `\\${fullConfig.options.instanceName}` : '';
         const portSuffix = fullConfig.port ? `:${fullConfig.port}` : '';
-        logger.info(`Registered database: ${databaseId} (${fullConfig.server}${instanceSuffix}${portSuffix}/${fullConfig.database})`);
+        const readOnlySuffix = isDatabaseReadOnly(databaseId) ? ' [read-only]' : '';
+        logger.info(`Registered database: ${databaseId} (${fullConfig.server}${instanceSuffix}${portSuffix}/${fullConfig.database})${readOnlySuffix}`);
         return true;
     } catch (err) {
         logger.error(`Failed to register database ${databaseId}: ${err.message}`);
@@ -119,32 +135,61 @@ export function getRegisteredDatabases() {
         server: databaseConfigs[id].server,
         database: databaseConfigs[id].database,
         user: databaseConfigs[id].user,
+        readOnly: isDatabaseReadOnly(id),
         isConnected: sqlPools[id]?.connected || false
     }));
 }
 
 /**
- * Switch to a different database connection
+ * Check whether a database only accepts read statements
+ * @param {string} databaseId - Database ID (defaults to the current database)
+ * @returns {boolean} - True if the database or the whole server is read-only
+ */
+export function isDatabaseReadOnly(databaseId = null) {
+    const dbId = databaseId || DEFAULT_DATABASE_ID;
+    return READ_ONLY || databaseConfigs[dbId]?.readOnly === true;
+}
+
+/**
+ * Throw if SQL would do anything other than read on a read-only database
+ * @param {string} sqlQuery - SQL to check
+ * @param {string} dbId - Database ID
+ */
+function assertReadOnlyAllowed(sqlQuery, dbId) {
+    if (!isDatabaseReadOnly(dbId)) return;
+
+    const analysis = analyzeSql(sqlQuery);
+    if (analysis.operation !== 'read' || analysis.hasDynamicSql) {
+        logger.warn(`Rejected ${analysis.operation} statement on read-only database ${dbId}`);
+        throw new ReadOnlyViolationError(dbId, analysis.operation);
+    }
+}
+
+/**
+ * Switch a session to a different database connection. Other sessions keep their own choice.
  * @param {string} databaseId - Database ID to switch to
+ * @param {string} sessionId - MCP session ID (omit for the local stdio session)
  * @returns {boolean} - True if successful
  */
-export function switchDatabase(databaseId) {
+export function switchDatabase(databaseId, sessionId = null) {
     if (!databaseConfigs[databaseId]) {
         logger.error(`Database ${databaseId} not found`);
         return false;
     }
 
-    currentDatabaseId = databaseId;
-    logger.info(`Switched to database: ${databaseId}`);
+    setSessionPreferences(sessionId, { databaseId });
+    logger.info(`Switched to database: ${databaseId}${sessionId ? ` (session ${sessionId})` : ''}`);
     return true;
 }
 
 /**
- * Get current database ID
- * @returns {string} - Current database ID
+ * Get the current database ID of a session
+ * @param {string} sessionId - MCP session ID (omit for the local stdio session)
+ * @returns {string} - The session's database, or the server default if it hasn't switched
  */
-export function getCurrentDatabaseId() {
-    return currentDatabaseId;
+export function getCurrentDatabaseId(sessionId = null) {
+    const { databaseId } = getSessionPreferences(sessionId);
+    return databaseId && databaseConfigs[databaseId] ? databaseId : DEFAULT_DATABASE_ID;
 }
 
 /**
@@ -153,16 +198,15 @@ export function getCurrentDatabaseId() {
  * @returns {Promise<boolean>} - True if successful
  */
 export async function initializeDbPool(databaseId = null) {
-    const dbId = databaseId || currentDatabaseId;
+    const dbId = databaseId || DEFAULT_DATABASE_ID;
 
     if (!databaseConfigs[dbId]) {
         throw new Error(`Database configuration not found: ${dbId}`);
     }
 
     const config = databaseConfigs[dbId];
-    // DEBUG: Log config details
-    logger.info(`DEBUG: Pool Config for ${dbId}: user=${config.user}, server=${config.server}, port=${config.port}, database=${config.database}`);
-    logger.info(`DEBUG: Options: ${JSON.stringify(config.options)}`);
+    logger.debug(`Pool config for ${dbId}: user=${config.user}, server=${config.server}, port=${config.port}, database=${config.database}`);
+    logger.debug(`Pool options for ${dbId}: ${JSON.stringify(config.options)}`);
 
     const maxAttempts = parseInt(process.env.DB_CONNECT_RETRIES || '3', 10);
     const retryDelayMs = parseInt(process.env.DB_CONNECT_RETRY_DELAY_MS || '1000', 10);
@@ -207,7 +251,7 @@ export async function initializeDbPool(databaseId = null) {
  * @returns {Promise<void>}
  */
 async function ensurePoolConnected(databaseId = null) {
-    const dbId = databaseId || currentDatabaseId;
+    const dbId = databaseId || DEFAULT_DATABASE_ID;
 
     if (!sqlPools[dbId]) {
         await initializeDbPool(dbId);
@@ -224,16 +268,108 @@ async function ensurePoolConnected(databaseId = null) {
     }
 }
 
+/**
+ * Collect the informational messages (PRINT, RAISERROR with severity 10 or lower) a request produces
+ * @param {object} request - mssql request
+ * @returns {Array<object>} - Filled in as messages arrive: {message, number, state, severity, lineNumber, procName}
+ */
+function collectInfoMessages(request) {
+    const messages = [];
+    request.on('info', info => {
+        messages.push({
+            message: info.message,
+            number: info.number,
+            state: info.state,
+            severity: info.class,
+            lineNumber: info.lineNumber,
+            procName: info.procName || null
+        });
+    });
+    return messages;
+}
+
+/**
+ * Build the error thrown when a query is cancelled
+ * @param {*} reason - Abort reason, if any
+ * @returns {Error} - Error with code ECANCEL (the code mssql uses for cancelled requests)
+ */
+function createCancelledError(reason) {
+    const detail = reason instanceof Error ? reason.message : reason;
+    const error = new Error(detail ? `Query cancelled: ${detail}` : 'Query cancelled');
+    error.code = 'ECANCEL';
+    return error;
+}
+
+/**
+ * Wait for a running request, cancelling it on the server if the timeout passes or the signal aborts,
+ * so it doesn't keep holding locks and a pool connection after the caller has given up
+ * @param {object} request - mssql request
+ * @param {Promise<object>} queryPromise - Promise returned by request.query()
+ * @param {string} dbId - Database ID (for logging)
+ * @param {number} timeoutMs - Optional timeout
+ * @param {AbortSignal} signal - Optional cancellation signal
+ * @returns {Promise<object>} - Query result
+ */
+function awaitCancellable(request, queryPromise, dbId, timeoutMs, signal) {
+    if (!timeoutMs && !signal) return queryPromise;
+
+    return new Promise((resolve, reject) => {
+        let timer = null;
+        let settled = false;
+
+        const onAbort = () => stop(createCancelledError(signal.reason));
+        const finish = () => {
+            settled = true;
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', onAbort);
+        };
+        const stop = (error) => {
+            if (settled) return;
+            finish();
+            logger.warn(`Cancelling SQL request on ${dbId}: ${error.message}`);
+            try {
+                request.cancel();
+            } catch (err) {
+                logger.warn(`Failed to cancel SQL request on ${dbId}: ${err.message}`);
+            }
+            reject(error);
+        };
+
+        if (timeoutMs) {
+            timer = setTimeout(() => {
+                const timeoutError = new Error('Query timeout exceeded');
+                timeoutError.code = 'ETIMEOUT';
+                timeoutError.cancelled = true;
+                stop(timeoutError);
+            }, timeoutMs);
+        }
+        signal?.addEventListener('abort', onAbort, { once: true });
+
+        // The cancelled request rejects too; by then the caller has already been answered
+        queryPromise.then(
+            result => { if (!settled) { finish(); resolve(result); } },
+            err => { if (!settled) { finish(); reject(err); } }
+        );
+    });
+}
+
 /**
  * Execute a SQL query with retry logic
  * @param {string} sqlQuery - SQL query to execute
- * @param {object} parameters - Query parameters
+ * @param {object} parameters - Query parameters (plain values or { value, type, length, precision, scale })
  * @param {number} retryCount - Number of retries on transient errors
  * @param {string} databaseId - Optional database ID to execute against
- * @returns {Promise<object>} - Query result
+ * @param {number} timeoutMs - Optional timeout; the request is cancelled on the server when it passes
+ * @param {boolean} dryRun - Return the showplan instead of running the query
+ * @param {AbortSignal} signal - Optional signal that cancels the request
+ * @returns {Promise<object>} - mssql result plus executionTime, databaseId and info messages
  */
-export async function executeQuery(sqlQuery, parameters = {}, retryCount = 3, databaseId = null, timeoutMs = null, dryRun = false) {
-    const dbId = databaseId || currentDatabaseId;
+export async function executeQuery(sqlQuery, parameters = {}, retryCount = 3, databaseId = null, timeoutMs = null, dryRun = false, signal = null) {
+    const dbId = databaseId || DEFAULT_DATABASE_ID;
+
+    if (signal?.aborted) {
+        throw createCancelledError(signal.reason);
+    }
 
     if (sqlQuery.length > 100) {
         logger.info(`Executing SQL on ${dbId}: ${sqlQuery.substring(0, 100)}...`);
@@ -241,6 +377,11 @@ export async function executeQuery(sqlQuery, parameters = {}, retryCount = 3, da
         logger.info(`Executing SQL on ${dbId}: ${sqlQuery}`);
     }
 
+    // Showplan-only dry runs don't execute anything, so they are allowed on read-only databases
+    if (!dryRun) {
+        assertReadOnlyAllowed(sqlQuery, dbId);
+    }
+
     await ensurePoolConnected(dbId);
 
     try {
@@ -249,39 +390,32 @@ export async function executeQuery(sqlQuery, parameters = {}, retryCount = 3, da
             request.timeout = timeoutMs;
         }
 
-        // Add parameters if provided
-        for (const [key, value] of Object.entries(parameters)) {
-            request.input(key, value);
-        }
+        // Add parameters if provided (plain values or { value, type, length, precision, scale })
+        addRequestParameters(request, parameters);
+        const messages = collectInfoMessages(request);
 
         const startTime = Date.now();
         const sqlToRun = dryRun ? `SET SHOWPLAN_XML ON; ${sqlQuery}; SET SHOWPLAN_XML OFF;` : sqlQuery;
-        const queryPromise = request.query(sqlToRun);
-        const result = timeoutMs
-            ? await Promise.race([
-                queryPromise,
-                new Promise((_, reject) => {
-                    const timeoutError = new Error('Query timeout exceeded');
-                    timeoutError.code = 'ETIMEOUT';
-                    setTimeout(() => reject(timeoutError), timeoutMs);
-                })
-            ])
-            : await queryPromise;
+        const result = await awaitCancellable(request, request.query(sqlToRun), dbId, timeoutMs, signal);
         const executionTime = Date.now() - startTime;
 
         logger.info(`SQL executed successfully on ${dbId} in ${executionTime}ms, returned ${result.recordset?.length || 0} rows`);
 
-        // Add execution time and database info to result
+        // Add execution time, database info and PRINT/RAISERROR messages to result
         result.executionTime = executionTime;
         result.databaseId = dbId;
+        result.messages = messages;
 
         return result;
     } catch (err) {
         logger.error(`SQL execution failed on ${dbId}: ${err.message}`);
 
-        // Handle transient errors with retry logic
+        // Handle transient errors with retry logic. A call cancelled by its caller or its own timeout
+        // would only hit the same deadline again, and a batch that modifies data may already have done so.
         const transientErrors = ['ETIMEOUT', 'ECONNCLOSED', 'ECONNRESET', 'ESOCKET'];
-        if (transientErrors.includes(err.code) && retryCount > 0) {
+        const cancelled = err.cancelled || signal?.aborted || (err.code === 'ETIMEOUT' && timeoutMs);
+        const modifiesData = !dryRun && analyzeSql(sqlQuery).modifiesData;
+        if (transientErrors.includes(err.code) && retryCount > 0 && !cancelled && !modifiesData) {
             logger.info(`Retrying SQL execution on ${dbId} (${retryCount} attempts left)...`);
 
             // Wait before retrying
@@ -292,26 +426,160 @@ export async function executeQuery(sqlQuery, parameters = {}, retryCount = 3, da
                 delete sqlPools[dbId];
             }
 
-            return executeQuery(sqlQuery, parameters, retryCount - 1, databaseId);
+            return executeQuery(sqlQuery, parameters, retryCount - 1, databaseId, timeoutMs, dryRun, signal);
+        }
+
+        throw err;
+    }
+}
+
+/**
+ * Execute a SQL query in the driver's streaming mode, handing rows over one at a time instead of
+ * collecting them. Rows are never retried, since some may already have been written out.
+ * @param {string} sqlQuery - SQL query to execute
+ * @param {object} parameters - Query parameters (plain values or { value, type, length, precision, scale })
+ * @param {string} databaseId - Optional database ID to execute against
+ * @param {object} options - Streaming options
+ * @param {number} options.timeoutMs - Optional timeout; the request is cancelled on the server when it passes
+ * @param {AbortSignal} options.signal - Optional signal that cancels the request
+ * @param {number} options.maxRows - Stop (and cancel the rest of the batch) after this many rows of the first result set
+ * @param {function} options.onRecordset - Called with (columns, index) when a result set starts; columns is mssql's recordset.columns
+ * @param {function} options.onRow - Called with (row, index); may return a promise, and the request is paused until it settles
+ * @returns {Promise<object>} - {rowCounts (per result set), rowsAffected, messages, executionTime, databaseId, truncated}
+ */
+export async function streamQuery(sqlQuery, parameters = {}, databaseId = null, options = {}) {
+    const { timeoutMs = null, signal = null, maxRows = null, onRecordset = () => {}, onRow = () => {} } = options;
+    const dbId = databaseId || DEFAULT_DATABASE_ID;
+
+    if (signal?.aborted) {
+        throw createCancelledError(signal.reason);
+    }
+
+    logger.info(`Streaming SQL on ${dbId}: ${sqlQuery.length > 100 ? sqlQuery.substring(0, 100) + '...' : sqlQuery}`);
+    assertReadOnlyAllowed(sqlQuery, dbId);
+
+    await ensurePoolConnected(dbId);
+
+    const request = sqlPools[dbId].request();
+    request.stream = true;
+    if (timeoutMs) {
+        request.timeout = timeoutMs;
+    }
+    addRequestParameters(request, parameters);
+    const messages = collectInfoMessages(request);
+
+    const rowCounts = [];
+    let truncated = false;
+    let failure = null;
+    let pending = 0;
+
+    const stop = (error) => {
+        failure = failure || error;
+        try {
+            request.cancel();
+        } catch (err) {
+            logger.warn(`Failed to cancel SQL request on ${dbId}: ${err.message}`);
         }
+    };
+
+    const startTime = Date.now();
+    const streamPromise = new Promise((resolve, reject) => {
+        request.on('recordset', columns => {
+            rowCounts.push(0);
+            try {
+                onRecordset(columns, rowCounts.length - 1);
+            } catch (err) {
+                stop(err);
+            }
+        });
+
+        request.on('row', row => {
+            const index = rowCounts.length - 1;
+            if (failure || truncated) return;
+            if (index === 0 && maxRows && rowCounts[0] >= maxRows) {
+                truncated = true;
+                logger.info(`Stopping stream on ${dbId} after ${maxRows} rows`);
+                try {
+                    request.cancel();
+                } catch (err) {
+                    logger.warn(`Failed to cancel SQL request on ${dbId}: ${err.message}`);
+                }
+                return;
+            }
+            rowCounts[index]++;
+
+            let result;
+            try {
+                result = onRow(row, index);
+            } catch (err) {
+                stop(err);
+                return;
+            }
+
+            // Backpressure: hold the request until the consumer has caught up
+            if (result && typeof result.then === 'function') {
+                if (pending++ === 0) request.pause();
+                result.then(
+                    () => { if (--pending === 0 && !failure) request.resume(); },
+                    err => { pending--; stop(err); }
+                );
+            }
+        });
+
+        // In streaming mode the driver reports errors as events and always finishes with "done"
+        request.on('error', err => {
+            if (truncated && err.code === 'ECANCEL') return;
+            failure = failure || err;
+        });
+        request.on('done', result => {
+            if (failure) {
+                reject(failure);
+            } else {
+                resolve(result);
+            }
+        });
+
+        request.query(sqlQuery).catch(err => {
+            failure = failure || err;
+        });
+    });
 
+    try {
+        const result = await awaitCancellable(request, streamPromise, dbId, timeoutMs, signal);
+        const executionTime = Date.now() - startTime;
+        logger.info(`SQL streamed successfully on ${dbId} in ${executionTime}ms, ${rowCounts[0] || 0} rows${truncated ? ' (stopped at maxRows)' : ''}`);
+
+        return {
+            rowCounts,
+            rowsAffected: result?.rowsAffected || [],
+            messages,
+            executionTime,
+            databaseId: dbId,
+            truncated
+        };
+    } catch (err) {
+        logger.error(`SQL streaming failed on ${dbId}: ${err.message}`);
         throw err;
     }
 }
 
 /**
  * Execute multiple SQL queries in a transaction
- * @param {Array<{sql: string, parameters: object}>} queries - Array of queries
+ * @param {Array<{sql: string, parameters: object}>} queries - Array of queries (parameters as in executeQuery)
  * @param {string} databaseId - Optional database ID to execute against
  * @returns {Promise<Array<object>>} - Array of results
  */
 export async function executeTransaction(queries, databaseId = null) {
-    const dbId = databaseId || currentDatabaseId;
+    const dbId = databaseId || DEFAULT_DATABASE_ID;
 
     if (!Array.isArray(queries) || queries.length === 0) {
         throw new Error('No queries provided for transaction');
     }
 
+    for (const { sql: sqlQuery } of queries) {
+        assertReadOnlyAllowed(sqlQuery, dbId);
+    }
+
     logger.info(`Starting transaction on ${dbId} with ${queries.length} queries`);
 
     await ensurePoolConnected(dbId);
@@ -331,10 +599,8 @@ export async function executeTransaction(queries, databaseId = null) {
 
             const request = new sql.Request(transaction);
 
-            // Add parameters if provided
-            for (const [key, value] of Object.entries(parameters)) {
-                request.input(key, value);
-            }
+            // Add parameters if provided (plain values or { value, type, length, precision, scale })
+            addRequestParameters(request, parameters);
 
             const result = await request.query(sqlQuery);
             result.databaseId = dbId;
@@ -360,11 +626,63 @@ export async function executeTransaction(queries, databaseId = null) {
     }
 }
 
+/**
+ * Execute a stored procedure with request.execute(), returning every result set, the output
+ * parameters and the return code. Procedures may have side effects, so failed calls are not retried.
+ * @param {string} procedureName - Quoted procedure name, e.g. [dbo].[usp_GetOrders]
+ * @param {Array<{name: string, parameter: *, output: boolean}>} bindings - Parameters to pass
+ * @param {string} databaseId - Optional database ID to execute against
+ * @param {number} timeoutMs - Optional timeout; the request is cancelled on the server when it passes
+ * @param {AbortSignal} signal - Optional signal that cancels the request
+ * @returns {Promise<object>} - mssql result (recordsets, output, returnValue, rowsAffected) plus info messages
+ */
+export async function executeProcedure(procedureName, bindings = [], databaseId = null, timeoutMs = null, signal = null) {
+    const dbId = databaseId || DEFAULT_DATABASE_ID;
+
+    if (signal?.aborted) {
+        throw createCancelledError(signal.reason);
+    }
+
+    logger.info(`Executing procedure ${procedureName} on ${dbId}`);
+    assertReadOnlyAllowed(`EXEC ${procedureName}`, dbId);
+
+    await ensurePoolConnected(dbId);
+
+    try {
+        const request = sqlPools[dbId].request();
+        if (timeoutMs) {
+            request.timeout = timeoutMs;
+        }
+
+        for (const { name, parameter, output } of bindings) {
+            bindParameter(request, name, parameter, { output });
+        }
+        const messages = collectInfoMessages(request);
+
+        const startTime = Date.now();
+        const result = await awaitCancellable(request, request.execute(procedureName), dbId, timeoutMs, signal);
+        const executionTime = Date.now() - startTime;
+
+        logger.info(`Procedure ${procedureName} executed on ${dbId} in ${executionTime}ms, returned ${result.recordsets?.length || 0} result sets`);
+
+        result.executionTime = executionTime;
+        result.databaseId = dbId;
+        result.messages = messages;
+
+        return result;
+    } catch (err) {
+        logger.error(`Procedure ${procedureName} failed on ${dbId}: ${err.message}`);
+        throw err;
+    }
+}
+
 /**
  * Execute a query on multiple databases simultaneously
  * @param {string} sqlQuery - SQL query to execute
  * @param {Array<string>} databaseIds - Array of database IDs to query
  * @param {object} parameters - Query parameters
+ * @param {object} options - concurrency, timeoutMs, requestId, signal (cancels every in-flight query),
+ *   and onProgress({completed, failed, total, databaseId, success}) called as each database finishes
  * @returns {Promise<Array<object>>} - Array of results with database info
  */
 export async function executeQueryOnMultipleDatabases(sqlQuery, databaseIds, parameters = {}, options = {}) {
@@ -392,12 +710,22 @@ export async function executeQueryOnMultipleDatabases(sqlQuery, databaseIds, par
 
     const results = [];
     let index = 0;
+    let failed = 0;
+
+    const reportProgress = (databaseId, success) => {
+        if (typeof options.onProgress !== 'function') return;
+        try {
+            options.onProgress({ completed: results.length - failed, failed, total: databaseIds.length, databaseId, success });
+        } catch (err) {
+            logger.warn(`Progress callback failed: ${err.message}`);
+        }
+    };
 
     const runNext = async () => {
         if (index >= databaseIds.length) return;
         const dbId = databaseIds[index++];
         try {
-            const result = await executeQuery(sqlQuery, parameters, 3, dbId, options.timeoutMs);
+            const result = await executeQuery(sqlQuery, parameters, 3, dbId, options.timeoutMs, false, options.signal);
             results.push({
                 databaseId: dbId,
                 success: true,
@@ -405,15 +733,19 @@ export async function executeQueryOnMultipleDatabases(sqlQuery, databaseIds, par
                 server: databaseConfigs[dbId].server,
                 database: databaseConfigs[dbId].database
             });
+            reportProgress(dbId, true);
         } catch (err) {
             logger.error(`Query failed on database ${dbId}: ${err.message}`);
             results.push({
                 databaseId: dbId,
                 success: false,
                 error: err.message,
+                cancelled: err.code === 'ECANCEL',
                 server: databaseConfigs[dbId].server,
                 database: databaseConfigs[dbId].database
             });
+            failed++;
+            reportProgress(dbId, false);
         }
         await runNext();
     };
@@ -468,7 +800,7 @@ export function sanitizeSqlIdentifier(identifier) {
  * @returns {object} - Database configuration
  */
 export function getDbConfig(maskPassword = false, databaseId = null) {
-    const dbId = databaseId || currentDatabaseId;
+    const dbId = databaseId || DEFAULT_DATABASE_ID;
     const config = { ...databaseConfigs[dbId] };
 
     if (maskPassword) {
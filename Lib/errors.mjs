@@ -23,7 +23,8 @@ export const JsonRpcErrorCodes = {
     RESOURCE_NOT_FOUND: -32103,
     TOOL_EXECUTION_ERROR: -32104,
     DATABASE_ERROR: -32105,
-    VALIDATION_ERROR: -32106
+    VALIDATION_ERROR: -32106,
+    READ_ONLY_VIOLATION: -32107
 };
 
 /**
@@ -178,6 +179,56 @@ export class ToolExecutionError extends McpError {
     }
 }
 
+/**
+ * Custom error for missing or invalid credentials
+ */
+export class AuthenticationError extends McpError {
+    /**
+     * Create a new authentication error
+     * @param {string} message - Error message
+     */
+    constructor(message = 'Authentication required') {
+        super(message, JsonRpcErrorCodes.AUTHENTICATION_ERROR);
+        this.name = 'AuthenticationError';
+        this.statusCode = 401;
+    }
+}
+
+/**
+ * Custom error for an authenticated caller that is not allowed to do something
+ */
+export class AuthorizationError extends McpError {
+    /**
+     * Create a new authorization error
+     * @param {string} message - Error message
+     * @param {*} details - Additional details
+     */
+    constructor(message = 'Access denied', details = undefined) {
+        super(message, JsonRpcErrorCodes.AUTHORIZATION_ERROR, details);
+        this.name = 'AuthorizationError';
+        this.statusCode = 403;
+    }
+}
+
+/**
+ * Custom error for a data-modifying statement sent to a read-only database
+ */
+export class ReadOnlyViolationError extends McpError {
+    /**
+     * Create a new read-only violation error
+     * @param {string} databaseId - Read-only database ID
+     * @param {string} operation - Operation class of the rejected SQL
+     */
+    constructor(databaseId, operation) {
+        super(
+            `Database "${databaseId}" is read-only: ${operation.toUpperCase()} statements are not allowed`,
+            JsonRpcErrorCodes.READ_ONLY_VIOLATION,
+            { databaseId, operation }
+        );
+        this.name = 'ReadOnlyViolationError';
+    }
+}
+
 /**
  * Global error handler middleware for Express
  * @param {Error} err - Error object
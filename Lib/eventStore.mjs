@@ -0,0 +1,106 @@
+// lib/eventStore.js - Event store for resumable Streamable HTTP sessions
+import crypto from 'crypto';
+import { logger } from './logger.mjs';
+
+const EVENT_STORE_MAX_EVENTS = parseInt(process.env.MCP_EVENT_STORE_MAX_EVENTS || '1000', 10);
+const EVENT_STORE_TTL_MS = parseInt(process.env.MCP_EVENT_STORE_TTL_MS || '900000', 10);
+
+/**
+ * In-memory event store implementing the MCP SDK EventStore interface.
+ * Keeps a bounded, time-limited history per stream so clients can reconnect
+ * with a Last-Event-ID header and receive the messages they missed.
+ */
+export class McpEventStore {
+    /**
+     * Create a new event store
+     * @param {object} options - Store options
+     * @param {number} options.maxEventsPerStream - Max events kept per stream
+     * @param {number} options.ttlMs - How long events are kept for replay
+     */
+    constructor({ maxEventsPerStream = EVENT_STORE_MAX_EVENTS, ttlMs = EVENT_STORE_TTL_MS } = {}) {
+        this.maxEventsPerStream = maxEventsPerStream;
+        this.ttlMs = ttlMs;
+        this.streams = new Map();
+        this.eventIndex = new Map();
+    }
+
+    /**
+     * Store an event for later replay
+     * @param {string} streamId - ID of the stream the event belongs to
+     * @param {object} message - JSON-RPC message
+     * @returns {Promise<string>} - Generated event ID
+     */
+    async storeEvent(streamId, message) {
+        const eventId = `${streamId}_${Date.now()}_${crypto.randomUUID()}`;
+
+        if (!this.streams.has(streamId)) {
+            this.streams.set(streamId, []);
+        }
+
+        const events = this.streams.get(streamId);
+        events.push({ eventId, message, storedAt: Date.now() });
+        this.eventIndex.set(eventId, streamId);
+
+        this.prune(streamId);
+        return eventId;
+    }
+
+    /**
+     * Get the stream an event belongs to
+     * @param {string} eventId - Event ID
+     * @returns {Promise<string|undefined>} - Stream ID
+     */
+    async getStreamIdForEventId(eventId) {
+        return this.eventIndex.get(eventId);
+    }
+
+    /**
+     * Replay all events stored after the given event on the same stream
+     * @param {string} lastEventId - Last event ID the client received
+     * @param {object} callbacks - Replay callbacks
+     * @param {function} callbacks.send - Sends a replayed event to the client
+     * @returns {Promise<string>} - Stream ID of the replayed events
+     */
+    async replayEventsAfter(lastEventId, { send }) {
+        const streamId = this.eventIndex.get(lastEventId);
+        if (!streamId) {
+            logger.warn(`Cannot replay events: unknown or expired event ID ${lastEventId}`);
+            return '';
+        }
+
+        const events = this.streams.get(streamId) || [];
+        const position = events.findIndex(event => event.eventId === lastEventId);
+
+        let replayed = 0;
+        for (const event of events.slice(position + 1)) {
+            await send(event.eventId, event.message);
+            replayed++;
+        }
+
+        logger.info(`Replayed ${replayed} events on stream ${streamId}`);
+        return streamId;
+    }
+
+    /**
+     * Drop events for a stream that are too old or over the size limit
+     * @param {string} streamId - Stream ID
+     */
+    prune(streamId) {
+        const events = this.streams.get(streamId);
+        if (!events) return;
+
+        const cutoff = Date.now() - this.ttlMs;
+        while (events.length > 0 && (events.length > this.maxEventsPerStream || events[0].storedAt < cutoff)) {
+            const removed = events.shift();
+            this.eventIndex.delete(removed.eventId);
+        }
+    }
+
+    /**
+     * Remove every stored event (used when a session is closed)
+     */
+    clear() {
+        this.streams.clear();
+        this.eventIndex.clear();
+    }
+}
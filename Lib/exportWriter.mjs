@@ -0,0 +1,889 @@
+// lib/exportWriter.js - Export files written row by row (CSV, JSON, NDJSON, XLSX, Parquet) with optional gzip and backpressure
+import fs from 'fs';
+import zlib from 'zlib';
+import readline from 'readline';
+import { once } from 'events';
+import { finished, pipeline } from 'stream/promises';
+import ExcelJS from 'exceljs';
+import { ByteWriter, ParquetWriter } from 'hyparquet-writer';
+import { asyncBufferFromFile, parquetMetadataAsync, parquetReadObjects } from 'hyparquet';
+import { logger } from './logger.mjs';
+import { formatColumnType } from './columnMetadata.mjs';
+import { getValueFormat, getValueFormatNotes, serializeValue } from './valueSerializer.mjs';
+
+// Excel's limits: rows per worksheet, characters per cell and per worksheet name
+const XLSX_MAX_ROWS = 1048576;
+const XLSX_MAX_CELL_LENGTH = 32767;
+const XLSX_MAX_SHEET_NAME_LENGTH = 31;
+
+// Header rows above the data: column names, then SQL types
+const XLSX_HEADER_ROWS = 2;
+
+const XLSX_INTEGER_TYPES = ['tinyint', 'smallint', 'int', 'bigint'];
+const XLSX_DECIMAL_TYPES = ['decimal', 'numeric', 'money', 'smallmoney', 'float', 'real'];
+const XLSX_DATE_TYPES = ['date', 'datetime', 'smalldatetime', 'datetime2', 'datetimeoffset'];
+
+// Parquet compression codecs by option name. Snappy is built into the writer; the others use zlib.
+export const PARQUET_COMPRESSIONS = {
+    snappy: 'SNAPPY',
+    gzip: 'GZIP',
+    brotli: 'BROTLI',
+    none: 'UNCOMPRESSED'
+};
+const PARQUET_COMPRESSORS = {
+    GZIP: input => zlib.gzipSync(input),
+    BROTLI: input => zlib.brotliCompressSync(input)
+};
+const PARQUET_DECOMPRESSORS = {
+    GZIP: input => zlib.gunzipSync(input),
+    BROTLI: input => zlib.brotliDecompressSync(input)
+};
+
+// Rows buffered per Parquet row group, and bytes encoded before they are handed to the file
+const PARQUET_ROW_GROUP_ROWS = 100000;
+const PARQUET_CHUNK_BYTES = 1024 * 1024;
+
+// Footer key holding the same metadata JSON exports end with
+const PARQUET_METADATA_KEY = 'query_metadata';
+
+// NDJSON files keep their metadata next to them, so the data file stays one row per line
+export const NDJSON_METADATA_SUFFIX = '.meta.json';
+
+/**
+ * Format one CSV line. Strings and objects (as JSON) are quoted; NULL is an empty cell.
+ * @param {object} row - Row (already masked and serialized)
+ * @param {Array<string>} columns - Column names in output order
+ * @param {object} options - CSV options
+ * @param {string} options.delimiter - Field delimiter
+ * @param {string} options.quoteChar - Quote character
+ * @returns {string} - Line without a line break
+ */
+export function formatCsvLine(row, columns, { delimiter = ',', quoteChar = '"' } = {}) {
+    return columns.map(column => {
+        const value = row[column];
+        if (value === null || value === undefined) return '';
+        if (typeof value === 'string') return `${quoteChar}${value.replace(/"/g, '""')}${quoteChar}`;
+        if (typeof value === 'object') return `${quoteChar}${JSON.stringify(value).replace(/"/g, '""')}${quoteChar}`;
+        return String(value);
+    }).join(delimiter);
+}
+
+/**
+ * Open an export file that rows are appended to as they arrive, so a large result is never held in memory.
+ * JSON files have the same { results, metadata } shape as other saved results; metadata comes last,
+ * once the row count is known. NDJSON files are one row per line, with the metadata in a
+ * "<file>.meta.json" file written at the end. Columns the driver can't hand over exactly are named
+ * in metadata.valueNotes (see getValueFormatNotes); CSV files have no metadata, so finish() returns them.
+ * @param {string} filePath - File to write (".gz" is not added here)
+ * @param {object} options - Export options
+ * @param {string} options.format - json, csv, ndjson, xlsx or parquet
+ * @param {boolean} options.compress - Gzip the file (ignored for xlsx and parquet, which compress themselves)
+ * @param {string} options.csvDelimiter - CSV field delimiter
+ * @param {boolean} options.csvIncludeHeaders - Write a CSV header row
+ * @param {string} options.csvQuoteChar - CSV quote character
+ * @param {string} options.sheetName - XLSX worksheet name
+ * @param {string} options.parquetCompression - Parquet codec (a key of PARQUET_COMPRESSIONS)
+ * @returns {object} - Writer with start(columns, maskedColumns), writeRows(rows), finish(metadata) and abort()
+ */
+export function createExportWriter(filePath, options = {}) {
+    const {
+        format = 'json',
+        compress = false,
+        csvDelimiter = ',',
+        csvIncludeHeaders = true,
+        csvQuoteChar = '"'
+    } = options;
+
+    if (format === 'xlsx') {
+        return createXlsxWriter(filePath, options);
+    }
+    if (format === 'parquet') {
+        return createParquetWriter(filePath, options);
+    }
+
+    const file = fs.createWriteStream(filePath);
+    const gzip = compress ? zlib.createGzip() : null;
+    const input = gzip || file;
+
+    // Errors (disk full, permissions) surface on the next write or at finish
+    let failure = null;
+    const closed = (gzip ? pipeline(gzip, file) : finished(file)).catch(err => {
+        failure = failure || err;
+    });
+
+    let columns = [];
+    let valueNotes = [];
+    let started = false;
+    let rows = 0;
+    let uncompressedBytes = 0;
+
+    /**
+     * Queue text on the file stream
+     * @param {string} text - Text to write
+     * @returns {Promise|null} - A promise to wait for when the stream's buffer is full, otherwise null
+     */
+    const push = text => {
+        if (failure) throw failure;
+        uncompressedBytes += Buffer.byteLength(text);
+        return input.write(text) ? null : once(input, 'drain');
+    };
+
+    return {
+        path: filePath,
+        format,
+
+        /** Rows written so far */
+        get rows() {
+            return rows;
+        },
+
+        /** Bytes on disk so far (compressed output lags behind the rows written) */
+        get bytes() {
+            return file.bytesWritten;
+        },
+
+        /**
+         * Write what comes before the rows (the CSV header row, or the opening of the JSON document)
+         * @param {Array<object>} columnMetadata - Columns from getColumnMetadata, in output order
+         * @returns {Promise|null} - Backpressure promise, as for writeRows
+         */
+        start(columnMetadata) {
+            if (started) return null;
+            started = true;
+            columns = columnMetadata.map(column => column.name);
+            valueNotes = getValueFormatNotes(columnMetadata);
+            if (format === 'csv') {
+                return csvIncludeHeaders && columns.length > 0 ? push(columns.join(csvDelimiter) + '\n') : null;
+            }
+            if (format === 'ndjson') return null;
+            return push('{\n  "results": [');
+        },
+
+        /**
+         * Append rows
+         * @param {Array<object>} batch - Rows (already masked and serialized)
+         * @returns {Promise|null} - A promise the caller should wait for before writing more, or null
+         */
+        writeRows(batch) {
+            if (batch.length === 0) return null;
+
+            let text = '';
+            for (const row of batch) {
+                if (format === 'csv') {
+                    text += formatCsvLine(row, columns, { delimiter: csvDelimiter, quoteChar: csvQuoteChar }) + '\n';
+                } else if (format === 'ndjson') {
+                    text += JSON.stringify(row) + '\n';
+                } else {
+                    text += `${rows > 0 ? ',' : ''}\n    ${JSON.stringify(row)}`;
+                }
+                rows++;
+            }
+            return push(text);
+        },
+
+        /**
+         * Close the file
+         * @param {object} metadata - JSON metadata (ignored for CSV)
+         * @returns {Promise<object>} - {path, format, compressed, rows, bytes (on disk), uncompressedBytes, valueNotes},
+         *   and metadataPath for NDJSON
+         */
+        async finish(metadata = {}) {
+            // A batch without result sets still gets a well-formed file
+            this.start([]);
+            if (valueNotes.length > 0) metadata = { ...metadata, valueNotes };
+            if (format === 'json') {
+                const metadataText = JSON.stringify(metadata, null, 2).replace(/\n/g, '\n  ');
+                push(`${rows > 0 ? '\n  ' : ''}],\n  "metadata": ${metadataText}\n}\n`);
+            }
+            input.end();
+            await closed;
+            if (failure) throw failure;
+
+            const info = {
+                path: filePath,
+                format,
+                compressed: compress,
+                rows,
+                bytes: file.bytesWritten,
+                uncompressedBytes,
+                valueNotes
+            };
+            if (format === 'ndjson') {
+                info.metadataPath = filePath + NDJSON_METADATA_SUFFIX;
+                fs.writeFileSync(info.metadataPath, JSON.stringify({ metadata }, null, 2));
+            }
+            return info;
+        },
+
+        /**
+         * Stop writing and remove the partial file
+         */
+        abort() {
+            input.destroy();
+            file.destroy();
+            try {
+                fs.rmSync(filePath, { force: true });
+            } catch (err) {
+                logger.warn(`Failed to remove partial export ${filePath}: ${err.message}`);
+            }
+        }
+    };
+}
+
+/**
+ * Make a worksheet name Excel accepts: no []:*?/\ characters, at most 31 characters, unique in the workbook
+ * @param {string} name - Wanted name
+ * @param {Set<string>} usedNames - Lower-cased names already in the workbook; the result is added
+ * @returns {string} - Worksheet name
+ */
+function toSheetName(name, usedNames) {
+    const base = String(name || 'Sheet').replace(/[[\]:*?/\\]/g, '_').replace(/^'+|'+$/g, '').trim() || 'Sheet';
+
+    let candidate = base.slice(0, XLSX_MAX_SHEET_NAME_LENGTH);
+    for (let suffix = 2; usedNames.has(candidate.toLowerCase()); suffix++) {
+        const tag = ` (${suffix})`;
+        candidate = base.slice(0, XLSX_MAX_SHEET_NAME_LENGTH - tag.length) + tag;
+    }
+    usedNames.add(candidate.toLowerCase());
+    return candidate;
+}
+
+/**
+ * Get the Excel number format of a column's cells
+ * @param {object} column - Column from getColumnMetadata
+ * @returns {string|undefined} - Number format, or undefined for Excel's General format
+ */
+function xlsxNumberFormat(column) {
+    const { type, scale } = column;
+    // Excel shows at most milliseconds
+    const fraction = digits => (digits > 0 ? `.${'0'.repeat(Math.min(digits, 3))}` : '');
+
+    if (XLSX_INTEGER_TYPES.includes(type)) return '0';
+    if (type === 'decimal' || type === 'numeric') return `0${scale > 0 ? `.${'0'.repeat(scale)}` : ''}`;
+    if (type === 'money' || type === 'smallmoney') return '#,##0.0000';
+    if (type === 'date') return 'yyyy-mm-dd';
+    if (type === 'smalldatetime') return 'yyyy-mm-dd hh:mm';
+    if (type === 'datetime') return 'yyyy-mm-dd hh:mm:ss.000';
+    if (type === 'datetime2' || type === 'datetimeoffset') return `yyyy-mm-dd hh:mm:ss${fraction(scale ?? 7)}`;
+    if (type === 'time') return `hh:mm:ss${fraction(scale ?? 7)}`;
+    return undefined;
+}
+
+/**
+ * Turn a serialized value back into a typed cell value: numbers for numeric types, dates for date types,
+ * a fraction of a day for time, and text for everything else. Values that don't parse (masked values,
+ * integers past 2^53, dates before 1900) stay text so nothing is silently changed.
+ * @param {*} value - Value from serializeValue
+ * @param {object} column - Column from getColumnMetadata
+ * @returns {*} - Cell value
+ */
+function toXlsxCell(value, column) {
+    if (value === null || value === undefined) return null;
+    const type = column?.type;
+
+    if (XLSX_INTEGER_TYPES.includes(type) || XLSX_DECIMAL_TYPES.includes(type)) {
+        const number = typeof value === 'string' && /^-?\d+(\.\d+)?(e[+-]?\d+)?$/i.test(value) ? Number(value) : value;
+        if (typeof number === 'number' && Number.isFinite(number)
+            && (!XLSX_INTEGER_TYPES.includes(type) || Number.isSafeInteger(number))) {
+            return number;
+        }
+    }
+
+    if (XLSX_DATE_TYPES.includes(type)) {
+        if (typeof value === 'number') return new Date(value);
+        const match = typeof value === 'string'
+            && /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2}):(\d{2})(?:\.(\d+))?Z)?$/.exec(value);
+        if (match && Number(match[1]) >= 1900) {
+            const [, year, month, day, hours = 0, minutes = 0, seconds = 0, fraction = ''] = match;
+            return new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds, Number(fraction.padEnd(3, '0').slice(0, 3))));
+        }
+    }
+
+    if (type === 'time' && typeof value === 'string') {
+        const match = /^(\d{2}):(\d{2}):(\d{2})(\.\d+)?$/.exec(value);
+        if (match) {
+            const [, hours, minutes, seconds, fraction = ''] = match;
+            return (Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds) + Number(fraction || 0)) / 86400;
+        }
+    }
+
+    if (typeof value === 'boolean' || typeof value === 'number') return value;
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return text.length > XLSX_MAX_CELL_LENGTH ? text.slice(0, XLSX_MAX_CELL_LENGTH) : text;
+}
+
+/**
+ * Open an Excel workbook that rows are appended to as they arrive. Each worksheet has a header row of
+ * column names and one of SQL types, frozen above the data; cells are typed by the column's SQL type.
+ * A worksheet that reaches Excel's row limit continues on a new one. Columns the driver can't hand
+ * over exactly are listed on a last "Notes" worksheet.
+ * @param {string} filePath - File to write
+ * @param {object} options - Export options
+ * @param {string} options.sheetName - Name of the first worksheet
+ * @returns {object} - Writer with start(columns), addSheet(name, columns), writeRows(rows), finish() and abort()
+ */
+function createXlsxWriter(filePath, { sheetName = 'Results' } = {}) {
+    const file = fs.createWriteStream(filePath);
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: file, useStyles: true, useSharedStrings: false });
+
+    let failure = null;
+    const closed = finished(file).catch(err => {
+        failure = failure || err;
+    });
+
+    const usedNames = new Set();
+    const sheetNames = [];
+    const valueNotes = [];
+    let sheet = null;
+    let sheetTitle = sheetName;
+    let sheetPart = 1;
+    let sheetRows = 0;
+    let columns = [];
+    let started = false;
+    let rows = 0;
+
+    /**
+     * Close the open worksheet and start another with the current columns
+     * @param {string} name - Wanted worksheet name
+     */
+    const openSheet = name => {
+        sheet?.commit();
+        const title = toSheetName(name, usedNames);
+        sheetNames.push(title);
+        if (sheetPart === 1) {
+            valueNotes.push(...getValueFormatNotes(columns).map(note => `${title}: ${note}`));
+        }
+        sheet = workbook.addWorksheet(title, { views: [{ state: 'frozen', ySplit: XLSX_HEADER_ROWS }] });
+        sheet.columns = columns.map(column => {
+            const numFmt = xlsxNumberFormat(column);
+            return {
+                key: column.name,
+                width: Math.min(Math.max(column.name.length, formatColumnType(column).length, numFmt?.length || 0, 10) + 2, 60),
+                style: numFmt ? { numFmt } : {}
+            };
+        });
+
+        const names = sheet.addRow(columns.map(column => column.name));
+        names.font = { bold: true };
+        names.commit();
+        const types = sheet.addRow(columns.map(formatColumnType));
+        types.font = { italic: true, color: { argb: 'FF808080' } };
+        types.commit();
+        sheetRows = 0;
+    };
+
+    return {
+        path: filePath,
+        format: 'xlsx',
+
+        /** Rows written so far */
+        get rows() {
+            return rows;
+        },
+
+        /** Bytes on disk so far (the zipped output lags behind the rows written) */
+        get bytes() {
+            return file.bytesWritten;
+        },
+
+        /**
+         * Open the first worksheet
+         * @param {Array<object>} columnMetadata - Columns from getColumnMetadata, in output order
+         * @returns {null} - Nothing to wait for
+         */
+        start(columnMetadata) {
+            if (started) return null;
+            started = true;
+            columns = columnMetadata;
+            openSheet(sheetTitle);
+            return null;
+        },
+
+        /**
+         * Start another worksheet, e.g. one per database
+         * @param {string} name - Worksheet name (made valid and unique)
+         * @param {Array<object>} columnMetadata - Columns from getColumnMetadata, in output order
+         */
+        addSheet(name, columnMetadata) {
+            started = true;
+            columns = columnMetadata;
+            sheetTitle = name;
+            sheetPart = 1;
+            openSheet(name);
+        },
+
+        /**
+         * Append rows to the open worksheet
+         * @param {Array<object>} batch - Rows (already masked and serialized)
+         * @returns {Promise|null} - A promise the caller should wait for before writing more, or null
+         */
+        writeRows(batch) {
+            if (failure) throw failure;
+            for (const row of batch) {
+                if (sheetRows >= XLSX_MAX_ROWS - XLSX_HEADER_ROWS) {
+                    openSheet(`${sheetTitle} (${++sheetPart})`);
+                }
+                sheet.addRow(columns.map(column => toXlsxCell(row[column.name], column))).commit();
+                sheetRows++;
+                rows++;
+            }
+
+            // ExcelJS hands worksheet XML to the zip entry without waiting, so the entry's own buffer
+            // is what shows whether the zip (and the file behind it) is keeping up
+            const entry = sheet.stream.pipes?.[0];
+            if (entry?._writableState?.needDrain) return once(entry, 'drain');
+            return file.writableNeedDrain ? once(file, 'drain') : null;
+        },
+
+        /**
+         * Close the workbook
+         * @returns {Promise<object>} - {path, format, compressed, rows, bytes (on disk), sheets, valueNotes}
+         */
+        async finish() {
+            // An empty result still gets a worksheet
+            this.start([]);
+            sheet.commit();
+            if (valueNotes.length > 0) {
+                const notes = workbook.addWorksheet(toSheetName('Notes', usedNames));
+                notes.columns = [{ key: 'note', width: 120 }];
+                notes.addRow(['Notes']).font = { bold: true };
+                for (const note of valueNotes) notes.addRow([note]);
+                notes.commit();
+            }
+            await workbook.commit();
+            await closed;
+            if (failure) throw failure;
+
+            return {
+                path: filePath,
+                format: 'xlsx',
+                compressed: false,
+                rows,
+                bytes: file.bytesWritten,
+                sheets: sheetNames,
+                valueNotes
+            };
+        },
+
+        /**
+         * Stop writing and remove the partial file
+         */
+        abort() {
+            workbook.zip.abort();
+            // The file may still be opening; it is removed once its descriptor is closed
+            const remove = () => fs.rm(filePath, { force: true }, err => {
+                if (err) logger.warn(`Failed to remove partial export ${filePath}: ${err.message}`);
+            });
+            if (file.closed) {
+                remove();
+            } else {
+                file.once('close', remove);
+                file.destroy();
+            }
+        }
+    };
+}
+
+/**
+ * Get the Parquet schema element of a column from its SQL type. Columns without a known type,
+ * and masked columns (whose values become text), are UTF-8 strings.
+ * @param {string} name - Parquet column name
+ * @param {object} column - Column from getColumnMetadata
+ * @param {boolean} masked - Whether the column is masked
+ * @returns {object} - Schema element
+ */
+function parquetSchemaElement(name, column, masked) {
+    const element = { name, repetition_type: 'OPTIONAL' };
+    const type = masked ? null : column.type;
+
+    switch (type) {
+        case 'bit':
+            return { ...element, type: 'BOOLEAN' };
+        case 'tinyint':
+        case 'smallint':
+        case 'int':
+            return { ...element, type: 'INT32' };
+        case 'bigint':
+            return { ...element, type: 'INT64' };
+        case 'real':
+            return { ...element, type: 'FLOAT' };
+        case 'float':
+            return { ...element, type: 'DOUBLE' };
+        case 'decimal':
+        case 'numeric':
+        case 'money':
+        case 'smallmoney': {
+            const precision = column.precision ?? (type === 'smallmoney' ? 10 : (type === 'money' ? 19 : 38));
+            const scale = column.scale ?? (type.endsWith('money') ? 4 : 0);
+            // Smallest physical type that holds the precision; wider decimals are big-endian byte arrays
+            const physical = precision <= 9
+                ? { type: 'INT32' }
+                : (precision <= 18
+                    ? { type: 'INT64' }
+                    : { type: 'FIXED_LEN_BYTE_ARRAY', type_length: Math.ceil((Math.log2(10 ** precision) + 1) / 8) });
+            return { ...element, ...physical, converted_type: 'DECIMAL', precision, scale, logical_type: { type: 'DECIMAL', precision, scale } };
+        }
+        case 'date':
+            return { ...element, type: 'INT32', converted_type: 'DATE', logical_type: { type: 'DATE' } };
+        case 'datetime':
+        case 'smalldatetime':
+        case 'datetime2':
+        case 'datetimeoffset':
+            // datetimeoffset values arrive in UTC; the others are wall-clock times without a zone
+            return {
+                ...element,
+                type: 'INT64',
+                logical_type: { type: 'TIMESTAMP', isAdjustedToUTC: type === 'datetimeoffset', unit: 'MICROS' }
+            };
+        case 'time':
+            return { ...element, type: 'INT64', logical_type: { type: 'TIME', isAdjustedToUTC: false, unit: 'MICROS' } };
+        default:
+            return { ...element, type: 'BYTE_ARRAY', converted_type: 'UTF8', logical_type: { type: 'STRING' } };
+    }
+}
+
+/**
+ * Get the microseconds since midnight or since the epoch of a serialized date/time value
+ * @param {string|number} value - ISO text ("YYYY-MM-DD", "YYYY-MM-DDTHH:mm:ss.fffffffZ", "HH:mm:ss.fffffff")
+ *   or epoch milliseconds
+ * @returns {bigint|null} - Microseconds, or null if the value doesn't parse
+ */
+function toMicros(value) {
+    if (typeof value === 'number') return BigInt(Math.round(value)) * 1000n;
+
+    const match = /^(?:(\d{4})-(\d{2})-(\d{2}))?T?(?:(\d{2}):(\d{2}):(\d{2})(?:\.(\d+))?)?Z?$/.exec(value);
+    if (!match || value === '') return null;
+    const [, year, month, day, hours = 0, minutes = 0, seconds = 0, fraction = ''] = match;
+
+    // setUTCFullYear keeps years before 100, which Date.UTC would move to the 1900s
+    const date = new Date(Date.UTC(2000, 0, 1, hours, minutes, seconds));
+    if (year) date.setUTCFullYear(Number(year), Number(month) - 1, Number(day));
+    const millis = year ? date.getTime() : date.getTime() - Date.UTC(2000, 0, 1);
+    return BigInt(millis) * 1000n + BigInt(fraction.padEnd(6, '0').slice(0, 6));
+}
+
+/**
+ * Make the function that turns a column's serialized values into Parquet values
+ * @param {object} element - Schema element from parquetSchemaElement
+ * @returns {function} - Converter; throws on values that don't fit the column's type
+ */
+function parquetConverter(element) {
+    const misfit = value => new Error(`Column "${element.name}": ${JSON.stringify(value)} doesn't fit Parquet type ${element.logical_type?.type || element.type}`);
+    const numeric = value => {
+        const number = typeof value === 'number' ? value : Number(value);
+        if (typeof value === 'boolean' || value === '' || !Number.isFinite(number)) throw misfit(value);
+        return number;
+    };
+
+    if (element.converted_type === 'DECIMAL') {
+        return value => {
+            // Serialized decimals are exact text; the unscaled integer keeps every digit of it
+            const text = typeof value === 'number' ? value.toFixed(element.scale) : String(value);
+            const match = /^(-?)(\d+)(?:\.(\d+))?$/.exec(text);
+            if (!match) throw misfit(value);
+            const [, sign, integer, fraction = ''] = match;
+            return BigInt(`${sign}${integer}${fraction.padEnd(element.scale, '0').slice(0, element.scale)}`);
+        };
+    }
+    if (element.logical_type?.type === 'DATE') {
+        return value => {
+            const micros = toMicros(value);
+            if (micros === null) throw misfit(value);
+            return Number(micros / 86400000000n) - (micros < 0n && micros % 86400000000n !== 0n ? 1 : 0);
+        };
+    }
+    if (element.logical_type?.type === 'TIMESTAMP' || element.logical_type?.type === 'TIME') {
+        return value => {
+            const micros = toMicros(value);
+            if (micros === null) throw misfit(value);
+            return micros;
+        };
+    }
+
+    switch (element.type) {
+        case 'BOOLEAN':
+            return value => {
+                if (typeof value !== 'boolean') throw misfit(value);
+                return value;
+            };
+        case 'INT32':
+            return value => {
+                const number = numeric(value);
+                if (!Number.isInteger(number) || Math.abs(number) > 2147483647) throw misfit(value);
+                return number;
+            };
+        case 'INT64':
+            return value => {
+                if (typeof value === 'string' && /^-?\d+$/.test(value)) return BigInt(value);
+                const number = numeric(value);
+                if (!Number.isInteger(number)) throw misfit(value);
+                return BigInt(number);
+            };
+        case 'FLOAT':
+        case 'DOUBLE':
+            return numeric;
+        default:
+            return value => (typeof value === 'object' ? JSON.stringify(value) : String(value));
+    }
+}
+
+/**
+ * A hyparquet-writer output that hands encoded bytes to a file stream, so only about a chunk and
+ * a row group are held in memory. flush() is called after each row group and waits for the stream to drain.
+ * @param {fs.WriteStream} file - File stream
+ * @returns {ByteWriter} - Writer for ParquetWriter
+ */
+function parquetFileOutput(file) {
+    const output = new ByteWriter();
+    const ensure = output.ensure.bind(output);
+
+    const push = () => {
+        if (output.index === 0) return;
+        // The encoder reuses its buffer, so the stream gets a copy
+        file.write(Buffer.from(new Uint8Array(output.buffer, 0, output.index)));
+        output.index = 0;
+    };
+
+    output.ensure = size => {
+        if (output.index > PARQUET_CHUNK_BYTES) push();
+        ensure(size);
+    };
+    output.flush = () => {
+        push();
+        return file.writableNeedDrain ? once(file, 'drain') : undefined;
+    };
+    output.finish = push;
+    return output;
+}
+
+/**
+ * Open a Parquet file that rows are appended to as they arrive. The schema comes from the SQL column
+ * metadata; rows are buffered into row groups of PARQUET_ROW_GROUP_ROWS and the metadata JSON
+ * exports end with is stored in the file's key-value metadata.
+ * @param {string} filePath - File to write
+ * @param {object} options - Export options
+ * @param {string} options.parquetCompression - Codec (a key of PARQUET_COMPRESSIONS)
+ * @returns {object} - Writer with start(columns, maskedColumns), writeRows(rows), finish(metadata) and abort()
+ */
+function createParquetWriter(filePath, { parquetCompression = 'snappy' } = {}) {
+    const codec = PARQUET_COMPRESSIONS[parquetCompression];
+    if (!codec) {
+        throw new Error(`Unknown Parquet compression "${parquetCompression}"; use ${Object.keys(PARQUET_COMPRESSIONS).join(', ')}`);
+    }
+
+    const file = fs.createWriteStream(filePath);
+    let failure = null;
+    const closed = finished(file).catch(err => {
+        failure = failure || err;
+    });
+
+    let parquet = null;
+    let columns = [];
+    let valueNotes = [];
+    let converters = [];
+    let buffered = [];
+    let pending = null;
+    let started = false;
+    let rows = 0;
+
+    /**
+     * Encode the buffered rows as a row group
+     * @returns {Promise|null} - Resolves once the file has drained, or null if it didn't need to
+     */
+    const writeGroup = () => {
+        if (buffered[0]?.length > 0) {
+            const columnData = columns.map((column, index) => ({ name: column.name, data: buffered[index] }));
+            buffered = columns.map(() => []);
+            const written = parquet.write({ columnData, rowGroupSize: columnData[0].data.length });
+            pending = written ? written.then(() => { pending = null; }) : null;
+        }
+        return pending;
+    };
+
+    return {
+        path: filePath,
+        format: 'parquet',
+
+        /** Rows written so far */
+        get rows() {
+            return rows;
+        },
+
+        /** Bytes on disk so far (rows are encoded a row group at a time) */
+        get bytes() {
+            return file.bytesWritten;
+        },
+
+        /**
+         * Fix the schema
+         * @param {Array<object>} columnMetadata - Columns from getColumnMetadata, in output order
+         * @param {Array<string>} maskedColumns - Names of masked columns, stored as text
+         * @returns {null} - Nothing to wait for
+         */
+        start(columnMetadata, maskedColumns = []) {
+            if (started) return null;
+            started = true;
+
+            // Parquet needs unique, non-empty names; rows only keep one value per name anyway
+            const seen = new Set();
+            columns = columnMetadata
+                .filter(column => !seen.has(column.name) && seen.add(column.name))
+                .map((column, index) => ({
+                    name: column.name || `column${index + 1}`,
+                    source: column.name,
+                    element: parquetSchemaElement(column.name || `column${index + 1}`, column, maskedColumns.includes(column.name))
+                }));
+            converters = columns.map(column => parquetConverter(column.element));
+            valueNotes = getValueFormatNotes(columnMetadata);
+            buffered = columns.map(() => []);
+
+            parquet = new ParquetWriter({
+                writer: parquetFileOutput(file),
+                schema: [{ name: 'root', num_children: columns.length }, ...columns.map(column => column.element)],
+                codec,
+                compressors: PARQUET_COMPRESSORS
+            });
+            return null;
+        },
+
+        /**
+         * Append rows; a full row group is encoded and written
+         * @param {Array<object>} batch - Rows (already masked and serialized)
+         * @returns {Promise|null} - A promise the caller should wait for before writing more, or null
+         */
+        writeRows(batch) {
+            if (failure) throw failure;
+            for (const row of batch) {
+                columns.forEach((column, index) => {
+                    const value = row[column.source];
+                    buffered[index].push(value === null || value === undefined ? null : converters[index](value));
+                });
+                rows++;
+                if (buffered[0]?.length >= PARQUET_ROW_GROUP_ROWS) writeGroup();
+            }
+            return pending;
+        },
+
+        /**
+         * Write the last row group and the footer
+         * @param {object} metadata - Stored under the "query_metadata" key
+         * @returns {Promise<object>} - {path, format, compressed, codec, rows, bytes (on disk), valueNotes}
+         */
+        async finish(metadata = {}) {
+            this.start([]);
+            await writeGroup();
+            if (valueNotes.length > 0) metadata = { ...metadata, valueNotes };
+            parquet.kvMetadata = [{ key: PARQUET_METADATA_KEY, value: JSON.stringify(metadata) }];
+            await parquet.finish();
+            file.end();
+            await closed;
+            if (failure) throw failure;
+
+            return {
+                path: filePath,
+                format: 'parquet',
+                compressed: codec !== 'UNCOMPRESSED',
+                codec: parquetCompression,
+                rows,
+                bytes: file.bytesWritten,
+                valueNotes
+            };
+        },
+
+        /**
+         * Stop writing and remove the partial file
+         */
+        abort() {
+            const remove = () => fs.rm(filePath, { force: true }, err => {
+                if (err) logger.warn(`Failed to remove partial export ${filePath}: ${err.message}`);
+            });
+            if (file.closed) {
+                remove();
+            } else {
+                file.once('close', remove);
+                file.destroy();
+            }
+        }
+    };
+}
+
+/**
+ * Read a saved result file: its metadata and its first rows. Parquet and NDJSON files are read
+ * only as far as needed; JSON files are read whole.
+ * @param {string} filePath - .json, .ndjson, .ndjson.gz or .parquet file
+ * @param {number} limit - Most rows to read from Parquet and NDJSON files (0 for metadata only)
+ * @returns {Promise<object>} - {format, metadata, rows, rowCount}; rowCount is null when unknown
+ */
+export async function readExportFile(filePath, limit) {
+    const { mtime } = fs.statSync(filePath);
+
+    if (filePath.endsWith('.parquet')) {
+        const file = await asyncBufferFromFile(filePath);
+        const parquetMetadata = await parquetMetadataAsync(file);
+        const saved = parquetMetadata.key_value_metadata?.find(entry => entry.key === PARQUET_METADATA_KEY);
+        const rowCount = Number(parquetMetadata.num_rows);
+        const rows = limit > 0 && rowCount > 0
+            ? await parquetReadObjects({ file, metadata: parquetMetadata, rowEnd: Math.min(limit, rowCount), compressors: PARQUET_DECOMPRESSORS })
+            : [];
+
+        // DECIMAL columns come back as doubles (1.5 as 1.4999999999999998); text with the column's scale
+        // matches what the JSON and CSV exports write
+        const decimalFormat = getValueFormat({ numerics: 'string' });
+        for (const element of parquetMetadata.schema.filter(entry => entry.converted_type === 'DECIMAL')) {
+            const column = { type: 'decimal', scale: element.scale || 0 };
+            for (const row of rows) {
+                row[element.name] = serializeValue(row[element.name], column, decimalFormat);
+            }
+        }
+
+        // TIME columns come back as microseconds since midnight
+        for (const element of parquetMetadata.schema.filter(entry => entry.logical_type?.type === 'TIME')) {
+            for (const row of rows) {
+                const micros = row[element.name];
+                if (typeof micros !== 'bigint') continue;
+                const clock = new Date(Number(micros / 1000n)).toISOString().slice(11, 19);
+                row[element.name] = `${clock}.${String(micros % 1000000n).padStart(6, '0')}`;
+            }
+        }
+        return { format: 'parquet', metadata: { timestamp: mtime.toISOString(), ...(saved ? JSON.parse(saved.value) : {}) }, rows, rowCount };
+    }
+
+    if (filePath.endsWith('.ndjson') || filePath.endsWith('.ndjson.gz')) {
+        const metadataPath = filePath + NDJSON_METADATA_SUFFIX;
+        const saved = fs.existsSync(metadataPath) ? JSON.parse(fs.readFileSync(metadataPath, 'utf8')).metadata : {};
+
+        const rows = [];
+        if (limit > 0) {
+            const file = fs.createReadStream(filePath);
+            const input = filePath.endsWith('.gz') ? file.pipe(zlib.createGunzip()) : file;
+            const lines = readline.createInterface({ input, crlfDelay: Infinity });
+            for await (const line of lines) {
+                if (line.trim() === '') continue;
+                rows.push(JSON.parse(line));
+                if (rows.length >= limit) break;
+            }
+            lines.close();
+            file.destroy();
+        }
+        return { format: 'ndjson', metadata: { timestamp: mtime.toISOString(), ...saved }, rows, rowCount: saved.rowCount ?? null };
+    }
+
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return { format: 'json', metadata: data.metadata || {}, rows: data.results || [], rowCount: data.metadata?.rowCount ?? null };
+}
+
+/**
+ * Format a byte count for display, e.g. "12.4 MB"
+ * @param {number} bytes - Byte count
+ * @returns {string} - Formatted size
+ */
+export function formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return unit === 0 ? `${value} ${units[unit]}` : `${value.toFixed(1)} ${units[unit]}`;
+}
@@ -0,0 +1,349 @@
+// lib/jobs.js - Background query jobs with a bounded worker pool
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { logger } from './logger.mjs';
+import { executeQuery } from './database.mjs';
+import { AuthorizationError, ResourceNotFoundError, ValidationError } from './errors.mjs';
+import { getAuthIdentity } from './auth.mjs';
+import { isDatabaseVisible } from './policy.mjs';
+import { hashParameters } from './audit.mjs';
+import { getResultMaskPlan, maskQueryResult, getMaskedResultColumns } from './masking.mjs';
+import { getColumnMetadata, getColumnNames } from './columnMetadata.mjs';
+import { getValueFormat, getValueFormatNotes, serializeQueryResult } from './valueSerializer.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+dotenv.config({ path: path.join(__dirname, '../.env') });
+
+const JOBS_FILE_VAL = process.env.JOBS_FILE || './data/jobs.jsonl';
+const JOBS_FILE = path.isAbsolute(JOBS_FILE_VAL)
+    ? JOBS_FILE_VAL
+    : path.resolve(path.join(__dirname, '..'), JOBS_FILE_VAL);
+const QUERY_RESULTS_PATH = process.env.QUERY_RESULTS_PATH || path.join(__dirname, '../query_results');
+const JOB_WORKERS = Math.max(1, parseInt(process.env.JOB_WORKERS || '2', 10));
+const JOB_QUEUE_LIMIT = parseInt(process.env.JOB_QUEUE_LIMIT || '50', 10);
+const JOB_TIMEOUT_MS = parseInt(process.env.JOB_TIMEOUT_MS || '3600000', 10);
+
+// Jobs by ID, rebuilt from the journal at startup
+const jobs = new Map();
+
+// Work that only exists in this process: queued parameters and running controllers
+const queue = [];
+const runtime = new Map();
+let activeWorkers = 0;
+
+/**
+ * Apply one journal event to the in-memory state
+ * @param {object} event - Journal event
+ */
+function applyEvent(event) {
+    if (event.type === 'submitted') {
+        jobs.set(event.id, {
+            id: event.id,
+            sql: event.sql,
+            parametersHash: event.parametersHash,
+            databaseId: event.databaseId,
+            timeoutMs: event.timeoutMs,
+            submittedBy: event.user,
+            sessionId: event.sessionId,
+            submittedAt: event.at,
+            status: 'queued',
+            startedAt: null,
+            finishedAt: null,
+            rowCount: null,
+            executionTimeMs: null,
+            maskedColumns: [],
+            resultUuid: null,
+            error: null,
+            cancelledBy: null
+        });
+        return;
+    }
+
+    const job = jobs.get(event.id);
+    if (!job) return;
+
+    if (event.type === 'started') {
+        job.status = 'running';
+        job.startedAt = event.at;
+    } else if (event.type === 'finished') {
+        job.status = event.status;
+        job.finishedAt = event.at;
+        job.rowCount = event.rowCount ?? null;
+        job.executionTimeMs = event.executionTimeMs ?? null;
+        job.maskedColumns = event.maskedColumns || [];
+        job.resultUuid = event.resultUuid || null;
+        job.error = event.error || null;
+        job.cancelledBy = event.cancelledBy || null;
+    }
+}
+
+/**
+ * Append an event to the journal and apply it
+ * @param {object} event - Journal event
+ */
+function appendEvent(event) {
+    const entry = { ...event, at: event.at || new Date().toISOString() };
+    fs.mkdirSync(path.dirname(JOBS_FILE), { recursive: true });
+    fs.appendFileSync(JOBS_FILE, JSON.stringify(entry) + '\n');
+    applyEvent(entry);
+}
+
+/**
+ * Load job state by replaying the journal file. Jobs that were queued or running when the
+ * server stopped can't be resumed (their parameters were never written down), so they fail.
+ */
+export function loadJobs() {
+    jobs.clear();
+    if (!fs.existsSync(JOBS_FILE)) return;
+
+    const lines = fs.readFileSync(JOBS_FILE, 'utf8').split('\n').filter(Boolean);
+    for (const [index, line] of lines.entries()) {
+        try {
+            applyEvent(JSON.parse(line));
+        } catch (err) {
+            logger.error(`Skipping unreadable job journal line ${index + 1} in ${JOBS_FILE}: ${err.message}`);
+        }
+    }
+
+    for (const job of jobs.values()) {
+        if (job.status === 'queued' || job.status === 'running') {
+            appendEvent({ type: 'finished', id: job.id, status: 'failed', error: 'Interrupted by a server restart' });
+        }
+    }
+    logger.info(`Loaded ${jobs.size} query jobs from ${JOBS_FILE}`);
+}
+
+/**
+ * Copy a job for callers
+ * @param {object} job - Job record
+ * @returns {object} - Public view of the job, with its queue position while queued
+ */
+function toPublic(job) {
+    const position = job.status === 'queued' ? queue.findIndex(entry => entry.id === job.id) + 1 : null;
+    return { ...job, maskedColumns: [...job.maskedColumns], queuePosition: position || null };
+}
+
+/**
+ * Save a finished job's rows in the query results store, under the job ID
+ * @param {object} job - Job record
+ * @param {object} result - Masked query result
+ * @param {object} parameters - Query parameters
+ * @returns {string} - UUID of the saved result
+ */
+function saveResult(job, result, parameters) {
+    const columns = getColumnMetadata(result.recordset);
+    const resultWithMetadata = {
+        metadata: {
+            uuid: job.id,
+            jobId: job.id,
+            timestamp: new Date().toISOString(),
+            databaseId: job.databaseId,
+            query: job.sql,
+            parameters: Object.keys(parameters).length > 0 ? parameters : undefined,
+            rowCount: result.recordset?.length || 0,
+            executionTimeMs: result.executionTime || 0,
+            columns,
+            valueFormat: result.valueFormat,
+            valueNotes: getValueFormatNotes(columns)
+        },
+        results: result.recordset || []
+    };
+
+    fs.mkdirSync(QUERY_RESULTS_PATH, { recursive: true });
+    fs.writeFileSync(path.join(QUERY_RESULTS_PATH, `${job.id}.json`), JSON.stringify(resultWithMetadata, null, 2));
+    return job.id;
+}
+
+/**
+ * Run one job to completion and record how it ended
+ * @param {object} entry - Queue entry {id, parameters}
+ */
+async function runJob({ id, parameters }) {
+    const job = jobs.get(id);
+    const controller = new AbortController();
+    runtime.set(id, controller);
+    appendEvent({ type: 'started', id });
+    logger.info(`Job ${id} started on ${job.databaseId}`);
+
+    try {
+        const result = await executeQuery(job.sql, parameters, 3, job.databaseId, job.timeoutMs, false, controller.signal);
+
+        // Saved results are read back later, so they are masked the same way as a direct query
+        const maskPlan = await getResultMaskPlan(job.sql, parameters, job.databaseId);
+        maskQueryResult(result, maskPlan);
+        const maskedColumns = getMaskedResultColumns(maskPlan, getColumnNames(result.recordset));
+
+        // Jobs outlive the caller's session, so their files use the server's value format
+        result.valueFormat = getValueFormat();
+        serializeQueryResult(result, result.valueFormat);
+
+        const resultUuid = saveResult(job, result, parameters);
+        appendEvent({
+            type: 'finished',
+            id,
+            status: 'succeeded',
+            rowCount: result.recordset?.length || 0,
+            executionTimeMs: result.executionTime || 0,
+            maskedColumns,
+            resultUuid
+        });
+        logger.info(`Job ${id} succeeded with ${result.recordset?.length || 0} rows`);
+    } catch (err) {
+        // A cancel that lands while the pool is still connecting surfaces as a connection error
+        const cancelled = err.code === 'ECANCEL' || controller.signal.aborted;
+        appendEvent({
+            type: 'finished',
+            id,
+            status: cancelled ? 'cancelled' : 'failed',
+            error: err.message,
+            cancelledBy: cancelled ? controller.cancelledBy || null : null
+        });
+        logger[cancelled ? 'info' : 'error'](`Job ${id} ${cancelled ? 'cancelled' : 'failed'}: ${err.message}`);
+    } finally {
+        runtime.delete(id);
+    }
+}
+
+/**
+ * Start queued jobs while there are free workers
+ */
+function pump() {
+    while (activeWorkers < JOB_WORKERS && queue.length > 0) {
+        const entry = queue.shift();
+        activeWorkers++;
+        runJob(entry)
+            .catch(err => logger.error(`Job ${entry.id} could not be recorded: ${err.message}`))
+            .finally(() => {
+                activeWorkers--;
+                pump();
+            });
+    }
+}
+
+/**
+ * Queue a read query to run in the background
+ * @param {object} request - Job details
+ * @param {string} request.sql - SQL text
+ * @param {object} request.parameters - Query parameters
+ * @param {string} request.databaseId - Target database ID
+ * @param {number} request.timeoutMs - Optional timeout (defaults to JOB_TIMEOUT_MS)
+ * @param {object} extra - Tool handler extra (carries authInfo and sessionId)
+ * @returns {object} - The queued job
+ */
+export function submitJob({ sql, parameters = {}, databaseId, timeoutMs }, extra) {
+    if (queue.length >= JOB_QUEUE_LIMIT) {
+        throw new ValidationError(`The job queue is full (${JOB_QUEUE_LIMIT} jobs waiting). Try again later.`);
+    }
+
+    const identity = getAuthIdentity(extra);
+    const id = crypto.randomUUID();
+    appendEvent({
+        type: 'submitted',
+        id,
+        sql,
+        parametersHash: hashParameters(parameters),
+        databaseId,
+        timeoutMs: timeoutMs || JOB_TIMEOUT_MS || null,
+        user: identity.user,
+        sessionId: extra?.sessionId || null
+    });
+
+    queue.push({ id, parameters });
+    logger.info(`Job ${id} queued on ${databaseId} by ${identity.user} (${queue.length} waiting)`);
+    pump();
+    return toPublic(jobs.get(id));
+}
+
+/**
+ * Get a job the caller is allowed to see: their own, on a database visible to them
+ * @param {string} id - Job ID
+ * @param {object} extra - Tool handler extra
+ * @returns {object} - Job record
+ */
+function getOwnJob(id, extra) {
+    const job = jobs.get(id);
+    if (!job) {
+        throw new ResourceNotFoundError('Query job', id);
+    }
+
+    const identity = getAuthIdentity(extra);
+    if (job.submittedBy !== identity.user || !isDatabaseVisible(extra, job.databaseId)) {
+        throw new AuthorizationError(`Query job ${id} belongs to another user`);
+    }
+    return job;
+}
+
+/**
+ * Get a job's status
+ * @param {string} id - Job ID
+ * @param {object} extra - Tool handler extra
+ * @returns {object} - Public view of the job
+ */
+export function getJob(id, extra) {
+    return toPublic(getOwnJob(id, extra));
+}
+
+/**
+ * Read the saved rows of a finished job
+ * @param {string} id - Job ID
+ * @param {object} extra - Tool handler extra
+ * @param {object} options - Page of rows to return
+ * @param {number} options.offset - Rows to skip
+ * @param {number} options.limit - Maximum rows to return
+ * @returns {{job: object, rows: Array<object>, columns: Array<object>, totalRows: number}} - Job, page of rows and column metadata
+ */
+export function getJobResult(id, extra, { offset = 0, limit = 100 } = {}) {
+    const job = getOwnJob(id, extra);
+    if (job.status !== 'succeeded') {
+        throw new ValidationError(`Query job ${id} is ${job.status}; results are only available once it has succeeded`, {
+            status: job.status,
+            error: job.error
+        });
+    }
+
+    const filepath = path.join(QUERY_RESULTS_PATH, `${job.resultUuid}.json`);
+    if (!fs.existsSync(filepath)) {
+        throw new ResourceNotFoundError('Query result', job.resultUuid);
+    }
+
+    const data = JSON.parse(fs.readFileSync(filepath, 'utf8'));
+    const rows = data.results || [];
+    return {
+        job: toPublic(job),
+        rows: rows.slice(offset, offset + limit),
+        columns: data.metadata.columns || getColumnMetadata(rows),
+        totalRows: rows.length
+    };
+}
+
+/**
+ * Cancel a queued or running job
+ * @param {string} id - Job ID
+ * @param {object} extra - Tool handler extra
+ * @returns {object} - Public view of the job (a running job reports cancelled once its query stops)
+ */
+export function cancelJob(id, extra) {
+    const job = getOwnJob(id, extra);
+    const identity = getAuthIdentity(extra);
+
+    if (job.status === 'queued') {
+        queue.splice(queue.findIndex(entry => entry.id === id), 1);
+        appendEvent({ type: 'finished', id, status: 'cancelled', error: 'Cancelled before it started', cancelledBy: identity.user });
+        logger.info(`Job ${id} cancelled while queued by ${identity.user}`);
+    } else if (job.status === 'running') {
+        const controller = runtime.get(id);
+        controller.cancelledBy = identity.user;
+        controller.abort(`cancelled by ${identity.user}`);
+    } else {
+        throw new ValidationError(`Query job ${id} has already finished (${job.status})`, { status: job.status });
+    }
+
+    return toPublic(job);
+}
+
+loadJobs();
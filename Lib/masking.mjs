@@ -0,0 +1,391 @@
+// lib/masking.js - Column masking policies for query results
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { logger } from './logger.mjs';
+import { executeQuery } from './database.mjs';
+import { tokenizeSql, analyzeSql } from './sqlLexer.mjs';
+import { getParameterDeclaration } from './sqlParameters.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+dotenv.config({ path: path.join(__dirname, '../.env') });
+
+const MASKING_POLICY_FILE_VAL = process.env.MASKING_POLICY_FILE || '';
+const MASKING_POLICY_FILE = MASKING_POLICY_FILE_VAL && !path.isAbsolute(MASKING_POLICY_FILE_VAL)
+    ? path.resolve(path.join(__dirname, '..'), MASKING_POLICY_FILE_VAL)
+    : MASKING_POLICY_FILE_VAL;
+const MASKING_HASH_SALT = process.env.MASKING_HASH_SALT || '';
+
+export const MASK_TYPES = ['full', 'partial', 'hash', 'null'];
+
+const FULL_MASK = '********';
+
+// Rule used when a result column can't be traced back to a table column
+const DERIVED_RULE = { mask: 'full', derived: true };
+
+// Loaded rules (empty: nothing is masked). failClosed masks everything after a broken policy file.
+let maskingRules = [];
+let failClosed = false;
+
+/**
+ * Compile a name pattern ("*" and "?" wildcards, case-insensitive like default SQL Server collations)
+ * @param {string} pattern - Name or wildcard pattern
+ * @returns {RegExp} - Anchored regular expression
+ */
+function compileNamePattern(pattern) {
+    const source = String(pattern)
+        .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*/g, '.*')
+        .replace(/\?/g, '.');
+    return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Validate and compile one rule from the policy file
+ * @param {object} rule - Rule as written in the file
+ * @param {number} index - Position in the file, for error messages
+ * @returns {object} - Compiled rule
+ */
+function compileRule(rule, index) {
+    if (!rule.column) {
+        throw new Error(`Rule ${index + 1} has no column`);
+    }
+    if (!MASK_TYPES.includes(rule.mask)) {
+        throw new Error(`Rule ${index + 1} has unknown mask "${rule.mask}" (expected ${MASK_TYPES.join(', ')})`);
+    }
+
+    const databases = rule.databases || ['*'];
+    return {
+        ...rule,
+        databases,
+        schema: rule.schema || '*',
+        table: rule.table || '*',
+        schemaPattern: compileNamePattern(rule.schema || '*'),
+        tablePattern: compileNamePattern(rule.table || '*'),
+        columnPattern: compileNamePattern(rule.column)
+    };
+}
+
+/**
+ * Load the masking policy file configured by MASKING_POLICY_FILE
+ */
+export function loadMaskingPolicy() {
+    maskingRules = [];
+    failClosed = false;
+    if (!MASKING_POLICY_FILE) return;
+
+    try {
+        const config = JSON.parse(fs.readFileSync(MASKING_POLICY_FILE, 'utf8'));
+        maskingRules = (config.rules || []).map(compileRule);
+        logger.info(`Loaded ${maskingRules.length} column masking rules from ${MASKING_POLICY_FILE}`);
+    } catch (err) {
+        // Fail closed: a broken policy file must not unmask protected columns
+        failClosed = true;
+        logger.error(`Failed to load masking policy from ${MASKING_POLICY_FILE}, masking every result column: ${err.message}`);
+    }
+}
+
+/**
+ * Rules that apply to a database
+ * @param {string} databaseId - Database ID
+ * @returns {Array<object>} - Compiled rules
+ */
+function getDatabaseRules(databaseId) {
+    return maskingRules.filter(rule => rule.databases.includes('*') || rule.databases.includes(databaseId));
+}
+
+/**
+ * Check whether any masking applies to a database
+ * @param {string} databaseId - Database ID
+ * @returns {boolean} - True if results from the database may need masking
+ */
+export function isMaskingEnabled(databaseId) {
+    return failClosed || getDatabaseRules(databaseId).length > 0;
+}
+
+/**
+ * Find the rule that masks a table column (the first matching rule wins)
+ * @param {string} databaseId - Database ID
+ * @param {string} schema - Schema name
+ * @param {string} table - Table or view name
+ * @param {string} column - Column name
+ * @returns {object|null} - Matching rule, or null if the column is not masked
+ */
+export function findMaskRule(databaseId, schema, table, column) {
+    if (failClosed) return DERIVED_RULE;
+
+    return getDatabaseRules(databaseId).find(rule =>
+        rule.schemaPattern.test(schema || '') &&
+        rule.tablePattern.test(table || '') &&
+        rule.columnPattern.test(column || '')) || null;
+}
+
+/**
+ * Apply a mask to one value. NULL stays NULL so masking doesn't invent data.
+ * @param {*} value - Original value
+ * @param {object} rule - Masking rule
+ * @returns {*} - Masked value
+ */
+export function maskValue(value, rule) {
+    if (rule.mask === 'null' || value === null || value === undefined) return null;
+
+    if (rule.mask === 'hash') {
+        const input = Buffer.isBuffer(value) ? value : String(value instanceof Date ? value.toISOString() : value);
+        const hash = MASKING_HASH_SALT
+            ? crypto.createHmac('sha256', MASKING_HASH_SALT)
+            : crypto.createHash('sha256');
+        return hash.update(input).digest('hex');
+    }
+
+    if (rule.mask === 'partial') {
+        const text = value instanceof Date ? value.toISOString() : (Buffer.isBuffer(value) ? value.toString('hex') : String(value));
+        const showFirst = rule.showFirst ?? 0;
+        const showLast = rule.showLast ?? 4;
+        const maskChar = rule.maskChar || '*';
+        if (text.length <= showFirst + showLast) {
+            return maskChar.repeat(text.length);
+        }
+        return text.slice(0, showFirst) + maskChar.repeat(text.length - showFirst - showLast) + text.slice(text.length - showLast);
+    }
+
+    return FULL_MASK;
+}
+
+/**
+ * Strip [brackets] or "quotes" from an identifier token
+ * @param {string} value - Token text
+ * @returns {string} - Bare identifier
+ */
+function unquoteIdentifier(value) {
+    if (value.startsWith('[') && value.endsWith(']')) return value.slice(1, -1).replace(/]]/g, ']');
+    if (value.startsWith('"') && value.endsWith('"')) return value.slice(1, -1).replace(/""/g, '"');
+    return value;
+}
+
+/**
+ * Get the identifiers a batch names, unquoted and without duplicates
+ * @param {string} sql - SQL text
+ * @returns {Array<string>} - Identifier names
+ */
+function getNamedIdentifiers(sql) {
+    const names = tokenizeSql(sql)
+        .filter(token => token.type === 'word' || token.type === 'identifier')
+        .map(token => unquoteIdentifier(token.value));
+    return [...new Set(names)];
+}
+
+/**
+ * Check whether SQL text mentions a column some rule masks (used for computed result columns)
+ * @param {string} sql - SQL text
+ * @param {Array<object>} rules - Rules for the database
+ * @returns {boolean} - True if a masked column may feed the query
+ */
+function referencesMaskedColumn(sql, rules) {
+    const names = getNamedIdentifiers(sql);
+
+    return rules.some(rule =>
+        (rule.table === '*' || names.some(name => rule.tablePattern.test(name))) &&
+        names.some(name => rule.columnPattern.test(name)));
+}
+
+/**
+ * Check whether a batch may read a table some rule masks. Used for the result sets after the first,
+ * which sys.dm_exec_describe_first_result_set can't trace. Views, synonyms, functions and procedures
+ * the batch names are followed through their dependencies; dynamic SQL could read anything.
+ * @param {string} sql - SQL text
+ * @param {Array<object>} rules - Rules for the database
+ * @param {string} databaseId - Database ID
+ * @returns {Promise<boolean>} - True if later result sets must be masked in full
+ */
+async function batchMayReadMaskedTable(sql, rules, databaseId) {
+    if (rules.some(rule => rule.table === '*') || analyzeSql(sql).hasDynamicSql) return true;
+
+    const namesMaskedTable = names => names.some(name => rules.some(rule => rule.tablePattern.test(name)));
+    const names = getNamedIdentifiers(sql);
+    if (namesMaskedTable(names)) return true;
+
+    const reached = await executeQuery(`
+        WITH reached (object_id, name) AS (
+            SELECT o.object_id, o.name
+            FROM sys.objects o
+            WHERE o.type IN ('V', 'P', 'PC', 'FN', 'IF', 'TF', 'FS', 'FT') AND CHARINDEX(N'|' + o.name + N'|', @names) > 0
+            UNION ALL
+            SELECT OBJECT_ID(s.base_object_name), PARSENAME(s.base_object_name, 1)
+            FROM sys.synonyms s
+            WHERE CHARINDEX(N'|' + s.name + N'|', @names) > 0
+            UNION ALL
+            SELECT d.referenced_id, d.referenced_entity_name
+            FROM reached r
+            JOIN sys.sql_expression_dependencies d ON d.referencing_id = r.object_id
+        )
+        SELECT DISTINCT name FROM reached
+        OPTION (MAXRECURSION 32)
+    `, { names: `|${names.join('|')}|` }, 3, databaseId);
+
+    return namesMaskedTable(reached.recordset.map(row => row.name).filter(Boolean));
+}
+
+/**
+ * Work out which result columns of a query must be masked.
+ * Result columns are traced to their source table columns with
+ * sys.dm_exec_describe_first_result_set, so aliases don't bypass the policy.
+ * Computed columns are masked in full when the query mentions a masked column.
+ * Later result sets are masked in full when the batch may read a masked table.
+ * If the query can't be described, every result column is masked.
+ * @param {string} sql - SQL text
+ * @param {object} parameters - Query parameters
+ * @param {string} databaseId - Database ID
+ * @returns {Promise<object|null>} - Mask plan, or null if nothing applies
+ */
+export async function getResultMaskPlan(sql, parameters, databaseId) {
+    if (!isMaskingEnabled(databaseId)) return null;
+    if (failClosed) return { databaseId, columns: new Map(), maskAll: true, maskLater: true };
+
+    const rules = getDatabaseRules(databaseId);
+    const declarations = Object.entries(parameters || {})
+        .map(([name, value]) => `@${name} ${getParameterDeclaration(name, value)}`)
+        .join(', ');
+
+    try {
+        const described = await executeQuery(`
+            SELECT name, source_schema, source_table, source_column, error_message
+            FROM sys.dm_exec_describe_first_result_set(@tsql, @params, 1)
+            WHERE is_hidden = 0 OR error_message IS NOT NULL
+        `, { tsql: sql, params: declarations || null }, 3, databaseId);
+
+        const failure = described.recordset.find(column => column.error_message);
+        if (failure) {
+            throw new Error(failure.error_message);
+        }
+
+        const derivedMasked = referencesMaskedColumn(sql, rules);
+        const columns = new Map();
+        for (const column of described.recordset) {
+            if (!column.name) continue;
+            const rule = column.source_column
+                ? findMaskRule(databaseId, column.source_schema, column.source_table, column.source_column)
+                : (derivedMasked ? DERIVED_RULE : null);
+            if (rule) columns.set(column.name, rule);
+        }
+
+        const maskLater = await batchMayReadMaskedTable(sql, rules, databaseId);
+        return { databaseId, columns, maskAll: false, maskLater };
+    } catch (err) {
+        // Fail closed: a column that can't be traced may come from a masked one under another name
+        logger.warn(`Could not trace result columns for masking on ${databaseId}, masking every result column: ${err.message}`);
+        return { databaseId, columns: new Map(), maskAll: true, maskLater: true };
+    }
+}
+
+/**
+ * Get the rule for a result column under a plan
+ * @param {object} plan - Mask plan from getResultMaskPlan
+ * @param {string} column - Result column name
+ * @returns {object|null} - Rule, or null if the column is returned as-is
+ */
+export function getColumnMask(plan, column) {
+    if (!plan) return null;
+    if (plan.maskAll) return DERIVED_RULE;
+    return plan.columns.get(column) || null;
+}
+
+/**
+ * List the result columns a plan masks
+ * @param {object} plan - Mask plan from getResultMaskPlan
+ * @param {Array<string>} columns - Result column names
+ * @returns {Array<{column: string, mask: string}>} - Masked result columns
+ */
+export function getMaskedResultColumns(plan, columns) {
+    if (!plan) return [];
+    return columns
+        .map(column => ({ column, rule: getColumnMask(plan, column) }))
+        .filter(entry => entry.rule)
+        .map(entry => ({ column: entry.column, mask: entry.rule.mask }));
+}
+
+/**
+ * Mask the rows of a recordset under a plan
+ * @param {Array<object>} rows - Result rows
+ * @param {object} plan - Mask plan from getResultMaskPlan
+ * @returns {Array<object>} - Masked copy (keeps the recordset's columns metadata)
+ */
+export function applyMaskPlan(rows, plan) {
+    if (!plan || !Array.isArray(rows) || rows.length === 0) return rows;
+
+    const masks = Object.keys(rows[0])
+        .map(column => [column, getColumnMask(plan, column)])
+        .filter(([, rule]) => rule);
+    if (masks.length === 0) return rows;
+
+    const masked = rows.map(row => {
+        const copy = { ...row };
+        for (const [column, rule] of masks) {
+            copy[column] = maskValue(row[column], rule);
+        }
+        return copy;
+    });
+    if (rows.columns) masked.columns = rows.columns;
+    return masked;
+}
+
+/**
+ * Get the plan for one result set of a batch.
+ * Only the first result set is described, so later ones are masked in full or not at all.
+ * @param {object} plan - Mask plan from getResultMaskPlan
+ * @param {number} index - Result set index
+ * @returns {object|null} - Plan for that result set
+ */
+export function getRecordsetMaskPlan(plan, index) {
+    if (!plan || index === 0) return plan;
+    return { ...plan, columns: new Map(), maskAll: plan.maskLater };
+}
+
+/**
+ * Mask every recordset of an mssql query result in place
+ * @param {object} result - mssql result (recordset and recordsets)
+ * @param {object} plan - Mask plan from getResultMaskPlan
+ * @returns {object} - The same result with masked rows
+ */
+export function maskQueryResult(result, plan) {
+    if (!plan || !result) return result;
+
+    if (Array.isArray(result.recordsets) && result.recordsets.length > 0) {
+        result.recordsets = result.recordsets.map((recordset, index) =>
+            applyMaskPlan(recordset, getRecordsetMaskPlan(plan, index)));
+        result.recordset = result.recordsets[0];
+    } else {
+        result.recordset = applyMaskPlan(result.recordset, plan);
+    }
+    return result;
+}
+
+/**
+ * List the table columns a database's policy masks, for schema resources
+ * @param {string} databaseId - Database ID
+ * @returns {Promise<Array<object>>} - Masked columns with schema, table, column and mask
+ */
+export async function getMaskedColumns(databaseId) {
+    if (!isMaskingEnabled(databaseId)) return [];
+
+    const result = await executeQuery(`
+        SELECT TABLE_SCHEMA, TABLE_NAME, COLUMN_NAME
+        FROM INFORMATION_SCHEMA.COLUMNS
+        ORDER BY TABLE_SCHEMA, TABLE_NAME, ORDINAL_POSITION
+    `, {}, 3, databaseId);
+
+    return result.recordset
+        .map(row => ({
+            schema: row.TABLE_SCHEMA,
+            table: row.TABLE_NAME,
+            column: row.COLUMN_NAME,
+            rule: findMaskRule(databaseId, row.TABLE_SCHEMA, row.TABLE_NAME, row.COLUMN_NAME)
+        }))
+        .filter(entry => entry.rule)
+        .map(({ rule, ...entry }) => ({ ...entry, mask: rule.mask }));
+}
+
+loadMaskingPolicy();
@@ -0,0 +1,111 @@
+// lib/notifications.js - Progress and logging notifications sent to the MCP client during a tool call
+import { logger } from './logger.mjs';
+import { getAllSessions } from './sessions.mjs';
+
+// Name clients see as the source of logging notifications
+const LOGGER_NAME = 'mssql-mcp-server';
+
+// Server connected over stdio, which has no session entry
+let localServer = null;
+
+/**
+ * Send a notification on behalf of a tool call. Failures are logged, never thrown,
+ * so a client that went away can't break the call.
+ * @param {object} extra - MCP request extra (needs sendNotification)
+ * @param {object} notification - Notification {method, params}
+ * @returns {Promise<boolean>} - True if the notification was sent
+ */
+async function send(extra, notification) {
+    if (typeof extra?.sendNotification !== 'function') return false;
+
+    try {
+        await extra.sendNotification(notification);
+        return true;
+    } catch (err) {
+        logger.debug(`Failed to send ${notification.method}: ${err.message}`);
+        return false;
+    }
+}
+
+/**
+ * Create a progress reporter for a tool call. It does nothing unless the client asked for
+ * progress by sending a progressToken, and it never reports the same or a lower value twice.
+ * @param {object} extra - MCP request extra
+ * @returns {function} - report({progress, total, message}) returning a Promise<boolean>
+ */
+export function createProgressReporter(extra) {
+    const progressToken = extra?._meta?.progressToken;
+    let lastProgress = -Infinity;
+
+    return async ({ progress, total, message }) => {
+        if (progressToken === undefined || progress <= lastProgress) return false;
+        lastProgress = progress;
+
+        return send(extra, {
+            method: 'notifications/progress',
+            params: {
+                progressToken,
+                progress,
+                ...(total !== undefined ? { total } : {}),
+                ...(message ? { message } : {})
+            }
+        });
+    };
+}
+
+/**
+ * Send a logging notification to the client that made a tool call, unless the level is
+ * below the one it chose with logging/setLevel
+ * @param {object} server - MCP server instance
+ * @param {object} extra - MCP request extra
+ * @param {string} level - MCP log level (debug, info, notice, warning, error, ...)
+ * @param {*} data - Message or structured data
+ * @returns {Promise<boolean>} - True if the notification was sent
+ */
+export async function sendLogMessage(server, extra, level, data) {
+    if (server?.server?.isMessageIgnored?.(level, extra?.sessionId)) return false;
+
+    return send(extra, {
+        method: 'notifications/message',
+        params: { level, logger: LOGGER_NAME, data }
+    });
+}
+
+/**
+ * Set the server connected over stdio so broadcasts reach it too
+ * @param {object} server - MCP server instance
+ */
+export function setLocalServer(server) {
+    localServer = server;
+}
+
+/**
+ * Send a logging notification to every connected client that isn't running a tool call,
+ * such as a scheduler alert
+ * @param {string} level - MCP log level
+ * @param {*} data - Message or structured data
+ * @param {function} canReceive - Called with a handler extra ({authInfo, sessionId}); return false to skip that client
+ * @returns {Promise<number>} - Number of clients notified
+ */
+export async function broadcastLogMessage(level, data, canReceive = () => true) {
+    const targets = getAllSessions().map(session => ({
+        server: session.server,
+        extra: { authInfo: session.auth, sessionId: session.sessionId }
+    }));
+    if (localServer) {
+        targets.push({ server: localServer, extra: {} });
+    }
+
+    let sent = 0;
+    for (const { server, extra } of targets) {
+        if (!server?.server || !canReceive(extra)) continue;
+        try {
+            if (server.server.isMessageIgnored?.(level, extra.sessionId)) continue;
+            await server.server.sendLoggingMessage({ level, logger: LOGGER_NAME, data }, extra.sessionId);
+            sent++;
+        } catch (err) {
+            logger.debug(`Failed to broadcast notifications/message${extra.sessionId ? ` to session ${extra.sessionId}` : ''}: ${err.message}`);
+        }
+    }
+    return sent;
+}
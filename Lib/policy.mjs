@@ -0,0 +1,170 @@
+// lib/policy.js - Per-user and per-role database access control
+import fs from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { logger } from './logger.mjs';
+import { AuthorizationError } from './errors.mjs';
+import { getAuthIdentity } from './auth.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+dotenv.config({ path: path.join(__dirname, '../.env') });
+
+const ACCESS_POLICY_FILE_VAL = process.env.ACCESS_POLICY_FILE || '';
+const ACCESS_POLICY_FILE = ACCESS_POLICY_FILE_VAL && !path.isAbsolute(ACCESS_POLICY_FILE_VAL)
+    ? path.resolve(path.join(__dirname, '..'), ACCESS_POLICY_FILE_VAL)
+    : ACCESS_POLICY_FILE_VAL;
+
+// Operation classes, as returned by classifySqlOperation
+export const OPERATION_CLASSES = ['read', 'dml', 'ddl', 'exec'];
+
+// Loaded policy (null means no policy file: everything is allowed)
+let accessPolicy = null;
+
+/**
+ * Normalize a grant (or list of grants) from the policy file
+ * @param {object|Array<object>} grants - Grant entries
+ * @param {string} owner - Where the grants came from, for error messages
+ * @returns {Array<object>} - Grants with databases and operations arrays
+ */
+function normalizeGrants(grants, owner) {
+    if (!grants) return [];
+
+    return (Array.isArray(grants) ? grants : [grants]).map(grant => {
+        const databases = grant.databases || [];
+        const operations = grant.operations || ['read'];
+
+        const unknown = operations.filter(op => op !== '*' && !OPERATION_CLASSES.includes(op));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown operation class in ${owner}: ${unknown.join(', ')}`);
+        }
+
+        return { databases, operations };
+    });
+}
+
+/**
+ * Load the access policy file configured by ACCESS_POLICY_FILE
+ */
+export function loadAccessPolicy() {
+    accessPolicy = null;
+    if (!ACCESS_POLICY_FILE) {
+        logger.warn('No ACCESS_POLICY_FILE configured: every caller can use every database');
+        return;
+    }
+
+    try {
+        const config = JSON.parse(fs.readFileSync(ACCESS_POLICY_FILE, 'utf8'));
+        const users = {};
+        const roles = {};
+
+        for (const [user, grants] of Object.entries(config.users || {})) {
+            users[user] = normalizeGrants(grants, `user "${user}"`);
+        }
+        for (const [role, grants] of Object.entries(config.roles || {})) {
+            roles[role] = normalizeGrants(grants, `role "${role}"`);
+        }
+
+        accessPolicy = {
+            default: normalizeGrants(config.default, 'default'),
+            users,
+            roles
+        };
+        logger.info(`Loaded access policy from ${ACCESS_POLICY_FILE} (${Object.keys(users).length} users, ${Object.keys(roles).length} roles)`);
+    } catch (err) {
+        // Fail closed: a broken policy file must not open up every database
+        accessPolicy = { default: [], users: {}, roles: {} };
+        logger.error(`Failed to load access policy from ${ACCESS_POLICY_FILE}, denying all database access: ${err.message}`);
+    }
+}
+
+/**
+ * Check whether an access policy is being enforced
+ * @returns {boolean} - True if a policy file is loaded
+ */
+export function isAccessPolicyEnabled() {
+    return accessPolicy !== null;
+}
+
+/**
+ * Collect the grants that apply to an identity (its user entry, its roles and the default)
+ * @param {object} identity - Caller identity from getAuthIdentity
+ * @returns {Array<object>} - Applicable grants
+ */
+function getGrants(identity) {
+    return [
+        ...accessPolicy.default,
+        ...(accessPolicy.users[identity.user] || []),
+        ...(identity.roles || []).flatMap(role => accessPolicy.roles[role] || [])
+    ];
+}
+
+/**
+ * Check whether a grant list entry matches a value ("*" matches anything)
+ * @param {Array<string>} list - Allowed values
+ * @param {string} value - Value to check
+ * @returns {boolean} - True if allowed
+ */
+function matches(list, value) {
+    return list.includes('*') || list.includes(value);
+}
+
+/**
+ * Check whether a caller may perform an operation class on a database
+ * @param {object} extra - Tool/resource handler extra (carries authInfo)
+ * @param {string} databaseId - Database ID
+ * @param {string} operation - Operation class (read, dml, ddl or exec)
+ * @returns {boolean} - True if allowed
+ */
+export function isAccessAllowed(extra, databaseId, operation = 'read') {
+    if (!accessPolicy) return true;
+
+    const identity = getAuthIdentity(extra);
+    return getGrants(identity).some(grant =>
+        matches(grant.databases, databaseId) && matches(grant.operations, operation));
+}
+
+/**
+ * Check whether a caller may see a database at all (any operation class)
+ * @param {object} extra - Tool/resource handler extra (carries authInfo)
+ * @param {string} databaseId - Database ID
+ * @returns {boolean} - True if the database is visible to the caller
+ */
+export function isDatabaseVisible(extra, databaseId) {
+    if (!accessPolicy) return true;
+
+    const identity = getAuthIdentity(extra);
+    return getGrants(identity).some(grant => matches(grant.databases, databaseId));
+}
+
+/**
+ * Throw if a caller may not perform an operation class on a database
+ * @param {object} extra - Tool/resource handler extra (carries authInfo)
+ * @param {string} databaseId - Database ID
+ * @param {string} operation - Operation class (read, dml, ddl or exec)
+ */
+export function assertAccessAllowed(extra, databaseId, operation = 'read') {
+    if (isAccessAllowed(extra, databaseId, operation)) return;
+
+    const identity = getAuthIdentity(extra);
+    logger.warn(`Access denied: ${identity.user} attempted ${operation} on database ${databaseId}`);
+    throw new AuthorizationError(
+        `Access denied: ${identity.user} is not allowed to run ${operation} operations on database "${databaseId}"`,
+        { user: identity.user, databaseId, operation }
+    );
+}
+
+/**
+ * Filter a list of databases down to the ones a caller may see
+ * @param {object} extra - Tool/resource handler extra (carries authInfo)
+ * @param {Array<object>} databases - Database entries
+ * @param {function} getId - Returns the database ID of an entry
+ * @returns {Array<object>} - Visible databases
+ */
+export function filterVisibleDatabases(extra, databases, getId = db => db.id) {
+    return databases.filter(db => isDatabaseVisible(extra, getId(db)));
+}
+
+loadAccessPolicy();
@@ -0,0 +1,207 @@
+// lib/procedures.js - Stored procedure discovery, parameter binding and execution policy
+import path from 'path';
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { executeQuery } from './database.mjs';
+import { ValidationError, ResourceNotFoundError } from './errors.mjs';
+import { SQL_PARAMETER_TYPES, isTypedParameter } from './sqlParameters.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+dotenv.config({ path: path.join(__dirname, '../.env') });
+
+// When execute_procedure needs a human approval: non-local (databases outside LOCAL_DATABASE_IDS/LOCAL_HOSTS), always or never
+const PROCEDURE_APPROVAL_VAL = (process.env.PROCEDURE_APPROVAL || 'non-local').toLowerCase();
+export const PROCEDURE_APPROVAL = ['non-local', 'always', 'never'].includes(PROCEDURE_APPROVAL_VAL)
+    ? PROCEDURE_APPROVAL_VAL
+    : 'non-local';
+const PROCEDURE_APPROVAL_EXEMPT = (process.env.PROCEDURE_APPROVAL_EXEMPT || '').split(',').map(s => s.trim()).filter(Boolean);
+const PROCEDURE_DENY = (process.env.PROCEDURE_DENY ?? 'sys.*').split(',').map(s => s.trim()).filter(Boolean);
+
+// Types whose sys.parameters max_length counts bytes of two-byte characters
+const UNICODE_TYPES = ['nchar', 'nvarchar'];
+
+/**
+ * Check whether a "schema.name" matches one of a list of patterns ("*" and "?" wildcards, case-insensitive)
+ * @param {Array<string>} patterns - Patterns
+ * @param {string} name - Procedure name as schema.name
+ * @returns {boolean} - True if any pattern matches
+ */
+function matchesAny(patterns, name) {
+    return patterns.some(pattern => {
+        const source = pattern
+            .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+            .replace(/\*/g, '.*')
+            .replace(/\?/g, '.');
+        return new RegExp(`^${source}$`, 'i').test(name);
+    });
+}
+
+/**
+ * Check whether PROCEDURE_DENY blocks a procedure
+ * @param {string} name - Procedure name as schema.name
+ * @returns {boolean} - True if it may never be executed
+ */
+export function isProcedureDenied(name) {
+    return matchesAny(PROCEDURE_DENY, name);
+}
+
+/**
+ * Check whether running a procedure needs a human approval under PROCEDURE_APPROVAL
+ * @param {string} name - Procedure name as schema.name
+ * @param {boolean} isLocal - Whether the target database is local
+ * @returns {boolean} - True if an approval token is required
+ */
+export function procedureNeedsApproval(name, isLocal) {
+    if (matchesAny(PROCEDURE_APPROVAL_EXEMPT, name)) return false;
+    if (PROCEDURE_APPROVAL === 'always') return true;
+    if (PROCEDURE_APPROVAL === 'never') return false;
+    return !isLocal;
+}
+
+/**
+ * Split a procedure name like "dbo.usp_Orders", "[dbo].[usp_Orders]" or "usp_Orders" into schema and name
+ * @param {string} procedure - Procedure name
+ * @returns {{schema: string|null, name: string}} - Parts (schema is null when not given)
+ */
+function parseProcedureName(procedure) {
+    const parts = [...String(procedure).trim().matchAll(/\[((?:[^\]]|\]\])+)\]|([^.[\]]+)/g)]
+        .map(match => (match[1] ?? match[2]).replace(/\]\]/g, ']').trim());
+    if (parts.length === 0 || parts.length > 2 || parts.some(part => !part)) {
+        throw new ValidationError(`Invalid procedure name "${procedure}": use name or schema.name`);
+    }
+    return parts.length === 2 ? { schema: parts[0], name: parts[1] } : { schema: null, name: parts[0] };
+}
+
+/**
+ * Quote an identifier with brackets
+ * @param {string} identifier - Identifier
+ * @returns {string} - Bracket-quoted identifier
+ */
+function quoteIdentifier(identifier) {
+    return `[${identifier.replace(/\]/g, ']]')}]`;
+}
+
+/**
+ * Turn a sys.parameters row into a parameter definition
+ * @param {object} row - Row with name, type_name, max_length, precision, scale, is_output, is_readonly
+ * @returns {object} - Definition {name, type, length, precision, scale, output, tableValued, supported}
+ */
+function toParameterDefinition(row) {
+    const type = row.type_name.toLowerCase();
+    const definition = {
+        name: row.name.replace(/^@/, ''),
+        type,
+        output: Boolean(row.is_output),
+        tableValued: Boolean(row.is_readonly),
+        // Table-valued parameters and CLR types have no mapping in sqlParameters.mjs
+        supported: !row.is_readonly && SQL_PARAMETER_TYPES.includes(type)
+    };
+
+    if (['char', 'varchar', 'nchar', 'nvarchar', 'binary', 'varbinary'].includes(type)) {
+        definition.length = row.max_length === -1
+            ? 'max'
+            : (UNICODE_TYPES.includes(type) ? row.max_length / 2 : row.max_length);
+    } else if (type === 'decimal' || type === 'numeric') {
+        definition.precision = row.precision;
+        definition.scale = row.scale;
+    } else if (['time', 'datetime2', 'datetimeoffset'].includes(type)) {
+        definition.scale = row.scale;
+    }
+    return definition;
+}
+
+/**
+ * Look up a stored procedure and its parameters in sys.parameters
+ * @param {string} procedure - Procedure name (schema defaults to the caller's default schema, then dbo)
+ * @param {string} databaseId - Database ID
+ * @returns {Promise<object>} - {schema, name, qualifiedName, quotedName, parameters}
+ */
+export async function describeProcedure(procedure, databaseId) {
+    const { schema, name } = parseProcedureName(procedure);
+
+    const found = await executeQuery(`
+        SELECT TOP 1 o.object_id, SCHEMA_NAME(o.schema_id) AS schema_name, o.name
+        FROM sys.objects o
+        WHERE o.type IN ('P', 'PC', 'X')
+          AND o.name = @name
+          AND (SCHEMA_NAME(o.schema_id) = @schema
+               OR (@schema IS NULL AND o.schema_id IN (SCHEMA_ID(), SCHEMA_ID('dbo'))))
+        ORDER BY CASE WHEN o.schema_id = SCHEMA_ID() THEN 0 ELSE 1 END
+    `, { name, schema }, 3, databaseId);
+
+    const object = found.recordset[0];
+    if (!object) {
+        throw new ResourceNotFoundError('Stored procedure', schema ? `${schema}.${name}` : name);
+    }
+
+    const parameters = await executeQuery(`
+        SELECT p.name, TYPE_NAME(p.system_type_id) AS type_name, p.max_length, p.precision, p.scale,
+               p.is_output, p.is_readonly
+        FROM sys.parameters p
+        WHERE p.object_id = @objectId AND p.parameter_id > 0
+        ORDER BY p.parameter_id
+    `, { objectId: object.object_id }, 3, databaseId);
+
+    return {
+        schema: object.schema_name,
+        name: object.name,
+        qualifiedName: `${object.schema_name}.${object.name}`,
+        quotedName: `${quoteIdentifier(object.schema_name)}.${quoteIdentifier(object.name)}`,
+        parameters: parameters.recordset.map(toParameterDefinition)
+    };
+}
+
+/**
+ * Match supplied parameter values to a procedure's parameters.
+ * Plain values take the discovered type; typed { value, type, ... } objects override it.
+ * Inputs that aren't supplied are left out so the procedure's defaults apply; outputs are always bound.
+ * @param {object} procedure - Description from describeProcedure
+ * @param {object} supplied - Parameter values by name (with or without "@")
+ * @returns {{bindings: Array<object>, parameters: object, execSql: string}} - Request bindings, the
+ *   typed parameters by name, and the equivalent EXEC statement (for approvals, audit and masking)
+ */
+export function bindProcedureParameters(procedure, supplied = {}) {
+    const values = new Map(Object.entries(supplied).map(([name, value]) => [name.replace(/^@/, '').toLowerCase(), value]));
+
+    const unknown = [...values.keys()].filter(key => !procedure.parameters.some(parameter => parameter.name.toLowerCase() === key));
+    if (unknown.length > 0) {
+        throw new ValidationError(`${procedure.qualifiedName} has no parameters named ${unknown.join(', ')}; it takes ${procedure.parameters.map(p => '@' + p.name).join(', ') || 'no parameters'}`);
+    }
+
+    const bindings = [];
+    const parameters = {};
+    for (const definition of procedure.parameters) {
+        const key = definition.name.toLowerCase();
+        if (!values.has(key) && !definition.output) continue;
+
+        const value = values.get(key);
+        if (definition.tableValued) {
+            throw new ValidationError(`@${definition.name} of ${procedure.qualifiedName} is a table-valued parameter, which execute_procedure can't pass`);
+        }
+
+        let parameter;
+        if (isTypedParameter(value)) {
+            parameter = value;
+        } else if (definition.supported) {
+            const { name, output, tableValued, supported, ...type } = definition;
+            parameter = { ...type, value: value ?? null };
+        } else if (!definition.output) {
+            // Let the driver infer a type it can't be told, as execute_query does for plain values
+            parameter = value;
+        } else {
+            throw new ValidationError(`Output parameter @${definition.name} of ${procedure.qualifiedName} has type ${definition.type}, which can't be bound`);
+        }
+
+        bindings.push({ name: definition.name, parameter, output: definition.output });
+        parameters[definition.name] = parameter;
+    }
+
+    const argumentList = bindings
+        .map(binding => `@${binding.name} = @${binding.name}${binding.output ? ' OUTPUT' : ''}`)
+        .join(', ');
+    const execSql = `EXEC ${procedure.quotedName}${argumentList ? ' ' + argumentList : ''}`;
+
+    return { bindings, parameters, execSql };
+}
@@ -1,6 +1,8 @@
 // lib/prompts.js - Prompt implementations
 import { z } from 'zod';
 import { logger } from './logger.mjs';
+import { AuthorizationError } from './errors.mjs';
+import { listSavedQueries, getSavedQuery, isSavedQueryVisible, onSavedQueryChange } from './savedQueries.mjs';
 
 /**
  * Register all prompts with the MCP server
@@ -15,6 +17,7 @@ export function registerPrompts(server) {
     registerCreateTablePrompt(server);
     registerSafeSelectPrompt(server);
     registerParameterizedQueryPrompt(server);
+    registerSavedQueryPrompts(server);
     
     logger.info('Prompts registered successfully');
 }
@@ -206,3 +209,85 @@ Requirements:
         }
     );
 }
+
+/**
+ * Build the prompt arguments for a saved query (prompt arguments are always strings)
+ * @param {object} query - Saved query
+ * @returns {object} - Zod shape with one entry per parameter
+ */
+function getSavedQueryPromptArgs(query) {
+    const args = {};
+    for (const parameter of query.parameters) {
+        const field = z.string().describe(`${parameter.type}${parameter.description ? `: ${parameter.description}` : ''}`);
+        args[parameter.name] = parameter.required ? field : field.optional();
+    }
+    return args;
+}
+
+/**
+ * Expose every saved query as a "saved-query-<name>" prompt that tells the assistant to run it
+ * with run_saved_query. Prompts are added or updated as queries are saved.
+ * @param {object} server - MCP server instance
+ */
+function registerSavedQueryPrompts(server) {
+    const registered = new Map();
+
+    const register = (query) => {
+        const promptName = `saved-query-${query.name}`;
+        const description = `${query.description || query.name} (saved query${query.tags.length > 0 ? `, tags: ${query.tags.join(', ')}` : ''})`;
+        const callback = (args, extra) => {
+            // Read the latest version, in case the query changed since the prompt was listed
+            const current = getSavedQuery(query.name);
+            if (!isSavedQueryVisible(extra, current)) {
+                throw new AuthorizationError(`Saved query ${current.name} is not available to you`);
+            }
+
+            const parameters = Object.fromEntries(Object.entries(args || {}).filter(([, value]) => value !== undefined && value !== ''));
+            const parameterList = current.parameters.length > 0
+                ? current.parameters.map(p => `- @${p.name} (${p.type}${p.required ? ', required' : `, default ${JSON.stringify(p.default ?? null)}`})${p.description ? `: ${p.description}` : ''}`).join('\n')
+                : '- none';
+
+            return {
+                messages: [{
+                    role: "user",
+                    content: {
+                        type: "text",
+                        text: `Use the vetted saved query "${current.name}" instead of writing new SQL.
+
+${current.description}
+
+Run it with the run_saved_query tool:
+${JSON.stringify({ name: current.name, parameters }, null, 2)}
+${current.databaseIds.length > 0 ? `\nIt runs on ${current.databaseIds.join(', ')} unless you pass databaseIds.\n` : ''}
+Parameters:
+${parameterList}
+
+SQL (version ${current.version}):
+\`\`\`sql
+${current.sql}
+\`\`\``
+                    }
+                }]
+            };
+        };
+
+        const existing = registered.get(query.name);
+        if (existing) {
+            existing.update({ description, argsSchema: getSavedQueryPromptArgs(query), callback });
+        } else {
+            registered.set(query.name, server.prompt(promptName, description, getSavedQueryPromptArgs(query), callback));
+        }
+    };
+
+    for (const query of listSavedQueries()) {
+        register(query);
+    }
+
+    // Stop updating this server once its session has closed
+    const unsubscribe = onSavedQueryChange(register);
+    const previousOnClose = server.server.onclose;
+    server.server.onclose = () => {
+        unsubscribe();
+        previousOnClose?.();
+    };
+}
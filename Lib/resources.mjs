@@ -1,21 +1,30 @@
 // lib/resources.js - Database resource implementations
-import { executeQuery, sanitizeSqlIdentifier, formatSqlError } from './database.mjs';
+import { ResourceTemplate } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { executeQuery, sanitizeSqlIdentifier, formatSqlError, getCurrentDatabaseId, getRegisteredDatabases } from './database.mjs';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { logger } from './logger.mjs';
 import { createJsonRpcError } from './errors.mjs';
+import { assertAccessAllowed, filterVisibleDatabases } from './policy.mjs';
+import { getMaskedColumns } from './masking.mjs';
+import { listSavedQueries, getSavedQuery, isSavedQueryVisible } from './savedQueries.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const QUERY_RESULTS_PATH = process.env.QUERY_RESULTS_PATH || path.join(__dirname, '../query_results');
 const SCHEMA_CACHE_TTL_SECONDS = parseInt(process.env.SCHEMA_CACHE_TTL_SECONDS || '300', 10);
-const SCHEMA_CACHE_FILE = path.join(QUERY_RESULTS_PATH, 'schema-cache.json');
 
-function readSchemaCache() {
-    if (!fs.existsSync(SCHEMA_CACHE_FILE)) return null;
+// Each database gets its own schema cache file
+function getSchemaCacheFile(databaseId) {
+    return path.join(QUERY_RESULTS_PATH, `schema-cache-${sanitizeSqlIdentifier(databaseId)}.json`);
+}
+
+function readSchemaCache(databaseId) {
+    const cacheFile = getSchemaCacheFile(databaseId);
+    if (!fs.existsSync(cacheFile)) return null;
     try {
-        const cached = JSON.parse(fs.readFileSync(SCHEMA_CACHE_FILE, 'utf8'));
+        const cached = JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
         const ageMs = Date.now() - new Date(cached.timestamp).getTime();
         if (ageMs > SCHEMA_CACHE_TTL_SECONDS * 1000) return null;
         return cached.text || null;
@@ -24,13 +33,13 @@ function readSchemaCache() {
     }
 }
 
-function writeSchemaCache(text) {
+function writeSchemaCache(databaseId, text) {
     try {
         const data = {
             timestamp: new Date().toISOString(),
             text
         };
-        fs.writeFileSync(SCHEMA_CACHE_FILE, JSON.stringify(data, null, 2));
+        fs.writeFileSync(getSchemaCacheFile(databaseId), JSON.stringify(data, null, 2));
     } catch (err) {
         logger.warn(`Failed to write schema cache: ${err.message}`);
     }
@@ -42,16 +51,28 @@ function writeSchemaCache(text) {
  */
 export function registerDatabaseResources(server) {
     logger.info('Registering database resources');
+
+    // Saved queries aren't tied to one database, so they are registered before the per-database wrapper
+    registerSavedQueryResources(server);
     
     // Wrap the original resource method to add logging and error handling
     const originalResource = server.resource.bind(server);
     server.resource = function(name, uriPattern, handler) {
+        const isTemplate = uriPattern instanceof ResourceTemplate;
         const wrappedHandler = async function(...args) {
             logger.info(`Reading resource: ${name}`);
             logger.debug(`URI: ${args[0]?.href}`);
             
             try {
-                const result = await handler(...args);
+                // Template reads get (uri, variables, extra), static reads get (uri, extra)
+                const variables = isTemplate ? args[1] : {};
+                const extra = args[args.length - 1];
+                const databaseId = variables.databaseId ? decodeURIComponent(variables.databaseId) : getCurrentDatabaseId(extra?.sessionId);
+
+                // Resources describe one database, so the caller needs read access to it
+                assertAccessAllowed(extra, databaseId, 'read');
+
+                const result = await handler(args[0], databaseId);
                 logger.info(`Resource ${name} read successfully`);
                 return result;
             } catch (err) {
@@ -85,19 +106,93 @@ export function registerDatabaseResources(server) {
     logger.info('Database resources registered successfully');
 }
 
+/**
+ * Register the saved-query://{name} template, listing the saved queries the caller can see
+ * @param {object} server - MCP server instance
+ */
+function registerSavedQueryResources(server) {
+    server.resource(
+        "saved-query",
+        new ResourceTemplate("saved-query://{name}", {
+            list: async (extra) => ({
+                resources: listSavedQueries()
+                    .filter(query => isSavedQueryVisible(extra, query))
+                    .map(query => ({
+                        uri: `saved-query://${encodeURIComponent(query.name)}`,
+                        name: `Saved query: ${query.name}`,
+                        description: query.description || undefined,
+                        mimeType: "application/json"
+                    }))
+            })
+        }),
+        async (uri, variables, extra) => {
+            logger.info(`Reading resource: saved-query ${variables.name}`);
+            try {
+                const query = getSavedQuery(decodeURIComponent(variables.name));
+                if (!isSavedQueryVisible(extra, query)) {
+                    throw new Error(`Saved query ${query.name} is not available to you`);
+                }
+
+                return {
+                    contents: [{
+                        uri: uri.href,
+                        mimeType: "application/json",
+                        text: JSON.stringify(query, null, 2)
+                    }]
+                };
+            } catch (err) {
+                logger.error(`Resource saved-query read failed: ${err.message}`);
+                return {
+                    contents: [{
+                        uri: uri.href,
+                        text: `Error reading resource: ${err.message}`
+                    }]
+                };
+            }
+        }
+    );
+}
+
+/**
+ * Register a resource for the current database plus a template for any registered database
+ * @param {object} server - MCP server instance
+ * @param {string} name - Resource name
+ * @param {string} uri - Static URI, read against the current database
+ * @param {string} uriTemplate - URI template with a {databaseId} variable
+ * @param {function} handler - Read handler taking (uri, databaseId)
+ */
+function registerDatabaseResource(server, name, uri, uriTemplate, handler) {
+    server.resource(name, uri, handler);
+    server.resource(
+        `${name}-by-database`,
+        new ResourceTemplate(uriTemplate, {
+            // One entry per database the caller can see
+            list: async (extra) => ({
+                resources: filterVisibleDatabases(extra, getRegisteredDatabases()).map(db => ({
+                    uri: uriTemplate.replace('{databaseId}', encodeURIComponent(db.id)),
+                    name: `${name} (${db.id})`
+                }))
+            })
+        }),
+        handler
+    );
+}
+
 /**
  * Register the database schema resource
  * @param {object} server - MCP server instance
  */
 function registerDatabaseSchemaResource(server) {
-    server.resource(
+    registerDatabaseResource(
+        server,
         "schema",
         "schema://database",
-        async (uri) => {
+        "schema://{databaseId}/database",
+        async (uri, databaseId) => {
             try {
                 logger.info('Fetching database schema...');
 
-                const cached = readSchemaCache();
+                const cached = readSchemaCache(databaseId);
                 if (cached) {
                     logger.info('Schema cache hit');
                     return {
@@ -110,6 +205,7 @@ function registerDatabaseSchemaResource(server) {
                 
                 const result = await executeQuery(`
                     SELECT 
+                        TABLE_SCHEMA,
                         TABLE_NAME,
                         COLUMN_NAME,
                         DATA_TYPE,
@@ -120,11 +216,12 @@ function registerDatabaseSchemaResource(server) {
                         INFORMATION_SCHEMA.COLUMNS
                     ORDER BY 
                         TABLE_NAME, ORDINAL_POSITION
-                `);
+                `, {}, 3, databaseId);
                 
                 // Format schema data into human-readable text
-                const formattedSchema = formatSchemaData(result.recordset);
-                writeSchemaCache(formattedSchema);
+                const maskedColumns = await getMaskedColumns(databaseId);
+                const formattedSchema = formatSchemaData(result.recordset, maskedColumns);
+                writeSchemaCache(databaseId, formattedSchema);
                 logger.info('Schema retrieved successfully');
                 
                 return {
@@ -146,10 +243,12 @@ function registerDatabaseSchemaResource(server) {
  * @param {object} server - MCP server instance
  */
 function registerTablesListResource(server) {
-    server.resource(
+    registerDatabaseResource(
+        server,
         "tables",
         "tables://list",
-        async (uri) => {
+        "tables://{databaseId}/list",
+        async (uri, databaseId) => {
             try {
                 logger.info('Fetching tables list...');
                 
@@ -164,7 +263,7 @@ function registerTablesListResource(server) {
                         TABLE_TYPE = 'BASE TABLE'
                     ORDER BY 
                         TABLE_SCHEMA, TABLE_NAME
-                `);
+                `, {}, 3, databaseId);
                 
                 // Format as markdown list grouped by schema
                 let markdown = `# Database Tables\n\n`;
@@ -208,10 +307,12 @@ function registerTablesListResource(server) {
  * @param {object} server - MCP server instance
  */
 function registerProceduresListResource(server) {
-    server.resource(
+    registerDatabaseResource(
+        server,
         "procedures",
         "procedures://list",
-        async (uri) => {
+        "procedures://{databaseId}/list",
+        async (uri, databaseId) => {
             try {
                 logger.info('Fetching stored procedures list...');
                 
@@ -225,7 +326,7 @@ function registerProceduresListResource(server) {
                         ROUTINE_TYPE = 'PROCEDURE'
                     ORDER BY 
                         ROUTINE_SCHEMA, ROUTINE_NAME
-                `);
+                `, {}, 3, databaseId);
                 
                 // Format as markdown list grouped by schema
                 let markdown = `# Database Stored Procedures\n\n`;
@@ -269,10 +370,12 @@ function registerProceduresListResource(server) {
  * @param {object} server - MCP server instance
  */
 function registerFunctionsListResource(server) {
-    server.resource(
+    registerDatabaseResource(
+        server,
         "functions",
         "functions://list",
-        async (uri) => {
+        "functions://{databaseId}/list",
+        async (uri, databaseId) => {
             try {
                 logger.info('Fetching functions list...');
                 
@@ -287,7 +390,7 @@ function registerFunctionsListResource(server) {
                         ROUTINE_TYPE = 'FUNCTION'
                     ORDER BY 
                         ROUTINE_SCHEMA, ROUTINE_NAME
-                `);
+                `, {}, 3, databaseId);
                 
                 // Format as markdown list grouped by schema
                 let markdown = `# Database Functions\n\n`;
@@ -338,10 +441,12 @@ function registerFunctionsListResource(server) {
  * @param {object} server - MCP server instance
  */
 function registerViewsListResource(server) {
-    server.resource(
+    registerDatabaseResource(
+        server,
         "views",
         "views://list",
-        async (uri) => {
+        "views://{databaseId}/list",
+        async (uri, databaseId) => {
             try {
                 logger.info('Fetching views list...');
                 
@@ -353,7 +458,7 @@ function registerViewsListResource(server) {
                         INFORMATION_SCHEMA.VIEWS
                     ORDER BY 
                         TABLE_SCHEMA, TABLE_NAME
-                `);
+                `, {}, 3, databaseId);
                 
                 // Format as markdown list grouped by schema
                 let markdown = `# Database Views\n\n`;
@@ -397,10 +502,12 @@ function registerViewsListResource(server) {
  * @param {object} server - MCP server instance
  */
 function registerIndexesListResource(server) {
-    server.resource(
+    registerDatabaseResource(
+        server,
         "indexes",
         "indexes://list",
-        async (uri) => {
+        "indexes://{databaseId}/list",
+        async (uri, databaseId) => {
             try {
                 logger.info('Fetching indexes list...');
                 
@@ -422,7 +529,7 @@ function registerIndexesListResource(server) {
                         i.name IS NOT NULL
                     ORDER BY 
                         s.name, t.name, i.name
-                `);
+                `, {}, 3, databaseId);
                 
                 // Format as markdown table
                 let markdown = `# Database Indexes\n\n`;
@@ -476,10 +583,12 @@ function registerIndexesListResource(server) {
  * @param {object} server - MCP server instance
  */
 function registerAiSchemaResource(server) {
-    server.resource(
+    registerDatabaseResource(
+        server,
         "ai-schema",
         "ai-schema://database",
-        async (uri) => {
+        "ai-schema://{databaseId}/database",
+        async (uri, databaseId) => {
             try {
                 logger.info('Generating AI-friendly database schema...');
                 
@@ -494,7 +603,7 @@ function registerAiSchemaResource(server) {
                         TABLE_TYPE = 'BASE TABLE'
                     ORDER BY 
                         TABLE_SCHEMA, TABLE_NAME
-                `);
+                `, {}, 3, databaseId);
                 
                 // Generate a comprehensive schema description for AI
                 let aiSchemaText = '# AI Assistant Database Guide\n\n';
@@ -522,6 +631,9 @@ function registerAiSchemaResource(server) {
                     aiSchemaText += '```\n\n';
                 }
                 
+                // Masked columns come back masked from every query tool
+                aiSchemaText += formatMaskedColumnsSection(await getMaskedColumns(databaseId));
+                
                 // Add usage examples
                 aiSchemaText += '## MCP Usage Examples\n\n';
                 
@@ -570,10 +682,12 @@ function registerAiSchemaResource(server) {
  * @param {object} server - MCP server instance
  */
 function registerDiscoveryResource(server) {
-    server.resource(
+    registerDatabaseResource(
+        server,
         "discovery",
         "discovery://tables",
-        async (uri) => {
+        "discovery://{databaseId}/tables",
+        async (uri, databaseId) => {
             try {
                 logger.info('Generating table discovery guide...');
                 
@@ -589,7 +703,7 @@ function registerDiscoveryResource(server) {
                         TABLE_TYPE = 'BASE TABLE'
                     ORDER BY 
                         TABLE_SCHEMA, TABLE_NAME
-                `);
+                `, {}, 3, databaseId);
                 
                 // Get a sample of common tables with row counts for context
                 const sampleTablesWithRowCounts = [];
@@ -608,7 +722,7 @@ function registerDiscoveryResource(server) {
                         `, {
                             schemaName: tableSchema,
                             tableName: tableName
-                        });
+                        }, 3, databaseId);
                         
                         const rowCount = countResult.recordset[0].TotalRows || 0;
                         sampleTablesWithRowCounts.push({ 
@@ -676,6 +790,8 @@ function registerDiscoveryResource(server) {
                 discoveryText += '\n## Total Tables Count\n\n';
                 discoveryText += `This database contains ${tablesResult.recordset.length} tables in total.\n\n`;
                 
+                discoveryText += formatMaskedColumnsSection(await getMaskedColumns(databaseId));
+                
                 discoveryText += '## Best Practices for Table Discovery\n\n';
                 discoveryText += '1. Always start with listing available tables\n';
                 discoveryText += '2. Examine table structure before querying\n';
@@ -698,12 +814,34 @@ function registerDiscoveryResource(server) {
     );
 }
 
+/**
+ * Format the list of masked columns for AI-facing resources
+ * @param {Array<object>} maskedColumns - Masked columns from getMaskedColumns
+ * @returns {string} - Markdown section (empty if nothing is masked)
+ */
+function formatMaskedColumnsSection(maskedColumns) {
+    if (maskedColumns.length === 0) return '';
+
+    let text = '## Masked Columns\n\n';
+    text += 'These columns are protected by the column masking policy. Query tools and exports return masked values for them, and results derived from them are masked in full.\n\n';
+    text += '| Schema | Table | Column | Mask |\n';
+    text += '|--------|-------|--------|------|\n';
+    maskedColumns.forEach(entry => {
+        text += `| ${entry.schema} | ${entry.table} | ${entry.column} | ${entry.mask} |\n`;
+    });
+    return text + '\n';
+}
+
 /**
  * Format schema data into human-readable text
  * @param {Array} records - Records from INFORMATION_SCHEMA.COLUMNS
+ * @param {Array<object>} maskedColumns - Masked columns from getMaskedColumns
  * @returns {string} - Formatted markdown
  */
-function formatSchemaData(records) {
+function formatSchemaData(records, maskedColumns = []) {
+    const masks = new Map(maskedColumns.map(entry =>
+        [`${entry.schema}.${entry.table}.${entry.column}`, entry.mask]));
+
     const tables = {};
     
     // Group columns by table
@@ -717,7 +855,8 @@ function formatSchemaData(records) {
             type: record.DATA_TYPE,
             length: record.CHARACTER_MAXIMUM_LENGTH,
             nullable: record.IS_NULLABLE === 'YES',
-            default: record.COLUMN_DEFAULT
+            default: record.COLUMN_DEFAULT,
+            mask: masks.get(`${record.TABLE_SCHEMA}.${record.TABLE_NAME}.${record.COLUMN_NAME}`)
         });
     });
     
@@ -726,14 +865,14 @@ function formatSchemaData(records) {
     
     for (const [tableName, columns] of Object.entries(tables)) {
         output += `## Table: ${tableName}\n\n`;
-        output += '| Column | Type | Length | Nullable | Default |\n';
-        output += '|--------|------|--------|----------|--------|\n';
+        output += '| Column | Type | Length | Nullable | Default | Masked |\n';
+        output += '|--------|------|--------|----------|---------|--------|\n';
         
         columns.forEach(col => {
             const length = col.length !== null ? col.length : 'N/A';
             const defaultVal = col.default !== null ? col.default : 'N/A';
             
-            output += `| ${col.name} | ${col.type} | ${length} | ${col.nullable ? 'Yes' : 'No'} | ${defaultVal} |\n`;
+            output += `| ${col.name} | ${col.type} | ${length} | ${col.nullable ? 'Yes' : 'No'} | ${defaultVal} | ${col.mask || 'No'} |\n`;
         });
         
         output += '\n';
@@ -0,0 +1,255 @@
+// lib/savedQueries.js - Library of named, parameterized queries
+import fs from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { logger } from './logger.mjs';
+import { ValidationError, ResourceNotFoundError } from './errors.mjs';
+import { isDatabaseVisible } from './policy.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+dotenv.config({ path: path.join(__dirname, '../.env') });
+
+const QUERY_RESULTS_PATH = process.env.QUERY_RESULTS_PATH || path.join(__dirname, '../query_results');
+// A subdirectory, so get_query_results doesn't list saved queries as results
+const SAVED_QUERIES_PATH = process.env.SAVED_QUERIES_PATH || path.join(QUERY_RESULTS_PATH, 'saved_queries');
+
+export const PARAMETER_TYPES = ['string', 'integer', 'number', 'boolean', 'date', 'datetime'];
+
+// SQL types for saved-query date parameters (see sqlParameters.mjs)
+const DATE_PARAMETER_SQL_TYPES = { date: 'date', datetime: 'datetime2' };
+
+// Saved queries by name
+const savedQueries = new Map();
+
+// Callbacks run after a query is saved
+const listeners = new Set();
+
+/**
+ * Load every saved query from SAVED_QUERIES_PATH (one JSON file per query)
+ */
+export function loadSavedQueries() {
+    savedQueries.clear();
+    if (!fs.existsSync(SAVED_QUERIES_PATH)) return;
+
+    for (const file of fs.readdirSync(SAVED_QUERIES_PATH).filter(name => name.endsWith('.json'))) {
+        try {
+            const query = JSON.parse(fs.readFileSync(path.join(SAVED_QUERIES_PATH, file), 'utf8'));
+            savedQueries.set(query.name, query);
+        } catch (err) {
+            logger.error(`Skipping unreadable saved query ${file}: ${err.message}`);
+        }
+    }
+    logger.info(`Loaded ${savedQueries.size} saved queries from ${SAVED_QUERIES_PATH}`);
+}
+
+/**
+ * Validate a parameter definition
+ * @param {object} definition - Parameter definition {name, type, description, required, default}
+ * @param {string} queryName - Saved query name, for error messages
+ * @returns {object} - Normalized definition
+ */
+function normalizeParameterDefinition(definition, queryName) {
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(definition.name || '')) {
+        throw new ValidationError(`Saved query ${queryName} has an invalid parameter name "${definition.name}"`);
+    }
+    if (!PARAMETER_TYPES.includes(definition.type)) {
+        throw new ValidationError(`Parameter ${definition.name} of saved query ${queryName} has unknown type "${definition.type}"`);
+    }
+
+    const normalized = {
+        name: definition.name,
+        type: definition.type,
+        description: definition.description || undefined,
+        required: definition.required !== false && definition.default === undefined
+    };
+    if (definition.default !== undefined) {
+        normalized.default = coerceParameter(normalized, definition.default);
+    }
+    return normalized;
+}
+
+/**
+ * Convert a supplied value to a parameter's type
+ * @param {object} definition - Parameter definition
+ * @param {*} value - Supplied value (prompt arguments arrive as strings)
+ * @returns {*} - Typed value
+ */
+function coerceParameter(definition, value) {
+    if (value === null) return null;
+
+    const fail = () => {
+        throw new ValidationError(`Parameter ${definition.name} must be a ${definition.type}, got ${JSON.stringify(value)}`);
+    };
+
+    switch (definition.type) {
+        case 'string':
+            return String(value);
+        case 'integer': {
+            const number = Number(value);
+            if (value === '' || !Number.isInteger(number)) fail();
+            return number;
+        }
+        case 'number': {
+            const number = Number(value);
+            if (value === '' || !Number.isFinite(number)) fail();
+            return number;
+        }
+        case 'boolean':
+            if (value === true || value === 'true' || value === 1 || value === '1') return true;
+            if (value === false || value === 'false' || value === 0 || value === '0') return false;
+            return fail();
+        case 'date':
+        case 'datetime': {
+            const date = new Date(value);
+            if (typeof value === 'boolean' || Number.isNaN(date.getTime())) fail();
+            // Dates are sent as ISO strings so SQL Server converts them without a time zone shift
+            return definition.type === 'date' ? date.toISOString().substring(0, 10) : date.toISOString();
+        }
+        default:
+            return fail();
+    }
+}
+
+/**
+ * Save a query to the library. Saving an existing name needs overwrite and bumps its version.
+ * @param {object} definition - Query {name, description, sql, parameters, databaseIds, tags}
+ * @param {string} user - User saving it
+ * @param {object} options - Save options
+ * @param {boolean} options.overwrite - Replace an existing query with the same name
+ * @returns {object} - The saved query
+ */
+export function saveQuery(definition, user, { overwrite = false } = {}) {
+    const { name } = definition;
+    if (!/^[A-Za-z0-9_-]+$/.test(name || '')) {
+        throw new ValidationError(`Invalid saved query name "${name}": use letters, digits, "_" and "-"`);
+    }
+
+    const existing = savedQueries.get(name);
+    if (existing && !overwrite) {
+        throw new ValidationError(`A saved query named ${name} already exists; pass overwrite to replace it`);
+    }
+
+    const parameters = (definition.parameters || []).map(parameter => normalizeParameterDefinition(parameter, name));
+    const duplicate = parameters.find((parameter, index) => parameters.findIndex(p => p.name === parameter.name) !== index);
+    if (duplicate) {
+        throw new ValidationError(`Saved query ${name} defines parameter ${duplicate.name} twice`);
+    }
+    const unused = parameters.filter(parameter => !new RegExp(`@${parameter.name}\\b`, 'i').test(definition.sql));
+    if (unused.length > 0) {
+        throw new ValidationError(`Saved query ${name} defines parameters its SQL doesn't use: ${unused.map(p => p.name).join(', ')}`);
+    }
+
+    const now = new Date().toISOString();
+    const query = {
+        name,
+        description: definition.description || '',
+        sql: definition.sql,
+        parameters,
+        databaseIds: definition.databaseIds || [],
+        tags: definition.tags || [],
+        version: (existing?.version || 0) + 1,
+        createdBy: existing?.createdBy || user,
+        createdAt: existing?.createdAt || now,
+        updatedBy: user,
+        updatedAt: now
+    };
+
+    fs.mkdirSync(SAVED_QUERIES_PATH, { recursive: true });
+    fs.writeFileSync(path.join(SAVED_QUERIES_PATH, `${name}.json`), JSON.stringify(query, null, 2));
+    savedQueries.set(name, query);
+    logger.info(`Saved query ${name} v${query.version} by ${user}`);
+
+    for (const listener of listeners) {
+        try {
+            listener(query);
+        } catch (err) {
+            logger.warn(`Saved query listener failed: ${err.message}`);
+        }
+    }
+    return query;
+}
+
+/**
+ * Get a saved query by name
+ * @param {string} name - Saved query name
+ * @returns {object} - Saved query
+ */
+export function getSavedQuery(name) {
+    const query = savedQueries.get(name);
+    if (!query) {
+        throw new ResourceNotFoundError('Saved query', name);
+    }
+    return query;
+}
+
+/**
+ * List saved queries, optionally filtered
+ * @param {object} filters - Filters
+ * @param {string} filters.tag - Only queries with this tag
+ * @param {string} filters.search - Text to find in the name, description or SQL
+ * @returns {Array<object>} - Saved queries sorted by name
+ */
+export function listSavedQueries({ tag, search } = {}) {
+    const needle = search?.toLowerCase();
+    return Array.from(savedQueries.values())
+        .filter(query => !tag || query.tags.includes(tag))
+        .filter(query => !needle || [query.name, query.description, query.sql].some(text => text.toLowerCase().includes(needle)))
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Check whether a caller may see a saved query: it has no default databases, or one of them is visible
+ * @param {object} extra - Tool/prompt/resource handler extra (carries authInfo)
+ * @param {object} query - Saved query
+ * @returns {boolean} - True if visible
+ */
+export function isSavedQueryVisible(extra, query) {
+    return query.databaseIds.length === 0 || query.databaseIds.some(databaseId => isDatabaseVisible(extra, databaseId));
+}
+
+/**
+ * Check supplied values against a saved query's parameter definitions and fill in defaults
+ * @param {object} query - Saved query
+ * @param {object} supplied - Parameter values by name
+ * @returns {object} - Typed parameter values for executeQuery
+ */
+export function resolveSavedQueryParameters(query, supplied = {}) {
+    const unknown = Object.keys(supplied).filter(name => !query.parameters.some(parameter => parameter.name === name));
+    if (unknown.length > 0) {
+        throw new ValidationError(`Saved query ${query.name} has no parameters named ${unknown.join(', ')}`);
+    }
+
+    const values = {};
+    for (const parameter of query.parameters) {
+        const value = supplied[parameter.name];
+        if (value === undefined || value === '') {
+            if (parameter.required) {
+                throw new ValidationError(`Saved query ${query.name} needs parameter ${parameter.name} (${parameter.type})`);
+            }
+            values[parameter.name] = parameter.default ?? null;
+        } else {
+            values[parameter.name] = coerceParameter(parameter, value);
+        }
+
+        // Dates are bound as date types, not left for the driver to send as strings
+        if (values[parameter.name] !== null && DATE_PARAMETER_SQL_TYPES[parameter.type]) {
+            values[parameter.name] = { value: values[parameter.name], type: DATE_PARAMETER_SQL_TYPES[parameter.type] };
+        }
+    }
+    return values;
+}
+
+/**
+ * Run a callback whenever a query is saved
+ * @param {function} listener - Called with the saved query
+ * @returns {function} - Call to stop listening
+ */
+export function onSavedQueryChange(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+loadSavedQueries();
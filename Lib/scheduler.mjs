@@ -0,0 +1,628 @@
+// lib/scheduler.js - Cron-scheduled queries with result history and threshold alerts
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { logger } from './logger.mjs';
+import { executeQueryOnMultipleDatabases } from './database.mjs';
+import { ValidationError, ResourceNotFoundError } from './errors.mjs';
+import { isDatabaseVisible } from './policy.mjs';
+import { getColumnMask, getResultMaskPlan, maskQueryResult } from './masking.mjs';
+import { broadcastLogMessage } from './notifications.mjs';
+import { validateParameters } from './sqlParameters.mjs';
+import { analyzeSql } from './sqlLexer.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+dotenv.config({ path: path.join(__dirname, '../.env') });
+
+/**
+ * Resolve a path setting relative to the project root
+ * @param {string} value - Configured path
+ * @returns {string} - Absolute path
+ */
+function resolvePath(value) {
+    return path.isAbsolute(value) ? value : path.resolve(path.join(__dirname, '..'), value);
+}
+
+const SCHEDULES_FILE = resolvePath(process.env.SCHEDULES_FILE || './schedules.json');
+const SCHEDULE_HISTORY_PATH = resolvePath(process.env.SCHEDULE_HISTORY_PATH || './data/schedule-history');
+const SCHEDULE_HISTORY_MAX_ROWS = parseInt(process.env.SCHEDULE_HISTORY_MAX_ROWS || '100', 10);
+const ALERT_LOG_FILE = resolvePath(process.env.ALERT_LOG_FILE || './logs/alerts.jsonl');
+const ALERT_WEBHOOK_HOSTS = (process.env.ALERT_WEBHOOK_HOSTS || 'localhost,127.0.0.1,::1')
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .filter(Boolean);
+const ALERT_WEBHOOK_TIMEOUT_MS = parseInt(process.env.ALERT_WEBHOOK_TIMEOUT_MS || '5000', 10);
+const SCHEDULER_ENABLED = process.env.SCHEDULER_ENABLED !== 'false';
+
+export const ALERT_CHANNELS = ['log', 'webhook', 'notification'];
+export const THRESHOLD_OPERATORS = ['>', '>=', '<', '<=', '==', '!='];
+export const ALERT_SEVERITIES = ['info', 'notice', 'warning', 'error', 'critical', 'alert', 'emergency'];
+
+// Cron fields: minute hour day-of-month month day-of-week
+const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'day of week', min: 0, max: 7 }
+];
+
+// Schedules by ID, in file order
+const schedules = new Map();
+
+// IDs of schedules with a run in progress, so a slow run is never overlapped
+const running = new Set();
+
+let timer = null;
+
+/**
+ * Parse one cron field into the set of values it matches
+ * @param {string} field - Field text, e.g. "*", "5", "1-5", "*\/15" or "0,30"
+ * @param {object} spec - Field name and bounds
+ * @returns {Set<number>} - Matching values
+ */
+function parseCronField(field, spec) {
+    const values = new Set();
+
+    for (const part of field.split(',')) {
+        const match = part.match(/^(\*|\d+)(?:-(\d+))?(?:\/(\d+))?$/);
+        if (!match) {
+            throw new ValidationError(`Invalid cron ${spec.name} field: "${field}"`);
+        }
+
+        const start = match[1] === '*' ? spec.min : parseInt(match[1], 10);
+        const end = match[2] !== undefined
+            ? parseInt(match[2], 10)
+            : (match[1] === '*' || match[3] !== undefined ? spec.max : start);
+        const step = match[3] !== undefined ? parseInt(match[3], 10) : 1;
+
+        if (start < spec.min || end > spec.max || start > end || step < 1) {
+            throw new ValidationError(`Cron ${spec.name} field "${field}" is out of range ${spec.min}-${spec.max}`);
+        }
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
+        }
+    }
+    return values;
+}
+
+/**
+ * Parse a five-field cron expression
+ * @param {string} expression - Cron expression, e.g. "0 7 * * 1-5"
+ * @returns {object} - Parsed fields, plus whether day of month and day of week were restricted
+ */
+export function parseCron(expression) {
+    const fields = String(expression || '').trim().split(/\s+/);
+    if (fields.length !== CRON_FIELDS.length) {
+        throw new ValidationError(`Cron expression "${expression}" must have 5 fields (minute hour day-of-month month day-of-week)`);
+    }
+
+    const [minutes, hours, daysOfMonth, months, daysOfWeek] = fields.map((field, index) => parseCronField(field, CRON_FIELDS[index]));
+    // 7 is another way to write Sunday
+    if (daysOfWeek.has(7)) daysOfWeek.add(0);
+
+    return {
+        minutes,
+        hours,
+        daysOfMonth,
+        months,
+        daysOfWeek,
+        domRestricted: fields[2] !== '*',
+        dowRestricted: fields[4] !== '*'
+    };
+}
+
+/**
+ * Check whether a parsed cron expression fires at a given minute (server local time)
+ * @param {object} cron - Result of parseCron
+ * @param {Date} date - Time to check
+ * @returns {boolean} - True if the schedule is due
+ */
+export function cronMatches(cron, date) {
+    if (!cron.minutes.has(date.getMinutes()) || !cron.hours.has(date.getHours()) || !cron.months.has(date.getMonth() + 1)) {
+        return false;
+    }
+
+    // As in standard cron, a day matches on either field when both are restricted
+    const domMatch = cron.daysOfMonth.has(date.getDate());
+    const dowMatch = cron.daysOfWeek.has(date.getDay());
+    if (cron.domRestricted && cron.dowRestricted) return domMatch || dowMatch;
+    if (cron.domRestricted) return domMatch;
+    if (cron.dowRestricted) return dowMatch;
+    return true;
+}
+
+/**
+ * Find the next time a cron expression fires, searching up to a year ahead
+ * @param {object} cron - Result of parseCron
+ * @param {Date} from - Start after this time
+ * @returns {string|null} - ISO timestamp, or null if it never fires within a year
+ */
+function getNextRun(cron, from = new Date()) {
+    const date = new Date(from);
+    date.setSeconds(0, 0);
+    for (let i = 0; i < 366 * 24 * 60; i++) {
+        date.setMinutes(date.getMinutes() + 1);
+        if (cronMatches(cron, date)) return date.toISOString();
+    }
+    return null;
+}
+
+/**
+ * Check that an alert webhook points at an allowed (by default local) host
+ * @param {string} webhookUrl - Webhook URL
+ */
+function validateWebhookUrl(webhookUrl) {
+    let url;
+    try {
+        url = new URL(webhookUrl);
+    } catch {
+        throw new ValidationError(`Invalid webhook URL: ${webhookUrl}`);
+    }
+
+    const host = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    if (!['http:', 'https:'].includes(url.protocol) || !ALERT_WEBHOOK_HOSTS.includes(host)) {
+        throw new ValidationError(`Webhook URL ${webhookUrl} is not allowed; hosts must be one of ${ALERT_WEBHOOK_HOSTS.join(', ')} (ALERT_WEBHOOK_HOSTS)`);
+    }
+}
+
+/**
+ * Validate a schedule definition and fill in defaults
+ * @param {object} definition - Schedule from schedules.json or create_schedule
+ * @returns {object} - Normalized schedule
+ */
+function normalizeSchedule(definition) {
+    const id = definition.id;
+    if (!id || !/^[A-Za-z0-9_.-]+$/.test(id)) {
+        throw new ValidationError(`Invalid schedule ID "${id}": use letters, digits, ".", "_" and "-"`);
+    }
+    if (!definition.sql) {
+        throw new ValidationError(`Schedule ${id} has no sql`);
+    }
+    // Nobody approves a scheduled run, so procedure calls are refused along with writes
+    const { operation } = analyzeSql(definition.sql);
+    if (operation !== 'read') {
+        throw new ValidationError(`Schedule ${id} may only read; its SQL contains ${operation.toUpperCase()}`);
+    }
+    if (!Array.isArray(definition.databaseIds) || definition.databaseIds.length === 0) {
+        throw new ValidationError(`Schedule ${id} needs at least one databaseId`);
+    }
+    parseCron(definition.cron);
+    validateParameters(definition.parameters);
+
+    const thresholds = (definition.thresholds || []).map((rule, index) => {
+        if (!THRESHOLD_OPERATORS.includes(rule.operator)) {
+            throw new ValidationError(`Schedule ${id} threshold ${index + 1} has unknown operator "${rule.operator}"`);
+        }
+        if (rule.severity && !ALERT_SEVERITIES.includes(rule.severity)) {
+            throw new ValidationError(`Schedule ${id} threshold ${index + 1} has unknown severity "${rule.severity}"`);
+        }
+        return { ...rule, severity: rule.severity || 'warning' };
+    });
+
+    const alerts = definition.alerts || ['log'];
+    const unknown = alerts.filter(channel => !ALERT_CHANNELS.includes(channel));
+    if (unknown.length > 0) {
+        throw new ValidationError(`Schedule ${id} has unknown alert channels: ${unknown.join(', ')}`);
+    }
+    if (alerts.includes('webhook')) {
+        if (!definition.webhookUrl) {
+            throw new ValidationError(`Schedule ${id} sends webhook alerts but has no webhookUrl`);
+        }
+        validateWebhookUrl(definition.webhookUrl);
+    }
+
+    return {
+        id,
+        name: definition.name || id,
+        cron: definition.cron,
+        sql: definition.sql,
+        databaseIds: definition.databaseIds,
+        parameters: definition.parameters || {},
+        timeoutMs: definition.timeoutMs || undefined,
+        thresholds,
+        alerts,
+        webhookUrl: definition.webhookUrl || undefined,
+        enabled: definition.enabled !== false,
+        createdBy: definition.createdBy || undefined,
+        createdAt: definition.createdAt || undefined,
+        pausedBy: definition.pausedBy || undefined,
+        pausedAt: definition.pausedAt || undefined
+    };
+}
+
+/**
+ * Load schedules from SCHEDULES_FILE. Invalid schedules are skipped with an error.
+ */
+export function loadSchedules() {
+    schedules.clear();
+    if (!fs.existsSync(SCHEDULES_FILE)) {
+        logger.info(`No schedules file at ${SCHEDULES_FILE}`);
+        return;
+    }
+
+    try {
+        const config = JSON.parse(fs.readFileSync(SCHEDULES_FILE, 'utf8'));
+        for (const definition of config.schedules || []) {
+            try {
+                const schedule = normalizeSchedule(definition);
+                if (schedules.has(schedule.id)) {
+                    throw new ValidationError(`Duplicate schedule ID ${schedule.id}`);
+                }
+                schedules.set(schedule.id, schedule);
+            } catch (err) {
+                logger.error(`Skipping schedule ${definition.id || '(no id)'}: ${err.message}`);
+            }
+        }
+        logger.info(`Loaded ${schedules.size} schedules from ${SCHEDULES_FILE}`);
+    } catch (err) {
+        logger.error(`Failed to load schedules from ${SCHEDULES_FILE}: ${err.message}`);
+    }
+}
+
+/**
+ * Write the schedules back to SCHEDULES_FILE (via a temporary file, so a crash can't truncate it)
+ */
+function saveSchedules() {
+    const tmpFile = `${SCHEDULES_FILE}.tmp`;
+    fs.mkdirSync(path.dirname(SCHEDULES_FILE), { recursive: true });
+    fs.writeFileSync(tmpFile, JSON.stringify({ schedules: Array.from(schedules.values()) }, null, 2) + '\n');
+    fs.renameSync(tmpFile, SCHEDULES_FILE);
+}
+
+/**
+ * Read the most recent runs of a schedule
+ * @param {string} id - Schedule ID
+ * @param {number} limit - Maximum runs to return
+ * @returns {Array<object>} - Runs, newest first
+ */
+export function getScheduleHistory(id, limit = 10) {
+    const file = path.join(SCHEDULE_HISTORY_PATH, `${id}.jsonl`);
+    if (!fs.existsSync(file)) return [];
+
+    return fs.readFileSync(file, 'utf8')
+        .split('\n')
+        .filter(Boolean)
+        .slice(-limit)
+        .reverse()
+        .map(line => {
+            try {
+                return JSON.parse(line);
+            } catch {
+                return null;
+            }
+        })
+        .filter(Boolean);
+}
+
+/**
+ * Copy a schedule for callers, with its next and last run
+ * @param {object} schedule - Schedule record
+ * @returns {object} - Public view of the schedule
+ */
+function toPublic(schedule) {
+    const lastRun = getScheduleHistory(schedule.id, 1)[0];
+    return {
+        ...schedule,
+        running: running.has(schedule.id),
+        nextRunAt: schedule.enabled ? getNextRun(parseCron(schedule.cron)) : null,
+        lastRun: lastRun
+            ? { runId: lastRun.runId, startedAt: lastRun.startedAt, finishedAt: lastRun.finishedAt, alertCount: lastRun.alerts.length }
+            : null
+    };
+}
+
+/**
+ * List schedules
+ * @param {function} visible - Returns false for schedules the caller may not see
+ * @returns {Array<object>} - Schedules
+ */
+export function listSchedules(visible = () => true) {
+    return Array.from(schedules.values()).filter(visible).map(toPublic);
+}
+
+/**
+ * Get a schedule by ID
+ * @param {string} id - Schedule ID
+ * @returns {object} - Schedule
+ */
+export function getSchedule(id) {
+    const schedule = schedules.get(id);
+    if (!schedule) {
+        throw new ResourceNotFoundError('Schedule', id);
+    }
+    return toPublic(schedule);
+}
+
+/**
+ * Add a schedule and save it to SCHEDULES_FILE
+ * @param {object} definition - Schedule definition
+ * @param {string} user - User creating it
+ * @returns {object} - The new schedule
+ */
+export function createSchedule(definition, user) {
+    const schedule = normalizeSchedule({
+        ...definition,
+        id: definition.id || `${String(definition.name || 'schedule').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')}-${crypto.randomBytes(3).toString('hex')}`,
+        createdBy: user,
+        createdAt: new Date().toISOString()
+    });
+    if (schedules.has(schedule.id)) {
+        throw new ValidationError(`A schedule with ID ${schedule.id} already exists`);
+    }
+
+    schedules.set(schedule.id, schedule);
+    saveSchedules();
+    logger.info(`Schedule ${schedule.id} created by ${user} (${schedule.cron} on ${schedule.databaseIds.join(', ')})`);
+    return toPublic(schedule);
+}
+
+/**
+ * Pause or resume a schedule and save the change
+ * @param {string} id - Schedule ID
+ * @param {boolean} paused - True to pause, false to resume
+ * @param {string} user - User making the change
+ * @returns {object} - The updated schedule
+ */
+export function setSchedulePaused(id, paused, user) {
+    const schedule = schedules.get(id);
+    if (!schedule) {
+        throw new ResourceNotFoundError('Schedule', id);
+    }
+
+    schedule.enabled = !paused;
+    schedule.pausedBy = paused ? user : undefined;
+    schedule.pausedAt = paused ? new Date().toISOString() : undefined;
+    saveSchedules();
+    logger.info(`Schedule ${id} ${paused ? 'paused' : 'resumed'} by ${user}`);
+    return toPublic(schedule);
+}
+
+/**
+ * Compare a value against a threshold
+ * @param {*} actual - Value from the result
+ * @param {string} operator - Threshold operator
+ * @param {*} expected - Threshold value
+ * @returns {boolean} - True if the threshold is crossed
+ */
+function compare(actual, operator, expected) {
+    // Numbers from SQL Server can arrive as strings (decimal, bigint), so compare numerically when both sides are numbers
+    const numeric = typeof expected === 'number' && actual !== null && actual !== '' && !Number.isNaN(Number(actual));
+    const left = numeric ? Number(actual) : actual;
+
+    switch (operator) {
+        case '>': return left > expected;
+        case '>=': return left >= expected;
+        case '<': return left < expected;
+        case '<=': return left <= expected;
+        case '==': return left == expected;
+        case '!=': return left != expected;
+        default: return false;
+    }
+}
+
+/**
+ * Evaluate a schedule's thresholds against one database's rows. A rule without a column
+ * compares the row count. A rule on a masked column would compare mask text, so it raises
+ * an error alert instead of being evaluated.
+ * @param {object} schedule - Schedule
+ * @param {string} databaseId - Database the rows came from
+ * @param {Array<object>} rows - Result rows (masked)
+ * @param {object} maskPlan - Mask plan the rows were masked with
+ * @returns {Array<object>} - Alerts raised
+ */
+function evaluateThresholds(schedule, databaseId, rows, maskPlan) {
+    const alerts = [];
+
+    for (const rule of schedule.thresholds) {
+        if (rule.column && getColumnMask(maskPlan, rule.column)) {
+            alerts.push({
+                severity: 'error',
+                databaseId,
+                rule: { column: rule.column, operator: rule.operator, value: rule.value },
+                message: `${schedule.name} on ${databaseId}: threshold on ${rule.column} was not checked because the column is masked`
+            });
+            continue;
+        }
+
+        const candidates = rule.column
+            ? rows.map(row => ({ value: row[rule.column], row }))
+            : [{ value: rows.length, row: null }];
+
+        for (const { value, row } of candidates) {
+            if (value === undefined || !compare(value, rule.operator, rule.value)) continue;
+            const subject = rule.column || 'row count';
+            alerts.push({
+                severity: rule.severity,
+                databaseId,
+                rule: { column: rule.column, operator: rule.operator, value: rule.value },
+                actual: value,
+                row,
+                message: rule.message || `${schedule.name} on ${databaseId}: ${subject} is ${value} (${rule.operator} ${rule.value})`
+            });
+        }
+    }
+    return alerts;
+}
+
+/**
+ * Send one alert to the schedule's channels. Channel failures are logged, never thrown.
+ * @param {object} schedule - Schedule
+ * @param {object} alert - Alert with the run and schedule IDs filled in
+ */
+async function raiseAlert(schedule, alert) {
+    logger.warn(`Schedule alert [${alert.severity}] ${alert.message}`);
+
+    if (schedule.alerts.includes('log')) {
+        try {
+            fs.mkdirSync(path.dirname(ALERT_LOG_FILE), { recursive: true });
+            fs.appendFileSync(ALERT_LOG_FILE, JSON.stringify(alert) + '\n');
+        } catch (err) {
+            logger.error(`Failed to write alert to ${ALERT_LOG_FILE}: ${err.message}`);
+        }
+    }
+
+    if (schedule.alerts.includes('webhook')) {
+        try {
+            const response = await fetch(schedule.webhookUrl, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(alert),
+                signal: AbortSignal.timeout(ALERT_WEBHOOK_TIMEOUT_MS)
+            });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+        } catch (err) {
+            logger.error(`Failed to send alert for schedule ${schedule.id} to ${schedule.webhookUrl}: ${err.message}`);
+        }
+    }
+
+    if (schedule.alerts.includes('notification')) {
+        // Only clients that can see the database hear about it
+        await broadcastLogMessage(alert.severity, alert, extra => isDatabaseVisible(extra, alert.databaseId));
+    }
+}
+
+/**
+ * Run a schedule once: query every database, record the run in its history and raise alerts
+ * @param {string} id - Schedule ID
+ * @param {string} trigger - What started the run ("cron" or "manual")
+ * @returns {Promise<object|null>} - The recorded run, or null if a run was already in progress
+ */
+export async function runSchedule(id, trigger = 'cron') {
+    const schedule = schedules.get(id);
+    if (!schedule) {
+        throw new ResourceNotFoundError('Schedule', id);
+    }
+    if (running.has(id)) {
+        logger.warn(`Schedule ${id} is still running; skipping this ${trigger} run`);
+        return null;
+    }
+
+    running.add(id);
+    const run = { runId: crypto.randomUUID(), scheduleId: id, trigger, startedAt: new Date().toISOString(), databases: [], alerts: [] };
+    logger.info(`Running schedule ${id} (${trigger}) on ${schedule.databaseIds.join(', ')}`);
+
+    try {
+        let results;
+        try {
+            results = await executeQueryOnMultipleDatabases(schedule.sql, schedule.databaseIds, schedule.parameters, {
+                timeoutMs: schedule.timeoutMs
+            });
+        } catch (err) {
+            // The whole run failed (e.g. a database was unregistered), so report it against every database
+            results = schedule.databaseIds.map(databaseId => ({ databaseId, success: false, error: err.message }));
+        }
+
+        for (const result of results) {
+            if (!result.success) {
+                run.databases.push({ databaseId: result.databaseId, success: false, error: result.error });
+                run.alerts.push({
+                    severity: 'error',
+                    databaseId: result.databaseId,
+                    rule: null,
+                    message: `${schedule.name} failed on ${result.databaseId}: ${result.error}`
+                });
+                continue;
+            }
+
+            // History and alerts are read later by other people, so they get masked rows
+            const maskPlan = await getResultMaskPlan(schedule.sql, schedule.parameters, result.databaseId);
+            maskQueryResult(result.result, maskPlan);
+            const rows = result.result.recordset || [];
+
+            run.databases.push({
+                databaseId: result.databaseId,
+                success: true,
+                rowCount: rows.length,
+                executionTimeMs: result.result.executionTime || 0,
+                rows: rows.slice(0, SCHEDULE_HISTORY_MAX_ROWS),
+                truncated: rows.length > SCHEDULE_HISTORY_MAX_ROWS
+            });
+            run.alerts.push(...evaluateThresholds(schedule, result.databaseId, rows, maskPlan));
+        }
+    } finally {
+        running.delete(id);
+    }
+
+    run.finishedAt = new Date().toISOString();
+    run.alerts = run.alerts.map(alert => ({
+        ...alert,
+        scheduleId: id,
+        scheduleName: schedule.name,
+        runId: run.runId,
+        timestamp: run.finishedAt
+    }));
+
+    try {
+        fs.mkdirSync(SCHEDULE_HISTORY_PATH, { recursive: true });
+        fs.appendFileSync(path.join(SCHEDULE_HISTORY_PATH, `${id}.jsonl`), JSON.stringify(run) + '\n');
+    } catch (err) {
+        logger.error(`Failed to record history for schedule ${id}: ${err.message}`);
+    }
+
+    for (const alert of run.alerts) {
+        await raiseAlert(schedule, alert);
+    }
+
+    logger.info(`Schedule ${id} finished: ${run.databases.filter(db => db.success).length}/${run.databases.length} databases succeeded, ${run.alerts.length} alerts`);
+    return run;
+}
+
+/**
+ * Run every enabled schedule that is due this minute, then wait for the next minute
+ */
+function tick() {
+    const now = new Date();
+    for (const schedule of schedules.values()) {
+        try {
+            if (schedule.enabled && cronMatches(parseCron(schedule.cron), now)) {
+                runSchedule(schedule.id).catch(err => logger.error(`Schedule ${schedule.id} failed: ${err.message}`));
+            }
+        } catch (err) {
+            logger.error(`Schedule ${schedule.id} could not be checked: ${err.message}`);
+        }
+    }
+    scheduleTick();
+}
+
+/**
+ * Set a timer for the start of the next minute
+ */
+function scheduleTick() {
+    const now = new Date();
+    const delay = 60000 - (now.getSeconds() * 1000 + now.getMilliseconds());
+    timer = setTimeout(tick, delay);
+    timer.unref?.();
+}
+
+/**
+ * Start checking schedules once a minute (unless SCHEDULER_ENABLED=false)
+ */
+export function startScheduler() {
+    if (!SCHEDULER_ENABLED) {
+        logger.info('Scheduler disabled (SCHEDULER_ENABLED=false)');
+        return;
+    }
+    if (timer) return;
+
+    scheduleTick();
+    logger.info(`Scheduler started with ${schedules.size} schedules`);
+}
+
+/**
+ * Stop the scheduler timer. Runs already in progress finish on their own.
+ */
+export function stopScheduler() {
+    if (timer) {
+        clearTimeout(timer);
+        timer = null;
+    }
+}
+
+loadSchedules();
@@ -0,0 +1,235 @@
+// lib/sessions.js - Registry of connected MCP client sessions
+import { logger } from './logger.mjs';
+
+// Active sessions keyed by the transport's sessionId
+const sessions = new Map();
+
+// Per-session preferences (current database, query defaults). The stdio transport has no
+// sessionId, so its preferences live under LOCAL_SESSION_KEY.
+const LOCAL_SESSION_KEY = 'local';
+const preferences = new Map();
+
+// In-flight tool calls per session: requestId -> AbortController
+const inFlightRequests = new Map();
+
+// Open server-to-client streams per session
+const openStreams = new Map();
+
+/**
+ * Register a connected client session
+ * @param {string} sessionId - Session ID assigned by the MCP transport
+ * @param {object} session - Session state (transport, server, response stream, client info)
+ * @returns {object} - The stored session entry
+ */
+export function registerSession(sessionId, session) {
+    if (!sessionId) {
+        throw new Error('Session ID is required');
+    }
+
+    const entry = {
+        ...session,
+        sessionId,
+        connectedAt: new Date().toISOString(),
+        lastActivityAt: new Date().toISOString(),
+        messageCount: 0
+    };
+
+    sessions.set(sessionId, entry);
+    logger.info(`Session registered: ${sessionId} (${sessions.size} active)`);
+    return entry;
+}
+
+/**
+ * Get a session by ID
+ * @param {string} sessionId - Session ID
+ * @returns {object|null} - Session entry or null if not found
+ */
+export function getSession(sessionId) {
+    if (!sessionId) return null;
+    return sessions.get(sessionId) || null;
+}
+
+/**
+ * Record activity on a session (used for the admin view)
+ * @param {string} sessionId - Session ID
+ */
+export function touchSession(sessionId) {
+    const session = sessions.get(sessionId);
+    if (session) {
+        session.lastActivityAt = new Date().toISOString();
+        session.messageCount++;
+    }
+}
+
+/**
+ * Remove a session and run its cleanup callback
+ * @param {string} sessionId - Session ID
+ * @returns {boolean} - True if a session was removed
+ */
+export function removeSession(sessionId) {
+    const session = sessions.get(sessionId);
+    if (!session) return false;
+
+    sessions.delete(sessionId);
+    preferences.delete(sessionId);
+
+    // The client is gone, so nobody is waiting for its queries any more
+    const inFlight = inFlightRequests.get(sessionId);
+    if (inFlight?.size > 0) {
+        logger.info(`Cancelling ${inFlight.size} in-flight request(s) for session ${sessionId}`);
+        for (const controller of inFlight.values()) {
+            controller.abort('client disconnected');
+        }
+    }
+    inFlightRequests.delete(sessionId);
+    openStreams.delete(sessionId);
+
+    if (typeof session.cleanup === 'function') {
+        try {
+            session.cleanup();
+        } catch (err) {
+            logger.error(`Error cleaning up session ${sessionId}: ${err.message}`);
+        }
+    }
+
+    logger.info(`Session removed: ${sessionId} (${sessions.size} active)`);
+    return true;
+}
+
+/**
+ * Track an open server-to-client stream, which keeps its session from expiring while it is open
+ * @param {string} sessionId - Session ID
+ * @returns {function} - Call when the stream closes; it also records activity on the session
+ */
+export function trackStream(sessionId) {
+    openStreams.set(sessionId, (openStreams.get(sessionId) || 0) + 1);
+
+    let closed = false;
+    return () => {
+        if (closed) return;
+        closed = true;
+        const count = (openStreams.get(sessionId) || 1) - 1;
+        if (count > 0) openStreams.set(sessionId, count);
+        else openStreams.delete(sessionId);
+
+        const session = sessions.get(sessionId);
+        if (session) session.lastActivityAt = new Date().toISOString();
+    };
+}
+
+/**
+ * Remove sessions that have had no activity for longer than a limit, e.g. those of clients that
+ * crashed without ending their session. A session with a request running or a stream open is not idle.
+ * @param {number} idleMs - Idle time after which a session is removed
+ * @param {function} canExpire - Which sessions may expire
+ * @returns {Array<string>} - IDs of the removed sessions
+ */
+export function expireIdleSessions(idleMs, canExpire = () => true) {
+    const cutoff = Date.now() - idleMs;
+    const idle = getAllSessions().filter(session => canExpire(session)
+        && !inFlightRequests.get(session.sessionId)?.size
+        && !openStreams.get(session.sessionId)
+        && Date.parse(session.lastActivityAt) < cutoff);
+
+    for (const session of idle) {
+        logger.info(`Session ${session.sessionId} idle since ${session.lastActivityAt}; removing it`);
+        removeSession(session.sessionId);
+    }
+    return idle.map(session => session.sessionId);
+}
+
+/**
+ * Get all active session entries
+ * @returns {Array<object>} - Session entries
+ */
+export function getAllSessions() {
+    return Array.from(sessions.values());
+}
+
+/**
+ * Get the number of active sessions
+ * @returns {number} - Active session count
+ */
+export function getSessionCount() {
+    return sessions.size;
+}
+
+/**
+ * List sessions in a form that is safe to return from an HTTP endpoint
+ * @returns {Array<object>} - Session summaries without transports or streams
+ */
+export function listSessions() {
+    return getAllSessions().map(session => ({
+        sessionId: session.sessionId,
+        transport: session.transportType,
+        user: session.auth?.extra?.user || null,
+        remoteAddress: session.remoteAddress,
+        userAgent: session.userAgent,
+        connectedAt: session.connectedAt,
+        lastActivityAt: session.lastActivityAt,
+        messageCount: session.messageCount,
+        inFlightRequests: inFlightRequests.get(session.sessionId)?.size || 0,
+        preferences: getSessionPreferences(session.sessionId)
+    }));
+}
+
+/**
+ * Get the preferences of a session
+ * @param {string} sessionId - Session ID (omit for the local stdio session)
+ * @returns {object} - Copy of the preferences ({} if none are set)
+ */
+export function getSessionPreferences(sessionId = null) {
+    return { ...preferences.get(sessionId || LOCAL_SESSION_KEY) };
+}
+
+/**
+ * Merge preference updates into a session. Keys set to null or undefined are cleared.
+ * @param {string} sessionId - Session ID (omit for the local stdio session)
+ * @param {object} updates - Preferences to change
+ * @returns {object} - The session's preferences after the update
+ */
+export function setSessionPreferences(sessionId, updates) {
+    const key = sessionId || LOCAL_SESSION_KEY;
+    const current = { ...preferences.get(key), ...updates };
+    for (const [name, value] of Object.entries(current)) {
+        if (value === null || value === undefined) delete current[name];
+    }
+
+    preferences.set(key, current);
+    return { ...current };
+}
+
+/**
+ * Track an in-flight request so it can be cancelled by requestId or when its session ends
+ * @param {string} sessionId - Session ID (omit for the local stdio session)
+ * @param {string|number} requestId - JSON-RPC request ID
+ * @param {AbortController} controller - Controller that cancels the request
+ * @returns {function} - Call when the request finishes to stop tracking it
+ */
+export function trackRequest(sessionId, requestId, controller) {
+    const key = sessionId || LOCAL_SESSION_KEY;
+    if (!inFlightRequests.has(key)) inFlightRequests.set(key, new Map());
+    const inFlight = inFlightRequests.get(key);
+    inFlight.set(requestId, controller);
+
+    return () => {
+        if (inFlight.get(requestId) === controller) inFlight.delete(requestId);
+        if (inFlight.size === 0 && inFlightRequests.get(key) === inFlight) inFlightRequests.delete(key);
+    };
+}
+
+/**
+ * Cancel an in-flight request (MCP notifications/cancelled)
+ * @param {string} sessionId - Session ID (omit for the local stdio session)
+ * @param {string|number} requestId - JSON-RPC request ID to cancel
+ * @param {string} reason - Optional reason from the client
+ * @returns {boolean} - True if a matching request was found and cancelled
+ */
+export function cancelRequest(sessionId, requestId, reason) {
+    const controller = inFlightRequests.get(sessionId || LOCAL_SESSION_KEY)?.get(requestId);
+    if (!controller) return false;
+
+    logger.info(`Cancelling request ${requestId}${sessionId ? ` (session ${sessionId})` : ''}${reason ? `: ${reason}` : ''}`);
+    controller.abort(reason || 'cancelled by client');
+    return true;
+}
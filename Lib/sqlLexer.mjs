@@ -0,0 +1,652 @@
+// Lib/sqlLexer.mjs - T-SQL tokenizer, statement splitter and operation classifier
+
+/**
+ * Operation classes in order of privilege. A batch is classified by its most
+ * privileged statement.
+ */
+export const OPERATION_RANK = { read: 0, exec: 1, dml: 2, ddl: 3 };
+
+// Keywords that can begin a statement when T-SQL omits the semicolon
+const STATEMENT_KEYWORDS = new Set([
+    'SELECT', 'INSERT', 'UPDATE', 'DELETE', 'MERGE', 'TRUNCATE', 'BULK', 'UPDATETEXT', 'WRITETEXT',
+    'CREATE', 'ALTER', 'DROP', 'GRANT', 'REVOKE', 'DENY',
+    'EXEC', 'EXECUTE', 'WITH', 'DECLARE', 'SET', 'IF', 'ELSE', 'WHILE',
+    'BEGIN', 'END', 'RETURN', 'PRINT', 'USE', 'THROW', 'RAISERROR', 'WAITFOR',
+    'OPEN', 'CLOSE', 'FETCH', 'DEALLOCATE', 'COMMIT', 'ROLLBACK', 'SAVE',
+    'BREAK', 'CONTINUE', 'GOTO', 'DBCC', 'BACKUP', 'RESTORE', 'KILL',
+    'SHUTDOWN', 'RECONFIGURE', 'CHECKPOINT'
+]);
+
+// Keyword classes used to classify a statement
+const DML_KEYWORDS = new Set(['INSERT', 'UPDATE', 'DELETE', 'MERGE', 'TRUNCATE', 'UPDATETEXT', 'WRITETEXT']);
+const DDL_KEYWORDS = new Set([
+    'CREATE', 'ALTER', 'DROP', 'GRANT', 'REVOKE', 'DENY',
+    'DBCC', 'BACKUP', 'RESTORE', 'KILL', 'SHUTDOWN', 'RECONFIGURE'
+]);
+const EXEC_KEYWORDS = new Set(['EXEC', 'EXECUTE']);
+const REMOTE_EXEC_FUNCTIONS = new Set(['OPENROWSET', 'OPENQUERY', 'OPENDATASOURCE']);
+// Remote functions whose query text runs on the linked server, where it can't be classified
+const PASS_THROUGH_FUNCTIONS = new Set(['OPENROWSET', 'OPENQUERY']);
+const DYNAMIC_SQL_PROCEDURES = new Set(['SP_EXECUTESQL']);
+
+// A DML keyword after one of these is part of another construct (ON DELETE CASCADE,
+// FOR UPDATE, AFTER INSERT triggers, GRANT INSERT ...), not a statement of its own
+const NON_VERB_PREDECESSORS = new Set(['ON', 'FOR', 'AFTER', 'OF', 'INSTEAD']);
+
+// Permission statements name operations (GRANT INSERT, DENY EXECUTE) without running them
+const PERMISSION_VERBS = new Set(['GRANT', 'REVOKE', 'DENY']);
+
+// Object types whose CREATE/ALTER body runs to the end of the batch
+const MODULE_OBJECT_TYPES = new Set(['PROC', 'PROCEDURE', 'FUNCTION', 'TRIGGER', 'VIEW']);
+
+// Object types that start a new ALTER/DROP statement (rather than ALTER TABLE ... DROP COLUMN)
+const OBJECT_TYPE_KEYWORDS = new Set([
+    'TABLE', 'VIEW', 'PROC', 'PROCEDURE', 'FUNCTION', 'TRIGGER', 'INDEX', 'DATABASE',
+    'SCHEMA', 'USER', 'LOGIN', 'ROLE', 'SEQUENCE', 'TYPE', 'SYNONYM', 'STATISTICS'
+]);
+
+const WORD_START = /[\p{L}_#]/u;
+const WORD_PART = /[\p{L}\p{N}_@#$]/u;
+
+/**
+ * Split SQL text into tokens, skipping whitespace and comments.
+ * String literals, [bracketed] and "quoted" identifiers are single tokens, so
+ * keywords inside them are never mistaken for SQL.
+ * @param {string} sql - SQL text
+ * @returns {Array<object>} - Tokens with type, value, upper (for words), start and end
+ */
+export function tokenizeSql(sql) {
+    const tokens = [];
+    const text = String(sql || '');
+    const length = text.length;
+    let i = 0;
+    let lineHasToken = false;
+
+    const push = (type, start, end, extra = {}) => {
+        const value = text.slice(start, end);
+        tokens.push({
+            type,
+            value,
+            upper: type === 'word' ? value.toUpperCase() : undefined,
+            start,
+            end,
+            lineStart: !lineHasToken,
+            ...extra
+        });
+        lineHasToken = true;
+    };
+
+    while (i < length) {
+        const ch = text[i];
+        const next = text[i + 1];
+
+        // Whitespace
+        if (/\s/.test(ch)) {
+            if (ch === '\n') lineHasToken = false;
+            i++;
+            continue;
+        }
+
+        // Line comment
+        if (ch === '-' && next === '-') {
+            while (i < length && text[i] !== '\n') i++;
+            continue;
+        }
+
+        // Block comment (T-SQL block comments nest)
+        if (ch === '/' && next === '*') {
+            let depth = 0;
+            while (i < length) {
+                if (text[i] === '/' && text[i + 1] === '*') {
+                    depth++;
+                    i += 2;
+                } else if (text[i] === '*' && text[i + 1] === '/') {
+                    depth--;
+                    i += 2;
+                    if (depth === 0) break;
+                } else {
+                    if (text[i] === '\n') lineHasToken = false;
+                    i++;
+                }
+            }
+            continue;
+        }
+
+        // String literal, optionally N-prefixed; '' escapes a quote
+        if (ch === "'" || ((ch === 'N' || ch === 'n') && next === "'")) {
+            const start = i;
+            i += ch === "'" ? 1 : 2;
+            let closed = false;
+            while (i < length) {
+                if (text[i] === "'") {
+                    if (text[i + 1] === "'") {
+                        i += 2;
+                        continue;
+                    }
+                    i++;
+                    closed = true;
+                    break;
+                }
+                i++;
+            }
+            const quoteStart = text[start] === "'" ? start + 1 : start + 2;
+            push('string', start, i, {
+                unterminated: !closed,
+                text: text.slice(quoteStart, closed ? i - 1 : i).replace(/''/g, "'")
+            });
+            continue;
+        }
+
+        // Bracketed identifier; ]] escapes a bracket
+        if (ch === '[') {
+            const start = i;
+            i++;
+            while (i < length) {
+                if (text[i] === ']') {
+                    if (text[i + 1] === ']') {
+                        i += 2;
+                        continue;
+                    }
+                    i++;
+                    break;
+                }
+                i++;
+            }
+            push('identifier', start, i);
+            continue;
+        }
+
+        // Double-quoted identifier; "" escapes a quote
+        if (ch === '"') {
+            const start = i;
+            i++;
+            while (i < length) {
+                if (text[i] === '"') {
+                    if (text[i + 1] === '"') {
+                        i += 2;
+                        continue;
+                    }
+                    i++;
+                    break;
+                }
+                i++;
+            }
+            push('identifier', start, i);
+            continue;
+        }
+
+        // Variables (@name) and system functions (@@name)
+        if (ch === '@') {
+            const start = i;
+            i++;
+            while (i < length && WORD_PART.test(text[i])) i++;
+            push('variable', start, i);
+            continue;
+        }
+
+        // Numbers, including 0x binary literals
+        if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(next || ''))) {
+            const start = i;
+            if (ch === '0' && (next === 'x' || next === 'X')) {
+                i += 2;
+                while (i < length && /[0-9a-fA-F]/.test(text[i])) i++;
+            } else {
+                while (i < length && /[0-9.]/.test(text[i])) i++;
+                if ((text[i] === 'e' || text[i] === 'E') && /[-+0-9]/.test(text[i + 1] || '')) {
+                    i += 2;
+                    while (i < length && /[0-9]/.test(text[i])) i++;
+                }
+            }
+            push('number', start, i);
+            continue;
+        }
+
+        // Words: keywords, plain identifiers and #temp tables
+        if (WORD_START.test(ch)) {
+            const start = i;
+            i++;
+            while (i < length && WORD_PART.test(text[i])) i++;
+            push('word', start, i);
+            continue;
+        }
+
+        // Punctuation and operators
+        if (ch === ';' || ch === '(' || ch === ')' || ch === ',' || ch === '.') {
+            push('punctuation', i, i + 1);
+            i++;
+            continue;
+        }
+
+        const operator = text.slice(i, i + 2);
+        if (['<=', '>=', '<>', '!=', '!<', '!>', '+=', '-=', '*=', '/=', '%=', '&=', '|=', '^=', '::'].includes(operator)) {
+            push('operator', i, i + 2);
+            i += 2;
+            continue;
+        }
+
+        push('operator', i, i + 1);
+        i++;
+    }
+
+    return tokens;
+}
+
+/**
+ * Check whether a token is a keyword-position word (not a qualified name part like t.update)
+ * @param {Array<object>} tokens - Token list
+ * @param {number} index - Token index
+ * @returns {string|null} - Upper-case keyword or null
+ */
+function keywordAt(tokens, index) {
+    const token = tokens[index];
+    if (!token || token.type !== 'word') return null;
+    const previous = tokens[index - 1];
+    if (previous && previous.value === '.') return null;
+    return token.upper;
+}
+
+/**
+ * Get the name a word or quoted identifier stands for, whether or not it is part of a qualified name
+ * @param {Array<object>} tokens - Token list
+ * @param {number} index - Token index
+ * @returns {string|null} - Upper-case name without brackets or quotes, or null for other tokens
+ */
+function nameAt(tokens, index) {
+    const token = tokens[index];
+    if (token?.type === 'word') return token.upper;
+    if (token?.type !== 'identifier') return null;
+    const quote = token.value[0] === '[' ? ']' : '"';
+    return token.value.slice(1, -1).replaceAll(quote + quote, quote).toUpperCase();
+}
+
+/**
+ * Check whether a GO batch separator starts at this token (GO alone on its line, optionally with a count)
+ * @param {Array<object>} tokens - Token list
+ * @param {number} index - Token index
+ * @returns {number} - Number of tokens the separator uses, or 0 if it is not a separator
+ */
+function batchSeparatorLength(tokens, index) {
+    const token = tokens[index];
+    if (!token || token.upper !== 'GO' || !token.lineStart) return 0;
+
+    const following = tokens[index + 1];
+    if (!following || following.lineStart) return 1;
+    if (following.type === 'number' && (!tokens[index + 2] || tokens[index + 2].lineStart)) return 2;
+    return 0;
+}
+
+/**
+ * Check whether WITH at this position starts a common table expression: WITH name [(cols)] AS (
+ * @param {Array<object>} tokens - Token list
+ * @param {number} index - Index of the WITH token
+ * @returns {boolean} - True if this is a CTE
+ */
+function isCteStart(tokens, index) {
+    let i = index + 1;
+    if (keywordAt(tokens, i) === 'XMLNAMESPACES') return true;
+    if (!tokens[i] || (tokens[i].type !== 'word' && tokens[i].type !== 'identifier')) return false;
+    i++;
+
+    if (tokens[i]?.value === '(') {
+        let depth = 0;
+        for (; i < tokens.length; i++) {
+            if (tokens[i].value === '(') depth++;
+            if (tokens[i].value === ')' && --depth === 0) break;
+        }
+        i++;
+    }
+
+    return keywordAt(tokens, i) === 'AS' && tokens[i + 1]?.value === '(';
+}
+
+/**
+ * Decide whether a statement keyword continues the current statement instead of starting a new one
+ * @param {string} keyword - Upper-case keyword
+ * @param {object} state - Current statement state
+ * @param {Array<object>} tokens - Token list
+ * @param {number} index - Index of the keyword token
+ * @returns {boolean} - True if the keyword belongs to the current statement
+ */
+function continuesStatement(keyword, state, tokens, index) {
+    const previous = tokens[index - 1];
+    const previousKeyword = keywordAt(tokens, index - 1);
+    const nextKeyword = keywordAt(tokens, index + 1);
+
+    if (['UNION', 'ALL', 'EXCEPT', 'INTERSECT'].includes(previousKeyword) && keyword === 'SELECT') return true;
+    if (['ON', 'AFTER', 'FOR', 'OF', 'OR', 'GRANT', 'REVOKE', 'DENY', 'THEN', 'WITH', 'BULK', 'ROWS', 'ROW', 'INSTEAD', 'NOT'].includes(previousKeyword)) return true;
+    if (previous?.value === ',' && ['GRANT', 'REVOKE', 'DENY', 'CREATE'].includes(state.verb)) return true;
+
+    if (keyword === 'WITH') return !isCteStart(tokens, index);
+    if (keyword === 'MERGE' && nextKeyword === 'JOIN') return true;
+
+    switch (state.mainVerb) {
+        case 'WITH':
+            return ['SELECT', 'INSERT', 'UPDATE', 'DELETE', 'MERGE'].includes(keyword);
+        case 'INSERT':
+            return !state.hasSource && ['SELECT', 'EXEC', 'EXECUTE'].includes(keyword);
+        case 'MERGE':
+            return ['UPDATE', 'DELETE', 'INSERT', 'SET'].includes(keyword);
+        case 'UPDATE':
+            return keyword === 'SET' && !state.hasSet;
+        case 'ALTER':
+            if (keyword === 'SET') return true;
+            if (keyword === 'IF') return nextKeyword === 'EXISTS';
+            return ['ALTER', 'DROP'].includes(keyword) && !OBJECT_TYPE_KEYWORDS.has(nextKeyword);
+        case 'DROP':
+        case 'CREATE':
+            return keyword === 'IF' && nextKeyword === 'EXISTS';
+        default:
+            return false;
+    }
+}
+
+/**
+ * Split a T-SQL batch into statements. Statements end at semicolons, at GO lines,
+ * and where a new statement keyword begins (T-SQL does not require semicolons).
+ * The body of CREATE/ALTER PROCEDURE, FUNCTION, TRIGGER and VIEW runs to the end of the batch.
+ * @param {string} sql - SQL text
+ * @returns {Array<object>} - Statements with text, tokens and batch number
+ */
+export function splitSqlStatements(sql) {
+    const text = String(sql || '');
+    const tokens = tokenizeSql(text);
+    const statements = [];
+
+    let batch = 0;
+    let current = [];
+    let state = null;
+
+    const resetState = () => {
+        state = { verb: null, mainVerb: null, depth: 0, caseDepth: 0, hasSource: false, hasSet: false, module: false };
+    };
+
+    const flush = () => {
+        if (current.length > 0) {
+            statements.push({
+                text: text.slice(current[0].start, current[current.length - 1].end),
+                tokens: current,
+                batch
+            });
+        }
+        current = [];
+        resetState();
+    };
+
+    resetState();
+
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+
+        const separatorLength = batchSeparatorLength(tokens, i);
+        if (separatorLength > 0) {
+            flush();
+            batch++;
+            i += separatorLength - 1;
+            continue;
+        }
+
+        if (state.module) {
+            current.push(token);
+            continue;
+        }
+
+        if (token.value === ';' && state.depth === 0) {
+            flush();
+            continue;
+        }
+
+        const keyword = keywordAt(tokens, i);
+
+        if (keyword === 'CASE') {
+            state.caseDepth++;
+        } else if (keyword === 'END' && state.caseDepth > 0) {
+            state.caseDepth--;
+            current.push(token);
+            continue;
+        }
+
+        if (keyword && STATEMENT_KEYWORDS.has(keyword) && state.depth === 0 && state.caseDepth === 0 && current.length > 0) {
+            if (continuesStatement(keyword, state, tokens, i)) {
+                if (state.mainVerb === 'WITH' && ['SELECT', 'INSERT', 'UPDATE', 'DELETE', 'MERGE'].includes(keyword)) {
+                    state.mainVerb = keyword;
+                } else if (state.mainVerb === 'INSERT' && ['SELECT', 'EXEC', 'EXECUTE'].includes(keyword)) {
+                    state.hasSource = true;
+                } else if (state.mainVerb === 'UPDATE' && keyword === 'SET') {
+                    state.hasSet = true;
+                }
+            } else {
+                flush();
+            }
+        }
+
+        if (current.length === 0 && keyword) {
+            state.verb = keyword;
+            state.mainVerb = keyword;
+        }
+
+        current.push(token);
+
+        if (token.value === '(') state.depth++;
+        if (token.value === ')') state.depth = Math.max(0, state.depth - 1);
+
+        // CREATE [OR ALTER] PROCEDURE/FUNCTION/TRIGGER/VIEW: the rest of the batch is the module body
+        if ((state.verb === 'CREATE' || state.verb === 'ALTER') && MODULE_OBJECT_TYPES.has(keyword)) {
+            const words = current.filter(t => t.type === 'word').map(t => t.upper);
+            if (words.length <= 4 && words.indexOf(keyword) === words.length - 1) {
+                state.module = true;
+            }
+        }
+    }
+
+    flush();
+    return statements;
+}
+
+/**
+ * Classify the dynamic SQL passed to EXEC(...) or sp_executesql when it is made only of string literals
+ * @param {Array<object>} tokens - Statement tokens
+ * @param {number} index - Index of the first token of the SQL argument
+ * @returns {object|null} - Analysis of the literal SQL, or null if it is built at run time
+ */
+function analyzeLiteralDynamicSql(tokens, index) {
+    // sp_executesql @stmt = N'...'
+    if (tokens[index]?.type === 'variable' && tokens[index + 1]?.value === '=') {
+        index += 2;
+    }
+
+    let literal = '';
+    let expectString = true;
+
+    for (let i = index; i < tokens.length; i++) {
+        const token = tokens[i];
+        if (expectString && token.type === 'string') {
+            literal += token.text;
+            expectString = false;
+        } else if (!expectString && token.value === '+') {
+            expectString = true;
+        } else if (!expectString && (token.value === ')' || token.value === ',' || token.value === ';')) {
+            break;
+        } else {
+            return null;
+        }
+    }
+
+    return expectString ? null : analyzeSql(literal);
+}
+
+/**
+ * Classify a single statement
+ * @param {object} statement - Statement from splitSqlStatements
+ * @param {boolean} firstInBatch - Whether the statement opens its batch (where EXEC may be omitted)
+ * @returns {object} - Statement with operation, operations, verb and dynamicSql flags added
+ */
+function classifyStatement(statement, firstInBatch) {
+    const { tokens } = statement;
+    const operations = new Set();
+    const verb = keywordAt(tokens, 0);
+    let dynamicSql = false;
+    let unresolvedDynamicSql = false;
+    let depth = 0;
+    let selectSeen = false;
+    let module = false;
+
+    const include = (analysis) => {
+        analysis.operations.forEach(op => operations.add(op));
+        if (analysis.hasUnresolvedDynamicSql) unresolvedDynamicSql = true;
+    };
+
+    // The body of a procedure/function/trigger/view is not run by this batch
+    if ((verb === 'CREATE' || verb === 'ALTER')) {
+        const words = tokens.slice(0, 5).filter(t => t.type === 'word').map(t => t.upper);
+        module = words.some(word => MODULE_OBJECT_TYPES.has(word));
+    }
+
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+        if (token.value === '(') depth++;
+        if (token.value === ')') depth = Math.max(0, depth - 1);
+
+        // sp_executesql may be qualified or quoted (sys.sp_executesql, [master].[dbo].[sp_executesql]);
+        // only the last part of the name counts
+        if (DYNAMIC_SQL_PROCEDURES.has(nameAt(tokens, i)) && tokens[i + 1]?.value !== '.') {
+            operations.add('exec');
+            dynamicSql = true;
+            const literal = analyzeLiteralDynamicSql(tokens, i + 1);
+            if (literal) include(literal);
+            else unresolvedDynamicSql = true;
+            continue;
+        }
+
+        const keyword = keywordAt(tokens, i);
+        if (!keyword) continue;
+
+        const previousKeyword = keywordAt(tokens, i - 1);
+        const nextKeyword = keywordAt(tokens, i + 1);
+
+        if (module && i > 0) {
+            // Only the CREATE/ALTER itself counts; stop at the body
+            if (keyword === 'AS' || keyword === 'BEGIN' || keyword === 'RETURNS') break;
+        }
+
+        if (DDL_KEYWORDS.has(keyword)) {
+            operations.add('ddl');
+        } else if (PERMISSION_VERBS.has(verb)) {
+            continue;
+        } else if (DML_KEYWORDS.has(keyword)) {
+            const isJoinHint = keyword === 'MERGE' && (nextKeyword === 'JOIN' || nextKeyword === 'UNION');
+            if (!isJoinHint && !NON_VERB_PREDECESSORS.has(previousKeyword)) {
+                operations.add('dml');
+            }
+        } else if (EXEC_KEYWORDS.has(keyword)) {
+            if (['WITH', 'GRANT', 'REVOKE', 'DENY'].includes(previousKeyword)) continue;
+            operations.add('exec');
+
+            // EXEC ('...') and EXEC (@sql) run dynamic SQL
+            if (tokens[i + 1]?.value === '(') {
+                dynamicSql = true;
+                const literal = analyzeLiteralDynamicSql(tokens, i + 2);
+                if (literal) include(literal);
+                else unresolvedDynamicSql = true;
+            }
+        } else if (REMOTE_EXEC_FUNCTIONS.has(keyword)) {
+            operations.add('exec');
+            if (PASS_THROUGH_FUNCTIONS.has(keyword)) {
+                dynamicSql = true;
+                unresolvedDynamicSql = true;
+            }
+        } else if (keyword === 'SELECT' && depth === 0) {
+            selectSeen = true;
+        } else if (keyword === 'INTO' && selectSeen && depth === 0 && !['INSERT', 'MERGE'].includes(previousKeyword)) {
+            // SELECT ... INTO creates a new table
+            if (tokens[i + 1] && tokens[i + 1].type !== 'variable') {
+                operations.add('ddl');
+            }
+        }
+    }
+
+    // The first statement of a batch may call a procedure without EXEC
+    if (firstInBatch && tokens[0]?.type === 'word' && !STATEMENT_KEYWORDS.has(verb)) {
+        operations.add('exec');
+    }
+
+    if (operations.size === 0) operations.add('read');
+    if (operations.size > 1) operations.delete('read');
+
+    const sorted = [...operations].sort((a, b) => OPERATION_RANK[b] - OPERATION_RANK[a]);
+    return {
+        ...statement,
+        verb,
+        operation: sorted[0],
+        operations: sorted,
+        dynamicSql,
+        unresolvedDynamicSql
+    };
+}
+
+/**
+ * Split and classify a SQL batch
+ * @param {string} sql - SQL text
+ * @returns {object} - { statements, operation, operations, hasDynamicSql, hasUnresolvedDynamicSql, modifiesData }
+ */
+export function analyzeSql(sql) {
+    let previousBatch = -1;
+    const statements = splitSqlStatements(sql).map(statement => {
+        const firstInBatch = statement.batch !== previousBatch;
+        previousBatch = statement.batch;
+        return classifyStatement(statement, firstInBatch);
+    });
+
+    const operations = new Set(statements.flatMap(statement => statement.operations));
+    if (operations.size === 0) operations.add('read');
+    if (operations.size > 1) operations.delete('read');
+    const sorted = [...operations].sort((a, b) => OPERATION_RANK[b] - OPERATION_RANK[a]);
+
+    const hasUnresolvedDynamicSql = statements.some(statement => statement.unresolvedDynamicSql);
+
+    return {
+        statements,
+        operation: sorted[0],
+        operations: sorted,
+        hasDynamicSql: statements.some(statement => statement.dynamicSql),
+        hasUnresolvedDynamicSql,
+        // Dynamic SQL built at run time can't be inspected, so it is treated as data-modifying
+        modifiesData: sorted.includes('dml') || sorted.includes('ddl') || hasUnresolvedDynamicSql
+    };
+}
+
+/**
+ * Classify a SQL batch by its most privileged statement
+ * @param {string} sql - SQL text
+ * @returns {string} - 'read', 'exec', 'dml' or 'ddl'
+ */
+export function classifySqlOperation(sql) {
+    return analyzeSql(sql).operation;
+}
+
+/**
+ * Check whether a statement contains a keyword outside strings, comments and identifiers
+ * @param {object} statement - Statement from splitSqlStatements or analyzeSql
+ * @param {string} keyword - Keyword to look for
+ * @returns {boolean} - True if present
+ */
+export function statementHasKeyword(statement, keyword) {
+    const upper = keyword.toUpperCase();
+    return statement.tokens.some((token, index) => keywordAt(statement.tokens, index) === upper);
+}
+
+/**
+ * Check whether a statement limits its rows with TOP n or OFFSET/FETCH
+ * @param {object} statement - Statement from splitSqlStatements or analyzeSql
+ * @returns {boolean} - True if a row limit is present
+ */
+export function statementHasRowLimit(statement) {
+    const { tokens } = statement;
+    return tokens.some((token, index) => {
+        const keyword = keywordAt(tokens, index);
+        if (keyword === 'TOP') {
+            const next = tokens[index + 1];
+            return next && (next.type === 'number' || next.value === '(');
+        }
+        return keyword === 'FETCH' && ['NEXT', 'FIRST'].includes(keywordAt(tokens, index + 1));
+    });
+}
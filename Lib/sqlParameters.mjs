@@ -0,0 +1,195 @@
+// lib/sqlParameters.js - Typed query parameters ({ value, type, length, precision, scale })
+import sql from 'mssql';
+import { ValidationError } from './errors.mjs';
+
+// Parameter types by lower-case SQL Server name. "size" says which of length/precision/scale the type takes.
+const PARAMETER_TYPES = {
+    bit: { type: sql.Bit },
+    tinyint: { type: sql.TinyInt },
+    smallint: { type: sql.SmallInt },
+    int: { type: sql.Int },
+    bigint: { type: sql.BigInt },
+    decimal: { type: sql.Decimal, size: 'precision' },
+    numeric: { type: sql.Numeric, size: 'precision' },
+    money: { type: sql.Money },
+    smallmoney: { type: sql.SmallMoney },
+    float: { type: sql.Float },
+    real: { type: sql.Real },
+    char: { type: sql.Char, size: 'length', maxLength: 8000 },
+    varchar: { type: sql.VarChar, size: 'length', maxLength: 8000 },
+    nchar: { type: sql.NChar, size: 'length', maxLength: 4000 },
+    nvarchar: { type: sql.NVarChar, size: 'length', maxLength: 4000 },
+    text: { type: sql.Text },
+    ntext: { type: sql.NText },
+    xml: { type: sql.Xml },
+    uniqueidentifier: { type: sql.UniqueIdentifier },
+    date: { type: sql.Date, temporal: true },
+    time: { type: sql.Time, size: 'scale', temporal: true },
+    datetime: { type: sql.DateTime, temporal: true },
+    datetime2: { type: sql.DateTime2, size: 'scale', temporal: true },
+    datetimeoffset: { type: sql.DateTimeOffset, size: 'scale', temporal: true },
+    smalldatetime: { type: sql.SmallDateTime, temporal: true },
+    binary: { type: sql.Binary, size: 'length', maxLength: 8000, binary: true },
+    varbinary: { type: sql.VarBinary, size: 'length', maxLength: 8000, binary: true }
+};
+
+export const SQL_PARAMETER_TYPES = Object.keys(PARAMETER_TYPES);
+
+/**
+ * Check whether a parameter value is a typed parameter object rather than a plain value
+ * @param {*} parameter - Parameter value
+ * @returns {boolean} - True for { value, type, ... } objects
+ */
+export function isTypedParameter(parameter) {
+    return parameter !== null
+        && typeof parameter === 'object'
+        && !Array.isArray(parameter)
+        && !(parameter instanceof Date)
+        && !Buffer.isBuffer(parameter)
+        && typeof parameter.type === 'string'
+        && 'value' in parameter;
+}
+
+/**
+ * Convert a typed parameter's value into what the driver expects for its type.
+ * Date/time strings become Dates; binary strings are hex ("0x...") or base64.
+ * @param {string} name - Parameter name, for error messages
+ * @param {object} spec - Entry from PARAMETER_TYPES
+ * @param {string} typeName - Type name
+ * @param {*} value - Supplied value
+ * @returns {*} - Converted value
+ */
+function convertValue(name, spec, typeName, value) {
+    if (value === null || value === undefined) return null;
+
+    // time values like "13:45:00" aren't full dates, so they get a fixed date
+    if (spec.temporal && typeof value === 'string') {
+        const date = new Date(typeName === 'time' && /^\d{1,2}:\d{2}/.test(value) ? `1970-01-01T${value}Z` : value);
+        if (Number.isNaN(date.getTime())) {
+            throw new ValidationError(`Parameter ${name}: "${value}" is not a valid ${typeName}`);
+        }
+        return date;
+    }
+    if (spec.binary && typeof value === 'string') {
+        return /^0x/i.test(value) ? Buffer.from(value.slice(2), 'hex') : Buffer.from(value, 'base64');
+    }
+    return value;
+}
+
+/**
+ * Resolve a typed parameter into a driver type, value and T-SQL declaration
+ * @param {string} name - Parameter name
+ * @param {object} parameter - Typed parameter { value, type, length, precision, scale }
+ * @returns {{type: object, value: *, declaration: string}} - Driver type, converted value and type text
+ */
+export function resolveTypedParameter(name, parameter) {
+    const typeName = parameter.type.toLowerCase();
+    const spec = PARAMETER_TYPES[typeName];
+    if (!spec) {
+        throw new ValidationError(`Parameter ${name} has unknown type "${parameter.type}"; use one of ${SQL_PARAMETER_TYPES.join(', ')}`, {
+            parameter: name,
+            type: parameter.type
+        });
+    }
+
+    const value = convertValue(name, spec, typeName, parameter.value);
+
+    if (spec.size === 'length') {
+        const length = parameter.length ?? 'max';
+        const isMax = String(length).toLowerCase() === 'max';
+        if (!isMax && (!Number.isInteger(length) || length < 1 || length > spec.maxLength)) {
+            throw new ValidationError(`Parameter ${name}: length must be 1-${spec.maxLength} or "max"`);
+        }
+        if (isMax && (typeName === 'char' || typeName === 'nchar' || typeName === 'binary')) {
+            throw new ValidationError(`Parameter ${name}: ${typeName} needs a fixed length`);
+        }
+        return {
+            type: spec.type(isMax ? sql.MAX : length),
+            value,
+            declaration: `${typeName}(${isMax ? 'max' : length})`
+        };
+    }
+
+    if (spec.size === 'precision') {
+        const precision = parameter.precision ?? 18;
+        const scale = parameter.scale ?? 0;
+        if (!Number.isInteger(precision) || precision < 1 || precision > 38 || !Number.isInteger(scale) || scale < 0 || scale > precision) {
+            throw new ValidationError(`Parameter ${name}: precision must be 1-38 and scale 0-precision`);
+        }
+        return { type: spec.type(precision, scale), value, declaration: `${typeName}(${precision}, ${scale})` };
+    }
+
+    if (spec.size === 'scale') {
+        const scale = parameter.scale ?? 7;
+        if (!Number.isInteger(scale) || scale < 0 || scale > 7) {
+            throw new ValidationError(`Parameter ${name}: scale must be 0-7`);
+        }
+        return { type: spec.type(scale), value, declaration: `${typeName}(${scale})` };
+    }
+
+    return { type: spec.type(), value, declaration: typeName };
+}
+
+/**
+ * Check every typed parameter up front, for queries that run later (jobs, schedules)
+ * @param {object} parameters - Parameters by name
+ */
+export function validateParameters(parameters = {}) {
+    for (const [key, parameter] of Object.entries(parameters)) {
+        if (isTypedParameter(parameter)) resolveTypedParameter(key, parameter);
+    }
+}
+
+/**
+ * Bind one parameter to an mssql request. A plain input value lets the driver infer its type;
+ * typed parameter objects are bound with their declared type. Output parameters must be typed.
+ * @param {object} request - mssql Request
+ * @param {string} name - Parameter name
+ * @param {*} parameter - Plain value or typed parameter
+ * @param {object} options - Binding options
+ * @param {boolean} options.output - Bind as an OUTPUT parameter (its value, if any, is passed in)
+ */
+export function bindParameter(request, name, parameter, { output = false } = {}) {
+    if (isTypedParameter(parameter)) {
+        const { type, value } = resolveTypedParameter(name, parameter);
+        if (output) {
+            request.output(name, type, value);
+        } else {
+            request.input(name, type, value);
+        }
+        return;
+    }
+
+    if (output) {
+        throw new ValidationError(`Output parameter ${name} needs a type`);
+    }
+    request.input(name, parameter);
+}
+
+/**
+ * Add query parameters to an mssql request
+ * @param {object} request - mssql Request
+ * @param {object} parameters - Parameters by name (plain values or typed objects)
+ */
+export function addRequestParameters(request, parameters = {}) {
+    for (const [key, parameter] of Object.entries(parameters)) {
+        bindParameter(request, key, parameter);
+    }
+}
+
+/**
+ * Get the T-SQL type declaration of a parameter (used to describe a query without running it)
+ * @param {string} name - Parameter name
+ * @param {*} parameter - Plain value or typed parameter
+ * @returns {string} - Type declaration, e.g. "nvarchar(50)"
+ */
+export function getParameterDeclaration(name, parameter) {
+    if (isTypedParameter(parameter)) return resolveTypedParameter(name, parameter).declaration;
+
+    // Same types the driver infers for plain values
+    if (typeof parameter === 'boolean') return 'bit';
+    if (typeof parameter === 'number') return Number.isInteger(parameter) ? 'bigint' : 'float';
+    if (parameter instanceof Date) return 'datetime2';
+    if (Buffer.isBuffer(parameter)) return 'varbinary(max)';
+    return 'nvarchar(max)';
+}
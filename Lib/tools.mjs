@@ -8,6 +8,7 @@ import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
 import {
     executeQuery,
+    isDatabaseReadOnly,
     tableExists,
     sanitizeSqlIdentifier,
     formatSqlError,
@@ -17,7 +18,9 @@ import {
     getCurrentDatabaseId,
     executeQueryOnMultipleDatabases,
     checkDatabaseHealth,
-    getDbConfig
+    getDbConfig,
+    executeProcedure,
+    streamQuery
 } from './database.mjs';
 // Import new pagination utilities
 import {
@@ -28,7 +31,38 @@ import {
     extractDefaultCursorField
 } from './pagination.mjs';
 import { logger } from './logger.mjs';
-import { createJsonRpcError } from './errors.mjs';
+import { createJsonRpcError, AuthorizationError, McpError, JsonRpcErrorCodes } from './errors.mjs';
+import { assertAccessAllowed, isDatabaseVisible, filterVisibleDatabases } from './policy.mjs';
+import { analyzeSql, statementHasKeyword, statementHasRowLimit } from './sqlLexer.mjs';
+import { requestApproval, verifyApproval, startApproval, finishApproval, listApprovals, approveWrite, rejectWrite } from './approvals.mjs';
+import { writeAuditEntry, hashParameters, queryAudit, verifyAuditChain, isAuditReader } from './audit.mjs';
+import { getAuthIdentity } from './auth.mjs';
+import { getSessionPreferences, setSessionPreferences, trackRequest } from './sessions.mjs';
+import { createProgressReporter, sendLogMessage } from './notifications.mjs';
+import { SQL_PARAMETER_TYPES, validateParameters } from './sqlParameters.mjs';
+import { submitJob, getJob, getJobResult, cancelJob } from './jobs.mjs';
+import { describeProcedure, bindProcedureParameters, isProcedureDenied, procedureNeedsApproval } from './procedures.mjs';
+import {
+    listSchedules,
+    getScheduleHistory,
+    createSchedule,
+    setSchedulePaused,
+    ALERT_CHANNELS,
+    THRESHOLD_OPERATORS,
+    ALERT_SEVERITIES
+} from './scheduler.mjs';
+import {
+    saveQuery,
+    getSavedQuery,
+    listSavedQueries,
+    isSavedQueryVisible,
+    resolveSavedQueryParameters,
+    PARAMETER_TYPES
+} from './savedQueries.mjs';
+import { getColumnMetadata, formatColumnType } from './columnMetadata.mjs';
+import { getResultMaskPlan, getRecordsetMaskPlan, applyMaskPlan, maskQueryResult, getColumnMask, getMaskedResultColumns } from './masking.mjs';
+import { VALUE_FORMAT_MODES, getValueFormat, getValueFormatNotes, serializeRows, serializeQueryResult, formatValueText } from './valueSerializer.mjs';
+import { PARQUET_COMPRESSIONS, NDJSON_METADATA_SUFFIX, createExportWriter, readExportFile, formatBytes } from './exportWriter.mjs';
 
 // Get the directory name
 const __filename = fileURLToPath(import.meta.url);
@@ -39,12 +73,27 @@ dotenv.config({ path: path.join(__dirname, '../.env') });
 // Configuration
 const QUERY_RESULTS_PATH = process.env.QUERY_RESULTS_PATH || path.join(__dirname, '../query_results');
 const CACHE_DIR = path.join(QUERY_RESULTS_PATH, 'cache');
-const WRITE_APPROVAL_TTL_MS = parseInt(process.env.WRITE_APPROVAL_TTL_MS || '300000', 10);
 const SLOW_QUERY_MS = parseInt(process.env.SLOW_QUERY_MS || '2000', 10);
 const LOCAL_DATABASE_IDS = (process.env.LOCAL_DATABASE_IDS || 'local').split(',').map(s => s.trim()).filter(Boolean);
 const LOCAL_HOSTS = (process.env.LOCAL_HOSTS || 'localhost,127.0.0.1,::1').split(',').map(s => s.trim()).filter(Boolean);
 
-const writeApprovals = new Map();
+// Export formats and their file extensions. JSON and CSV can be written under either name;
+// the other formats need their own, and the self-compressing ones can't take .gz on top.
+const OUTPUT_EXTENSIONS = { json: '.json', csv: '.csv', ndjson: '.ndjson', xlsx: '.xlsx', parquet: '.parquet' };
+const NAMED_OUTPUT_FORMATS = ['ndjson', 'xlsx', 'parquet'];
+const SELF_COMPRESSED_FORMATS = ['xlsx', 'parquet'];
+
+// Saved results get_query_results can read, named <uuid><extension>
+const RESULT_FILE_EXTENSIONS = ['.json', '.ndjson', '.ndjson.gz', '.parquet'];
+
+/**
+ * Check whether a file in the results directory is a saved result (an NDJSON file's metadata is not)
+ * @param {string} file - File name
+ * @returns {boolean} - True for result files
+ */
+function isResultFile(file) {
+    return RESULT_FILE_EXTENSIONS.some(ext => file.endsWith(ext)) && !file.endsWith(NDJSON_METADATA_SUFFIX);
+}
 
 if (!fs.existsSync(CACHE_DIR)) {
     fs.mkdirSync(CACHE_DIR, { recursive: true });
@@ -53,7 +102,7 @@ if (!fs.existsSync(CACHE_DIR)) {
 function resolveOutputPath(outputFile, outputFormat) {
     if (!outputFile) return null;
 
-    const desiredExt = outputFormat === 'csv' ? '.csv' : '.json';
+    const desiredExt = OUTPUT_EXTENSIONS[outputFormat] || '.json';
     const denyList = ['/etc', '/bin', '/usr', '/System', '/Library', '/Applications']
         .map(dir => path.resolve(dir));
 
@@ -82,15 +131,25 @@ function resolveOutputPath(outputFile, outputFormat) {
 
     const ext = path.extname(resolved).toLowerCase();
     const baseExt = ext === '.gz' ? path.extname(resolved.slice(0, -3)).toLowerCase() : ext;
-    if (baseExt && baseExt !== '.json' && baseExt !== '.csv') {
-        return { error: `Output extension must be .json or .csv` };
+    const extensions = Object.values(OUTPUT_EXTENSIONS);
+    if (baseExt && !extensions.includes(baseExt)) {
+        return { error: `Output extension must be ${extensions.slice(0, -1).join(', ')} or ${extensions.at(-1)}` };
+    }
+
+    // The format the file name asks for
+    const format = Object.keys(OUTPUT_EXTENSIONS).find(key => OUTPUT_EXTENSIONS[key] === (baseExt || desiredExt));
+    if (ext === '.gz' && SELF_COMPRESSED_FORMATS.includes(format)) {
+        return { error: `${baseExt} files are already compressed; remove .gz` };
+    }
+    if (NAMED_OUTPUT_FORMATS.includes(outputFormat) && format !== outputFormat) {
+        return { error: `${outputFormat} output needs a ${desiredExt} file name` };
     }
 
     if (!baseExt) {
         resolved += desiredExt;
     }
 
-    return { path: resolved };
+    return { path: resolved, format };
 }
 
 function normalizeParameters(parameters) {
@@ -103,116 +162,534 @@ function normalizeParameters(parameters) {
     return JSON.stringify(normalized);
 }
 
-function normalizeSqlForApproval(sql) {
-    if (!sql || typeof sql !== 'string') return '';
-    return sql
-        .replace(/--.*$/gm, '')
-        .replace(/\/\*[\s\S]*?\*\//g, '')
-        .replace(/\s+/g, ' ')
-        .replace(/;+$/g, '')
-        .trim()
-        .toLowerCase();
+function extractApprovalToken(args) {
+    if (!args || typeof args !== 'object') return undefined;
+    return args.approvalToken || args.approval_token;
 }
 
-function getApprovalKey(sql, parameters, databaseId) {
-    const hash = crypto.createHash('sha256');
-    hash.update(normalizeSqlForApproval(sql));
-    hash.update('|');
-    hash.update(normalizeParameters(parameters));
-    hash.update('|');
-    hash.update(databaseId || getCurrentDatabaseId());
-    return hash.digest('hex');
+function isLocalDatabase(databaseId) {
+    const dbId = databaseId || getCurrentDatabaseId();
+    if (LOCAL_DATABASE_IDS.includes(dbId)) return true;
+
+    try {
+        const config = getDbConfig(true, dbId);
+        const host = (config?.server || '').toLowerCase();
+        return LOCAL_HOSTS.includes(host);
+    } catch {
+        return false;
+    }
 }
 
-function createApprovalToken(sql, parameters, databaseId) {
-    const token = crypto.randomUUID();
-    const key = getApprovalKey(sql, parameters, databaseId);
-    const expiresAt = Date.now() + WRITE_APPROVAL_TTL_MS;
-    writeApprovals.set(token, { key, expiresAt });
-    return { token, expiresAt };
+// Query parameters: plain values (the driver infers their type) or typed { value, type, length, precision, scale } objects
+const queryParametersSchema = z.record(z.any()).optional()
+    .describe(`Values by name, or { value, type, length, precision, scale } objects; type is one of ${SQL_PARAMETER_TYPES.join(', ')}`);
+
+// How values of SQL types without a lossless JSON form are written; omitted kinds use the session preference, then VALUE_FORMAT_*
+const valueFormatSchema = z.object({
+    numerics: z.enum(VALUE_FORMAT_MODES.numerics).optional(),
+    binary: z.enum(VALUE_FORMAT_MODES.binary).optional(),
+    dates: z.enum(VALUE_FORMAT_MODES.dates).optional(),
+    spatial: z.enum(VALUE_FORMAT_MODES.spatial).optional()
+}).optional()
+    .describe('numerics: string (decimal text with the column scale, rounded to 15 significant digits; bigint keeps every digit) or number; binary: base64 or hex; dates: iso or epoch; spatial: wkt or object');
+
+const parquetCompressionSchema = z.enum(Object.keys(PARQUET_COMPRESSIONS)).optional().default('snappy');
+
+/**
+ * Resolve the value format of a call: its own choices, then the session's, then the server defaults
+ * @param {object} requested - valueFormat argument of the call
+ * @param {object} extra - MCP request extra
+ * @returns {object} - Options for valueSerializer.mjs
+ */
+function resolveValueFormat(requested, extra) {
+    const preferences = getSessionPreferences(extra?.sessionId);
+    return getValueFormat({ ...preferences.valueFormat, ...requested });
 }
 
-function validateApprovalToken(token, sql, parameters, databaseId) {
-    if (!token) return false;
-    const requestedApproval = String(token).trim().toLowerCase();
-    const isHumanApprovalShortcut = ['approved', 'approve', 'yes', 'y', 'true'].includes(requestedApproval);
+// Tools that don't run against a database, or that filter their own output by the access policy
+const ACCESS_EXEMPT_TOOLS = [
+    'list_databases', 'current_database', 'cursor_guide', 'server_health', 'get_query_results',
+    'list_pending_approvals', 'approve_write', 'reject_write', 'query_audit', 'session_preferences',
+    'get_job_status', 'get_job_result', 'cancel_job', 'list_schedules', 'pause_schedule',
+    'list_saved_queries', 'run_saved_query'
+];
 
-    if (!writeApprovals.has(token)) {
-        if (!isHumanApprovalShortcut) return false;
+// Tool error codes that mean the server refused the call rather than failed running it
+const DENIED_ERROR_CODES = ['read_only_database', 'data_modification_not_allowed', 'missing_where', 'missing_row_limit', 'masked_cursor_field', 'procedure_denied'];
+const APPROVAL_ERROR_CODES = ['approval_required', 'approval_pending'];
 
-        // UX fallback: allow explicit human approval words to confirm the
-        // most recent matching pending approval request for this exact query.
-        const key = getApprovalKey(sql, parameters, databaseId);
-        for (const [pendingToken, entry] of writeApprovals.entries()) {
-            if (!entry) continue;
-            if (entry.expiresAt < Date.now()) {
-                writeApprovals.delete(pendingToken);
-                continue;
-            }
-            if (entry.key === key) {
-                writeApprovals.delete(pendingToken);
-                return true;
+/**
+ * Work out which database/operation pairs a tool call needs the caller to be allowed
+ * @param {string} name - Tool name (without prefix)
+ * @param {object} args - Tool arguments
+ * @param {object} extra - MCP request extra (sessionId picks the default database)
+ * @returns {Array<{databaseId: string, operation: string}>} - Required permissions
+ */
+function getToolAccessChecks(name, args = {}, extra) {
+    // Registering a connection changes server configuration, so it needs DDL rights on the new ID.
+    // A SQL batch needs every operation class its statements use; a stored procedure call is EXEC.
+    const operations = name === 'register_database'
+        ? ['ddl']
+        : name === 'execute_procedure'
+            ? ['exec']
+            : (typeof args.sql === 'string' ? analyzeSql(args.sql).operations : ['read']);
+    const databaseIds = Array.isArray(args.databaseIds)
+        ? args.databaseIds
+        : [args.databaseId || getCurrentDatabaseId(extra?.sessionId)];
+
+    return databaseIds.flatMap(databaseId => operations.map(operation => ({ databaseId, operation })));
+}
+
+/**
+ * Check an approval token for a statement that needs one, opening an approval request if it is
+ * missing, pending, rejected or spent. The statement then runs through runWithApproval.
+ * @param {object} query - Statement the approval is bound to
+ * @param {string} query.sql - SQL text
+ * @param {object} query.parameters - Query parameters
+ * @param {string} query.databaseId - Target database ID
+ * @param {string} query.operation - Operation class (dml, ddl or exec)
+ * @param {string} approvalToken - Token supplied by the caller, if any
+ * @param {object} extra - MCP request extra
+ * @param {string} requiredText - Explanation shown when a new approval is needed
+ * @returns {object|null} - Tool error response, or null when the token approves the statement
+ */
+function checkApproval({ sql, parameters, databaseId, operation }, approvalToken, extra, requiredText) {
+    const query = { sql, parameters, databaseId };
+    const check = approvalToken
+        ? verifyApproval(approvalToken, query, extra)
+        : { ok: false, status: 'missing', approval: null };
+
+    if (check.ok) {
+        logger.info(`Running ${operation.toUpperCase()} on database "${databaseId}" under approval ${check.approval.id}`);
+        return null;
+    }
+
+    // The approval is still good once the run using it ends, unless that run succeeds
+    if (check.status === 'running') {
+        return {
+            content: [{
+                type: "text",
+                text: `Approval ${approvalToken} is in use by a running query. Re-run with it if that query fails.`
+            }],
+            isError: true,
+            result: {
+                errorCode: "approval_in_use",
+                approvalToken,
+                approvalExpiresAt: check.approval.expiresAt
             }
-        }
-        return false;
+        };
     }
 
-    const entry = writeApprovals.get(token);
-    if (!entry || entry.expiresAt < Date.now()) {
-        writeApprovals.delete(token);
-        return false;
+    // A pending request keeps its token; anything else starts a new request
+    const approval = check.status === 'pending'
+        ? check.approval
+        : requestApproval({ ...query, operation }, extra);
+    logger.warn(`Write approval not granted for database "${databaseId}" (token status: ${check.status})`);
+
+    const statusText = check.status === 'rejected'
+        ? `Approval ${approvalToken} was rejected by ${check.approval.rejectedBy}${check.approval.reason ? `: ${check.approval.reason}` : ''}. A new request has been opened.`
+        : requiredText;
+    return {
+        content: [{
+            type: "text",
+            text: `${statusText}\nA human must approve it on the /approvals page or with approve_write (${approval.approvals.length}/${approval.requiredApprovals} approvals so far), then re-run with the same approvalToken.\napprovalToken: ${approval.id}\napprovalExpiresAt: ${approval.expiresAt}`
+        }],
+        isError: true,
+        result: {
+            errorCode: check.status === 'pending' ? "approval_pending" : "approval_required",
+            approvalToken: approval.id,
+            approvalExpiresAt: approval.expiresAt,
+            approvalStatus: approval.status,
+            previousTokenStatus: check.status,
+            approvals: approval.approvals.length,
+            requiredApprovals: approval.requiredApprovals
+        }
+    };
+}
+
+/**
+ * Run a statement under an approval checked by checkApproval. The approval is spent only if the
+ * statement succeeds; after a failure it can be used again until it expires.
+ * @param {string|null} approvalId - Approval token, or null when the statement needs none
+ * @param {Function} run - Runs the statement
+ * @returns {Promise<*>} - What run returns
+ */
+async function runWithApproval(approvalId, run) {
+    if (!approvalId) return run();
+
+    startApproval(approvalId);
+    let result;
+    try {
+        result = await run();
+    } catch (err) {
+        finishApproval(approvalId, err);
+        throw err;
     }
+    finishApproval(approvalId);
+    return result;
+}
 
-    const key = getApprovalKey(sql, parameters, databaseId);
-    if (entry.key !== key) return false;
+/**
+ * Build the error returned when a read-only tool is given data-modifying SQL, or a tool that only
+ * runs reads is given a procedure call
+ * @param {object} analysis - Result of analyzeSql
+ * @returns {object} - Tool error response
+ */
+function createDataModificationError(analysis) {
+    const offending = analysis.statements.find(statement =>
+        statement.operations.includes('dml') || statement.operations.includes('ddl') || statement.unresolvedDynamicSql)
+        || analysis.statements.find(statement => statement.operation !== 'read');
+    const reason = offending?.unresolvedDynamicSql
+        ? 'dynamic SQL that cannot be inspected'
+        : (offending?.operation === 'exec'
+            ? 'an EXEC statement, which may change data'
+            : `a ${offending?.operation.toUpperCase()} statement`);
+    const statementText = offending ? offending.text.substring(0, 100) : '';
+
+    return {
+        content: [{
+            type: "text",
+            text: `⚠️ Error: Data modification operations are not allowed for this tool. The query contains ${reason}: ${statementText}`
+        }],
+        isError: true,
+        result: {
+            errorCode: "data_modification_not_allowed",
+            operations: analysis.operations
+        }
+    };
+}
 
-    writeApprovals.delete(token);
-    return true;
+/**
+ * Build the error returned when a paging tool would page on a masked column
+ * @param {string} cursorField - Cursor field
+ * @returns {object} - Tool error response
+ */
+function createMaskedCursorError(cursorField) {
+    return {
+        content: [{
+            type: "text",
+            text: `⚠️ Error: Cursor field "${cursorField}" is masked by the column masking policy. Choose an unmasked cursorField.`
+        }],
+        isError: true,
+        result: {
+            errorCode: "masked_cursor_field",
+            cursorField
+        }
+    };
 }
 
-function extractApprovalToken(args) {
-    if (!args || typeof args !== 'object') return undefined;
-    return args.approvalToken || args.approval_token;
+/**
+ * Wrap a tool handler so the access policy is checked before it runs
+ * @param {string} name - Tool name (without prefix)
+ * @param {function} handler - Tool handler
+ * @returns {function} - Guarded handler
+ */
+function withAccessControl(name, handler) {
+    if (ACCESS_EXEMPT_TOOLS.includes(name)) return handler;
+
+    return async (args, extra) => {
+        try {
+            for (const { databaseId, operation } of getToolAccessChecks(name, args, extra)) {
+                assertAccessAllowed(extra, databaseId, operation);
+            }
+        } catch (err) {
+            if (!(err instanceof AuthorizationError)) throw err;
+            return {
+                content: [{
+                    type: "text",
+                    text: `⛔ ${err.message}`
+                }],
+                isError: true,
+                result: {
+                    error: err.toJsonRpcError()
+                }
+            };
+        }
+
+        return handler(args, extra);
+    };
 }
 
-function classifySqlOperation(sql) {
-    const normalized = sql.toLowerCase().replace(/--.*$/gm, '').replace(/\/\*[\s\S]*?\*\//g, '');
-    const writeOps = ['insert', 'update', 'delete', 'merge', 'truncate'];
-    const ddlOps = ['alter', 'drop', 'create'];
-    const execOps = ['exec', 'execute'];
+/**
+ * Describe every result set of an mssql result (already masked)
+ * @param {object} result - mssql result (a streamed result's rowCounts give the totals of its kept rows)
+ * @param {object} maskPlan - Mask plan the result was masked with
+ * @returns {Array<object>} - Result sets {index, rowCount, columns (SQL type metadata), maskedColumns, rows}
+ */
+function summarizeRecordsets(result, maskPlan) {
+    const recordsets = result.recordsets?.length > 0
+        ? result.recordsets
+        : (result.recordset ? [result.recordset] : []);
+    return recordsets.map((rows, index) => {
+        const columns = getColumnMetadata(rows);
+        return {
+            index,
+            rowCount: result.rowCounts?.[index] ?? rows.length,
+            columns,
+            maskedColumns: getMaskedResultColumns(getRecordsetMaskPlan(maskPlan, index), columns.map(column => column.name)),
+            rows
+        };
+    });
+}
 
-    for (const op of writeOps) {
-        if (new RegExp(`\\b${op}\\b`).test(normalized)) return 'dml';
-    }
-    for (const op of ddlOps) {
-        if (new RegExp(`\\b${op}\\b`).test(normalized)) return 'ddl';
+/**
+ * Render rows as a pipe-separated text table
+ * @param {Array<string>} columns - Column names
+ * @param {Array<object>} rows - Rows
+ * @param {number} maxRows - Most rows to show
+ * @param {number} totalRows - Rows in the result, when more were returned than kept
+ * @returns {string} - Table text, ending with a note when rows were left out
+ */
+function formatRowsTable(columns, rows, maxRows, totalRows = rows.length) {
+    let text = columns.join(' | ') + '\n';
+    text += columns.map(() => '---').join(' | ') + '\n';
+    const shown = rows.slice(0, maxRows);
+    for (const row of shown) {
+        text += columns.map(col => formatValueText(row[col]) ?? 'NULL').join(' | ') + '\n';
     }
-    for (const op of execOps) {
-        if (new RegExp(`\\b${op}\\b`).test(normalized)) return 'exec';
+    if (totalRows > shown.length) {
+        text += `\n... (showing first ${shown.length} of ${totalRows} rows)\n`;
     }
-    return 'read';
+    return text;
 }
 
-function isLocalDatabase(databaseId) {
-    const dbId = databaseId || getCurrentDatabaseId();
-    if (LOCAL_DATABASE_IDS.includes(dbId)) return true;
+/**
+ * Run a query in the driver's streaming mode and write its first result set to an export file as it
+ * arrives, in batches that are masked, then serialized. The request pauses while the file catches up.
+ * @param {string} sql - SQL text
+ * @param {object} parameters - Query parameters
+ * @param {string} databaseId - Database ID
+ * @param {object} options - Streaming options
+ * @param {object} options.writer - Export writer from exportWriter.mjs (optional: batches can just be handed to onBatch)
+ * @param {object} options.maskPlan - Mask plan for the query
+ * @param {object} options.valueFormat - Options for valueSerializer.mjs
+ * @param {number} options.batchSize - Rows per batch
+ * @param {number} options.keepRows - Raw rows of each result set to keep for the response
+ * @param {number} options.maxRows - Stop after this many rows
+ * @param {number} options.timeoutMs - Query timeout
+ * @param {AbortSignal} options.signal - Cancellation signal
+ * @param {function} options.onBatch - Called with (maskedRows, {batchCount, rowCount, columns}) before a batch is serialized
+ * @returns {Promise<object>} - A result shaped like executeQuery's: recordsets hold the kept rows and rowCounts the totals
+ */
+async function streamToExport(sql, parameters, databaseId, options) {
+    const { writer = null, maskPlan, valueFormat, batchSize = 1000, keepRows = 0, maxRows, timeoutMs, signal, onBatch } = options;
+
+    const recordsets = [];
+    let columns = [];
+    let batch = [];
+    let batchCount = 0;
+    let rowCount = 0;
+
+    const flush = () => {
+        if (batch.length === 0) return null;
+        const masked = applyMaskPlan(batch, maskPlan);
+        batch = [];
+        batchCount++;
+        rowCount += masked.length;
+        onBatch?.(masked, { batchCount, rowCount, columns });
+        return writer ? writer.writeRows(serializeRows(masked, columns, valueFormat)) : null;
+    };
 
-    try {
-        const config = getDbConfig(true, dbId);
-        const host = (config?.server || '').toLowerCase();
-        return LOCAL_HOSTS.includes(host);
-    } catch {
-        return false;
+    const streamed = await streamQuery(sql, parameters, databaseId, {
+        timeoutMs,
+        signal,
+        maxRows,
+        onRecordset: (recordsetColumns, index) => {
+            const rows = [];
+            rows.columns = recordsetColumns;
+            recordsets.push(rows);
+            if (index === 0) {
+                columns = getColumnMetadata(rows);
+                writer?.start(columns, getMaskedResultColumns(maskPlan, columns.map(column => column.name)).map(entry => entry.column));
+            }
+        },
+        onRow: (row, index) => {
+            if (recordsets[index].length < keepRows) recordsets[index].push(row);
+            if (index > 0) return null;
+            batch.push(row);
+            return batch.length >= batchSize ? flush() : null;
+        }
+    });
+    await flush();
+
+    return {
+        recordsets,
+        recordset: recordsets[0],
+        rowCounts: streamed.rowCounts,
+        rowsAffected: streamed.rowsAffected,
+        messages: streamed.messages,
+        executionTime: streamed.executionTime,
+        databaseId: streamed.databaseId,
+        truncated: streamed.truncated,
+        batchCount,
+        columns
+    };
+}
+
+/**
+ * Render the PRINT/RAISERROR messages of a batch
+ * @param {Array<object>} messages - Info messages collected by executeQuery
+ * @returns {string} - Text block, or an empty string when there are none
+ */
+function formatInfoMessages(messages = []) {
+    if (messages.length === 0) return '';
+    return `\n\nMessages:\n${messages.map(info => info.message).join('\n')}`;
+}
+
+/**
+ * Log a query that ran longer than SLOW_QUERY_MS and warn the calling client with a logging notification
+ * @param {object} server - MCP server instance
+ * @param {object} extra - MCP request extra
+ * @param {object} details - tool, databaseId, executionTime and requestId of the query
+ */
+function reportSlowQuery(server, extra, { tool, databaseId, executionTime, requestId }) {
+    if (!(executionTime > SLOW_QUERY_MS)) return;
+
+    logger.warn(`Slow query (${executionTime}ms) on ${databaseId} requestId=${requestId}`);
+    sendLogMessage(server, extra, 'warning', {
+        message: `Slow query: ${tool} took ${executionTime}ms on ${databaseId} (threshold ${SLOW_QUERY_MS}ms)`,
+        tool,
+        databaseId,
+        executionTimeMs: executionTime,
+        thresholdMs: SLOW_QUERY_MS,
+        requestId
+    });
+}
+
+/**
+ * Wrap a tool handler so a missing databaseId means the caller's session database
+ * rather than whichever database another client last switched to
+ * @param {object} schema - Tool schema
+ * @param {function} handler - Tool handler
+ * @returns {function} - Handler that always receives a databaseId
+ */
+function withSessionDatabase(schema, handler) {
+    if (!('databaseId' in schema)) return handler;
+
+    return async (args = {}, extra) => handler(
+        args.databaseId ? args : { ...args, databaseId: getCurrentDatabaseId(extra?.sessionId) },
+        extra
+    );
+}
+
+/**
+ * Wrap a tool handler so its queries can be cancelled. extra.signal aborts when the client sends
+ * notifications/cancelled for the call or its session disconnects.
+ * @param {function} handler - Tool handler
+ * @returns {function} - Cancellable handler
+ */
+function withCancellation(handler) {
+    return async (args, extra = {}) => {
+        const controller = new AbortController();
+        const onAbort = () => controller.abort(extra.signal.reason);
+        if (extra.signal?.aborted) {
+            onAbort();
+        } else {
+            extra.signal?.addEventListener('abort', onAbort, { once: true });
+        }
+
+        const untrack = trackRequest(extra.sessionId, extra.requestId ?? crypto.randomUUID(), controller);
+        try {
+            return await handler(args, { ...extra, signal: controller.signal });
+        } finally {
+            untrack();
+            extra.signal?.removeEventListener('abort', onAbort);
+        }
+    };
+}
+
+/**
+ * Work out the audit outcome of a tool response
+ * @param {object} response - Tool response
+ * @returns {string} - success, approval_required, denied, cancelled or error
+ */
+function getAuditOutcome(response) {
+    if (!response?.isError) return 'success';
+
+    const result = response.result || {};
+    if (result.errorCode === 'query_cancelled') return 'cancelled';
+    if (APPROVAL_ERROR_CODES.includes(result.errorCode)) return 'approval_required';
+    if (DENIED_ERROR_CODES.includes(result.errorCode) || result.error?.code === JsonRpcErrorCodes.AUTHORIZATION_ERROR) {
+        return 'denied';
     }
+    return 'error';
+}
+
+/**
+ * Get the row count a tool reports, whichever response shape it uses
+ * @param {object} response - Tool response
+ * @returns {number|null} - Row count, or null if the tool doesn't report one
+ */
+function getAuditRowCount(response) {
+    const count = response?.result?.rowCount
+        ?? response?.result?.summary?.totalRows
+        ?? response?.metadata?.streaming?.totalRows;
+    return typeof count === 'number' ? count : null;
+}
+
+/**
+ * Wrap a tool handler so every call is written to the audit log
+ * @param {string} name - Tool name (without prefix)
+ * @param {function} handler - Tool handler
+ * @returns {function} - Audited handler
+ */
+function withAudit(name, handler) {
+    return async (args = {}, extra) => {
+        const identity = getAuthIdentity(extra);
+        const startTime = Date.now();
+        const entry = {
+            tool: name,
+            user: identity.user,
+            authMethod: identity.authMethod,
+            sessionId: extra?.sessionId || null,
+            databaseId: Array.isArray(args.databaseIds) ? null : (args.databaseId || getCurrentDatabaseId(extra?.sessionId)),
+            databaseIds: Array.isArray(args.databaseIds) ? args.databaseIds : undefined,
+            sql: typeof args.sql === 'string'
+                ? args.sql
+                : (name === 'execute_procedure' && args.procedure ? `EXEC ${args.procedure}` : null),
+            parametersHash: hashParameters(args.parameters),
+            operation: name === 'register_database'
+                ? 'ddl'
+                : name === 'execute_procedure'
+                    ? 'exec'
+                    : (typeof args.sql === 'string' ? analyzeSql(args.sql).operation : 'read'),
+            approvalToken: extractApprovalToken(args) || null
+        };
+
+        try {
+            const response = await handler(args, extra);
+            writeAuditEntry({
+                ...entry,
+                // A write held for approval records the token it was issued
+                approvalToken: entry.approvalToken || response?.result?.approvalToken || null,
+                outcome: getAuditOutcome(response),
+                errorCode: response?.result?.errorCode || response?.result?.error?.code || null,
+                rowCount: getAuditRowCount(response),
+                durationMs: Date.now() - startTime
+            });
+            return response;
+        } catch (err) {
+            writeAuditEntry({
+                ...entry,
+                outcome: 'error',
+                error: err.message,
+                durationMs: Date.now() - startTime
+            });
+            throw err;
+        }
+    };
 }
 
-function getCacheKey(sql, parameters, databaseId) {
+function getCacheKey(sql, parameters, databaseId, valueFormat) {
     const hash = crypto.createHash('sha256');
     hash.update(sql);
     hash.update('|');
     hash.update(normalizeParameters(parameters));
     hash.update('|');
     hash.update(databaseId || getCurrentDatabaseId());
+    // Cached rows are already serialized, so each value format has its own entry
+    hash.update('|');
+    hash.update(JSON.stringify(valueFormat));
     return hash.digest('hex');
 }
 
@@ -257,8 +734,10 @@ function registerDatabaseTools(server) {
     }
 
     // Helper function to register tools with all name variants
-    const registerWithAllAliases = (name, schema, handler) => {
+    const registerWithAllAliases = (name, schema, toolHandler) => {
         try {
+            const handler = withCancellation(withSessionDatabase(schema, withAudit(name, withAccessControl(name, toolHandler))));
+
             // Register with mcp_ prefix
             server.tool(`mcp_${name}`, schema, handler);
 
@@ -284,6 +763,7 @@ function registerDatabaseTools(server) {
     registerExecuteQueryTool(server, registerWithAllAliases);
     registerTableDetailsTool(server, registerWithAllAliases);
     registerProcedureDetailsTool(server, registerWithAllAliases);
+    registerExecuteProcedureTool(server, registerWithAllAliases);
     registerFunctionDetailsTool(server, registerWithAllAliases);
     registerViewDetailsTool(server, registerWithAllAliases);
     registerIndexDetailsTool(server, registerWithAllAliases);
@@ -301,6 +781,21 @@ function registerDatabaseTools(server) {
     // Register health check tool
     registerHealthCheckTool(server, registerWithAllAliases);
 
+    // Register write-approval tools
+    registerApprovalTools(server, registerWithAllAliases);
+
+    // Register audit log search tool
+    registerAuditTool(server, registerWithAllAliases);
+
+    // Register background query job tools
+    registerJobTools(server, registerWithAllAliases);
+
+    // Register scheduled query tools
+    registerScheduleTools(server, registerWithAllAliases);
+
+    // Register saved-query library tools
+    registerSavedQueryTools(server, registerWithAllAliases);
+
     // Log registered tools for debugging
     logger.info(`Registered tools: ${Object.keys(server._tools).join(", ")}`);
 }
@@ -320,9 +815,10 @@ function registerDatabaseManagementTools(server, registerWithAllAliases) {
         password: z.string().min(1, "Password cannot be empty"),
         port: z.number().optional().default(1433),
         encrypt: z.boolean().optional().default(false),
-        trustServerCertificate: z.boolean().optional().default(true)
+        trustServerCertificate: z.boolean().optional().default(true),
+        readOnly: z.boolean().optional().default(false)
     }, async (args) => {
-        const { databaseId, server: serverName, database, user, password, port, encrypt, trustServerCertificate } = args;
+        const { databaseId, server: serverName, database, user, password, port, encrypt, trustServerCertificate, readOnly } = args;
 
         try {
             const config = {
@@ -331,6 +827,7 @@ function registerDatabaseManagementTools(server, registerWithAllAliases) {
                 server: serverName,
                 database,
                 port,
+                readOnly,
                 options: {
                     encrypt,
                     trustServerCertificate
@@ -374,17 +871,18 @@ function registerDatabaseManagementTools(server, registerWithAllAliases) {
     });
 
     // List registered databases
-    registerWithAllAliases("list_databases", {}, async (args) => {
+    registerWithAllAliases("list_databases", {}, async (args, extra) => {
         try {
-            const databases = getRegisteredDatabases();
-            const currentDb = getCurrentDatabaseId();
+            const databases = filterVisibleDatabases(extra, getRegisteredDatabases());
+            const currentDb = getCurrentDatabaseId(extra?.sessionId);
 
             let responseText = `🗄️ Registered Databases (${databases.length}):\n\n`;
 
             databases.forEach(db => {
                 const status = db.isConnected ? '🟢 Connected' : '🔴 Disconnected';
                 const current = db.id === currentDb ? ' (CURRENT)' : '';
-                responseText += `• ${db.id}${current}\n`;
+                const readOnly = db.readOnly ? ' [READ-ONLY]' : '';
+                responseText += `• ${db.id}${current}${readOnly}\n`;
                 responseText += `  Server: ${db.server}\n`;
                 responseText += `  Database: ${db.database}\n`;
                 responseText += `  User: ${db.user}\n`;
@@ -421,11 +919,12 @@ function registerDatabaseManagementTools(server, registerWithAllAliases) {
     // Switch database
     registerWithAllAliases("switch_database", {
         databaseId: z.string().min(1, "Database ID cannot be empty")
-    }, async (args) => {
+    }, async (args, extra) => {
         const { databaseId } = args;
 
         try {
-            const success = switchDatabase(databaseId);
+            // Only the caller's session moves; other clients keep their current database
+            const success = switchDatabase(databaseId, extra?.sessionId);
 
             if (success) {
                 return {
@@ -460,15 +959,19 @@ function registerDatabaseManagementTools(server, registerWithAllAliases) {
     });
 
     // Get current database
-    registerWithAllAliases("current_database", {}, async (args) => {
+    registerWithAllAliases("current_database", {}, async (args, extra) => {
         try {
-            const currentDb = getCurrentDatabaseId();
+            const currentDb = getCurrentDatabaseId(extra?.sessionId);
             const databases = getRegisteredDatabases();
-            const dbInfo = databases.find(db => db.id === currentDb);
+            // Connection details follow the access policy, like list_databases
+            const visible = isDatabaseVisible(extra, currentDb);
+            const dbInfo = visible ? databases.find(db => db.id === currentDb) : undefined;
 
             let responseText = `📍 Current Database: ${currentDb}\n\n`;
 
-            if (dbInfo) {
+            if (!visible) {
+                responseText += "You don't have access to this database. Use switch_database to pick one listed by list_databases.";
+            } else if (dbInfo) {
                 responseText += `Server: ${dbInfo.server}\n`;
                 responseText += `Database: ${dbInfo.database}\n`;
                 responseText += `User: ${dbInfo.user}\n`;
@@ -499,32 +1002,82 @@ function registerDatabaseManagementTools(server, registerWithAllAliases) {
         }
     });
 
-    // Execute query on multiple databases
-    registerWithAllAliases("execute_multi_query", {
-        sql: z.string().min(1, "SQL query cannot be empty"),
-        databaseIds: z.array(z.string()).min(1, "At least one database ID is required"),
-        parameters: z.record(z.any()).optional(),
-        maxRows: z.number().min(1).max(10000).optional().default(1000),
-        concurrency: z.number().min(1).max(20).optional(),
-        maxDatabases: z.number().min(1).max(100).optional(),
-        timeoutMs: z.number().min(1).max(600000).optional(),
-        requestId: z.string().optional()
-    }, async (args) => {
-        const { sql, databaseIds, parameters = {}, maxRows = 1000, concurrency, maxDatabases, timeoutMs, requestId } = args;
+    // Get or change the caller's session preferences
+    registerWithAllAliases("session_preferences", {
+        maxRows: z.number().min(1).max(10000).nullable().optional(),
+        outputFormat: z.enum(Object.keys(OUTPUT_EXTENSIONS)).nullable().optional(),
+        valueFormat: valueFormatSchema.nullable(),
+        reset: z.boolean().optional().default(false)
+    }, async (args, extra) => {
+        const { maxRows, outputFormat, valueFormat, reset = false } = args;
 
-        // Basic validation to prevent destructive operations
-        const lowerSql = sql.toLowerCase();
-        const prohibitedOperations = ['drop ', 'delete ', 'truncate ', 'update ', 'alter ', 'insert ', 'merge '];
+        try {
+            if (reset) {
+                // The current database is a preference too, but switch_database owns it
+                setSessionPreferences(extra?.sessionId, { maxRows: null, outputFormat: null, valueFormat: null });
+            }
+
+            // null clears a preference, undefined leaves it alone; valueFormat kinds merge into the current ones
+            const updates = {};
+            if (maxRows !== undefined) updates.maxRows = maxRows;
+            if (outputFormat !== undefined) updates.outputFormat = outputFormat;
+            if (valueFormat !== undefined) {
+                updates.valueFormat = valueFormat && { ...getSessionPreferences(extra?.sessionId).valueFormat, ...valueFormat };
+            }
+            const preferences = setSessionPreferences(extra?.sessionId, updates);
+            const currentDb = getCurrentDatabaseId(extra?.sessionId);
+            const effectiveValueFormat = resolveValueFormat({}, extra);
 
-        if (prohibitedOperations.some(op => lowerSql.includes(op))) {
+            let responseText = `⚙️ Session Preferences${extra?.sessionId ? ` (${extra.sessionId})` : ''}:\n\n`;
+            responseText += `• Current database: ${currentDb}\n`;
+            responseText += `• Default maxRows: ${preferences.maxRows ?? '1000 (server default)'}\n`;
+            responseText += `• Default outputFormat: ${preferences.outputFormat ?? 'json (server default)'}\n`;
+            responseText += `• Value format: ${Object.entries(effectiveValueFormat).map(([kind, mode]) => `${kind}=${mode}`).join(', ')}${preferences.valueFormat ? '' : ' (server default)'}`;
+
+            return {
+                content: [{
+                    type: "text",
+                    text: responseText
+                }],
+                result: {
+                    sessionId: extra?.sessionId || null,
+                    currentDatabase: currentDb,
+                    preferences,
+                    valueFormat: effectiveValueFormat
+                }
+            };
+        } catch (err) {
+            logger.error(`Failed to update session preferences: ${err.message}`);
             return {
                 content: [{
                     type: "text",
-                    text: "⚠️ Error: Data modification operations are not allowed for multi-database queries."
+                    text: `❌ Error updating session preferences: ${err.message}`
                 }],
                 isError: true
             };
         }
+    });
+
+    // Execute query on multiple databases
+    registerWithAllAliases("execute_multi_query", {
+        sql: z.string().min(1, "SQL query cannot be empty"),
+        databaseIds: z.array(z.string()).min(1, "At least one database ID is required"),
+        parameters: queryParametersSchema,
+        maxRows: z.number().min(1).max(10000).optional().default(1000),
+        concurrency: z.number().min(1).max(20).optional(),
+        maxDatabases: z.number().min(1).max(100).optional(),
+        timeoutMs: z.number().min(1).max(600000).optional(),
+        requestId: z.string().optional(),
+        valueFormat: valueFormatSchema,
+        outputFile: z.string().optional()
+    }, async (args, extra) => {
+        const { sql, databaseIds, parameters = {}, maxRows = 1000, concurrency, maxDatabases, timeoutMs, requestId, valueFormat, outputFile } = args;
+
+        // Multi-database queries are read-only
+        const analysis = analyzeSql(sql);
+        if (analysis.modifiesData) {
+            return createDataModificationError(analysis);
+        }
 
         try {
             if (maxDatabases && databaseIds.length > maxDatabases) {
@@ -537,16 +1090,72 @@ function registerDatabaseManagementTools(server, registerWithAllAliases) {
                 };
             }
 
+            // The export is an Excel workbook with a worksheet per database
+            let outputPath = null;
+            if (outputFile) {
+                const resolvedOutput = resolveOutputPath(outputFile, 'xlsx');
+                if (resolvedOutput?.error) {
+                    return {
+                        content: [{
+                            type: "text",
+                            text: `Error writing output file: ${resolvedOutput.error}`
+                        }],
+                        isError: true
+                    };
+                }
+                outputPath = resolvedOutput.path;
+            }
+
             const requestIdValue = requestId || crypto.randomUUID();
+            const format = resolveValueFormat(valueFormat, extra);
             logger.info(`Executing SQL on multiple databases: ${databaseIds.join(', ')}`);
             const startTime = Date.now();
+            const reportProgress = createProgressReporter(extra);
             const results = await executeQueryOnMultipleDatabases(sql, databaseIds, parameters, {
                 concurrency,
                 timeoutMs,
-                requestId: requestIdValue
+                requestId: requestIdValue,
+                signal: extra?.signal,
+                onProgress: ({ completed, failed, total, databaseId, success }) => reportProgress({
+                    progress: completed + failed,
+                    total,
+                    message: `${databaseId} ${success ? 'succeeded' : 'failed'} (${completed} succeeded, ${failed} failed of ${total})`
+                })
             });
             const totalTime = Date.now() - startTime;
 
+            // Cancelling stops the queries on every database, so there is no complete result to return
+            if (extra?.signal?.aborted) {
+                return {
+                    content: [{
+                        type: "text",
+                        text: `🛑 Multi-database query cancelled after ${totalTime}ms (${results.filter(result => result.success).length}/${databaseIds.length} databases had finished).`
+                    }],
+                    isError: true,
+                    result: {
+                        errorCode: "query_cancelled",
+                        retryable: false,
+                        databases: results.map(({ databaseId, success, cancelled }) => ({ databaseId, success, cancelled: !!cancelled })),
+                        requestId: requestIdValue
+                    }
+                };
+            }
+
+            // Each database has its own masking rules
+            for (const result of results.filter(entry => entry.success)) {
+                reportSlowQuery(server, extra, {
+                    tool: 'execute_multi_query',
+                    databaseId: result.databaseId,
+                    executionTime: result.result.executionTime,
+                    requestId: requestIdValue
+                });
+                const maskPlan = await getResultMaskPlan(sql, parameters, result.databaseId);
+                maskQueryResult(result.result, maskPlan);
+                serializeQueryResult(result.result, format);
+                result.columns = getColumnMetadata(result.result.recordset);
+                result.maskedColumns = getMaskedResultColumns(maskPlan, result.columns.map(column => column.name));
+            }
+
             let responseText = `🔍 Multi-Database Query Results (${results.length} databases)\n\n`;
             responseText += `Query: ${sql.length > 100 ? sql.substring(0, 100) + '...' : sql}\n`;
             responseText += `Total Execution Time: ${totalTime}ms\n\n`;
@@ -560,6 +1169,9 @@ function registerDatabaseManagementTools(server, registerWithAllAliases) {
                     const rows = result.result.recordset?.length || 0;
                     totalRows += rows;
                     responseText += `✅ ${result.databaseId} (${result.server}/${result.database}): ${rows} rows in ${result.result.executionTime}ms\n`;
+                    for (const note of getValueFormatNotes(result.columns)) {
+                        responseText += `   Note: ${note}\n`;
+                    }
                 } else {
                     responseText += `❌ ${result.databaseId} (${result.server}/${result.database}): ${result.error}\n`;
                 }
@@ -567,6 +1179,30 @@ function registerDatabaseManagementTools(server, registerWithAllAliases) {
 
             responseText += `\n📊 Summary: ${successCount}/${results.length} databases succeeded, ${totalRows} total rows returned`;
 
+            let exportInfo = null;
+            if (outputPath) {
+                const writer = createExportWriter(outputPath, { format: 'xlsx' });
+                try {
+                    for (const result of results.filter(entry => entry.success)) {
+                        writer.addSheet(result.databaseId, result.columns);
+                        await writer.writeRows(result.result.recordset || []);
+                    }
+                    exportInfo = await writer.finish();
+                    logger.info(`Multi-database results written to ${outputPath} (${exportInfo.rows} rows, ${formatBytes(exportInfo.bytes)})`);
+                } catch (writeError) {
+                    logger.error(`Error writing output file: ${writeError.message}`);
+                    writer.abort();
+                    return {
+                        content: [{
+                            type: "text",
+                            text: `Error writing output file: ${writeError.message}`
+                        }],
+                        isError: true
+                    };
+                }
+                responseText += `\n\n📄 Output written to: ${outputPath} (${exportInfo.sheets.length} worksheets, ${exportInfo.rows} rows, ${formatBytes(exportInfo.bytes)})`;
+            }
+
             return {
                 content: [{
                     type: "text",
@@ -579,6 +1215,8 @@ function registerDatabaseManagementTools(server, registerWithAllAliases) {
                         successfulDatabases: successCount,
                         totalRows,
                         totalExecutionTime: totalTime,
+                        outputPath,
+                        export: exportInfo,
                         requestId: requestIdValue
                     }
                 }
@@ -605,12 +1243,13 @@ function registerExecuteQueryTool(server, registerWithAllAliases) {
     const schema = {
         sql: z.string().min(1, "SQL query cannot be empty"),
         returnResults: z.boolean().optional().default(false),
-        maxRows: z.number().min(1).max(10000).optional().default(1000),
-        parameters: z.record(z.any()).optional(),
+        maxRows: z.number().min(1).max(10000).optional(),
+        parameters: queryParametersSchema,
         databaseId: z.string().optional(),
         outputFile: z.string().optional(),
-        outputFormat: z.enum(['json', 'csv']).optional().default('json'),
+        outputFormat: z.enum(Object.keys(OUTPUT_EXTENSIONS)).optional(),
         compressOutput: z.boolean().optional().default(false),
+        parquetCompression: parquetCompressionSchema,
         csvDelimiter: z.string().optional().default(','),
         csvIncludeHeaders: z.boolean().optional().default(true),
         csvQuoteChar: z.string().optional().default('"'),
@@ -622,6 +1261,7 @@ function registerExecuteQueryTool(server, registerWithAllAliases) {
         maxEstimatedRows: z.number().min(1).max(10000000).optional(),
         requireWhere: z.boolean().optional().default(false),
         requireTop: z.boolean().optional().default(false),
+        valueFormat: valueFormatSchema,
         // Pagination parameters
         pageSize: z.number().min(1).max(1000).optional(),
         cursor: z.string().optional(),
@@ -629,16 +1269,17 @@ function registerExecuteQueryTool(server, registerWithAllAliases) {
         includeCount: z.boolean().optional().default(false)
     };
 
-    const handler = async (args) => {
+    const handler = async (args, extra) => {
         const {
             sql,
             returnResults = false,
-            maxRows = 1000,
+            maxRows: requestedMaxRows,
             parameters = {},
             databaseId,
             outputFile,
-            outputFormat = 'json',
+            outputFormat: requestedOutputFormat,
             compressOutput = false,
+            parquetCompression = 'snappy',
             csvDelimiter = ',',
             csvIncludeHeaders = true,
             csvQuoteChar = '"',
@@ -650,40 +1291,57 @@ function registerExecuteQueryTool(server, registerWithAllAliases) {
             maxEstimatedRows,
             requireWhere = false,
             requireTop = false,
+            valueFormat,
             pageSize,
             cursor,
             cursorField,
             includeCount = false
         } = args;
 
+        // Session preferences fill in whatever the call leaves out
+        const preferences = getSessionPreferences(extra?.sessionId);
+        const maxRows = requestedMaxRows ?? preferences.maxRows ?? 1000;
+        const outputFormat = requestedOutputFormat ?? preferences.outputFormat ?? 'json';
+
         const effectiveApprovalToken = approvalToken || extractApprovalToken(args);
-        const effectiveDatabaseId = databaseId || getCurrentDatabaseId();
-        const operationType = classifySqlOperation(sql);
-        const isWrite = operationType === 'dml' || operationType === 'ddl';
+        const effectiveDatabaseId = databaseId || getCurrentDatabaseId(extra?.sessionId);
+        const analysis = analyzeSql(sql);
+        const operationType = analysis.operation;
+        const isWrite = analysis.modifiesData;
         const isLocal = isLocalDatabase(effectiveDatabaseId);
 
-        if (isWrite && !isLocal) {
-            if (!effectiveApprovalToken || !validateApprovalToken(effectiveApprovalToken, sql, parameters, effectiveDatabaseId)) {
-                logger.warn(`Write approval rejected for database "${effectiveDatabaseId}" (tokenProvided=${Boolean(effectiveApprovalToken)})`);
-                const approval = createApprovalToken(sql, parameters, effectiveDatabaseId);
-                return {
-                    content: [{
-                        type: "text",
-                        text: `Approval required for data-altering query on non-local database. Re-run with approvalToken to proceed.\napprovalToken: ${approval.token}\napprovalExpiresAt: ${new Date(approval.expiresAt).toISOString()}`
-                    }],
-                    isError: true,
-                    result: {
-                        errorCode: "approval_required",
-                        approvalToken: approval.token,
-                        approvalExpiresAt: new Date(approval.expiresAt).toISOString()
-                    }
-                };
+        // Read-only databases refuse writes outright; an approval token can't unlock them
+        if (!dryRun && isDatabaseReadOnly(effectiveDatabaseId) && (operationType !== 'read' || analysis.hasDynamicSql)) {
+            return {
+                content: [{
+                    type: "text",
+                    text: `⛔ Database "${effectiveDatabaseId}" is read-only: ${operationType.toUpperCase()} statements are not allowed.`
+                }],
+                isError: true,
+                result: {
+                    errorCode: "read_only_database",
+                    operationType
+                }
+            };
+        }
+
+        let approvalId = null;
+        if (isWrite && !isLocal && !dryRun) {
+            const approvalResponse = checkApproval(
+                { sql, parameters, databaseId: effectiveDatabaseId, operation: operationType },
+                effectiveApprovalToken,
+                extra,
+                `Approval required for ${operationType.toUpperCase()} on non-local database "${effectiveDatabaseId}".`
+            );
+            if (approvalResponse) {
+                return approvalResponse;
             }
+            approvalId = effectiveApprovalToken;
         }
 
         if (operationType === 'read') {
-            const normalized = sql.toLowerCase();
-            if (requireWhere && !/\bwhere\b/.test(normalized)) {
+            const selectStatements = analysis.statements.filter(statement => statementHasKeyword(statement, 'SELECT'));
+            if (requireWhere && !selectStatements.every(statement => statementHasKeyword(statement, 'WHERE'))) {
                 return {
                     content: [{
                         type: "text",
@@ -696,7 +1354,7 @@ function registerExecuteQueryTool(server, registerWithAllAliases) {
                 };
             }
 
-            if (requireTop && !/\btop\s+\d+\b/.test(normalized) && !/\bfetch\s+next\s+\d+\s+rows\b/.test(normalized)) {
+            if (requireTop && !selectStatements.every(statementHasRowLimit)) {
                 return {
                     content: [{
                         type: "text",
@@ -712,7 +1370,8 @@ function registerExecuteQueryTool(server, registerWithAllAliases) {
 
         try {
             const requestIdValue = requestId || crypto.randomUUID();
-            const cacheKey = getCacheKey(sql, parameters, effectiveDatabaseId);
+            const format = resolveValueFormat(valueFormat, extra);
+            const cacheKey = getCacheKey(sql, parameters, effectiveDatabaseId, format);
             const cached = readCache(cacheKey, cacheTtlSeconds);
             if (cached) {
                 return {
@@ -747,7 +1406,7 @@ function registerExecuteQueryTool(server, registerWithAllAliases) {
                     countSql = countSql.replace(/\s+FETCH\s+.+?$/i, ' ');
                     countSql = `SELECT COUNT(*) AS TotalCount FROM (${countSql}) AS CountQuery`;
 
-                    const countResult = await executeQuery(countSql, parameters, 3, effectiveDatabaseId, timeoutMs);
+                    const countResult = await executeQuery(countSql, parameters, 3, effectiveDatabaseId, timeoutMs, false, extra?.signal);
                     if (countResult.recordset?.length > 0) {
                         totalCount = countResult.recordset[0].TotalCount;
                         if (totalCount > maxEstimatedRows) {
@@ -770,124 +1429,154 @@ function registerExecuteQueryTool(server, registerWithAllAliases) {
                 }
             }
 
-            // Execute the query
+            // Exports are opened before the query runs, so rows can be streamed into them.
+            // A .ndjson, .xlsx or .parquet file name asks for that format whatever the default is.
+            let outputPath = null;
+            let exportFormat = outputFormat;
+            if (outputFile) {
+                const resolvedOutput = resolveOutputPath(outputFile, outputFormat);
+                if (resolvedOutput?.error) {
+                    return {
+                        content: [{
+                            type: "text",
+                            text: `Error writing output file: ${resolvedOutput.error}`
+                        }],
+                        isError: true
+                    };
+                }
+
+                outputPath = resolvedOutput.path;
+                if (NAMED_OUTPUT_FORMATS.includes(resolvedOutput.format)) exportFormat = resolvedOutput.format;
+                if (compressOutput && !SELF_COMPRESSED_FORMATS.includes(exportFormat) && !outputPath.endsWith('.gz')) {
+                    outputPath = `${outputPath}.gz`;
+                }
+            }
+
+            // Mask protected columns before rows reach the response, the cache or an export file,
+            // then serialize what's left so every output writes the same values
+            const maskPlan = dryRun ? null : await getResultMaskPlan(sql, parameters, effectiveDatabaseId);
+            const exportWriter = outputPath
+                ? createExportWriter(outputPath, {
+                    format: exportFormat,
+                    compress: compressOutput && !SELF_COMPRESSED_FORMATS.includes(exportFormat),
+                    csvDelimiter,
+                    csvIncludeHeaders,
+                    csvQuoteChar,
+                    sheetName: effectiveDatabaseId,
+                    parquetCompression
+                })
+                : null;
+
+            // Execute the query. An export streams the whole first result set to its file; the response
+            // then keeps only the rows it can show.
             logger.info(`Executing SQL: ${sql}`);
             const startTime = Date.now();
-            const result = await executeQuery(sql, parameters, 3, effectiveDatabaseId, timeoutMs, dryRun);
+            const reportProgress = createProgressReporter(extra);
+            let result;
+            try {
+                result = await runWithApproval(approvalId, () => exportWriter && !dryRun
+                    ? streamToExport(sql, parameters, effectiveDatabaseId, {
+                        writer: exportWriter,
+                        maskPlan,
+                        valueFormat: format,
+                        keepRows: maxRows,
+                        timeoutMs,
+                        signal: extra?.signal,
+                        onBatch: (rows, { rowCount }) => reportProgress({
+                            progress: rowCount,
+                            message: `${rowCount} rows exported (${formatBytes(exportWriter.bytes)})`
+                        })
+                    })
+                    : executeQuery(sql, parameters, 3, effectiveDatabaseId, timeoutMs, dryRun, extra?.signal));
+            } catch (err) {
+                exportWriter?.abort();
+                throw err;
+            }
             const executionTime = Date.now() - startTime;
-            const rowCount = result.recordset?.length || 0;
+            const rowCount = result.rowCounts?.[0] ?? (result.recordset?.length || 0);
+
+            maskQueryResult(result, maskPlan);
+            serializeQueryResult(result, format);
+            const recordsets = dryRun ? [] : summarizeRecordsets(result, maskPlan);
+            const maskedColumns = recordsets[0]?.maskedColumns || [];
+            const rowsAffected = result.rowsAffected || [];
             logger.info(`SQL executed successfully in ${executionTime}ms, returned ${rowCount} rows`);
-            if (executionTime > SLOW_QUERY_MS) {
-                logger.warn(`Slow query (${executionTime}ms) requestId=${requestIdValue}`);
-            }
+            reportSlowQuery(server, extra, {
+                tool: 'execute_query',
+                databaseId: effectiveDatabaseId,
+                executionTime,
+                requestId: requestIdValue
+            });
 
             // Format response for display
             let responseText = '';
 
             if (dryRun) {
                 responseText = `Dry run completed in ${executionTime}ms. Execution plan returned.`;
-            } else if (rowCount === 0) {
+            } else if (recordsets.length === 0) {
+                // DML and DDL return no result sets; report what they changed instead
+                const totalAffected = rowsAffected.reduce((total, count) => total + count, 0);
+                responseText = rowsAffected.length > 0
+                    ? `Query executed successfully in ${executionTime}ms and affected ${totalAffected} rows.`
+                    : `Query executed successfully in ${executionTime}ms.`;
+            } else if (recordsets.length === 1 && rowCount === 0) {
                 responseText = "Query executed successfully, but returned no rows.";
             } else {
-                // Basic result summary
-                responseText = `Query executed successfully in ${executionTime}ms and returned ${rowCount} rows.`;
-
-                responseText += '\n\n';
+                responseText = recordsets.length === 1
+                    ? `Query executed successfully in ${executionTime}ms and returned ${rowCount} rows.`
+                    : `Query executed successfully in ${executionTime}ms and returned ${recordsets.length} result sets.`;
+
+                for (const recordset of recordsets) {
+                    responseText += '\n\n';
+                    if (recordsets.length > 1) {
+                        responseText += `Result set ${recordset.index + 1} (${recordset.rowCount} rows)\n`;
+                    }
+                    if (recordset.columns.length === 0) continue;
 
-                // Add sample of column names
-                if (result.recordset && result.recordset.length > 0) {
-                    responseText += `Columns: ${Object.keys(result.recordset[0]).join(', ')}\n\n`;
+                    responseText += `Columns: ${recordset.columns.map(column => `${column.name} (${formatColumnType(column)})`).join(', ')}\n\n`;
+                    if (recordset.maskedColumns.length > 0) {
+                        responseText += `Masked columns: ${recordset.maskedColumns.map(entry => `${entry.column} (${entry.mask})`).join(', ')}\n\n`;
+                    }
+                    for (const note of getValueFormatNotes(recordset.columns)) {
+                        responseText += `Note: ${note}\n\n`;
+                    }
 
                     // If returnResults is true, include the actual data in the response
-                    if (returnResults) {
+                    if (returnResults && recordset.rowCount > 0) {
                         responseText += `Data:\n`;
-
-                        // Create a formatted table of results
-                        const columns = Object.keys(result.recordset[0]);
-                        const maxRowsToShow = Math.min(rowCount, maxRows);
-
-                        // Header row
-                        responseText += columns.join(' | ') + '\n';
-                        responseText += columns.map(() => '---').join(' | ') + '\n';
-
-                        // Data rows
-                        for (let i = 0; i < maxRowsToShow; i++) {
-                            const row = result.recordset[i];
-                            const rowValues = columns.map(col => {
-                                const value = row[col];
-                                return value === null ? 'NULL' : String(value);
-                            });
-                            responseText += rowValues.join(' | ') + '\n';
-                        }
-
-                        if (rowCount > maxRows) {
-                            responseText += `\n... (showing first ${maxRows} of ${rowCount} rows)\n`;
-                        }
+                        responseText += formatRowsTable(recordset.columns.map(column => column.name), recordset.rows, maxRows, recordset.rowCount);
                     }
                 }
+                responseText = responseText.trimEnd();
             }
 
-            let outputPath = null;
-            if (outputFile) {
-                const resolvedOutput = resolveOutputPath(outputFile, outputFormat);
-                if (resolvedOutput?.error) {
-                    return {
-                        content: [{
-                            type: "text",
-                            text: `Error writing output file: ${resolvedOutput.error}`
-                        }],
-                        isError: true
-                    };
-                }
+            if (!dryRun && rowsAffected.length > 1) {
+                responseText += `\n\nRow counts per statement: ${rowsAffected.join(', ')}`;
+            }
+            responseText += formatInfoMessages(result.messages);
 
-                outputPath = resolvedOutput.path;
-                if (compressOutput && !outputPath.endsWith('.gz')) {
-                    outputPath = `${outputPath}.gz`;
-                }
+            let exportInfo = null;
+            if (exportWriter) {
                 try {
-                    if (outputFormat === 'csv') {
-                        if (rowCount === 0) {
-                            const emptyBuffer = Buffer.from('');
-                            fs.writeFileSync(outputPath, compressOutput ? zlib.gzipSync(emptyBuffer) : emptyBuffer);
-                        } else {
-                            const columns = Object.keys(result.recordset[0]);
-                            const lines = [];
-                            if (csvIncludeHeaders) {
-                                lines.push(columns.join(csvDelimiter));
-                            }
-
-                            result.recordset.forEach(row => {
-                                const line = columns.map(col => {
-                                    const value = row[col];
-                                    if (value === null || value === undefined) return '';
-                                    if (typeof value === 'string') return `${csvQuoteChar}${value.replace(/"/g, '""')}${csvQuoteChar}`;
-                                    if (typeof value === 'object') return `${csvQuoteChar}${JSON.stringify(value).replace(/"/g, '""')}${csvQuoteChar}`;
-                                    return String(value);
-                                }).join(csvDelimiter);
-                                lines.push(line);
-                            });
-
-                            const csvBuffer = Buffer.from(lines.join('\n'));
-                            fs.writeFileSync(outputPath, compressOutput ? zlib.gzipSync(csvBuffer) : csvBuffer);
-                        }
-                    } else {
-                        const resultWithMetadata = {
-                            metadata: {
-                                timestamp: new Date().toISOString(),
-                                query: sql,
-                                parameters: Object.keys(parameters).length > 0 ? parameters : undefined,
-                                rowCount,
-                                executionTimeMs: executionTime
-                            },
-                            results: result.recordset || []
-                        };
-                        const jsonBuffer = Buffer.from(JSON.stringify(resultWithMetadata, null, 2));
-                        fs.writeFileSync(outputPath, compressOutput ? zlib.gzipSync(jsonBuffer) : jsonBuffer);
+                    // A dry run's plan isn't streamed, so it is written out here
+                    if (dryRun) {
+                        exportWriter.start(getColumnMetadata(result.recordset));
+                        exportWriter.writeRows(result.recordset || []);
                     }
-
-                    logger.info(`Query results written to ${outputPath}`);
+                    exportInfo = await exportWriter.finish({
+                        timestamp: new Date().toISOString(),
+                        databaseId: effectiveDatabaseId,
+                        query: sql,
+                        parameters: Object.keys(parameters).length > 0 ? parameters : undefined,
+                        rowCount,
+                        executionTimeMs: executionTime,
+                        columns: getColumnMetadata(result.recordset),
+                        valueFormat: format
+                    });
+                    logger.info(`Query results written to ${outputPath} (${exportInfo.rows} rows, ${formatBytes(exportInfo.bytes)})`);
                 } catch (writeError) {
                     logger.error(`Error writing output file: ${writeError.message}`);
+                    exportWriter.abort();
                     return {
                         content: [{
                             type: "text",
@@ -905,24 +1594,31 @@ function registerExecuteQueryTool(server, registerWithAllAliases) {
             const response = {
                 content: [{
                     type: "text",
-                    text: outputPath
-                        ? `${responseText}\n\n📄 Output written to: ${outputPath}`
+                    text: exportInfo
+                        ? `${responseText}\n\n📄 Output written to: ${outputPath} (${exportInfo.rows} rows, ${formatBytes(exportInfo.bytes)})`
                         : responseText
                 }],
                 result: {
                     rowCount: rowCount,
                     results: result.recordset || [],
+                    columns: getColumnMetadata(result.recordset),
+                    recordsets,
+                    rowsAffected,
+                    messages: result.messages || [],
                     metadata: {
                         uuid: uuid,
                         pagination: null,
                         totalCount: totalCount,
                         executionTimeMs: executionTime,
                         outputPath,
+                        export: exportInfo,
                         requestId: requestIdValue,
                         cacheHit: false,
                         dryRun,
                         operationType,
-                        isLocal
+                        isLocal,
+                        maskedColumns,
+                        valueFormat: format
                     }
                 }
             };
@@ -936,9 +1632,10 @@ function registerExecuteQueryTool(server, registerWithAllAliases) {
             logger.error(`SQL execution failed: ${err.message}`);
 
             const retryableCodes = ['ETIMEOUT', 'ECONNCLOSED', 'ECONNRESET', 'ESOCKET'];
-            const isTimeout = err.message && err.message.toLowerCase().includes('timeout');
-            const retryable = isTimeout || (err.code && retryableCodes.includes(err.code));
-            const errorCode = isTimeout ? 'query_timeout' : 'query_failed';
+            const isCancelled = err.code === 'ECANCEL';
+            const isTimeout = !isCancelled && err.message && err.message.toLowerCase().includes('timeout');
+            const retryable = !isCancelled && (isTimeout || (err.code && retryableCodes.includes(err.code)));
+            const errorCode = isCancelled ? 'query_cancelled' : (isTimeout ? 'query_timeout' : 'query_failed');
 
             return {
                 content: [{
@@ -1184,13 +1881,181 @@ function registerProcedureDetailsTool(server, registerWithAlias) {
     }
 }
 
+/**
+ * Register the execute_procedure tool: runs a stored procedure with request.execute() and
+ * returns every result set, the output parameters and the return code
+ * @param {object} server - MCP server instance
+ * @param {function} registerWithAllAliases - Helper to register with all name variants
+ */
+function registerExecuteProcedureTool(server, registerWithAllAliases) {
+    registerWithAllAliases("execute_procedure", {
+        procedure: z.string().min(1, "Procedure name cannot be empty").describe("Procedure name, e.g. dbo.usp_GetOrders"),
+        parameters: queryParametersSchema,
+        databaseId: z.string().optional(),
+        maxRows: z.number().min(1).max(10000).optional().default(100).describe("Rows shown per result set"),
+        timeoutMs: z.number().min(1).max(600000).optional(),
+        approvalToken: z.string().optional(),
+        requestId: z.string().optional(),
+        valueFormat: valueFormatSchema
+    }, async (args, extra) => {
+        const { procedure, maxRows = 100, timeoutMs, requestId, valueFormat } = args;
+        const effectiveDatabaseId = args.databaseId || getCurrentDatabaseId(extra?.sessionId);
+        const requestIdValue = requestId || crypto.randomUUID();
+
+        let description;
+        let bound;
+        try {
+            description = await describeProcedure(procedure, effectiveDatabaseId);
+            bound = bindProcedureParameters(description, args.parameters || {});
+        } catch (err) {
+            if (err instanceof McpError) {
+                return createApprovalErrorResponse(err);
+            }
+            logger.error(`Could not look up procedure ${procedure}: ${err.message}`);
+            return {
+                content: [{
+                    type: "text",
+                    text: `❌ Error looking up procedure ${procedure}: ${formatSqlError(err)}`
+                }],
+                isError: true,
+                result: {
+                    errorCode: "query_failed"
+                }
+            };
+        }
+
+        if (isProcedureDenied(description.qualifiedName)) {
+            return {
+                content: [{
+                    type: "text",
+                    text: `⛔ Procedure ${description.qualifiedName} may not be executed (PROCEDURE_DENY).`
+                }],
+                isError: true,
+                result: {
+                    errorCode: "procedure_denied",
+                    procedure: description.qualifiedName
+                }
+            };
+        }
+
+        // Procedures can write, so read-only databases refuse them like any other EXEC
+        if (isDatabaseReadOnly(effectiveDatabaseId)) {
+            return {
+                content: [{
+                    type: "text",
+                    text: `⛔ Database "${effectiveDatabaseId}" is read-only: EXEC statements are not allowed.`
+                }],
+                isError: true,
+                result: {
+                    errorCode: "read_only_database",
+                    operationType: "exec"
+                }
+            };
+        }
+
+        let approvalId = null;
+        if (procedureNeedsApproval(description.qualifiedName, isLocalDatabase(effectiveDatabaseId))) {
+            const approvalResponse = checkApproval(
+                { sql: bound.execSql, parameters: args.parameters || {}, databaseId: effectiveDatabaseId, operation: 'exec' },
+                extractApprovalToken(args),
+                extra,
+                `Approval required to execute ${description.qualifiedName} on database "${effectiveDatabaseId}".`
+            );
+            if (approvalResponse) {
+                return approvalResponse;
+            }
+            approvalId = extractApprovalToken(args);
+        }
+
+        try {
+            const result = await runWithApproval(approvalId, () =>
+                executeProcedure(description.quotedName, bound.bindings, effectiveDatabaseId, timeoutMs, extra?.signal));
+            reportSlowQuery(server, extra, {
+                tool: 'execute_procedure',
+                databaseId: effectiveDatabaseId,
+                executionTime: result.executionTime,
+                requestId: requestIdValue
+            });
+
+            const maskPlan = await getResultMaskPlan(bound.execSql, bound.parameters, effectiveDatabaseId);
+            maskQueryResult(result, maskPlan);
+            const format = resolveValueFormat(valueFormat, extra);
+            serializeQueryResult(result, format);
+
+            // Output parameters can't be traced to table columns, so they are masked like the untraced
+            // later result sets (and serialized by their JavaScript type)
+            const [output] = serializeRows(applyMaskPlan([result.output || {}], getRecordsetMaskPlan(maskPlan, 1)), [], format);
+            const recordsets = summarizeRecordsets(result, maskPlan)
+                .map(recordset => ({ ...recordset, rows: recordset.rows.slice(0, maxRows) }));
+
+            let responseText = `🧩 ${description.qualifiedName} on ${effectiveDatabaseId} finished in ${result.executionTime}ms\n`;
+            responseText += `Return code: ${result.returnValue ?? 'none'}\n`;
+            if (Object.keys(output).length > 0) {
+                responseText += `Output parameters: ${Object.entries(output).map(([name, value]) => `@${name} = ${formatValueText(value) ?? 'NULL'}`).join(', ')}\n`;
+            }
+            if (result.rowsAffected?.some(count => count > 0)) {
+                responseText += `Rows affected: ${result.rowsAffected.join(', ')}\n`;
+            }
+            responseText += `Result sets: ${recordsets.length}\n`;
+
+            for (const recordset of recordsets) {
+                responseText += `\nResult set ${recordset.index + 1} (${recordset.rowCount} rows)\n`;
+                if (recordset.rowCount > 0) {
+                    responseText += formatRowsTable(recordset.columns.map(column => column.name), result.recordsets[recordset.index], maxRows);
+                }
+            }
+            responseText = responseText.trimEnd() + formatInfoMessages(result.messages);
+
+            return {
+                content: [{
+                    type: "text",
+                    text: responseText
+                }],
+                result: {
+                    procedure: description.qualifiedName,
+                    databaseId: effectiveDatabaseId,
+                    returnValue: result.returnValue ?? null,
+                    output,
+                    recordsets,
+                    rowsAffected: result.rowsAffected || [],
+                    messages: result.messages || [],
+                    rowCount: recordsets.reduce((total, recordset) => total + recordset.rowCount, 0),
+                    executionTimeMs: result.executionTime,
+                    requestId: requestIdValue
+                }
+            };
+        } catch (err) {
+            if (err instanceof McpError) {
+                return createApprovalErrorResponse(err);
+            }
+            logger.error(`Procedure ${description.qualifiedName} failed: ${err.message}`);
+
+            const isCancelled = err.code === 'ECANCEL';
+            const isTimeout = !isCancelled && err.message && err.message.toLowerCase().includes('timeout');
+            return {
+                content: [{
+                    type: "text",
+                    text: `❌ Error executing ${description.qualifiedName}: ${formatSqlError(err)}`
+                }],
+                isError: true,
+                result: {
+                    errorCode: isCancelled ? 'query_cancelled' : (isTimeout ? 'query_timeout' : 'query_failed'),
+                    // Procedures may have side effects, so a failed call is never reported as safe to retry
+                    retryable: false,
+                    requestId: requestIdValue
+                }
+            };
+        }
+    });
+}
+
 /**
  * Register the function-details tool
  * @param {object} server - MCP server instance 
  * @param {function} registerWithAlias - Optional helper to register with aliases
  */
 function registerFunctionDetailsTool(server, registerWithAlias) {
-    const handler = async ({ functionName }) => {
+    const handler = async ({ functionName, databaseId }) => {
         try {
             // Sanitize function name
             const sanitizedFuncName = sanitizeSqlIdentifier(functionName);
@@ -1214,7 +2079,7 @@ function registerFunctionDetailsTool(server, registerWithAlias) {
                     WHERE 
                         ROUTINE_TYPE = 'FUNCTION' AND
                         ROUTINE_NAME = @functionName
-                `, { functionName: sanitizedFuncName });
+                `, { functionName: sanitizedFuncName }, 3, databaseId);
 
             if (result.recordset.length === 0) {
                 return {
@@ -1238,7 +2103,7 @@ function registerFunctionDetailsTool(server, registerWithAlias) {
                         SPECIFIC_NAME = @functionName
                     ORDER BY 
                         ORDINAL_POSITION
-                `, { functionName: sanitizedFuncName });
+                `, { functionName: sanitizedFuncName }, 3, databaseId);
 
             let markdown = `# Function: ${sanitizedFuncName}\n\n`;
 
@@ -1303,7 +2168,8 @@ function registerFunctionDetailsTool(server, registerWithAlias) {
     };
 
     const schema = {
-        functionName: z.string().min(1, "Function name cannot be empty")
+        functionName: z.string().min(1, "Function name cannot be empty"),
+        databaseId: z.string().optional()
     };
 
     if (registerWithAlias) {
@@ -1319,7 +2185,7 @@ function registerFunctionDetailsTool(server, registerWithAlias) {
  * @param {function} registerWithAlias - Optional helper to register with aliases
  */
 function registerViewDetailsTool(server, registerWithAlias) {
-    const handler = async ({ viewName }) => {
+    const handler = async ({ viewName, databaseId }) => {
         try {
             // Sanitize view name
             const sanitizedViewName = sanitizeSqlIdentifier(viewName);
@@ -1341,7 +2207,7 @@ function registerViewDetailsTool(server, registerWithAlias) {
                         INFORMATION_SCHEMA.VIEWS
                     WHERE 
                         TABLE_NAME = @viewName
-                `, { viewName: sanitizedViewName });
+                `, { viewName: sanitizedViewName }, 3, databaseId);
 
             if (result.recordset.length === 0) {
                 return {
@@ -1365,7 +2231,7 @@ function registerViewDetailsTool(server, registerWithAlias) {
                         TABLE_NAME = @viewName
                     ORDER BY 
                         ORDINAL_POSITION
-                `, { viewName: sanitizedViewName });
+                `, { viewName: sanitizedViewName }, 3, databaseId);
 
             let markdown = `# View: ${sanitizedViewName}\n\n`;
 
@@ -1418,7 +2284,8 @@ function registerViewDetailsTool(server, registerWithAlias) {
     };
 
     const schema = {
-        viewName: z.string().min(1, "View name cannot be empty")
+        viewName: z.string().min(1, "View name cannot be empty"),
+        databaseId: z.string().optional()
     };
 
     if (registerWithAlias) {
@@ -1434,7 +2301,7 @@ function registerViewDetailsTool(server, registerWithAlias) {
  * @param {function} registerWithAlias - Optional helper to register with aliases
  */
 function registerIndexDetailsTool(server, registerWithAlias) {
-    const handler = async ({ tableName, indexName }) => {
+    const handler = async ({ tableName, indexName, databaseId }) => {
         try {
             // Sanitize names
             const sanitizedTableName = sanitizeSqlIdentifier(tableName);
@@ -1476,7 +2343,7 @@ function registerIndexDetailsTool(server, registerWithAlias) {
                 `, {
                 tableName: sanitizedTableName,
                 indexName: sanitizedIndexName
-            });
+            }, 3, databaseId);
 
             if (result.recordset.length === 0) {
                 return {
@@ -1577,7 +2444,8 @@ function registerIndexDetailsTool(server, registerWithAlias) {
 
     const schema = {
         tableName: z.string().min(1, "Table name cannot be empty"),
-        indexName: z.string().min(1, "Index name cannot be empty")
+        indexName: z.string().min(1, "Index name cannot be empty"),
+        databaseId: z.string().optional()
     };
 
     if (registerWithAlias) {
@@ -1593,7 +2461,7 @@ function registerIndexDetailsTool(server, registerWithAlias) {
  * @param {function} registerWithAlias - Optional helper to register with aliases
  */
 function registerDiscoverTablesTool(server, registerWithAlias) {
-    const handler = async ({ namePattern = '%', limit = 100, includeRowCounts = false }) => {
+    const handler = async ({ namePattern = '%', limit = 100, includeRowCounts = false, databaseId }) => {
         try {
             // Sanitize name pattern - at least allow wildcards
             const sanitizedPattern = namePattern.replace(/[^a-zA-Z0-9_%]/g, '');
@@ -1618,7 +2486,7 @@ function registerDiscoverTablesTool(server, registerWithAlias) {
             // Add order
             query += ` ORDER BY TABLE_SCHEMA, TABLE_NAME`;
 
-            const result = await executeQuery(query, { namePattern: sanitizedPattern });
+            const result = await executeQuery(query, { namePattern: sanitizedPattern }, 3, databaseId);
 
             if (result.recordset.length === 0) {
                 return {
@@ -1659,7 +2527,7 @@ function registerDiscoverTablesTool(server, registerWithAlias) {
                             `, {
                             schemaName: table.TABLE_SCHEMA,
                             tableName: table.TABLE_NAME
-                        });
+                        }, 3, databaseId);
 
                         tableWithRowCounts.push({
                             ...table,
@@ -1752,7 +2620,8 @@ function registerDiscoverTablesTool(server, registerWithAlias) {
     const schema = {
         namePattern: z.string().optional().default('%'),
         limit: z.number().min(1).max(1000).optional().default(100),
-        includeRowCounts: z.boolean().optional().default(false)
+        includeRowCounts: z.boolean().optional().default(false),
+        databaseId: z.string().optional()
     };
 
     if (registerWithAlias) {
@@ -1768,7 +2637,7 @@ function registerDiscoverTablesTool(server, registerWithAlias) {
  * @param {function} registerWithAlias - Optional helper to register with aliases
  */
 function registerDiscoverDatabaseTool(server, registerWithAlias) {
-    const handler = async ({ type = 'all', limit = 100 }) => {
+    const handler = async ({ type = 'all', limit = 100, databaseId }) => {
         try {
             let markdown = `# SQL Server Database Discovery\n\n`;
 
@@ -1789,7 +2658,7 @@ function registerDiscoverDatabaseTool(server, registerWithAlias) {
                             TABLE_SCHEMA, TABLE_NAME
                     `;
 
-                tablesResult = await executeQuery(tablesQuery);
+                tablesResult = await executeQuery(tablesQuery, {}, 3, databaseId);
 
                 markdown += `## Tables (${tablesResult.recordset.length})\n\n`;
 
@@ -1823,7 +2692,7 @@ function registerDiscoverDatabaseTool(server, registerWithAlias) {
                             TABLE_SCHEMA, TABLE_NAME
                     `;
 
-                viewsResult = await executeQuery(viewsQuery);
+                viewsResult = await executeQuery(viewsQuery, {}, 3, databaseId);
 
                 markdown += `## Views (${viewsResult.recordset.length})\n\n`;
 
@@ -1861,7 +2730,7 @@ function registerDiscoverDatabaseTool(server, registerWithAlias) {
                             ROUTINE_SCHEMA, ROUTINE_NAME
                     `;
 
-                procsResult = await executeQuery(procsQuery);
+                procsResult = await executeQuery(procsQuery, {}, 3, databaseId);
 
                 markdown += `## Stored Procedures (${procsResult.recordset.length})\n\n`;
 
@@ -1899,7 +2768,7 @@ function registerDiscoverDatabaseTool(server, registerWithAlias) {
                             ROUTINE_SCHEMA, ROUTINE_NAME
                     `;
 
-                funcsResult = await executeQuery(funcsQuery);
+                funcsResult = await executeQuery(funcsQuery, {}, 3, databaseId);
 
                 markdown += `## Functions (${funcsResult.recordset.length})\n\n`;
 
@@ -1974,7 +2843,8 @@ function registerDiscoverDatabaseTool(server, registerWithAlias) {
 
     const schema = {
         type: z.enum(['tables', 'views', 'procedures', 'functions', 'all']).default('all'),
-        limit: z.number().min(1).max(1000).optional().default(100)
+        limit: z.number().min(1).max(1000).optional().default(100),
+        databaseId: z.string().optional()
     };
 
     if (registerWithAlias) {
@@ -1990,7 +2860,7 @@ function registerDiscoverDatabaseTool(server, registerWithAlias) {
  * @param {function} registerWithAlias - Optional helper to register with aliases
  */
 function registerGetQueryResultsTool(server, registerWithAlias) {
-    const handler = async ({ uuid, limit = 10 }) => {
+    const handler = async ({ uuid, limit = 10, valueFormat }, extra) => {
         try {
             // If directory doesn't exist, return empty list
             if (!fs.existsSync(QUERY_RESULTS_PATH)) {
@@ -2004,9 +2874,11 @@ function registerGetQueryResultsTool(server, registerWithAlias) {
 
             // If UUID is provided, return that specific result
             if (uuid) {
-                const filepath = path.join(QUERY_RESULTS_PATH, `${uuid}.json`);
+                const filepath = RESULT_FILE_EXTENSIONS
+                    .map(ext => path.join(QUERY_RESULTS_PATH, `${uuid}${ext}`))
+                    .find(file => fs.existsSync(file));
 
-                if (!fs.existsSync(filepath)) {
+                if (!filepath) {
                     return {
                         content: [{
                             type: "text",
@@ -2017,19 +2889,45 @@ function registerGetQueryResultsTool(server, registerWithAlias) {
                 }
 
                 try {
-                    // Read the specific result file
-                    const data = JSON.parse(fs.readFileSync(filepath, 'utf8'));
+                    // Read the specific result file; NDJSON and Parquet files are only read as far as the preview
+                    const saved = await readExportFile(filepath, limit);
+                    const data = { metadata: saved.metadata, results: saved.rows };
+                    const totalRows = saved.format === 'json' ? data.results.length : saved.rowCount;
+
+                    if (data.metadata.databaseId && !isDatabaseVisible(extra, data.metadata.databaseId)) {
+                        return {
+                            content: [{
+                                type: "text",
+                                text: `⛔ Access denied: query result ${uuid} belongs to database "${data.metadata.databaseId}"`
+                            }],
+                            isError: true
+                        };
+                    }
 
                     // Format the response
                     let markdown = `# Query Result: ${uuid}\n\n`;
                     markdown += `**Executed**: ${data.metadata.timestamp}\n\n`;
                     markdown += `**Query**: \`\`\`sql\n${data.metadata.query}\n\`\`\`\n\n`;
-                    markdown += `**Row Count**: ${data.metadata.rowCount}\n\n`;
+                    markdown += `**Row Count**: ${data.metadata.rowCount ?? totalRows ?? 'unknown'}\n\n`;
+                    markdown += `**Format**: ${saved.format} (${path.basename(filepath)})\n\n`;
 
                     if (data.metadata.executionTimeMs) {
                         markdown += `**Execution Time**: ${data.metadata.executionTimeMs}ms\n\n`;
                     }
 
+                    // Results saved before column metadata was recorded only have their row keys
+                    const columns = data.metadata.columns || getColumnMetadata(data.results);
+                    if (columns.length > 0) {
+                        markdown += `**Columns**: ${columns.map(column => `${column.name} (${formatColumnType(column)})`).join(', ')}\n\n`;
+                        for (const note of getValueFormatNotes(columns)) {
+                            markdown += `**Note**: ${note}\n\n`;
+                        }
+                    }
+
+                    // Values are stored serialized; this converts what older files kept raw (numbers, Buffer objects, spatial objects)
+                    const format = resolveValueFormat(valueFormat, extra);
+                    data.results = serializeRows(data.results || [], columns, format);
+
                     if (data.results && data.results.length > 0) {
                         markdown += `## Results Preview\n\n`;
 
@@ -2043,16 +2941,11 @@ function registerGetQueryResultsTool(server, registerWithAlias) {
 
                         // Table rows
                         previewRows.forEach(row => {
-                            markdown += '| ' + Object.values(row).map(v => {
-                                if (v === null) return 'NULL';
-                                if (v === undefined) return '';
-                                if (typeof v === 'object') return JSON.stringify(v);
-                                return String(v);
-                            }).join(' | ') + ' |\n';
+                            markdown += '| ' + Object.values(row).map(v => formatValueText(v) ?? 'NULL').join(' | ') + ' |\n';
                         });
 
-                        if (data.results.length > previewRowCount) {
-                            markdown += `\n_Showing first ${previewRowCount} of ${data.results.length} rows_\n`;
+                        if (totalRows === null || totalRows > previewRowCount) {
+                            markdown += `\n_Showing first ${previewRowCount}${totalRows === null ? '' : ` of ${totalRows}`} rows_\n`;
                         }
                     }
 
@@ -2062,13 +2955,16 @@ function registerGetQueryResultsTool(server, registerWithAlias) {
                             text: markdown
                         }],
                         result: {
-                            rowCount: data.metadata.rowCount,
+                            rowCount: data.metadata.rowCount ?? totalRows,
                             results: data.results || [],
+                            columns,
                             metadata: {
                                 uuid: data.metadata.uuid,
+                                format: saved.format,
                                 pagination: null,
                                 totalCount: data.metadata.totalCount,
-                                executionTimeMs: data.metadata.executionTimeMs
+                                executionTimeMs: data.metadata.executionTimeMs,
+                                valueFormat: data.metadata.valueFormat || format
                             }
                         }
                     };
@@ -2086,27 +2982,31 @@ function registerGetQueryResultsTool(server, registerWithAlias) {
             } else {
                 // List recent results
                 try {
-                    // Get all JSON files in the directory
-                    const files = fs.readdirSync(QUERY_RESULTS_PATH)
-                        .filter(file => file.endsWith('.json'))
-                        .map(file => {
+                    // Get all saved results in the directory; Parquet and NDJSON files only have their metadata read
+                    const entries = await Promise.all(fs.readdirSync(QUERY_RESULTS_PATH)
+                        .filter(isResultFile)
+                        .map(async file => {
+                            const fileId = file.slice(0, file.indexOf('.'));
                             try {
-                                const filepath = path.join(QUERY_RESULTS_PATH, file);
-                                const data = JSON.parse(fs.readFileSync(filepath, 'utf8'));
+                                const { format, metadata, rowCount } = await readExportFile(path.join(QUERY_RESULTS_PATH, file), 0);
                                 return {
-                                    uuid: data.metadata.uuid,
-                                    timestamp: data.metadata.timestamp,
-                                    query: data.metadata.query,
-                                    rowCount: data.metadata.rowCount,
-                                    executionTimeMs: data.metadata.executionTimeMs
+                                    uuid: metadata.uuid || fileId,
+                                    format,
+                                    databaseId: metadata.databaseId,
+                                    timestamp: metadata.timestamp,
+                                    query: metadata.query,
+                                    rowCount: metadata.rowCount ?? rowCount,
+                                    executionTimeMs: metadata.executionTimeMs
                                 };
                             } catch (err) {
                                 return {
-                                    uuid: file.replace('.json', ''),
+                                    uuid: fileId,
                                     error: 'Could not read file metadata'
                                 };
                             }
-                        })
+                        }));
+                    const files = entries
+                        .filter(result => !result.databaseId || isDatabaseVisible(extra, result.databaseId))
                         // Sort by timestamp (most recent first)
                         .sort((a, b) => {
                             if (!a.timestamp) return 1;
@@ -2122,15 +3022,15 @@ function registerGetQueryResultsTool(server, registerWithAlias) {
                     if (files.length === 0) {
                         markdown += 'No saved query results found.\n';
                     } else {
-                        markdown += '| UUID | Timestamp | Query | Row Count |\n';
-                        markdown += '|------|-----------|-------|----------|\n';
+                        markdown += '| UUID | Format | Timestamp | Query | Row Count |\n';
+                        markdown += '|------|--------|-----------|-------|----------|\n';
 
                         files.forEach(result => {
                             const queryPreview = result.query ?
                                 (result.query.length > 50 ? result.query.substring(0, 50) + '...' : result.query) :
                                 'N/A';
 
-                            markdown += `| ${result.uuid} | ${result.timestamp || 'N/A'} | \`${queryPreview}\` | ${result.rowCount || 'N/A'} |\n`;
+                            markdown += `| ${result.uuid} | ${result.format || 'N/A'} | ${result.timestamp || 'N/A'} | \`${queryPreview}\` | ${result.rowCount ?? 'N/A'} |\n`;
                         });
 
                         markdown += `\n## Viewing Specific Results\n\n`;
@@ -2148,6 +3048,7 @@ function registerGetQueryResultsTool(server, registerWithAlias) {
                         result: {
                             recentResults: files.map(result => ({
                                 uuid: result.uuid,
+                                format: result.format,
                                 timestamp: result.timestamp,
                                 query: result.query,
                                 rowCount: result.rowCount,
@@ -2182,7 +3083,8 @@ function registerGetQueryResultsTool(server, registerWithAlias) {
 
     const schema = {
         uuid: z.string().uuid("Invalid UUID format").optional(),
-        limit: z.number().min(1).max(100).optional().default(10)
+        limit: z.number().min(1).max(100).optional().default(10),
+        valueFormat: valueFormatSchema
     };
 
     if (registerWithAlias) {
@@ -2200,10 +3102,12 @@ function registerGetQueryResultsTool(server, registerWithAlias) {
 function registerDiscoverTool(server, registerWithAllAliases) {
     // Define schema with optional random_string parameter (for compatibility)
     const schema = {
-        random_string: z.string().optional()
+        random_string: z.string().optional(),
+        databaseId: z.string().optional()
     };
 
     const handler = async (args) => {
+        const { databaseId } = args;
         try {
             // Get tables (limited to 100)
             const tablesResult = await executeQuery(`
@@ -2215,7 +3119,7 @@ function registerDiscoverTool(server, registerWithAllAliases) {
                         INFORMATION_SCHEMA.TABLES
                 ORDER BY 
                     TABLE_SCHEMA, TABLE_NAME
-            `);
+            `, {}, 3, databaseId);
 
             // Get stored procedures (limited to 100)
             const procsResult = await executeQuery(`
@@ -2229,7 +3133,7 @@ function registerDiscoverTool(server, registerWithAllAliases) {
                     ROUTINE_TYPE = 'PROCEDURE'
                     ORDER BY
                     ROUTINE_SCHEMA, ROUTINE_NAME
-            `);
+            `, {}, 3, databaseId);
 
             // Get functions (limited to 100)
             const funcsResult = await executeQuery(`
@@ -2243,7 +3147,7 @@ function registerDiscoverTool(server, registerWithAllAliases) {
                     ROUTINE_TYPE = 'FUNCTION'
                 ORDER BY 
                     ROUTINE_SCHEMA, ROUTINE_NAME
-            `);
+            `, {}, 3, databaseId);
 
             // Get views (actually included in tables with TABLE_TYPE = 'VIEW')
             const viewsResult = await executeQuery(`
@@ -2254,7 +3158,7 @@ function registerDiscoverTool(server, registerWithAllAliases) {
                     INFORMATION_SCHEMA.VIEWS
                 ORDER BY 
                     TABLE_SCHEMA, TABLE_NAME
-            `);
+            `, {}, 3, databaseId);
 
             // Format the output as markdown
             let markdown = `# Database Overview\n\n`;
@@ -2459,6 +3363,7 @@ const prevPage = await tool.call("mcp_paginated_query", {
 function registerPaginatedQueryTool(server, registerWithAlias) {
     const handler = async ({
         sql,
+        databaseId,
         cursorField,
         pageSize = 50,
         cursor,
@@ -2470,25 +3375,19 @@ function registerPaginatedQueryTool(server, registerWithAlias) {
         cacheTtlSeconds,
         requestId,
         maxEstimatedRows,
-        compressOutput = false
-    }) => {
-        // Basic validation to prevent destructive operations
-        const lowerSql = sql.toLowerCase();
-        const prohibitedOperations = ['drop ', 'delete ', 'truncate ', 'update ', 'alter '];
-
-        if (prohibitedOperations.some(op => lowerSql.includes(op))) {
-            return {
-                content: [{
-                    type: "text",
-                    text: "⚠️ Error: Data modification operations (DROP, DELETE, UPDATE, TRUNCATE, ALTER) are not allowed for safety reasons."
-                }],
-                isError: true
-            };
+        compressOutput = false,
+        valueFormat
+    }, extra) => {
+        // Paginated queries are read-only
+        const analysis = analyzeSql(sql);
+        if (analysis.modifiesData) {
+            return createDataModificationError(analysis);
         }
 
         try {
             const requestIdValue = requestId || crypto.randomUUID();
-            const cacheKey = getCacheKey(sql, parameters, getCurrentDatabaseId());
+            const format = resolveValueFormat(valueFormat, extra);
+            const cacheKey = getCacheKey(sql, parameters, databaseId, format);
             const cached = readCache(cacheKey, cacheTtlSeconds);
             if (cached) {
                 return {
@@ -2528,7 +3427,7 @@ function registerPaginatedQueryTool(server, registerWithAlias) {
                     logger.info(`Executing count query: ${countSql}`);
 
                     // Execute count query
-                    const countResult = await executeQuery(countSql, parameters, 3, null, timeoutMs);
+                    const countResult = await executeQuery(countSql, parameters, 3, databaseId, timeoutMs, false, extra?.signal);
 
                     if (countResult.recordset && countResult.recordset.length > 0) {
                         totalCount = countResult.recordset[0].TotalCount;
@@ -2561,6 +3460,12 @@ function registerPaginatedQueryTool(server, registerWithAlias) {
 
             logger.info(`Using cursor field: ${effectiveCursorField}`);
 
+            // Cursors carry the cursor field's value, so a masked column can't be used to page
+            const maskPlan = await getResultMaskPlan(sql, parameters, databaseId);
+            if (getColumnMask(maskPlan, effectiveCursorField)) {
+                return createMaskedCursorError(effectiveCursorField);
+            }
+
             // Apply pagination transformation
             const { paginatedSql, parameters: paginatedParams } =
                 paginateQuery(sql, {
@@ -2574,8 +3479,14 @@ function registerPaginatedQueryTool(server, registerWithAlias) {
             logger.info(`Paginated SQL: ${paginatedSql}`);
 
             // Execute the paginated query
-            const result = await executeQuery(paginatedSql, paginatedParams, 3, null, timeoutMs);
+            const result = await executeQuery(paginatedSql, paginatedParams, 3, databaseId, timeoutMs, false, extra?.signal);
             const rowCount = result.recordset?.length || 0;
+            reportSlowQuery(server, extra, {
+                tool: 'paginated_query',
+                databaseId,
+                executionTime: result.executionTime,
+                requestId: requestIdValue
+            });
 
             // Generate cursors for navigation
             let nextCursor = null;
@@ -2594,6 +3505,11 @@ function registerPaginatedQueryTool(server, registerWithAlias) {
                     : null;
             }
 
+            // Mask protected columns once the cursors have been taken from the raw rows
+            maskQueryResult(result, maskPlan);
+            serializeQueryResult(result, format);
+            const columns = getColumnMetadata(result.recordset);
+
             // Generate UUID for the output file
             const uuid = crypto.randomUUID();
             const filename = `${uuid}.json`;
@@ -2622,11 +3538,15 @@ function registerPaginatedQueryTool(server, registerWithAlias) {
                         metadata: {
                             uuid,
                             timestamp: new Date().toISOString(),
+                            databaseId,
                             query: sql,
                             parameters: Object.keys(parameters).length > 0 ? parameters : undefined,
                             rowCount,
                             executionTimeMs: result.executionTime || 0,
-                            pagination: paginationMeta
+                            pagination: paginationMeta,
+                            columns,
+                            valueFormat: format,
+                            valueNotes: getValueFormatNotes(columns)
                         },
                         results: result.recordset || []
                     };
@@ -2672,12 +3592,7 @@ function registerPaginatedQueryTool(server, registerWithAlias) {
 
                 // Table rows
                 previewRows.forEach(row => {
-                    markdown += '| ' + Object.values(row).map(v => {
-                        if (v === null) return 'NULL';
-                        if (v === undefined) return '';
-                        if (typeof v === 'object') return JSON.stringify(v);
-                        return String(v);
-                    }).join(' | ') + ' |\n';
+                    markdown += '| ' + Object.values(row).map(v => formatValueText(v) ?? 'NULL').join(' | ') + ' |\n';
                 });
 
                 if (result.recordset.length > 10) {
@@ -2751,13 +3666,15 @@ function registerPaginatedQueryTool(server, registerWithAlias) {
                 result: {
                     rowCount: rowCount,
                     results: result.recordset || [],
+                    columns,
                     metadata: {
                         uuid: uuid,
                         pagination: paginationMeta,
                         totalCount: totalCount,
                         executionTimeMs: result.executionTime || 0,
                         requestId: requestIdValue,
-                        cacheHit: false
+                        cacheHit: false,
+                        maskedColumns: getMaskedResultColumns(maskPlan, columns.map(column => column.name))
                     }
                 }
             };
@@ -2771,9 +3688,10 @@ function registerPaginatedQueryTool(server, registerWithAlias) {
             logger.error(`Error executing paginated query: ${err.message}`);
 
             const retryableCodes = ['ETIMEOUT', 'ECONNCLOSED', 'ECONNRESET', 'ESOCKET'];
-            const isTimeout = err.message && err.message.toLowerCase().includes('timeout');
-            const retryable = isTimeout || (err.code && retryableCodes.includes(err.code));
-            const errorCode = isTimeout ? 'query_timeout' : 'query_failed';
+            const isCancelled = err.code === 'ECANCEL';
+            const isTimeout = !isCancelled && err.message && err.message.toLowerCase().includes('timeout');
+            const retryable = !isCancelled && (isTimeout || (err.code && retryableCodes.includes(err.code)));
+            const errorCode = isCancelled ? 'query_cancelled' : (isTimeout ? 'query_timeout' : 'query_failed');
 
             return {
                 content: [{
@@ -2791,10 +3709,11 @@ function registerPaginatedQueryTool(server, registerWithAlias) {
 
     const schema = {
         sql: z.string().min(1, "SQL query cannot be empty"),
+        databaseId: z.string().optional(),
         cursorField: z.string().optional(),
         pageSize: z.number().min(1).max(1000).optional().default(50),
         cursor: z.string().optional(),
-        parameters: z.record(z.any()).optional(),
+        parameters: queryParametersSchema,
         includeCount: z.boolean().optional().default(true),
         direction: z.enum(['next', 'prev']).optional().default('next'),
         returnTotals: z.boolean().optional().default(true),
@@ -2802,7 +3721,8 @@ function registerPaginatedQueryTool(server, registerWithAlias) {
         cacheTtlSeconds: z.number().min(1).max(86400).optional(),
         requestId: z.string().optional(),
         maxEstimatedRows: z.number().min(1).max(10000000).optional(),
-        compressOutput: z.boolean().optional().default(false)
+        compressOutput: z.boolean().optional().default(false),
+        valueFormat: valueFormatSchema
     };
 
     if (registerWithAlias) {
@@ -2820,40 +3740,36 @@ function registerPaginatedQueryTool(server, registerWithAlias) {
 function registerQueryStreamerTool(server, registerWithAlias) {
     const handler = async ({
         sql,
+        databaseId,
         batchSize = 1000,
         maxRows = 100000,
         parameters = {},
-        cursorField,
         outputType = 'summary',
         aggregations,
         outputFile,
         compressOutput = false,
+        parquetCompression = 'snappy',
         csvDelimiter = ',',
         csvIncludeHeaders = true,
         csvQuoteChar = '"',
         timeoutMs,
-        requestId
-    }) => {
-        // Basic validation to prevent destructive operations
-        const lowerSql = sql.toLowerCase();
-        const prohibitedOperations = ['drop ', 'delete ', 'truncate ', 'update ', 'alter ', 'insert ', 'merge '];
-
-        if (prohibitedOperations.some(op => lowerSql.includes(op))) {
-            return {
-                content: [{
-                    type: "text",
-                    text: "⚠️ Error: Data modification operations (DROP, DELETE, UPDATE, TRUNCATE, ALTER) are not allowed for safety reasons."
-                }],
-                isError: true
-            };
+        requestId,
+        valueFormat
+    }, extra) => {
+        // Streamed queries are read-only
+        const analysis = analyzeSql(sql);
+        if (analysis.modifiesData) {
+            return createDataModificationError(analysis);
         }
 
+        let writer = null;
         try {
-            // Determine cursor field if not provided
-            const defaultCursorField = extractDefaultCursorField(sql);
-            const effectiveCursorField = cursorField || defaultCursorField;
+            const requestIdValue = requestId || crypto.randomUUID();
+            const format = resolveValueFormat(valueFormat, extra);
+
+            logger.info(`Starting query streamer with batch size: ${batchSize}, max rows: ${maxRows}`);
 
-            logger.info(`Starting query streamer with cursor field: ${effectiveCursorField}, batch size: ${batchSize}, max rows: ${maxRows}`);
+            const maskPlan = await getResultMaskPlan(sql, parameters, databaseId);
 
             // Initialize aggregation accumulators if needed
             const aggregationResults = {};
@@ -2881,22 +3797,13 @@ function registerQueryStreamerTool(server, registerWithAlias) {
                 });
             }
 
-            // Variables for tracking streaming state
-            let cursor = null;
-            let totalProcessedRows = 0;
-            let hasMore = true;
-            let batchCount = 0;
-            let allResults = [];
-
-            // Setup for CSV output
-            let csvOutput = '';
-            let headers = [];
-
-            // UUID for the output file
+            // UUID for the output file; a summary is a JSON file, and workbooks and Parquet files are never gzipped
             const uuid = crypto.randomUUID();
+            const fileFormat = outputType === 'summary' ? 'json' : outputType;
+            const compress = compressOutput && !SELF_COMPRESSED_FORMATS.includes(fileFormat);
             let outputPath = null;
             if (outputFile) {
-                const resolvedOutput = resolveOutputPath(outputFile, outputType === 'csv' ? 'csv' : 'json');
+                const resolvedOutput = resolveOutputPath(outputFile, fileFormat);
                 if (resolvedOutput?.error) {
                     return {
                         content: [{
@@ -2907,87 +3814,46 @@ function registerQueryStreamerTool(server, registerWithAlias) {
                     };
                 }
                 outputPath = resolvedOutput.path;
-                if (compressOutput && !outputPath.endsWith('.gz')) {
+                if (compress && !outputPath.endsWith('.gz')) {
                     outputPath = `${outputPath}.gz`;
                 }
             } else {
-                outputPath = path.join(QUERY_RESULTS_PATH, `${uuid}.${outputType === 'csv' ? 'csv' : 'json'}`);
-                if (compressOutput) {
+                outputPath = path.join(QUERY_RESULTS_PATH, `${uuid}${OUTPUT_EXTENSIONS[fileFormat]}`);
+                if (compress) {
                     outputPath = `${outputPath}.gz`;
                 }
             }
 
+            // Rows go straight to the file; a summary only records the aggregations, so it is written at the end
+            if (outputType !== 'summary') {
+                writer = createExportWriter(outputPath, {
+                    format: outputType,
+                    compress,
+                    csvDelimiter,
+                    csvIncludeHeaders,
+                    csvQuoteChar,
+                    sheetName: databaseId || 'Results',
+                    parquetCompression
+                });
+            }
+
             // Start streaming
             logger.info(`Beginning streaming query execution`);
             const startTime = Date.now();
-
-            // Streaming loop
-            while (hasMore && totalProcessedRows < maxRows) {
-                batchCount++;
-
-                // Apply pagination for this batch
-                const { paginatedSql, parameters: paginatedParams } =
-                    paginateQuery(sql, {
-                        cursorField: effectiveCursorField,
-                        pageSize: batchSize,
-                        cursor,
-                        parameters,
-                        defaultCursorField
-                    });
-
-                logger.info(`Executing batch ${batchCount} with cursor: ${cursor || 'initial'}`);
-
-                // Execute this batch
-                const batchStartTime = Date.now();
-                const batchResult = await executeQuery(paginatedSql, paginatedParams, 3, null, timeoutMs);
-                const batchTime = Date.now() - batchStartTime;
-
-                const batchRows = batchResult.recordset || [];
-                const batchRowCount = batchRows.length;
-
-                // Update total and check if we have more data
-                totalProcessedRows += batchRowCount;
-                hasMore = batchRowCount >= batchSize && totalProcessedRows < maxRows;
-
-                logger.info(`Batch ${batchCount} returned ${batchRowCount} rows in ${batchTime}ms, total rows: ${totalProcessedRows}`);
-
-                // Set up headers on first batch if needed
-                if (batchCount === 1 && batchRowCount > 0) {
-                    headers = Object.keys(batchRows[0]);
-
-                    // Initialize CSV with headers if using CSV output
-                    if (outputType === 'csv' && csvIncludeHeaders) {
-                        csvOutput = headers.join(csvDelimiter) + '\n';
-                    }
-                }
-
-                // Process this batch
-                if (batchRowCount > 0) {
-                    // Update cursor for next batch
-                    if (hasMore) {
-                        cursor = generateNextCursor(batchRows[batchRowCount - 1], effectiveCursorField);
-                    }
-
-                    // Process rows according to output type
-                    if (outputType === 'json') {
-                        // For JSON, collect all results
-                        allResults = [...allResults, ...batchRows];
-                    } else if (outputType === 'csv') {
-                        // For CSV, append rows to the CSV string
-                        batchRows.forEach(row => {
-                            const csvRow = headers.map(header => {
-                                const value = row[header];
-                                if (value === null || value === undefined) return '';
-                                if (typeof value === 'string') return `${csvQuoteChar}${value.replace(/"/g, '""')}${csvQuoteChar}`;
-                                if (typeof value === 'object') return `${csvQuoteChar}${JSON.stringify(value).replace(/"/g, '""')}${csvQuoteChar}`;
-                                return String(value);
-                            }).join(csvDelimiter);
-
-                            csvOutput += csvRow + '\n';
-                        });
-                    }
-
-                    // Process aggregations if requested
+            const reportProgress = createProgressReporter(extra);
+
+            // The query runs once in the driver's streaming mode; rows are masked, aggregated and written a batch at a time
+            const result = await streamToExport(sql, parameters, databaseId, {
+                writer,
+                maskPlan,
+                valueFormat: format,
+                batchSize,
+                keepRows: 5,
+                maxRows,
+                timeoutMs,
+                signal: extra?.signal,
+                onBatch: (batchRows, { batchCount, rowCount }) => {
+                    // Aggregations see masked values, before serialization turns numbers into text
                     if (aggregations) {
                         batchRows.forEach(row => {
                             aggregations.forEach(agg => {
@@ -3029,16 +3895,25 @@ function registerQueryStreamerTool(server, registerWithAlias) {
                             });
                         });
                     }
-                }
 
-                // Stop if we don't have more data
-                if (batchRowCount < batchSize) {
-                    hasMore = false;
+                    reportProgress({
+                        progress: rowCount,
+                        message: `Batch ${batchCount}: ${batchRows.length} rows (${rowCount} processed${writer ? `, ${formatBytes(writer.bytes)} written` : ''})`
+                    });
                 }
-            }
+            });
 
+            const totalProcessedRows = result.rowCounts[0] || 0;
+            const batchCount = result.batchCount;
+            const columns = result.columns;
             const totalTime = Date.now() - startTime;
             logger.info(`Streaming query completed in ${totalTime}ms, processed ${totalProcessedRows} rows in ${batchCount} batches`);
+            reportSlowQuery(server, extra, {
+                tool: 'query_streamer',
+                databaseId,
+                executionTime: result.executionTime,
+                requestId: requestIdValue
+            });
 
             // Finalize aggregations
             if (aggregations) {
@@ -3059,63 +3934,49 @@ function registerQueryStreamerTool(server, registerWithAlias) {
                 });
             }
 
-            // Save results to a file based on output type
-            try {
-                if (outputType === 'json') {
-                    // Save as JSON with metadata
-                    const resultWithMetadata = {
-                        metadata: {
-                            uuid,
-                            timestamp: new Date().toISOString(),
-                            query: sql,
-                            totalRows: totalProcessedRows,
-                            batchCount,
-                            executionTimeMs: totalTime,
-                            aggregations: aggregationResults
-                        },
-                        results: allResults
-                    };
+            const metadata = {
+                uuid,
+                timestamp: new Date().toISOString(),
+                databaseId,
+                query: sql,
+                rowCount: totalProcessedRows,
+                totalRows: totalProcessedRows,
+                truncated: result.truncated,
+                batchCount,
+                executionTimeMs: totalTime,
+                aggregations: aggregationResults,
+                columns,
+                valueFormat: format,
+                valueNotes: getValueFormatNotes(columns)
+            };
 
-                    const jsonBuffer = Buffer.from(JSON.stringify(resultWithMetadata, null, 2));
-                    fs.writeFileSync(outputPath, compressOutput ? zlib.gzipSync(jsonBuffer) : jsonBuffer);
-                } else if (outputType === 'csv') {
-                    // Save as CSV
-                    const csvBuffer = Buffer.from(csvOutput);
-                    fs.writeFileSync(outputPath, compressOutput ? zlib.gzipSync(csvBuffer) : csvBuffer);
-                } else {
-                    // Save summary if not JSON or CSV
-                    const summaryData = {
-                        metadata: {
-                            uuid,
-                            timestamp: new Date().toISOString(),
-                            query: sql,
-                            totalRows: totalProcessedRows,
-                            batchCount,
-                            executionTimeMs: totalTime,
-                            aggregations: aggregationResults
-                        }
-                    };
-
-                    const summaryBuffer = Buffer.from(JSON.stringify(summaryData, null, 2));
-                    fs.writeFileSync(outputPath, compressOutput ? zlib.gzipSync(summaryBuffer) : summaryBuffer);
-                }
-
-                logger.info(`Streaming query results saved to ${outputPath}`);
-            } catch (writeError) {
-                logger.error(`Error saving streaming query results to file: ${writeError.message}`);
+            // Close the file; a summary is small enough to write in one go
+            let bytes;
+            if (writer) {
+                bytes = (await writer.finish(metadata)).bytes;
+            } else {
+                const summaryBuffer = Buffer.from(JSON.stringify({ metadata }, null, 2));
+                const summaryOutput = compress ? zlib.gzipSync(summaryBuffer) : summaryBuffer;
+                fs.writeFileSync(outputPath, summaryOutput);
+                bytes = summaryOutput.length;
             }
+            logger.info(`Streaming query results saved to ${outputPath} (${formatBytes(bytes)})`);
 
             // Format response markdown
             let markdown = `# Streamed Query Results\n\n`;
 
             // Add summary stats
             markdown += `## Summary\n\n`;
-            markdown += `- **Total Rows Processed**: ${totalProcessedRows.toLocaleString()}\n`;
+            markdown += `- **Total Rows Processed**: ${totalProcessedRows.toLocaleString()}${result.truncated ? ` (stopped at maxRows)` : ''}\n`;
             markdown += `- **Batches**: ${batchCount}\n`;
             markdown += `- **Execution Time**: ${totalTime.toLocaleString()}ms\n`;
             markdown += `- **Average Rate**: ${Math.round(totalProcessedRows / (totalTime / 1000)).toLocaleString()} rows/second\n`;
             markdown += `- **Output Type**: ${outputType}\n`;
-            markdown += `- **Output Location**: ${outputPath}\n\n`;
+            markdown += `- **Output Location**: ${outputPath}\n`;
+            markdown += `- **File Size**: ${formatBytes(bytes)}${compress ? ' (gzip)' : ''}\n\n`;
+            for (const note of metadata.valueNotes) {
+                markdown += `Note: ${note}\n\n`;
+            }
 
             // Add aggregation results if we have them
             if (aggregations && Object.keys(aggregationResults).length > 0) {
@@ -3146,33 +4007,27 @@ function registerQueryStreamerTool(server, registerWithAlias) {
             // Add data access info
             markdown += `## Accessing Results\n\n`;
 
-            if (outputType === 'json' || outputType === 'summary') {
+            if (['json', 'summary', 'ndjson', 'parquet'].includes(outputType)) {
                 markdown += `To access these results, use:\n\n`;
                 markdown += `\`\`\`javascript\n`;
                 markdown += `mcp__get_query_results({ uuid: "${uuid}" })\n`;
                 markdown += `\`\`\`\n\n`;
             } else {
-                markdown += `Results have been saved as a CSV file with ID: ${uuid}\n\n`;
+                markdown += `Results have been saved as ${outputType === 'xlsx' ? 'an Excel workbook' : 'a CSV file'} with ID: ${uuid}\n\n`;
             }
 
-            // Add sample data preview if available
-            if (allResults.length > 0 && outputType === 'json') {
+            // Add sample data preview from the rows kept while streaming
+            const previewRows = serializeRows(applyMaskPlan(result.recordset || [], maskPlan), columns, format);
+            if (previewRows.length > 0 && outputType === 'json') {
                 markdown += `## Data Sample\n\n`;
 
-                const previewRows = allResults.slice(0, 5);
-
                 // Table headers
                 markdown += '| ' + Object.keys(previewRows[0]).join(' | ') + ' |\n';
                 markdown += '| ' + Object.keys(previewRows[0]).map(() => '---').join(' | ') + ' |\n';
 
                 // Table rows
                 previewRows.forEach(row => {
-                    markdown += '| ' + Object.values(row).map(v => {
-                        if (v === null) return 'NULL';
-                        if (v === undefined) return '';
-                        if (typeof v === 'object') return JSON.stringify(v);
-                        return String(v);
-                    }).join(' | ') + ' |\n';
+                    markdown += '| ' + Object.values(row).map(v => formatValueText(v) ?? 'NULL').join(' | ') + ' |\n';
                 });
 
                 markdown += `\n_Sample of ${previewRows.length} rows from ${totalProcessedRows} total rows_\n`;
@@ -3187,22 +4042,28 @@ function registerQueryStreamerTool(server, registerWithAlias) {
                     streaming: {
                         uuid,
                         totalRows: totalProcessedRows,
+                        truncated: result.truncated,
                         batchCount,
                         executionTimeMs: totalTime,
                         outputType,
                         aggregations: aggregationResults,
+                        columns,
                         outputPath,
-                        requestId: requestId || crypto.randomUUID()
+                        bytes,
+                        compressed: compress,
+                        requestId: requestIdValue
                     }
                 }
             };
         } catch (err) {
             logger.error(`Error executing streaming query: ${err.message}`);
+            writer?.abort();
 
             const retryableCodes = ['ETIMEOUT', 'ECONNCLOSED', 'ECONNRESET', 'ESOCKET'];
-            const isTimeout = err.message && err.message.toLowerCase().includes('timeout');
-            const retryable = isTimeout || (err.code && retryableCodes.includes(err.code));
-            const errorCode = isTimeout ? 'query_timeout' : 'query_failed';
+            const isCancelled = err.code === 'ECANCEL';
+            const isTimeout = !isCancelled && err.message && err.message.toLowerCase().includes('timeout');
+            const retryable = !isCancelled && (isTimeout || (err.code && retryableCodes.includes(err.code)));
+            const errorCode = isCancelled ? 'query_cancelled' : (isTimeout ? 'query_timeout' : 'query_failed');
 
             return {
                 content: [{
@@ -3220,18 +4081,20 @@ function registerQueryStreamerTool(server, registerWithAlias) {
 
     const schema = {
         sql: z.string().min(1, "SQL query cannot be empty"),
+        databaseId: z.string().optional(),
         batchSize: z.number().min(1).max(10000).optional().default(1000),
         maxRows: z.number().min(1).max(1000000).optional().default(100000),
-        parameters: z.record(z.any()).optional(),
-        cursorField: z.string().optional(),
-        outputType: z.enum(['json', 'csv', 'summary']).optional().default('summary'),
+        parameters: queryParametersSchema,
+        outputType: z.enum([...Object.keys(OUTPUT_EXTENSIONS), 'summary']).optional().default('summary'),
         outputFile: z.string().optional(),
         compressOutput: z.boolean().optional().default(false),
+        parquetCompression: parquetCompressionSchema,
         csvDelimiter: z.string().optional().default(','),
         csvIncludeHeaders: z.boolean().optional().default(true),
         csvQuoteChar: z.string().optional().default('"'),
         timeoutMs: z.number().min(1).max(600000).optional(),
         requestId: z.string().optional(),
+        valueFormat: valueFormatSchema,
         aggregations: z.array(
             z.object({
                 field: z.string(),
@@ -3273,9 +4136,9 @@ export {
 function registerHealthCheckTool(server, registerWithAllAliases) {
     const schema = z.object({}); // No arguments required
 
-    const handler = async (args) => {
+    const handler = async (args, extra) => {
         try {
-            const dbHealth = await checkDatabaseHealth();
+            const dbHealth = filterVisibleDatabases(extra, await checkDatabaseHealth(), db => db.databaseId);
             const uptime = process.uptime();
 
             // Format response
@@ -3318,3 +4181,735 @@ function registerHealthCheckTool(server, registerWithAllAliases) {
 
     registerWithAllAliases("server_health", schema, handler);
 }
+
+/**
+ * Format one approval request for tool output
+ * @param {object} approval - Approval record
+ * @returns {string} - Markdown summary
+ */
+function formatApproval(approval) {
+    let text = `• ${approval.id} [${approval.status.toUpperCase()}] ${approval.operation.toUpperCase()} on ${approval.databaseId}\n`;
+    text += `  Requested by: ${approval.requestedBy} at ${approval.requestedAt}\n`;
+    text += `  Approvals: ${approval.approvals.length}/${approval.requiredApprovals}`;
+    if (approval.approvals.length > 0) {
+        text += ` (${approval.approvals.map(a => `${a.user} via ${a.via}`).join(', ')})`;
+    }
+    text += `\n  Expires: ${approval.expiresAt}\n`;
+    if (approval.rejectedBy) {
+        text += `  Rejected by: ${approval.rejectedBy}${approval.reason ? ` (${approval.reason})` : ''}\n`;
+    }
+    text += `  SQL: ${approval.sql.length > 500 ? approval.sql.substring(0, 500) + '...' : approval.sql}\n`;
+    return text;
+}
+
+/**
+ * Turn an approval workflow error into a tool error response
+ * @param {Error} err - Error thrown by the approvals module
+ * @returns {object} - Tool error response
+ */
+function createApprovalErrorResponse(err) {
+    if (!(err instanceof McpError)) throw err;
+    return {
+        content: [{
+            type: "text",
+            text: `⛔ ${err.message}`
+        }],
+        isError: true,
+        result: {
+            error: err.toJsonRpcError()
+        }
+    };
+}
+
+/**
+ * Turn an error thrown by a tool's own module into a tool error response. Refusals (McpError) keep
+ * their JSON-RPC error; anything else, such as a journal that can't be written, is logged and reported.
+ * @param {Error} err - Error thrown while handling the call
+ * @param {string} action - What the tool was doing, e.g. "Queueing the query job"
+ * @returns {object} - Tool error response
+ */
+function createToolErrorResponse(err, action) {
+    if (err instanceof McpError) {
+        return {
+            content: [{
+                type: "text",
+                text: `⛔ ${err.message}`
+            }],
+            isError: true,
+            result: {
+                error: err.toJsonRpcError()
+            }
+        };
+    }
+
+    logger.error(`${action} failed: ${err.message}`);
+    return {
+        content: [{
+            type: "text",
+            text: `❌ ${action} failed: ${err.message}`
+        }],
+        isError: true,
+        result: {
+            errorCode: "tool_failed"
+        }
+    };
+}
+
+/**
+ * Register tools for reviewing write approvals
+ * @param {object} server - MCP server instance
+ * @param {function} registerWithAllAliases - Helper to register with all name variants
+ */
+function registerApprovalTools(server, registerWithAllAliases) {
+    registerWithAllAliases("list_pending_approvals", {
+        databaseId: z.string().optional(),
+        includeResolved: z.boolean().optional().default(false),
+        limit: z.number().min(1).max(500).optional().default(50)
+    }, async (args, extra) => {
+        const { databaseId, includeResolved = false, limit = 50 } = args;
+
+        const approvals = listApprovals({ databaseId, status: includeResolved ? undefined : 'pending' })
+            .filter(approval => isDatabaseVisible(extra, approval.databaseId))
+            .slice(0, limit);
+
+        const title = includeResolved ? 'Write Approvals' : 'Pending Write Approvals';
+        const text = approvals.length === 0
+            ? `No ${includeResolved ? '' : 'pending '}write approvals.`
+            : `📝 ${title} (${approvals.length}):\n\n${approvals.map(formatApproval).join('\n')}`;
+
+        return {
+            content: [{
+                type: "text",
+                text
+            }],
+            result: {
+                approvals
+            }
+        };
+    });
+
+    registerWithAllAliases("approve_write", {
+        approvalToken: z.string().min(1, "Approval token cannot be empty"),
+        comment: z.string().optional()
+    }, async (args, extra) => {
+        try {
+            const approval = approveWrite(args.approvalToken, extra, { via: 'tool', comment: args.comment });
+            const text = approval.status === 'approved'
+                ? `✅ Approved ${approval.id}. ${approval.requestedBy} can now run the query with this approvalToken until ${approval.expiresAt}.`
+                : `✅ Recorded approval for ${approval.id} (${approval.approvals.length}/${approval.requiredApprovals}); another approver is still needed.`;
+            return {
+                content: [{
+                    type: "text",
+                    text
+                }],
+                result: {
+                    approval
+                }
+            };
+        } catch (err) {
+            return createApprovalErrorResponse(err);
+        }
+    });
+
+    registerWithAllAliases("reject_write", {
+        approvalToken: z.string().min(1, "Approval token cannot be empty"),
+        reason: z.string().optional()
+    }, async (args, extra) => {
+        try {
+            const approval = rejectWrite(args.approvalToken, extra, { via: 'tool', reason: args.reason });
+            return {
+                content: [{
+                    type: "text",
+                    text: `🚫 Rejected ${approval.id}.`
+                }],
+                result: {
+                    approval
+                }
+            };
+        } catch (err) {
+            return createApprovalErrorResponse(err);
+        }
+    });
+}
+
+/**
+ * Register the audit log search tool
+ * @param {object} server - MCP server instance
+ * @param {function} registerWithAllAliases - Helper to register with all name variants
+ */
+function registerAuditTool(server, registerWithAllAliases) {
+    registerWithAllAliases("query_audit", {
+        databaseId: z.string().optional(),
+        user: z.string().optional(),
+        tool: z.string().optional(),
+        outcome: z.enum(['success', 'approval_required', 'denied', 'cancelled', 'error']).optional(),
+        from: z.string().optional().describe("ISO timestamp, inclusive"),
+        to: z.string().optional().describe("ISO timestamp, inclusive"),
+        limit: z.number().min(1).max(1000).optional().default(50),
+        verify: z.boolean().optional().default(false)
+    }, async (args, extra) => {
+        const { databaseId, user, tool, outcome, from, to, limit = 50, verify = false } = args;
+
+        for (const [name, value] of [['from', from], ['to', to]]) {
+            if (value && Number.isNaN(Date.parse(value))) {
+                return {
+                    content: [{
+                        type: "text",
+                        text: `❌ Invalid ${name} timestamp: ${value}`
+                    }],
+                    isError: true
+                };
+            }
+        }
+
+        try {
+            // Callers without an audit reader role only see their own calls
+            const identity = getAuthIdentity(extra);
+            const reader = isAuditReader(identity);
+            const entries = queryAudit({
+                databaseId,
+                user: reader ? user : identity.user,
+                tool,
+                outcome,
+                from,
+                to,
+                limit,
+                visible: entry => [entry.databaseId, ...(entry.databaseIds || [])]
+                    .filter(Boolean)
+                    .every(id => isDatabaseVisible(extra, id))
+            });
+            const verification = verify ? verifyAuditChain() : undefined;
+
+            let responseText = `🧾 Audit Log (${entries.length} entries)\n\n`;
+            if (verification) {
+                responseText += verification.valid
+                    ? `✅ Hash chain verified (${verification.entries} entries)\n\n`
+                    : `⚠️ Hash chain broken at ${verification.brokenAt.file} (seq ${verification.brokenAt.seq ?? 'n/a'}, line ${verification.brokenAt.line ?? 'n/a'}): ${verification.brokenAt.reason}\n\n`;
+            }
+            for (const entry of entries) {
+                const target = entry.databaseIds ? entry.databaseIds.join(',') : entry.databaseId;
+                responseText += `• #${entry.seq} ${entry.timestamp} ${entry.user} ${entry.tool} on ${target || 'n/a'} → ${entry.outcome}`;
+                responseText += entry.rowCount !== null && entry.rowCount !== undefined ? ` (${entry.rowCount} rows, ${entry.durationMs}ms)\n` : ` (${entry.durationMs}ms)\n`;
+                if (entry.sql) {
+                    responseText += `  ${entry.operation.toUpperCase()}: ${entry.sql.length > 200 ? entry.sql.substring(0, 200) + '...' : entry.sql}\n`;
+                }
+            }
+            if (entries.length === 0) {
+                responseText += 'No matching audit entries.';
+            }
+
+            return {
+                content: [{
+                    type: "text",
+                    text: responseText
+                }],
+                result: {
+                    entries,
+                    verification
+                }
+            };
+        } catch (err) {
+            logger.error(`Audit query failed: ${err.message}`);
+            return {
+                content: [{
+                    type: "text",
+                    text: `❌ Audit query failed: ${err.message}`
+                }],
+                isError: true
+            };
+        }
+    });
+}
+
+/**
+ * Format one query job for tool output
+ * @param {object} job - Job record
+ * @returns {string} - Markdown summary
+ */
+function formatJob(job) {
+    let text = `• ${job.id} [${job.status.toUpperCase()}] on ${job.databaseId}\n`;
+    text += `  Submitted: ${job.submittedAt}`;
+    if (job.queuePosition) text += ` (position ${job.queuePosition} in queue)`;
+    if (job.startedAt) text += `\n  Started: ${job.startedAt}`;
+    if (job.finishedAt) text += `\n  Finished: ${job.finishedAt}`;
+    text += '\n';
+    if (job.status === 'succeeded') {
+        text += `  Rows: ${job.rowCount} (${job.executionTimeMs}ms), result UUID: ${job.resultUuid}\n`;
+    }
+    if (job.maskedColumns.length > 0) {
+        text += `  Masked columns: ${job.maskedColumns.join(', ')}\n`;
+    }
+    if (job.error) {
+        text += `  Error: ${job.error}\n`;
+    }
+    text += `  SQL: ${job.sql.length > 500 ? job.sql.substring(0, 500) + '...' : job.sql}\n`;
+    return text;
+}
+
+/**
+ * Register tools for submitting and following background query jobs
+ * @param {object} server - MCP server instance
+ * @param {function} registerWithAllAliases - Helper to register with all name variants
+ */
+function registerJobTools(server, registerWithAllAliases) {
+    registerWithAllAliases("submit_query_job", {
+        sql: z.string().min(1, "SQL query cannot be empty"),
+        databaseId: z.string().optional(),
+        parameters: queryParametersSchema,
+        timeoutMs: z.number().min(1).max(86400000).optional()
+    }, async (args, extra) => {
+        const { sql, databaseId, parameters = {}, timeoutMs } = args;
+
+        // Nobody approves a queued job, so procedure calls are refused along with writes
+        const analysis = analyzeSql(sql);
+        if (analysis.operation !== 'read') {
+            return createDataModificationError(analysis);
+        }
+
+        try {
+            validateParameters(parameters);
+            const job = submitJob({ sql, parameters, databaseId: databaseId || getCurrentDatabaseId(extra?.sessionId), timeoutMs }, extra);
+            return {
+                content: [{
+                    type: "text",
+                    text: `🕒 Query job ${job.id} queued on ${job.databaseId}${job.queuePosition ? ` (position ${job.queuePosition})` : ''}.\n\nPoll it with get_job_status and fetch rows with get_job_result once it has succeeded.`
+                }],
+                result: {
+                    job
+                }
+            };
+        } catch (err) {
+            return createToolErrorResponse(err, 'Queueing the query job');
+        }
+    });
+
+    registerWithAllAliases("get_job_status", {
+        jobId: z.string().min(1, "Job ID cannot be empty")
+    }, async (args, extra) => {
+        try {
+            const job = getJob(args.jobId, extra);
+            return {
+                content: [{
+                    type: "text",
+                    text: `📋 Query Job\n\n${formatJob(job)}`
+                }],
+                result: {
+                    job
+                }
+            };
+        } catch (err) {
+            return createToolErrorResponse(err, 'Reading the query job');
+        }
+    });
+
+    registerWithAllAliases("get_job_result", {
+        jobId: z.string().min(1, "Job ID cannot be empty"),
+        offset: z.number().min(0).optional().default(0),
+        limit: z.number().min(1).max(1000).optional().default(100)
+    }, async (args, extra) => {
+        const { jobId, offset = 0, limit = 100 } = args;
+
+        try {
+            const { job, rows, columns, totalRows } = getJobResult(jobId, extra, { offset, limit });
+            const shown = rows.length > 0 ? `rows ${offset + 1}-${offset + rows.length} of ${totalRows}` : `no rows at offset ${offset} (${totalRows} total)`;
+            let text = `📊 Query job ${job.id}: ${shown}\n\n`;
+            if (rows.length > 0) {
+                text += formatRowsTable(columns.map(column => column.name), rows, rows.length);
+            }
+            if (offset + rows.length < totalRows) {
+                text += `\n\nMore rows are available: call get_job_result with offset ${offset + rows.length}, or read the full result with get_query_results (UUID ${job.resultUuid}).`;
+            }
+
+            return {
+                content: [{
+                    type: "text",
+                    text
+                }],
+                result: {
+                    job,
+                    rows,
+                    columns,
+                    offset,
+                    totalRows,
+                    hasMore: offset + rows.length < totalRows
+                }
+            };
+        } catch (err) {
+            return createToolErrorResponse(err, 'Reading the query job result');
+        }
+    });
+
+    registerWithAllAliases("cancel_job", {
+        jobId: z.string().min(1, "Job ID cannot be empty")
+    }, async (args, extra) => {
+        try {
+            const job = cancelJob(args.jobId, extra);
+            const text = job.status === 'cancelled'
+                ? `🚫 Cancelled query job ${job.id} before it started.`
+                : `🚫 Cancelling query job ${job.id}; its status changes to cancelled once SQL Server stops the query.`;
+            return {
+                content: [{
+                    type: "text",
+                    text
+                }],
+                result: {
+                    job
+                }
+            };
+        } catch (err) {
+            return createToolErrorResponse(err, 'Cancelling the query job');
+        }
+    });
+}
+
+/**
+ * Format one schedule for tool output
+ * @param {object} schedule - Schedule record
+ * @returns {string} - Markdown summary
+ */
+function formatSchedule(schedule) {
+    const state = schedule.running ? 'RUNNING' : (schedule.enabled ? 'ACTIVE' : 'PAUSED');
+    let text = `• ${schedule.id} [${state}] ${schedule.name}\n`;
+    text += `  Cron: ${schedule.cron} on ${schedule.databaseIds.join(', ')}\n`;
+    if (schedule.nextRunAt) text += `  Next run: ${schedule.nextRunAt}\n`;
+    if (schedule.pausedBy) text += `  Paused by: ${schedule.pausedBy} at ${schedule.pausedAt}\n`;
+    if (schedule.lastRun) {
+        text += `  Last run: ${schedule.lastRun.startedAt} (${schedule.lastRun.alertCount} alerts)\n`;
+    }
+    for (const rule of schedule.thresholds) {
+        text += `  Alert [${rule.severity}] when ${rule.column || 'row count'} ${rule.operator} ${rule.value}\n`;
+    }
+    text += `  Alerts go to: ${schedule.alerts.join(', ')}${schedule.webhookUrl ? ` (${schedule.webhookUrl})` : ''}\n`;
+    text += `  SQL: ${schedule.sql.length > 200 ? schedule.sql.substring(0, 200) + '...' : schedule.sql}\n`;
+    return text;
+}
+
+/**
+ * Register tools for listing, creating and pausing scheduled queries
+ * @param {object} server - MCP server instance
+ * @param {function} registerWithAllAliases - Helper to register with all name variants
+ */
+function registerScheduleTools(server, registerWithAllAliases) {
+    const isScheduleVisible = extra => schedule => schedule.databaseIds.every(id => isDatabaseVisible(extra, id));
+
+    registerWithAllAliases("list_schedules", {
+        scheduleId: z.string().optional(),
+        historyLimit: z.number().min(0).max(100).optional().default(0)
+    }, async (args, extra) => {
+        const { scheduleId, historyLimit = 0 } = args;
+
+        const schedules = listSchedules(isScheduleVisible(extra))
+            .filter(schedule => !scheduleId || schedule.id === scheduleId)
+            .map(schedule => historyLimit > 0
+                ? { ...schedule, history: getScheduleHistory(schedule.id, historyLimit) }
+                : schedule);
+
+        let text = schedules.length === 0
+            ? 'No schedules found.'
+            : `⏰ Schedules (${schedules.length}):\n\n${schedules.map(formatSchedule).join('\n')}`;
+        for (const schedule of schedules.filter(s => s.history?.length > 0)) {
+            text += `\n\nRecent runs of ${schedule.id}:\n`;
+            for (const run of schedule.history) {
+                const succeeded = run.databases.filter(db => db.success).length;
+                text += `• ${run.startedAt} (${run.trigger}): ${succeeded}/${run.databases.length} databases succeeded, ${run.alerts.length} alerts\n`;
+                for (const alert of run.alerts) {
+                    text += `  [${alert.severity}] ${alert.message}\n`;
+                }
+            }
+        }
+
+        return {
+            content: [{
+                type: "text",
+                text
+            }],
+            result: {
+                schedules
+            }
+        };
+    });
+
+    registerWithAllAliases("create_schedule", {
+        id: z.string().optional(),
+        name: z.string().min(1, "Schedule name cannot be empty"),
+        cron: z.string().min(1, "Cron expression cannot be empty").describe("minute hour day-of-month month day-of-week, server local time"),
+        sql: z.string().min(1, "SQL query cannot be empty"),
+        databaseIds: z.array(z.string()).min(1, "At least one database ID is required"),
+        parameters: queryParametersSchema,
+        timeoutMs: z.number().min(1).max(3600000).optional(),
+        thresholds: z.array(z.object({
+            column: z.string().optional().describe("Result column to check; omit to check the row count"),
+            operator: z.enum(THRESHOLD_OPERATORS),
+            value: z.union([z.number(), z.string(), z.boolean()]),
+            severity: z.enum(ALERT_SEVERITIES).optional(),
+            message: z.string().optional()
+        })).optional(),
+        alerts: z.array(z.enum(ALERT_CHANNELS)).optional().default(['log']),
+        webhookUrl: z.string().optional(),
+        enabled: z.boolean().optional().default(true)
+    }, async (args, extra) => {
+        // Nobody approves a scheduled run, so procedure calls are refused along with writes
+        const analysis = analyzeSql(args.sql);
+        if (analysis.operation !== 'read') {
+            return createDataModificationError(analysis);
+        }
+
+        try {
+            const schedule = createSchedule(args, getAuthIdentity(extra).user);
+            return {
+                content: [{
+                    type: "text",
+                    text: `✅ Created schedule ${schedule.id}.\n\n${formatSchedule(schedule)}`
+                }],
+                result: {
+                    schedule
+                }
+            };
+        } catch (err) {
+            return createToolErrorResponse(err, 'Creating the schedule');
+        }
+    });
+
+    registerWithAllAliases("pause_schedule", {
+        scheduleId: z.string().min(1, "Schedule ID cannot be empty"),
+        paused: z.boolean().optional().default(true).describe("false resumes the schedule")
+    }, async (args, extra) => {
+        const { scheduleId, paused = true } = args;
+
+        try {
+            // Anyone who may read every database a schedule queries may pause or resume it
+            const current = listSchedules().find(schedule => schedule.id === scheduleId);
+            for (const databaseId of current?.databaseIds || []) {
+                assertAccessAllowed(extra, databaseId, 'read');
+            }
+
+            const schedule = setSchedulePaused(scheduleId, paused, getAuthIdentity(extra).user);
+            return {
+                content: [{
+                    type: "text",
+                    text: `${paused ? '⏸️ Paused' : '▶️ Resumed'} schedule ${schedule.id}.`
+                }],
+                result: {
+                    schedule
+                }
+            };
+        } catch (err) {
+            return createToolErrorResponse(err, paused ? 'Pausing the schedule' : 'Resuming the schedule');
+        }
+    });
+}
+
+/**
+ * Format one saved query for tool output
+ * @param {object} query - Saved query
+ * @returns {string} - Markdown summary
+ */
+function formatSavedQuery(query) {
+    let text = `• ${query.name} (v${query.version})${query.tags.length > 0 ? ` [${query.tags.join(', ')}]` : ''}\n`;
+    if (query.description) text += `  ${query.description}\n`;
+    if (query.parameters.length > 0) {
+        text += `  Parameters: ${query.parameters.map(p => `@${p.name} ${p.type}${p.required ? '' : '?'}`).join(', ')}\n`;
+    }
+    if (query.databaseIds.length > 0) text += `  Databases: ${query.databaseIds.join(', ')}\n`;
+    text += `  Updated by ${query.updatedBy} at ${query.updatedAt}\n`;
+    return text;
+}
+
+/**
+ * Register tools for the saved-query library
+ * @param {object} server - MCP server instance
+ * @param {function} registerWithAllAliases - Helper to register with all name variants
+ */
+function registerSavedQueryTools(server, registerWithAllAliases) {
+    registerWithAllAliases("save_query", {
+        name: z.string().min(1, "Name cannot be empty"),
+        description: z.string().optional(),
+        sql: z.string().min(1, "SQL query cannot be empty"),
+        parameters: z.array(z.object({
+            name: z.string(),
+            type: z.enum(PARAMETER_TYPES),
+            description: z.string().optional(),
+            required: z.boolean().optional(),
+            default: z.any().optional()
+        })).optional(),
+        databaseIds: z.array(z.string()).optional().describe("Databases the query runs on when run_saved_query doesn't name any"),
+        tags: z.array(z.string()).optional(),
+        overwrite: z.boolean().optional().default(false)
+    }, async (args, extra) => {
+        // The library holds vetted read queries; writes and procedure calls go through execute_query,
+        // execute_procedure and their approvals
+        const analysis = analyzeSql(args.sql);
+        if (analysis.operation !== 'read') {
+            return createDataModificationError(analysis);
+        }
+
+        try {
+            const query = saveQuery(args, getAuthIdentity(extra).user, { overwrite: args.overwrite });
+            return {
+                content: [{
+                    type: "text",
+                    text: `💾 Saved query ${query.name} (version ${query.version}). It is also available as the prompt saved-query-${query.name} and the resource saved-query://${query.name}.\n\n${formatSavedQuery(query)}`
+                }],
+                result: {
+                    savedQuery: query
+                }
+            };
+        } catch (err) {
+            return createToolErrorResponse(err, 'Saving the query');
+        }
+    });
+
+    registerWithAllAliases("list_saved_queries", {
+        tag: z.string().optional(),
+        search: z.string().optional(),
+        includeSql: z.boolean().optional().default(false)
+    }, async (args, extra) => {
+        const { tag, search, includeSql = false } = args;
+        const queries = listSavedQueries({ tag, search }).filter(query => isSavedQueryVisible(extra, query));
+
+        const text = queries.length === 0
+            ? 'No saved queries found.'
+            : `📚 Saved Queries (${queries.length}):\n\n${queries.map(query => formatSavedQuery(query) + (includeSql ? `  SQL: ${query.sql}\n` : '')).join('\n')}`;
+
+        return {
+            content: [{
+                type: "text",
+                text
+            }],
+            result: {
+                savedQueries: includeSql ? queries : queries.map(({ sql, ...query }) => query)
+            }
+        };
+    });
+
+    registerWithAllAliases("run_saved_query", {
+        name: z.string().min(1, "Name cannot be empty"),
+        parameters: z.record(z.any()).optional(),
+        databaseIds: z.array(z.string()).optional().describe("Defaults to the saved query's databases, then the current database"),
+        maxRows: z.number().min(1).max(10000).optional().default(100),
+        timeoutMs: z.number().min(1).max(600000).optional(),
+        requestId: z.string().optional(),
+        valueFormat: valueFormatSchema
+    }, async (args, extra) => {
+        const { name, maxRows = 100, timeoutMs, requestId, valueFormat } = args;
+
+        let query;
+        let parameters;
+        let databaseIds;
+        try {
+            query = getSavedQuery(name);
+            if (!isSavedQueryVisible(extra, query)) {
+                throw new AuthorizationError(`Saved query ${name} is not available to you`);
+            }
+            // Queries saved before procedure calls were refused, or edited on disk, are checked again here
+            const analysis = analyzeSql(query.sql);
+            if (analysis.operation !== 'read') {
+                return createDataModificationError(analysis);
+            }
+            parameters = resolveSavedQueryParameters(query, args.parameters || {});
+            databaseIds = args.databaseIds?.length > 0
+                ? args.databaseIds
+                : (query.databaseIds.length > 0 ? query.databaseIds : [getCurrentDatabaseId(extra?.sessionId)]);
+            for (const databaseId of databaseIds) {
+                for (const operation of analysis.operations) {
+                    assertAccessAllowed(extra, databaseId, operation);
+                }
+            }
+        } catch (err) {
+            return createToolErrorResponse(err, 'Preparing the saved query');
+        }
+
+        try {
+            const requestIdValue = requestId || crypto.randomUUID();
+            const format = resolveValueFormat(valueFormat, extra);
+            const startTime = Date.now();
+            const results = await executeQueryOnMultipleDatabases(query.sql, databaseIds, parameters, {
+                timeoutMs,
+                requestId: requestIdValue,
+                signal: extra?.signal
+            });
+
+            if (extra?.signal?.aborted) {
+                return {
+                    content: [{
+                        type: "text",
+                        text: `🛑 Saved query ${name} cancelled after ${Date.now() - startTime}ms.`
+                    }],
+                    isError: true,
+                    result: {
+                        errorCode: "query_cancelled",
+                        retryable: false,
+                        requestId: requestIdValue
+                    }
+                };
+            }
+
+            let responseText = `📚 Saved query ${query.name} (v${query.version}) on ${databaseIds.join(', ')}\n\n`;
+            const databases = [];
+            for (const result of results) {
+                if (!result.success) {
+                    responseText += `❌ ${result.databaseId}: ${result.error}\n\n`;
+                    databases.push({ databaseId: result.databaseId, success: false, error: result.error });
+                    continue;
+                }
+
+                reportSlowQuery(server, extra, {
+                    tool: 'run_saved_query',
+                    databaseId: result.databaseId,
+                    executionTime: result.result.executionTime,
+                    requestId: requestIdValue
+                });
+                const maskPlan = await getResultMaskPlan(query.sql, parameters, result.databaseId);
+                maskQueryResult(result.result, maskPlan);
+                serializeQueryResult(result.result, format);
+                const rows = result.result.recordset || [];
+                const columns = getColumnMetadata(rows);
+                const columnNames = columns.map(column => column.name);
+
+                responseText += `✅ ${result.databaseId}: ${rows.length} rows in ${result.result.executionTime}ms\n`;
+                if (rows.length > 0) {
+                    responseText += formatRowsTable(columnNames, rows, maxRows);
+                }
+                responseText += '\n';
+
+                databases.push({
+                    databaseId: result.databaseId,
+                    success: true,
+                    rowCount: rows.length,
+                    executionTimeMs: result.result.executionTime,
+                    columns,
+                    maskedColumns: getMaskedResultColumns(maskPlan, columnNames),
+                    rows: rows.slice(0, maxRows)
+                });
+            }
+
+            return {
+                content: [{
+                    type: "text",
+                    text: responseText.trimEnd()
+                }],
+                isError: databases.every(database => !database.success),
+                result: {
+                    savedQuery: { name: query.name, version: query.version },
+                    parameters,
+                    databases,
+                    rowCount: databases.reduce((total, database) => total + (database.rowCount || 0), 0),
+                    totalExecutionTime: Date.now() - startTime,
+                    requestId: requestIdValue
+                }
+            };
+        } catch (err) {
+            logger.error(`Saved query ${name} failed: ${err.message}`);
+            return {
+                content: [{
+                    type: "text",
+                    text: `❌ Error running saved query ${name}: ${formatSqlError(err)}`
+                }],
+                isError: true,
+                result: {
+                    errorCode: "query_failed"
+                }
+            };
+        }
+    });
+}
@@ -0,0 +1,308 @@
+// lib/valueSerializer.js - Shared serialization of SQL Server values for text, CSV and JSON output
+import path from 'path';
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { ValidationError } from './errors.mjs';
+import { getColumnMetadata } from './columnMetadata.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+dotenv.config({ path: path.join(__dirname, '../.env') });
+
+// Modes for each kind of value; the first is the default
+export const VALUE_FORMAT_MODES = {
+    numerics: ['string', 'number'],
+    binary: ['base64', 'hex'],
+    dates: ['iso', 'epoch'],
+    spatial: ['wkt', 'object']
+};
+
+const DEFAULT_VALUE_FORMAT = {
+    numerics: process.env.VALUE_FORMAT_NUMERICS || 'string',
+    binary: process.env.VALUE_FORMAT_BINARY || 'base64',
+    dates: process.env.VALUE_FORMAT_DATES || 'iso',
+    spatial: process.env.VALUE_FORMAT_SPATIAL || 'wkt'
+};
+
+// Exact numeric types, with the scale used when the column metadata has none
+const EXACT_NUMERIC_SCALES = { decimal: 0, numeric: 0, money: 4, smallmoney: 4 };
+const SPATIAL_TYPES = ['geography', 'geometry'];
+
+// Significant digits a double holds; the driver hands decimals over as doubles
+const DOUBLE_DIGITS = 15;
+
+// Fractional second digits of date/time types without a declared scale
+const DEFAULT_FRACTION_DIGITS = { datetime: 3, smalldatetime: 0, datetime2: 7, datetimeoffset: 7, time: 7 };
+
+// OGC shape types in the SQL Server spatial serialization format
+const SHAPE_TYPES = {
+    1: 'POINT',
+    2: 'LINESTRING',
+    3: 'POLYGON',
+    4: 'MULTIPOINT',
+    5: 'MULTILINESTRING',
+    6: 'MULTIPOLYGON',
+    7: 'GEOMETRYCOLLECTION',
+    8: 'CIRCULARSTRING',
+    11: 'FULLGLOBE'
+};
+
+/**
+ * Resolve serialization options: server defaults (VALUE_FORMAT_* variables) overridden by a caller's choices
+ * @param {object} overrides - Modes by kind ({numerics, binary, dates, spatial}); unknown kinds are ignored
+ * @returns {object} - Complete options
+ */
+export function getValueFormat(overrides = {}) {
+    const format = {};
+    for (const [kind, modes] of Object.entries(VALUE_FORMAT_MODES)) {
+        const mode = overrides?.[kind] ?? DEFAULT_VALUE_FORMAT[kind];
+        if (!modes.includes(mode)) {
+            throw new ValidationError(`Unknown ${kind} value format "${mode}"; use ${modes.join(' or ')}`);
+        }
+        format[kind] = mode;
+    }
+    return format;
+}
+
+/**
+ * Format an exact numeric with its declared scale. The driver hands decimals over as doubles,
+ * so digits past double precision (15 significant digits) are already lost; they are written
+ * as zeros rather than the binary noise toFixed would print.
+ * @param {number|string} value - Value from the driver
+ * @param {number} scale - Digits after the decimal point
+ * @returns {string} - Decimal text
+ */
+function formatExactNumeric(value, scale) {
+    if (typeof value !== 'number') return String(value);
+    const fixed = value.toFixed(scale);
+    if (Math.abs(value) < 1e21 && fixed.replace(/^-?[0.]*/, '').replace('.', '').length <= DOUBLE_DIGITS) return fixed;
+
+    const [mantissa, exponent] = value.toExponential(DOUBLE_DIGITS - 1).split('e');
+    const digits = mantissa.replace(/[-.]/g, '');
+    const integerDigits = Number(exponent) + 1;
+    const integer = integerDigits > 0 ? digits.slice(0, integerDigits).padEnd(integerDigits, '0') : '0';
+    const fraction = (integerDigits > 0 ? digits.slice(integerDigits) : '0'.repeat(-integerDigits) + digits).padEnd(scale, '0');
+    return `${value < 0 ? '-' : ''}${integer}${scale > 0 ? `.${fraction.slice(0, scale)}` : ''}`;
+}
+
+/**
+ * Get the fractional seconds of a driver date, including the 100ns ticks it keeps in nanosecondsDelta
+ * @param {Date} date - Date from the driver
+ * @param {number} digits - Digits to keep (0-7)
+ * @returns {string} - "" or "." followed by the digits
+ */
+function formatFraction(date, digits) {
+    if (digits <= 0) return '';
+    const extraTicks = Math.round((date.nanosecondsDelta || 0) * 1e7);
+    const ticks = date.getUTCMilliseconds() * 10000 + extraTicks;
+    return '.' + String(ticks).padStart(7, '0').slice(0, digits);
+}
+
+/**
+ * Format a date/time value. The driver reads values in UTC, so the calendar and clock fields
+ * are those stored in SQL Server. The driver drops the offset of datetimeoffset values, which are
+ * written as the same instant in UTC; getValueFormatNotes says so alongside the results.
+ * @param {Date} date - Date from the driver
+ * @param {string} type - SQL type (date, time, datetime, smalldatetime, datetime2, datetimeoffset)
+ * @param {number|null} scale - Declared fractional second digits
+ * @param {string} mode - iso or epoch
+ * @returns {string|number} - ISO-8601 text, or milliseconds since the epoch
+ */
+function formatDate(date, type, scale, mode) {
+    if (Number.isNaN(date.getTime())) return null;
+
+    const pad = (number, length = 2) => String(number).padStart(length, '0');
+    const day = `${pad(date.getUTCFullYear(), 4)}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+    const digits = scale ?? DEFAULT_FRACTION_DIGITS[type] ?? 3;
+    const clock = `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())}${formatFraction(date, digits)}`;
+
+    // A time of day isn't an instant, so it stays text in every mode
+    if (type === 'time') return clock;
+    if (mode === 'epoch') return date.getTime();
+    if (type === 'date') return day;
+    return `${day}T${clock}Z`;
+}
+
+/**
+ * Format a point's coordinates. Geography points are written longitude first, as SQL Server's STAsText does.
+ * @param {object} point - Point from the driver ({lat, lng} or {x, y}, optional z and m)
+ * @returns {string} - Coordinate text
+ */
+function formatCoordinates(point) {
+    const coordinates = point.lng !== undefined ? [point.lng, point.lat] : [point.x, point.y];
+    if (point.z !== undefined || point.m !== undefined) coordinates.push(point.z ?? 'NULL');
+    if (point.m !== undefined) coordinates.push(point.m);
+    return coordinates.join(' ');
+}
+
+/**
+ * Convert a spatial value parsed by the driver into Well-Known Text
+ * @param {object} value - Parsed geography/geometry ({points, figures, shapes})
+ * @returns {string|null} - WKT, or null for shapes WKT conversion doesn't cover (compound curves)
+ */
+export function toWkt(value) {
+    const { points = [], figures = [], shapes = [] } = value;
+
+    const figurePoints = figureIndex => {
+        const start = figures[figureIndex].pointOffset;
+        const end = figureIndex + 1 < figures.length ? figures[figureIndex + 1].pointOffset : points.length;
+        return points.slice(start, end);
+    };
+    const shapeFigures = shapeIndex => {
+        const start = shapes[shapeIndex].figureOffset;
+        if (start < 0) return [];
+        const next = shapes.slice(shapeIndex + 1).find(shape => shape.figureOffset >= 0);
+        const end = next ? next.figureOffset : figures.length;
+        return Array.from({ length: end - start }, (_, offset) => start + offset);
+    };
+    const ring = figureIndex => `(${figurePoints(figureIndex).map(formatCoordinates).join(', ')})`;
+    const children = shapeIndex => shapes
+        .map((shape, index) => ({ shape, index }))
+        .filter(entry => entry.shape.parentOffset === shapeIndex)
+        .map(entry => entry.index);
+
+    const shapeText = shapeIndex => {
+        const name = SHAPE_TYPES[shapes[shapeIndex].type];
+        if (!name) return null;
+        if (name === 'FULLGLOBE') return name;
+
+        let body;
+        if (name === 'POINT' || name === 'LINESTRING' || name === 'CIRCULARSTRING') {
+            const [figure] = shapeFigures(shapeIndex);
+            body = figure === undefined ? null : ring(figure);
+        } else if (name === 'POLYGON') {
+            const rings = shapeFigures(shapeIndex).map(ring);
+            body = rings.length > 0 ? `(${rings.join(', ')})` : null;
+        } else {
+            const parts = children(shapeIndex).map(child => {
+                if (name === 'GEOMETRYCOLLECTION') return shapeText(child);
+                const text = shapeText(child);
+                return text && text.endsWith('EMPTY') ? 'EMPTY' : text && text.slice(text.indexOf('('));
+            });
+            if (parts.includes(null)) return null;
+            body = parts.length > 0 ? `(${parts.join(', ')})` : null;
+        }
+        return body ? `${name} ${body}` : `${name} EMPTY`;
+    };
+
+    const root = shapes.findIndex(shape => shape.parentOffset === -1);
+    return root === -1 ? null : shapeText(root);
+}
+
+/**
+ * Describe columns whose values the driver can't hand over exactly, so results say so instead of looking exact
+ * @param {Array<object>} columns - Column metadata from getColumnMetadata
+ * @returns {Array<string>} - One note per kind of loss, empty when there is none
+ */
+export function getValueFormatNotes(columns) {
+    const notes = [];
+    const offsets = columns.filter(column => column.type === 'datetimeoffset').map(column => column.name);
+    const decimals = columns
+        .filter(column => (column.type === 'decimal' || column.type === 'numeric') && column.precision > DOUBLE_DIGITS)
+        .map(column => column.name);
+
+    if (offsets.length > 0) {
+        notes.push(`${offsets.join(', ')}: datetimeoffset values are shown in UTC; the driver drops their offset (select CONVERT(varchar(34), column, 127) to keep it)`);
+    }
+    if (decimals.length > 0) {
+        notes.push(`${decimals.join(', ')}: only the first ${DOUBLE_DIGITS} significant digits are kept; the driver reads decimals as doubles (cast to varchar to keep every digit)`);
+    }
+    return notes;
+}
+
+/**
+ * Serialize one value for output
+ * @param {*} value - Value from the driver (or read back from a saved result)
+ * @param {object} column - Column metadata from columnMetadata.mjs (type may be null)
+ * @param {object} format - Options from getValueFormat
+ * @returns {*} - A string, number, boolean or null (plain JSON for values of unknown types)
+ */
+export function serializeValue(value, column, format) {
+    if (value === null || value === undefined) return null;
+    const type = column?.type || null;
+
+    if (type in EXACT_NUMERIC_SCALES || (type === 'bigint')) {
+        if (typeof value !== 'number' && typeof value !== 'string' && typeof value !== 'bigint') return value;
+        if (format.numerics === 'number') return typeof value === 'number' ? value : Number(value);
+        return type === 'bigint' ? String(value) : formatExactNumeric(value, column.scale ?? EXACT_NUMERIC_SCALES[type]);
+    }
+    if (typeof value === 'bigint') {
+        return format.numerics === 'number' ? Number(value) : value.toString();
+    }
+
+    // Buffers read back from a JSON file come as { type: 'Buffer', data: [...] }
+    const buffer = Buffer.isBuffer(value)
+        ? value
+        : (value?.type === 'Buffer' && Array.isArray(value.data) ? Buffer.from(value.data) : null);
+    if (buffer) {
+        return format.binary === 'hex' ? `0x${buffer.toString('hex').toUpperCase()}` : buffer.toString('base64');
+    }
+
+    if (value instanceof Date) {
+        return formatDate(value, type, column?.scale ?? null, format.dates);
+    }
+
+    if (type === 'uniqueidentifier' && typeof value === 'string') {
+        return value.toUpperCase();
+    }
+
+    const isSpatial = SPATIAL_TYPES.includes(type) || (typeof value === 'object' && Array.isArray(value.points) && Array.isArray(value.shapes));
+    if (isSpatial && typeof value === 'object') {
+        if (format.spatial === 'object') return value;
+        return toWkt(value) ?? value;
+    }
+
+    return value;
+}
+
+/**
+ * Serialize the rows of a recordset. The copy keeps the recordset's column metadata.
+ * @param {Array<object>} rows - Rows
+ * @param {Array<object>} columns - Column metadata from getColumnMetadata
+ * @param {object} format - Options from getValueFormat
+ * @returns {Array<object>} - Serialized rows
+ */
+export function serializeRows(rows, columns, format) {
+    if (!Array.isArray(rows)) return rows;
+
+    const byName = new Map(columns.map(column => [column.name, column]));
+    const serialized = rows.map(row => {
+        const copy = {};
+        for (const [name, value] of Object.entries(row)) {
+            copy[name] = serializeValue(value, byName.get(name), format);
+        }
+        return copy;
+    });
+    if (rows.columns) serialized.columns = rows.columns;
+    return serialized;
+}
+
+/**
+ * Serialize every recordset of an mssql result in place, after masking
+ * @param {object} result - mssql result ({recordset, recordsets})
+ * @param {object} format - Options from getValueFormat
+ * @returns {object} - The same result
+ */
+export function serializeQueryResult(result, format) {
+    if (!result) return result;
+
+    const serialize = recordset => serializeRows(recordset, getColumnMetadata(recordset), format);
+    if (Array.isArray(result.recordsets) && result.recordsets.length > 0) {
+        result.recordsets = result.recordsets.map(serialize);
+        result.recordset = result.recordsets[0];
+    } else if (result.recordset) {
+        result.recordset = serialize(result.recordset);
+    }
+    return result;
+}
+
+/**
+ * Format a serialized value as text for tables and CSV cells
+ * @param {*} value - Value from serializeValue
+ * @returns {string|null} - Text, or null for SQL NULL
+ */
+export function formatValueText(value) {
+    if (value === null || value === undefined) return null;
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
@@ -160,6 +160,7 @@ async function loadMultiDatabaseConfig() {
                     password: dbConfig.password,
                     server: dbConfig.server,
                     database: dbConfig.database,
+                    readOnly: dbConfig.readOnly === true || dbConfig.readOnly === 'true',
                     options: {
                         encrypt: dbConfig.options?.encrypt !== undefined ? dbConfig.options.encrypt : false,
                         trustServerCertificate: dbConfig.options?.trustServerCertificate !== undefined ? dbConfig.options.trustServerCertificate : true,
@@ -7,6 +7,8 @@ import sql from 'mssql';
 import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
 import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
 import { z } from 'zod';
 import http from 'http';
 import path from 'path';
@@ -33,8 +35,15 @@ import { registerDatabaseResources } from './Lib/resources.mjs';
 import { registerPrompts } from './Lib/prompts.mjs';
 
 // Import utilities
-import { logger } from './Lib/logger.mjs';
-import { getReadableErrorMessage, createJsonRpcError } from './Lib/errors.mjs';
+import { logger, redactString } from './Lib/logger.mjs';
+import { McpEventStore } from './Lib/eventStore.mjs';
+import { requireAuth, checkSessionOwner } from './Lib/auth.mjs';
+import { isDatabaseVisible } from './Lib/policy.mjs';
+import { listApprovals, approveWrite, rejectWrite } from './Lib/approvals.mjs';
+import { registerSession, getSession, touchSession, trackStream, expireIdleSessions, removeSession, getAllSessions, getSessionCount, listSessions, cancelRequest } from './Lib/sessions.mjs';
+import { setLocalServer } from './Lib/notifications.mjs';
+import { startScheduler, stopScheduler } from './Lib/scheduler.mjs';
+import { getReadableErrorMessage, createJsonRpcError, createErrorResponse, McpError, ResourceNotFoundError, ValidationError } from './Lib/errors.mjs';
 
 // Get the directory name
 const __filename = fileURLToPath(import.meta.url);
@@ -50,6 +59,9 @@ const HOST = process.env.HOST || '0.0.0.0';
 const QUERY_RESULTS_PATH_VAL = process.env.QUERY_RESULTS_PATH || path.join(__dirname, 'query_results');
 const QUERY_RESULTS_PATH = path.isAbsolute(QUERY_RESULTS_PATH_VAL) ? QUERY_RESULTS_PATH_VAL : path.resolve(__dirname, QUERY_RESULTS_PATH_VAL);
 const PING_INTERVAL = process.env.PING_INTERVAL || 60000; // Ping every 60 seconds by default
+// Streamable HTTP sessions with no activity for this long are removed (0 keeps them until DELETE /mcp)
+const MCP_SESSION_IDLE_TIMEOUT_MS = parseInt(process.env.MCP_SESSION_IDLE_TIMEOUT_MS || '1800000', 10);
+const SESSION_SWEEP_INTERVAL_MS = 60000;
 
 // Create results directory if it doesn't exist
 if (!fs.existsSync(QUERY_RESULTS_PATH)) {
@@ -63,7 +75,7 @@ const httpServer = http.createServer(app);
 
 // Security middleware
 app.use(helmet({ contentSecurityPolicy: false })); // Modified helmet config for SSE
-app.use(cors());
+app.use(cors({ exposedHeaders: ['Mcp-Session-Id'] })); // Streamable HTTP clients must read the session header
 app.use(bodyParser.json({ limit: '10mb' }));
 
 // Rate limiting
@@ -94,50 +106,86 @@ app.use((err, req, res, next) => {
     });
 });
 
-// Create MCP server instance
-const server = new McpServer({
-    name: "MSSQL-MCP-Server",
-    version: "1.1.0",
-    capabilities: {
-        resources: {
-            listChanged: true
-        },
-        tools: {
-            listChanged: true
-        },
-        prompts: {
-            listChanged: true
+/**
+ * Create an MCP server instance with all tools, resources and prompts registered.
+ * Each SSE session gets its own instance, since an McpServer routes responses to
+ * a single transport.
+ * @returns {McpServer} - Configured MCP server
+ */
+function createMcpServer() {
+    const mcpServer = new McpServer({
+        name: "MSSQL-MCP-Server",
+        version: "1.1.0",
+        capabilities: {
+            resources: {
+                listChanged: true
+            },
+            tools: {
+                listChanged: true
+            },
+            prompts: {
+                listChanged: true
+            }
         }
+    }, {
+        // Slow-query warnings are sent as logging notifications
+        capabilities: {
+            logging: {}
+        }
+    });
+
+    // Make sure mcpServer._tools exists
+    if (!mcpServer._tools) {
+        mcpServer._tools = {};
     }
-});
 
-// Make sure server._tools exists
-if (!server._tools) {
-    server._tools = {};
-}
+    // Add a helper method to the server to execute tools directly
+    mcpServer.executeToolCall = async function (toolName, args, extra = {}) {
+        // Find the tool in the registered tools
+        logger.info(`Looking for tool: ${toolName}`);
+        const tool = this._tools ? this._tools[toolName] : null;
 
-// Add a helper method to the server to execute tools directly
-server.executeToolCall = async function (toolName, args) {
-    // Find the tool in the registered tools
-    logger.info(`Looking for tool: ${toolName}`);
-    const tool = this._tools ? this._tools[toolName] : null;
+        if (!tool) {
+            const availableTools = Object.keys(this._tools || {}).join(', ');
+            logger.error(`Tool ${toolName} not found. Available tools: ${availableTools}`);
+            throw new Error(`Tool ${toolName} not found. Available tools: ${availableTools.length > 100 ? availableTools.substring(0, 100) + '...' : availableTools}`);
+        }
 
-    if (!tool) {
-        const availableTools = Object.keys(this._tools || {}).join(', ');
-        logger.error(`Tool ${toolName} not found. Available tools: ${availableTools}`);
-        throw new Error(`Tool ${toolName} not found. Available tools: ${availableTools.length > 100 ? availableTools.substring(0, 100) + '...' : availableTools}`);
-    }
+        try {
+            logger.info(`Executing tool ${toolName} directly with args: ${JSON.stringify(args)}`);
+            const result = await tool.handler(args, extra);
+            logger.info(`Tool ${toolName} executed successfully`);
+            return result;
+        } catch (err) {
+            logger.error(`Error executing tool ${toolName}: ${err.message}`);
+            throw err;
+        }
+    };
 
+    // IMPORTANT: Register database tools BEFORE setting up HTTP routes
     try {
-        logger.info(`Executing tool ${toolName} directly with args: ${JSON.stringify(args)}`);
-        const result = await tool.handler(args);
-        logger.info(`Tool ${toolName} executed successfully`);
-        return result;
-    } catch (err) {
-        logger.error(`Error executing tool ${toolName}: ${err.message}`);
-        throw err;
+        // Register database tools (execute-query, table-details, etc.)
+        logger.info("Registering database tools...");
+        registerDatabaseTools(mcpServer);
+
+        // Register database resources (tables, schema, views, etc.)
+        logger.info("Registering database resources...");
+        registerDatabaseResources(mcpServer);
+
+        // Register prompts (generate-query, etc.)
+        logger.info("Registering prompts...");
+        registerPrompts(mcpServer);
+
+        // Debug log for tools
+        const registeredTools = Object.keys(mcpServer._tools || {});
+        logger.info(`Registered tools (${registeredTools.length}): ${registeredTools.join(', ')}`);
+    } catch (error) {
+        logger.error(`Failed to register tools: ${error.message}`);
+        logger.error(error.stack);
     }
-};
+
+    return mcpServer;
+}
 
 // Load multi-database configuration if available
 try {
@@ -148,37 +196,26 @@ try {
     logger.info("Continuing with default/single database configuration");
 }
 
-// IMPORTANT: Register database tools BEFORE setting up HTTP routes
-try {
-    // Register database tools (execute-query, table-details, etc.)
-    logger.info("Registering database tools...");
-    registerDatabaseTools(server);
-
-    // Debug log of registered tools
-    // Debug log of registered tools
-    logger.info("DEBUG: Tools after registration:");
-    logger.info(Object.keys(server._tools || {}));
-
-    // Register database resources (tables, schema, views, etc.)
-    logger.info("Registering database resources...");
-    registerDatabaseResources(server);
-
-    // Register prompts (generate-query, etc.)
-    logger.info("Registering prompts...");
-    registerPrompts(server);
-
-    // Debug log for tools
-    const registeredTools = Object.keys(server._tools || {});
-    logger.info(`Registered tools (${registeredTools.length}): ${registeredTools.join(', ')}`);
-} catch (error) {
-    logger.error(`Failed to register tools: ${error.message}`);
-    logger.error(error.stack);
-}
+// Primary MCP server instance (stdio transport and tool listing endpoints)
+const server = createMcpServer();
+
+
+/**
+ * Resolve the SSE session a request belongs to.
+ * Falls back to the only connected session for clients that don't send a sessionId.
+ * @param {object} req - Express request
+ * @returns {object|null} - Session entry or null
+ */
+function resolveSseSession(req) {
+    const sessionId = req.query.sessionId || req.headers['mcp-session-id'] || req.body?.sessionId;
+    if (sessionId) {
+        const session = getSession(sessionId);
+        return session?.transportType === 'sse' ? session : null;
+    }
 
-// Transport variables
-let currentTransport = null;
-let activeConnections = new Set();
-let pingIntervalId = null;
+    const sseSessions = getAllSessions().filter(session => session.transportType === 'sse');
+    return sseSessions.length === 1 ? sseSessions[0] : null;
+}
 
 // Add HTTP server status endpoint
 app.get('/', (req, res) => {
@@ -189,17 +226,25 @@ app.get('/', (req, res) => {
         message: 'MCP Server is running',
         transport: TRANSPORT,
         endpoints: {
+            mcp: '/mcp',
             sse: '/sse',
             messages: '/messages',
+            sessions: '/sessions',
             diagnostics: '/diagnostic',
             query_results: {
                 list: '/query-results',
                 detail: '/query-results/:uuid'
+            },
+            approvals: {
+                page: '/approvals',
+                list: '/approvals/requests',
+                approve: '/approvals/:id/approve',
+                reject: '/approvals/:id/reject'
             }
         },
         connection_info: {
             ping_interval_ms: PING_INTERVAL,
-            active_connections: activeConnections.size
+            active_connections: getSessionCount()
         },
         database_info: {
             server: dbConfig.server,
@@ -211,7 +256,7 @@ app.get('/', (req, res) => {
 });
 
 // Add an endpoint to list all tools
-app.get('/tools', (req, res) => {
+app.get('/tools', requireAuth, (req, res) => {
     try {
         // Access tools directly from the server instance
         const tools = server._tools || {};
@@ -235,16 +280,15 @@ app.get('/tools', (req, res) => {
             }
         });
     } catch (error) {
-        logger.error(`Error listing tools: ${error.message}`);
+        logger.error(`Error listing tools: ${error.stack}`);
         res.status(500).json({
-            error: `Failed to list tools: ${error.message}`,
-            stack: error.stack
+            error: `Failed to list tools: ${error.message}`
         });
     }
 });
 
 // Diagnostic endpoint 
-app.get('/diagnostic', async (req, res) => {
+app.get('/diagnostic', requireAuth, async (req, res) => {
     try {
         const dbConfig = getDbConfig(true); // Get sanitized config (no password)
 
@@ -258,11 +302,9 @@ app.get('/diagnostic', async (req, res) => {
             },
             mcp: {
                 transport: TRANSPORT,
-                activeConnections: activeConnections.size,
-                hasCurrentTransport: currentTransport !== null,
+                activeConnections: getSessionCount(),
                 version: server.options?.version || "1.1.0",
-                pingIntervalMs: PING_INTERVAL,
-                pingActive: pingIntervalId !== null
+                pingIntervalMs: PING_INTERVAL
             },
             database: {
                 server: dbConfig.server,
@@ -271,8 +313,10 @@ app.get('/diagnostic', async (req, res) => {
                 port: dbConfig.port
             },
             endpoints: {
+                mcp: `${req.protocol}://${req.get('host')}/mcp`,
                 sse: `${req.protocol}://${req.get('host')}/sse`,
                 messages: `${req.protocol}://${req.get('host')}/messages`,
+                sessions: `${req.protocol}://${req.get('host')}/sessions`,
                 queryResults: `${req.protocol}://${req.get('host')}/query-results`
             }
         };
@@ -283,7 +327,7 @@ app.get('/diagnostic', async (req, res) => {
             diagnosticInfo.database.connectionTest = 'successful';
         } catch (err) {
             diagnosticInfo.database.connectionTest = 'failed';
-            diagnosticInfo.database.connectionError = err.message;
+            diagnosticInfo.database.connectionError = redactString(err.message);
         }
 
         res.status(200).json(diagnosticInfo);
@@ -383,7 +427,7 @@ const prevPage = await tool.call("mcp_paginated_query", {
 });
 
 // SSE endpoint for client to connect
-app.get('/sse', async (req, res) => {
+app.get('/sse', requireAuth, async (req, res) => {
     logger.info('New SSE connection request received');
 
     // Set headers for SSE
@@ -397,35 +441,37 @@ app.get('/sse', async (req, res) => {
         const messagesEndpoint = `/messages`;
         logger.info(`Creating SSE transport with messages endpoint: ${messagesEndpoint}`);
 
-        // Create the transport
-        currentTransport = new SSEServerTransport(messagesEndpoint, res);
+        // Create the transport and a dedicated MCP server for this session
+        const transport = new SSEServerTransport(messagesEndpoint, res);
+        const sessionServer = createMcpServer();
+        const sessionId = transport.sessionId;
 
         // Set up message handlers before connecting
-        currentTransport.onmessage = function (message) {
-            logger.info(`Transport received message: ${JSON.stringify(message)}`);
+        transport.onmessage = function (message) {
+            logger.info(`Transport received message (session ${sessionId}): ${JSON.stringify(message)}`);
         };
 
         // Error handler
-        currentTransport.onerror = function (error) {
-            logger.error(`Transport error: ${error}`);
+        transport.onerror = function (error) {
+            logger.error(`Transport error (session ${sessionId}): ${error}`);
         };
 
         // Close handler
-        currentTransport.onclose = function () {
-            logger.info(`Transport closed`);
+        transport.onclose = function () {
+            logger.info(`Transport closed (session ${sessionId})`);
         };
 
         // Connect the server to this transport
-        await server.connect(currentTransport);
+        await sessionServer.connect(transport);
 
         // Monkey-patch send method ONCE at connection time (not on every message)
         // This ensures proper SSE message formatting for JSON-RPC responses
-        if (currentTransport && typeof currentTransport.send === 'function' && !currentTransport._sendPatched) {
-            const originalSend = currentTransport.send.bind(currentTransport);
-            currentTransport._originalSend = originalSend; // Store for reference
-            currentTransport._sendPatched = true; // Mark as patched to prevent re-patching
+        if (typeof transport.send === 'function' && !transport._sendPatched) {
+            const originalSend = transport.send.bind(transport);
+            transport._originalSend = originalSend; // Store for reference
+            transport._sendPatched = true; // Mark as patched to prevent re-patching
 
-            currentTransport.send = function (message) {
+            transport.send = function (message) {
                 // For JSON-RPC responses, write directly to stream with proper format
                 if (message.jsonrpc === "2.0" && message.id && (message.result || message.error)) {
                     if (this.res && !this.res.finished) {
@@ -446,49 +492,48 @@ app.get('/sse', async (req, res) => {
             logger.info('SSE transport send method patched for proper message formatting');
         }
 
-        logger.info('SSE transport connected successfully');
-
-        // Add this connection to tracking
-        activeConnections.add(res);
-        logger.info(`Active SSE connections: ${activeConnections.size}`);
-
-        // Clear any existing ping interval
-        if (pingIntervalId) {
-            clearInterval(pingIntervalId);
-        }
+        logger.info(`SSE transport connected successfully (session ${sessionId})`);
 
-        // Set up ping interval to keep connection alive
-        pingIntervalId = setInterval(() => {
+        // Set up ping interval to keep this connection alive
+        const pingIntervalId = setInterval(() => {
             if (res && !res.finished) {
-                logger.debug('Sending ping to client');
+                logger.debug(`Sending ping to client (session ${sessionId})`);
                 res.write('event: ping\n');
                 res.write(`data: ${Date.now()}\n\n`);
             } else {
                 // Connection is closed, clear interval
                 clearInterval(pingIntervalId);
-                pingIntervalId = null;
             }
         }, PING_INTERVAL);
 
-        // Handle client disconnect
-        req.on('close', () => {
-            logger.info('SSE client disconnected');
-            activeConnections.delete(res);
-            currentTransport = null;
-
-            // Clear ping interval when client disconnects
-            if (pingIntervalId) {
+        // Track the session so /messages can route requests to it
+        registerSession(sessionId, {
+            transportType: 'sse',
+            transport,
+            server: sessionServer,
+            res,
+            auth: req.auth,
+            remoteAddress: req.ip,
+            userAgent: req.headers['user-agent'],
+            cleanup: () => {
                 clearInterval(pingIntervalId);
-                pingIntervalId = null;
+                sessionServer.close().catch(err => {
+                    logger.warn(`Error closing MCP server for session ${sessionId}: ${err.message}`);
+                });
             }
+        });
 
-            logger.info(`Active SSE connections: ${activeConnections.size}`);
+        // Handle client disconnect
+        req.on('close', () => {
+            logger.info(`SSE client disconnected (session ${sessionId})`);
+            removeSession(sessionId);
+            logger.info(`Active SSE connections: ${getSessionCount()}`);
         });
 
         // Send a welcome message after connection is established
         setTimeout(async () => {
             try {
-                if (!currentTransport) return;
+                if (!getSession(sessionId)) return;
 
                 // Create a simple welcome notification
                 const welcomeMessage = {
@@ -504,8 +549,8 @@ app.get('/sse', async (req, res) => {
                     }
                 };
 
-                currentTransport.send(welcomeMessage);
-                logger.info('Welcome message sent');
+                transport.send(welcomeMessage);
+                logger.info(`Welcome message sent (session ${sessionId})`);
 
                 // Try to get a sample table for additional guidance
                 try {
@@ -520,7 +565,7 @@ app.get('/sse', async (req, res) => {
                             TABLE_NAME
                     `);
 
-                    if (tablesResult.recordset?.length > 0) {
+                    if (tablesResult.recordset?.length > 0 && getSession(sessionId)) {
                         const sampleTable = tablesResult.recordset[0].TABLE_NAME;
 
                         // Send additional examples
@@ -541,7 +586,7 @@ app.get('/sse', async (req, res) => {
                             }
                         };
 
-                        currentTransport.send(examplesMessage);
+                        transport.send(examplesMessage);
                     }
                 } catch (dbErr) {
                     logger.warn(`Database query failed in welcome message: ${dbErr.message}`);
@@ -558,29 +603,199 @@ app.get('/sse', async (req, res) => {
     }
 });
 
+/**
+ * Create a Streamable HTTP transport for a new session, backed by its own MCP server
+ * and event store so the client can resume a dropped stream with Last-Event-ID.
+ * @param {object} req - Express request that carried the initialize message
+ * @returns {Promise<StreamableHTTPServerTransport>} - Connected transport
+ */
+async function createStreamableHttpSession(req) {
+    const eventStore = new McpEventStore();
+    const sessionServer = createMcpServer();
+
+    const transport = new StreamableHTTPServerTransport({
+        sessionIdGenerator: () => crypto.randomUUID(),
+        eventStore,
+        onsessioninitialized: (sessionId) => {
+            registerSession(sessionId, {
+                transportType: 'streamable-http',
+                transport,
+                server: sessionServer,
+                auth: req.auth,
+                remoteAddress: req.ip,
+                userAgent: req.headers['user-agent'],
+                cleanup: () => {
+                    eventStore.clear();
+                    sessionServer.close().catch(err => {
+                        logger.warn(`Error closing MCP server for session ${sessionId}: ${err.message}`);
+                    });
+                }
+            });
+            logger.info(`Streamable HTTP session initialized: ${sessionId}`);
+        }
+    });
+
+    transport.onerror = function (error) {
+        logger.error(`Streamable HTTP transport error (session ${transport.sessionId}): ${error}`);
+    };
+
+    transport.onclose = function () {
+        if (transport.sessionId) {
+            logger.info(`Streamable HTTP session closed: ${transport.sessionId}`);
+            removeSession(transport.sessionId);
+        }
+    };
+
+    await sessionServer.connect(transport);
+    return transport;
+}
+
+// Streamable HTTP endpoint: POST carries client messages
+app.post('/mcp', requireAuth, async (req, res) => {
+    const sessionId = req.headers['mcp-session-id'];
+
+    try {
+        let transport;
+
+        if (sessionId) {
+            const session = getSession(sessionId);
+            if (!session || session.transportType !== 'streamable-http') {
+                return res.status(404).json({
+                    jsonrpc: "2.0",
+                    id: req.body?.id || null,
+                    error: createJsonRpcError(-32001, `Session not found: ${sessionId}`)
+                });
+            }
+            if (!checkSessionOwner(session, req, res)) {
+                return;
+            }
+            transport = session.transport;
+            touchSession(sessionId);
+        } else if (isInitializeRequest(req.body)) {
+            logger.info('New Streamable HTTP session requested');
+            transport = await createStreamableHttpSession(req);
+        } else {
+            return res.status(400).json({
+                jsonrpc: "2.0",
+                id: req.body?.id || null,
+                error: createJsonRpcError(-32000, 'Bad Request: Mcp-Session-Id header is required for non-initialize requests')
+            });
+        }
+
+        await transport.handleRequest(req, res, req.body);
+    } catch (error) {
+        logger.error(`Error handling Streamable HTTP request: ${error.message}`);
+        if (!res.headersSent) {
+            res.status(500).json({
+                jsonrpc: "2.0",
+                id: req.body?.id || null,
+                error: createJsonRpcError(-32603, `Internal error: ${error.message}`)
+            });
+        }
+    }
+});
+
+// Streamable HTTP endpoint: GET opens (or resumes) the server-to-client stream, DELETE ends the session
+const handleStreamableHttpSessionRequest = async (req, res) => {
+    const sessionId = req.headers['mcp-session-id'];
+    const session = getSession(sessionId);
+
+    if (!session || session.transportType !== 'streamable-http') {
+        return res.status(sessionId ? 404 : 400).json({
+            jsonrpc: "2.0",
+            id: null,
+            error: createJsonRpcError(-32000, sessionId ? `Session not found: ${sessionId}` : 'Mcp-Session-Id header is required')
+        });
+    }
+
+    if (!checkSessionOwner(session, req, res)) {
+        return;
+    }
+
+    if (req.method === 'GET' && req.headers['last-event-id']) {
+        logger.info(`Client resuming session ${sessionId} after event ${req.headers['last-event-id']}`);
+    }
+
+    try {
+        touchSession(sessionId);
+        // An open GET stream is a client listening for notifications, not an idle one
+        if (req.method === 'GET') {
+            res.on('close', trackStream(sessionId));
+        }
+        await session.transport.handleRequest(req, res);
+    } catch (error) {
+        logger.error(`Error handling Streamable HTTP ${req.method} for session ${sessionId}: ${error.message}`);
+        if (!res.headersSent) {
+            res.status(500).json({
+                jsonrpc: "2.0",
+                id: null,
+                error: createJsonRpcError(-32603, `Internal error: ${error.message}`)
+            });
+        }
+    }
+};
+
+app.get('/mcp', requireAuth, handleStreamableHttpSessionRequest);
+app.delete('/mcp', requireAuth, handleStreamableHttpSessionRequest);
+
+// Admin view of connected MCP sessions
+app.get('/sessions', requireAuth, (req, res) => {
+    try {
+        const activeSessions = listSessions();
+        res.status(200).json({
+            count: activeSessions.length,
+            sessions: activeSessions
+        });
+    } catch (error) {
+        logger.error(`Error listing sessions: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // Messages endpoint for client to send messages
-app.post('/messages', (req, res) => {
+app.post('/messages', requireAuth, (req, res) => {
     logger.info('Received message from client');
 
-    if (!currentTransport) {
-        logger.error('No SSE transport available to process message');
-        return res.status(503).json({
+    const session = resolveSseSession(req);
+
+    if (!session) {
+        const requestedSessionId = req.query.sessionId || req.headers['mcp-session-id'];
+        logger.error(requestedSessionId
+            ? `No SSE session found for ID ${requestedSessionId}`
+            : 'No sessionId provided and no single SSE session to fall back to');
+        return res.status(requestedSessionId ? 404 : 503).json({
             jsonrpc: "2.0",
             id: req.body.id || null,
             error: {
                 code: -32000,
-                message: "Server transport not initialized. Connect to /sse endpoint first."
+                message: requestedSessionId
+                    ? `Session not found: ${requestedSessionId}. Reconnect to /sse endpoint.`
+                    : "Server transport not initialized. Connect to /sse endpoint first and post to the messages URL it returns."
             }
         });
     }
 
+    if (!checkSessionOwner(session, req, res)) {
+        return;
+    }
+
+    const { transport, server: sessionServer, sessionId } = session;
+    touchSession(sessionId);
+
     try {
         // Extract the request ID for better debugging
         const requestId = req.body.id || "unknown";
         const method = req.body.method || "unknown";
 
-        logger.info(`Processing message ID: ${requestId}, method: ${method}`);
-        logger.info(`Request body: ${JSON.stringify(req.body)}`);
+        logger.info(`Processing message ID: ${requestId}, method: ${method}, session: ${sessionId}`);
+        logger.debug(`Request body: ${JSON.stringify(req.body)}`);
+
+        // Tool calls below run outside the SDK transport, so cancel them here; anything else is the SDK's
+        if (method === 'notifications/cancelled' &&
+            cancelRequest(sessionId, req.body.params?.requestId, req.body.params?.reason)) {
+            res.status(202).end();
+            return;
+        }
 
         // Special handling for cursor guide tool
         if (method === 'tools/call' &&
@@ -666,7 +881,7 @@ const prevPage = await tool.call("mcp_paginated_query", {
 
             // Don't send response via HTTP, just SSE which is what Claude expects
             // Also send via SSE for any listeners
-            if (currentTransport) {
+            if (transport) {
                 // Proper JSON-RPC formatting is critical
                 const sseResponse = {
                     jsonrpc: "2.0",
@@ -675,9 +890,9 @@ const prevPage = await tool.call("mcp_paginated_query", {
                 };
 
                 // Write direct to the SSE connection with event: message format
-                if (currentTransport.res && !currentTransport.res.finished) {
-                    currentTransport.res.write(`event: message\n`);
-                    currentTransport.res.write(`data: ${JSON.stringify(sseResponse)}\n\n`);
+                if (transport.res && !transport.res.finished) {
+                    transport.res.write(`event: message\n`);
+                    transport.res.write(`data: ${JSON.stringify(sseResponse)}\n\n`);
 
                     // Send a success response to the HTTP POST
                     res.status(200).json({ success: true });
@@ -729,7 +944,7 @@ const prevPage = await tool.call("mcp_paginated_query", {
             let foundToolName = null;
 
             for (const name of possibleToolNames) {
-                if (server._tools && server._tools[name]) {
+                if (sessionServer._tools && sessionServer._tools[name]) {
                     foundToolName = name;
                     logger.info(`Found tool handler for: ${name}`);
                     break;
@@ -738,13 +953,20 @@ const prevPage = await tool.call("mcp_paginated_query", {
 
             if (foundToolName) {
                 // Execute the tool and get result
-                server.executeToolCall(foundToolName, toolArgs)
+                sessionServer.executeToolCall(foundToolName, toolArgs, {
+                    sessionId,
+                    requestId: req.body.id,
+                    authInfo: req.auth,
+                    _meta: req.body.params?._meta,
+                    // Progress and logging notifications go out on the session's SSE stream
+                    sendNotification: notification => transport.send({ jsonrpc: "2.0", ...notification })
+                })
                     .then(result => {
                         logger.info(`Direct tool result obtained successfully for ${foundToolName}`);
                         logger.info(`Result type: ${typeof result}, has content: ${!!result.content}`);
 
                         // Send result via SSE transport
-                        if (currentTransport && currentTransport.res && !currentTransport.res.finished) {
+                        if (transport && transport.res && !transport.res.finished) {
                             // Proper JSON-RPC formatting
                             const sseResponse = {
                                 jsonrpc: "2.0",
@@ -753,12 +975,12 @@ const prevPage = await tool.call("mcp_paginated_query", {
                             };
 
                             // Write directly to the SSE connection with event: message format
-                            currentTransport.res.write(`event: message\n`);
-                            currentTransport.res.write(`data: ${JSON.stringify(sseResponse)}\n\n`);
+                            transport.res.write(`event: message\n`);
+                            transport.res.write(`data: ${JSON.stringify(sseResponse)}\n\n`);
 
                             // Ensure the data is flushed immediately
-                            if (typeof currentTransport.res.flush === 'function') {
-                                currentTransport.res.flush();
+                            if (typeof transport.res.flush === 'function') {
+                                transport.res.flush();
                             }
 
                             // Respond to HTTP request
@@ -777,7 +999,7 @@ const prevPage = await tool.call("mcp_paginated_query", {
                         logger.error(`Error executing tool directly: ${err.message}`);
 
                         // Send error via SSE
-                        if (currentTransport && currentTransport.res && !currentTransport.res.finished) {
+                        if (transport && transport.res && !transport.res.finished) {
                             const errorResponse = {
                                 jsonrpc: "2.0",
                                 id: requestId,
@@ -787,12 +1009,12 @@ const prevPage = await tool.call("mcp_paginated_query", {
                                 }
                             };
 
-                            currentTransport.res.write(`event: message\n`);
-                            currentTransport.res.write(`data: ${JSON.stringify(errorResponse)}\n\n`);
+                            transport.res.write(`event: message\n`);
+                            transport.res.write(`data: ${JSON.stringify(errorResponse)}\n\n`);
 
                             // Ensure the data is flushed immediately
-                            if (typeof currentTransport.res.flush === 'function') {
-                                currentTransport.res.flush();
+                            if (typeof transport.res.flush === 'function') {
+                                transport.res.flush();
                             }
 
                             res.status(200).json({ success: true });
@@ -812,10 +1034,10 @@ const prevPage = await tool.call("mcp_paginated_query", {
                 return;
             } else {
                 logger.error(`Tool not found with any name variant: ${toolName}`);
-                logger.error(`Available tools: ${Object.keys(server._tools || {}).join(', ')}`);
+                logger.error(`Available tools: ${Object.keys(sessionServer._tools || {}).join(', ')}`);
 
                 // Send error via SSE
-                if (currentTransport && currentTransport.res && !currentTransport.res.finished) {
+                if (transport && transport.res && !transport.res.finished) {
                     const errorResponse = {
                         jsonrpc: "2.0",
                         id: requestId,
@@ -825,8 +1047,8 @@ const prevPage = await tool.call("mcp_paginated_query", {
                         }
                     };
 
-                    currentTransport.res.write(`event: message\n`);
-                    currentTransport.res.write(`data: ${JSON.stringify(errorResponse)}\n\n`);
+                    transport.res.write(`event: message\n`);
+                    transport.res.write(`data: ${JSON.stringify(errorResponse)}\n\n`);
 
                     res.status(200).json({ success: true });
                 } else {
@@ -849,14 +1071,14 @@ const prevPage = await tool.call("mcp_paginated_query", {
 
         // For standard message handling (non-tool calls or tools we couldn't handle directly)
         // Let the SSEServerTransport handle it with our monkey-patched send method
-        currentTransport.handlePostMessage(req, res, req.body);
+        transport.handlePostMessage(req, res, req.body);
         logger.info(`Message processed via SSE transport for request ID: ${requestId}`);
 
     } catch (error) {
         logger.error(`Error processing message: ${error.message}`);
 
         // Send error via SSE if possible
-        if (currentTransport && currentTransport.res && !currentTransport.res.finished) {
+        if (transport && transport.res && !transport.res.finished) {
             const errorResponse = {
                 jsonrpc: "2.0",
                 id: req.body.id || null,
@@ -866,8 +1088,8 @@ const prevPage = await tool.call("mcp_paginated_query", {
                 }
             };
 
-            currentTransport.res.write(`event: message\n`);
-            currentTransport.res.write(`data: ${JSON.stringify(errorResponse)}\n\n`);
+            transport.res.write(`event: message\n`);
+            transport.res.write(`data: ${JSON.stringify(errorResponse)}\n\n`);
 
             res.status(200).json({ success: true });
         } else {
@@ -884,10 +1106,12 @@ const prevPage = await tool.call("mcp_paginated_query", {
 });
 
 // Add a test endpoint for SSE debugging
-app.post('/test-sse', (req, res) => {
+app.post('/test-sse', requireAuth, (req, res) => {
     logger.info('Test SSE endpoint called');
 
-    if (!currentTransport || !currentTransport.res || currentTransport.res.finished) {
+    const transport = resolveSseSession(req)?.transport;
+
+    if (!transport || !transport.res || transport.res.finished) {
         return res.status(503).json({ error: 'No active SSE connection' });
     }
 
@@ -903,11 +1127,11 @@ app.post('/test-sse', (req, res) => {
             }
         };
 
-        currentTransport.res.write(`event: message\n`);
-        currentTransport.res.write(`data: ${JSON.stringify(testMessage)}\n\n`);
+        transport.res.write(`event: message\n`);
+        transport.res.write(`data: ${JSON.stringify(testMessage)}\n\n`);
 
-        if (typeof currentTransport.res.flush === 'function') {
-            currentTransport.res.flush();
+        if (typeof transport.res.flush === 'function') {
+            transport.res.flush();
         }
 
         logger.info('Test SSE message sent');
@@ -948,7 +1172,7 @@ app.get('/health', async (req, res) => {
 });
 
 // Add HTTP endpoints to list and retrieve saved query results
-app.get('/query-results', (req, res) => {
+app.get('/query-results', requireAuth, (req, res) => {
     try {
         if (!fs.existsSync(QUERY_RESULTS_PATH)) {
             return res.status(200).json({ results: [] });
@@ -963,6 +1187,7 @@ app.get('/query-results', (req, res) => {
                     const data = JSON.parse(fs.readFileSync(filepath, 'utf8'));
                     return {
                         uuid: data.metadata.uuid,
+                        databaseId: data.metadata.databaseId,
                         timestamp: data.metadata.timestamp,
                         query: data.metadata.query,
                         rowCount: data.metadata.rowCount,
@@ -976,6 +1201,7 @@ app.get('/query-results', (req, res) => {
                     };
                 }
             })
+            .filter(result => !result.databaseId || isDatabaseVisible({ authInfo: req.auth }, result.databaseId))
             // Sort by timestamp (most recent first)
             .sort((a, b) => {
                 if (!a.timestamp) return 1;
@@ -990,7 +1216,7 @@ app.get('/query-results', (req, res) => {
     }
 });
 
-app.get('/query-results/:uuid', (req, res) => {
+app.get('/query-results/:uuid', requireAuth, (req, res) => {
     const { uuid } = req.params;
     const filepath = path.join(QUERY_RESULTS_PATH, `${uuid}.json`);
 
@@ -1000,6 +1226,9 @@ app.get('/query-results/:uuid', (req, res) => {
 
     try {
         const data = JSON.parse(fs.readFileSync(filepath, 'utf8'));
+        if (data.metadata?.databaseId && !isDatabaseVisible({ authInfo: req.auth }, data.metadata.databaseId)) {
+            return res.status(403).json({ error: `Access denied to results from database ${data.metadata.databaseId}` });
+        }
         res.status(200).json(data);
     } catch (err) {
         logger.error(`Error retrieving query result ${uuid}: ${err.message}`);
@@ -1007,8 +1236,140 @@ app.get('/query-results/:uuid', (req, res) => {
     }
 });
 
+// Write-approval review page. The page itself holds no data: its script loads
+// /approvals/requests with the credentials entered on the page, so it works when
+// authentication is on and the browser can't send X-API-Key by itself.
+const APPROVALS_PAGE = `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Write Approvals - MSSQL MCP Server</title>
+<style>
+body { font-family: sans-serif; margin: 2em; }
+table { border-collapse: collapse; width: 100%; }
+th, td { border: 1px solid #ccc; padding: 6px; text-align: left; vertical-align: top; }
+pre { white-space: pre-wrap; margin: 0; max-width: 60em; }
+.error { color: #b00; }
+</style>
+</head>
+<body>
+<h1>Write Approvals</h1>
+<p>
+<label>API key or bearer token (leave empty when authentication is off):
+<input id="credential" type="password" size="40"></label>
+<label><input id="resolved" type="checkbox"> Show resolved</label>
+<button onclick="load()">Refresh</button>
+</p>
+<p id="message" class="error"></p>
+<table>
+<thead><tr><th>Requested</th><th>Database</th><th>Operation</th><th>SQL / parameters</th><th>Status</th><th>Actions</th></tr></thead>
+<tbody id="approvals"></tbody>
+</table>
+<script>
+const credential = document.getElementById('credential');
+credential.value = sessionStorage.getItem('approvalsCredential') || '';
+
+function headers() {
+    sessionStorage.setItem('approvalsCredential', credential.value);
+    const result = { 'Content-Type': 'application/json' };
+    if (credential.value) result['Authorization'] = 'Bearer ' + credential.value;
+    return result;
+}
+
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+async function load() {
+    const message = document.getElementById('message');
+    message.textContent = '';
+    const resolved = document.getElementById('resolved').checked;
+    const response = await fetch('/approvals/requests' + (resolved ? '?includeResolved=true' : ''), { headers: headers() });
+    const body = await response.json();
+    if (!response.ok) {
+        message.textContent = body.error?.message || body.error || response.statusText;
+        return;
+    }
+    document.getElementById('approvals').innerHTML = body.approvals.map(a => '<tr>'
+        + '<td>' + escapeHtml(a.requestedBy) + '<br>' + escapeHtml(a.requestedAt) + '</td>'
+        + '<td>' + escapeHtml(a.databaseId) + '</td>'
+        + '<td>' + escapeHtml(a.operation.toUpperCase()) + '</td>'
+        + '<td><pre>' + escapeHtml(a.sql) + '</pre><pre>' + escapeHtml(JSON.stringify(a.parameters || {})) + '</pre></td>'
+        + '<td>' + escapeHtml(a.status) + ' (' + a.approvals.length + '/' + a.requiredApprovals + ')'
+        + a.approvals.map(x => '<br>approved by ' + escapeHtml(x.user)).join('')
+        + (a.rejectedBy ? '<br>rejected by ' + escapeHtml(a.rejectedBy) : '') + '</td>'
+        + '<td>' + (a.status === 'pending'
+            ? '<button onclick="decide(\\'' + a.id + '\\', \\'approve\\')">Approve</button> '
+              + '<button onclick="decide(\\'' + a.id + '\\', \\'reject\\')">Reject</button>'
+            : '') + '</td>'
+        + '</tr>').join('') || '<tr><td colspan="6">No approvals</td></tr>';
+}
+
+async function decide(id, action) {
+    const note = prompt(action === 'approve' ? 'Comment (optional)' : 'Reason (optional)');
+    if (note === null) return;
+    const response = await fetch('/approvals/' + id + '/' + action, {
+        method: 'POST',
+        headers: headers(),
+        body: JSON.stringify(action === 'approve' ? { comment: note } : { reason: note })
+    });
+    if (!response.ok) {
+        const body = await response.json();
+        document.getElementById('message').textContent = body.error?.message || response.statusText;
+    }
+    load();
+}
+
+load();
+</script>
+</body>
+</html>`;
+
+/**
+ * Map an approval workflow error to an HTTP status code
+ * @param {Error} err - Error thrown by the approvals module
+ * @returns {number} - HTTP status code
+ */
+function getApprovalErrorStatus(err) {
+    if (err instanceof ResourceNotFoundError) return 404;
+    if (err instanceof ValidationError) return 409;
+    return err.statusCode || 500;
+}
+
+app.get('/approvals', (req, res) => {
+    res.status(200).type('html').send(APPROVALS_PAGE);
+});
+
+app.get('/approvals/requests', requireAuth, (req, res) => {
+    const extra = { authInfo: req.auth };
+    const approvals = listApprovals({
+        databaseId: req.query.databaseId,
+        status: req.query.includeResolved === 'true' ? undefined : 'pending'
+    }).filter(approval => isDatabaseVisible(extra, approval.databaseId));
+
+    res.status(200).json({ approvals });
+});
+
+app.post('/approvals/:id/:action(approve|reject)', requireAuth, (req, res) => {
+    const { id, action } = req.params;
+    const extra = { authInfo: req.auth };
+
+    try {
+        const approval = action === 'approve'
+            ? approveWrite(id, extra, { via: 'http', comment: req.body?.comment || undefined })
+            : rejectWrite(id, extra, { via: 'http', reason: req.body?.reason || undefined });
+        res.status(200).json({ approval });
+    } catch (err) {
+        if (!(err instanceof McpError)) {
+            logger.error(`Error recording ${action} for approval ${id}: ${err.message}`);
+        }
+        const status = getApprovalErrorStatus(err);
+        res.status(status).json(createErrorResponse(status, err.message));
+    }
+});
+
 // Add a debugging endpoint to directly register the cursor guide tool
-app.get('/debug/register-cursor-guide', (req, res) => {
+app.get('/debug/register-cursor-guide', requireAuth, (req, res) => {
     try {
         logger.info('Manually registering cursor guide tool');
 
@@ -1118,7 +1479,7 @@ const prevPage = await tool.call("mcp_paginated_query", {
 });
 
 // Add a debugging endpoint to list all tools and their details
-app.get('/debug-tools', (req, res) => {
+app.get('/debug-tools', requireAuth, (req, res) => {
     try {
         // Examine server._tools directly
         const toolKeys = Object.keys(server._tools || {});
@@ -1146,15 +1507,15 @@ app.get('/debug-tools', (req, res) => {
             raw: server._tools
         });
     } catch (error) {
+        logger.error(`Error listing tools: ${error.stack}`);
         res.status(500).json({
-            error: error.message,
-            stack: error.stack
+            error: error.message
         });
     }
 });
 
 // Add debugging endpoint to list all registered tools
-app.get('/debug/tools', (req, res) => {
+app.get('/debug/tools', requireAuth, (req, res) => {
     try {
         const allTools = server._tools || {};
         const toolNames = Object.keys(allTools);
@@ -1187,9 +1548,9 @@ app.get('/debug/tools', (req, res) => {
             allToolNames: toolNames
         });
     } catch (error) {
+        logger.error(`Error listing tools: ${error.stack}`);
         res.status(500).json({
-            error: error.message,
-            stack: error.stack
+            error: error.message
         });
     }
 });
@@ -1210,13 +1571,14 @@ async function startServer() {
         }
 
         // Select transport based on configuration
-        if (TRANSPORT === 'sse') {
-            logger.info(`Setting up SSE transport on port ${PORT}`);
+        if (TRANSPORT === 'sse' || TRANSPORT === 'http') {
+            logger.info(`Setting up ${TRANSPORT === 'http' ? 'Streamable HTTP' : 'SSE'} transport on port ${PORT}`);
 
-            // Start HTTP server for SSE transport
+            // Start HTTP server; /mcp (Streamable HTTP) and /sse (legacy SSE) are both served
             await new Promise((resolve, reject) => {
                 httpServer.listen(PORT, HOST, () => {
                     logger.info(`HTTP server listening on port ${PORT} and host ${HOST}`);
+                    logger.info(`Streamable HTTP endpoint: http://${HOST}:${PORT}/mcp`);
                     logger.info(`SSE endpoint: http://${HOST}:${PORT}/sse`);
                     logger.info(`Messages endpoint: http://${HOST}:${PORT}/messages`);
                     resolve();
@@ -1228,41 +1590,47 @@ async function startServer() {
                 });
             });
 
-            logger.info('Waiting for SSE client connection...');
+            // Streamable HTTP clients that crash never send DELETE /mcp, so idle sessions are swept
+            if (MCP_SESSION_IDLE_TIMEOUT_MS > 0) {
+                setInterval(() => {
+                    expireIdleSessions(MCP_SESSION_IDLE_TIMEOUT_MS, session => session.transportType === 'streamable-http');
+                }, Math.min(SESSION_SWEEP_INTERVAL_MS, MCP_SESSION_IDLE_TIMEOUT_MS)).unref();
+            }
+
+            logger.info('Waiting for client connections...');
         } else if (TRANSPORT === 'stdio') {
             logger.info('Setting up STDIO transport');
 
             // For stdio transport, we can set up and connect immediately
             const transport = new StdioServerTransport();
             await server.connect(transport);
+            setLocalServer(server);
 
             logger.info('STDIO transport ready');
         } else {
             throw new Error(`Unsupported transport type: ${TRANSPORT}`);
         }
 
+        // Run scheduled queries from schedules.json
+        startScheduler();
+
         // Add graceful shutdown handler
         process.on('SIGINT', async () => {
             logger.info('Shutting down server gracefully...');
+            stopScheduler();
 
-            // Clear ping interval if it exists
-            if (pingIntervalId) {
-                logger.info('Clearing ping interval');
-                clearInterval(pingIntervalId);
-                pingIntervalId = null;
-            }
-
-            // Close active connections
-            if (activeConnections.size > 0) {
-                logger.info(`Closing ${activeConnections.size} active SSE connections`);
-                for (const connection of activeConnections) {
+            // Close active sessions (clears their ping intervals)
+            const activeSessions = getAllSessions();
+            if (activeSessions.length > 0) {
+                logger.info(`Closing ${activeSessions.length} active SSE connections`);
+                for (const session of activeSessions) {
                     try {
-                        connection.end();
+                        session.res?.end();
                     } catch (error) {
                         logger.error(`Error closing SSE connection: ${error.message}`);
                     }
+                    removeSession(session.sessionId);
                 }
-                activeConnections.clear();
             }
 
             // Close HTTP server if it's running
@@ -0,0 +1,138 @@
+// test/approvals.test.mjs - Write-approval binding, deciders and the journal
+import { after, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-approvals-'));
+fs.writeFileSync(path.join(dir, 'access-policy.json'), JSON.stringify({
+    default: [],
+    roles: {
+        analyst: { databases: ['*'], operations: ['read'] },
+        dba: { databases: ['*'], operations: ['*'] }
+    }
+}));
+
+process.env.ACCESS_POLICY_FILE = path.join(dir, 'access-policy.json');
+process.env.APPROVALS_FILE = path.join(dir, 'approvals.jsonl');
+process.env.APPROVAL_TWO_PERSON_DDL = 'true';
+const { requestApproval, approveWrite, rejectWrite, verifyApproval, startApproval, finishApproval, getApproval, loadApprovals } = await import('../Lib/approvals.mjs');
+const { AuthorizationError, ValidationError } = await import('../Lib/errors.mjs');
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const caller = (user, roles = ['dba']) => ({ authInfo: { extra: { user, roles } } });
+const requester = caller('model.user');
+const QUERY = { sql: "DELETE FROM orders WHERE status = 'stale'", parameters: { days: 30 }, databaseId: 'sales' };
+
+/**
+ * Request and approve a query so it is ready to run
+ * @param {object} query - SQL, parameters and database
+ * @param {string} operation - Operation class of the SQL
+ * @returns {string} - Approval ID
+ */
+function approvedRequest(query = QUERY, operation = 'dml') {
+    const { id } = requestApproval({ ...query, operation }, requester);
+    approveWrite(id, caller('reviewer'), { via: 'tool' });
+    return id;
+}
+
+test('an approval covers the exact SQL, parameters and database it was granted for', () => {
+    const id = approvedRequest();
+    assert.equal(verifyApproval(id, QUERY, requester).ok, true);
+
+    // Trailing whitespace and semicolons are all that may differ
+    assert.equal(verifyApproval(id, { ...QUERY, sql: `${QUERY.sql};\n  ` }, requester).ok, true);
+    assert.equal(verifyApproval(id, { ...QUERY, parameters: { days: 30 } }, requester).ok, true);
+
+    for (const sql of [
+        "DELETE FROM orders WHERE status = 'Stale'",
+        "delete from orders where status = 'stale'",
+        "DELETE  FROM orders WHERE status = 'stale'",
+        "DELETE FROM orders WHERE status = 'stale' -- and the rest",
+        "DELETE FROM orders WHERE status = 'stale'; DROP TABLE orders"
+    ]) {
+        assert.equal(verifyApproval(id, { ...QUERY, sql }, requester).status, 'mismatch', sql);
+    }
+    assert.equal(verifyApproval(id, { ...QUERY, parameters: { days: 31 } }, requester).status, 'mismatch');
+    assert.equal(verifyApproval(id, { ...QUERY, databaseId: 'hr' }, requester).status, 'mismatch');
+
+    // Only the requester can spend the approval
+    assert.equal(verifyApproval(id, QUERY, caller('reviewer')).status, 'mismatch');
+    assert.equal(verifyApproval('no-such-id', QUERY, requester).status, 'unknown');
+});
+
+test('asking again for the same pending statement returns the open request', () => {
+    const query = { ...QUERY, sql: 'UPDATE orders SET archived = 1' };
+    const first = requestApproval({ ...query, operation: 'dml' }, requester);
+    const second = requestApproval({ ...query, operation: 'dml' }, requester);
+    assert.equal(second.id, first.id);
+    assert.notEqual(requestApproval({ ...query, operation: 'dml' }, caller('someone.else')).id, first.id);
+});
+
+test('the requester cannot decide on their own request through a tool', () => {
+    const { id } = requestApproval({ ...QUERY, sql: 'DELETE FROM carts', operation: 'dml' }, requester);
+    assert.throws(() => approveWrite(id, requester, { via: 'tool' }), AuthorizationError);
+    assert.throws(() => rejectWrite(id, requester, { via: 'tool' }), AuthorizationError);
+    assert.equal(getApproval(id).status, 'pending');
+    assert.equal(getApproval(id).approvals.length, 0);
+
+    // The /approvals page is the human channel and may be used by the requester
+    assert.equal(approveWrite(id, requester, { via: 'http' }).status, 'approved');
+});
+
+test('deciders need a grant for the operation on the database', () => {
+    const { id } = requestApproval({ ...QUERY, sql: 'DELETE FROM sessions', operation: 'dml' }, requester);
+    assert.throws(() => approveWrite(id, caller('viewer', ['analyst']), { via: 'tool' }), AuthorizationError);
+    assert.equal(rejectWrite(id, caller('reviewer'), { via: 'tool', reason: 'too broad' }).status, 'rejected');
+    assert.throws(() => approveWrite(id, caller('reviewer'), { via: 'tool' }), ValidationError);
+});
+
+test('DDL needs two distinct approvers when APPROVAL_TWO_PERSON_DDL is on', () => {
+    const query = { ...QUERY, sql: 'DROP TABLE orders_archive', parameters: {} };
+    const { id, requiredApprovals } = requestApproval({ ...query, operation: 'ddl' }, requester);
+    assert.equal(requiredApprovals, 2);
+
+    assert.equal(approveWrite(id, caller('first.dba'), { via: 'tool' }).status, 'pending');
+    assert.equal(verifyApproval(id, query, requester).status, 'pending');
+    assert.throws(() => approveWrite(id, caller('first.dba'), { via: 'http' }), /already approved/);
+
+    const approval = approveWrite(id, caller('second.dba'), { via: 'http' });
+    assert.equal(approval.status, 'approved');
+    assert.deepEqual(approval.approvals.map(entry => entry.user), ['first.dba', 'second.dba']);
+    assert.equal(verifyApproval(id, query, requester).ok, true);
+
+    // DML still needs one
+    assert.equal(requestApproval({ ...QUERY, sql: 'DELETE FROM logs', operation: 'dml' }, requester).requiredApprovals, 1);
+});
+
+test('an approval runs once, and a failed run can be retried', () => {
+    const query = { ...QUERY, sql: 'DELETE FROM outbox' };
+    const id = approvedRequest(query);
+
+    startApproval(id);
+    assert.equal(getApproval(id).status, 'running');
+    assert.throws(() => startApproval(id), /is running, not approved/);
+
+    finishApproval(id, new Error('deadlock victim'));
+    assert.equal(getApproval(id).status, 'approved');
+    assert.equal(getApproval(id).failures[0].error, 'deadlock victim');
+
+    startApproval(id);
+    finishApproval(id);
+    assert.equal(getApproval(id).status, 'executed');
+    assert.equal(verifyApproval(id, query, requester).ok, false);
+});
+
+test('the journal replays on restart, and a run cut short counts as executed', () => {
+    const interrupted = approvedRequest({ ...QUERY, sql: 'DELETE FROM queue' });
+    startApproval(interrupted);
+    const waiting = approvedRequest({ ...QUERY, sql: 'DELETE FROM drafts' });
+
+    loadApprovals();
+    assert.equal(getApproval(interrupted).status, 'executed');
+    assert.throws(() => startApproval(interrupted), /is executed, not approved/);
+    assert.equal(getApproval(waiting).status, 'approved');
+    assert.equal(getApproval(waiting).approvals[0].user, 'reviewer');
+});
@@ -0,0 +1,95 @@
+// test/audit.test.mjs - Audit hash chain across rotated files
+import { after, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-audit-'));
+const auditFile = path.join(dir, 'audit.jsonl');
+const rotatedFile = index => path.join(dir, `audit.${index}.jsonl`);
+
+process.env.AUDIT_LOG_FILE = auditFile;
+process.env.AUDIT_LOG_MAX_SIZE = '1k';
+process.env.AUDIT_LOG_MAX_FILES = '2';
+const { writeAuditEntry, verifyAuditChain, queryAudit, hashParameters } = await import('../Lib/audit.mjs');
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const readLines = file => fs.readFileSync(file, 'utf8').split('\n').filter(Boolean);
+
+/**
+ * Tamper with an audit file, run a check, then put the file back
+ * @param {string} file - Audit file
+ * @param {function} change - Maps the file's lines to the tampered lines
+ * @param {function} check - Runs against the tampered file
+ */
+function withTamperedFile(file, change, check) {
+    const original = fs.readFileSync(file, 'utf8');
+    try {
+        fs.writeFileSync(file, change(readLines(file)).join('\n') + '\n');
+        check();
+    } finally {
+        fs.writeFileSync(file, original);
+    }
+}
+
+test('entries chain to the one before them', () => {
+    const first = writeAuditEntry({ tool: 'execute_query', user: 'jane', databaseId: 'sales', sql: 'SELECT 1', outcome: 'success' });
+    const second = writeAuditEntry({ tool: 'execute_query', user: 'joe', databaseId: 'hr', sql: 'SELECT 2', outcome: 'error' });
+    assert.equal(first.seq, 1);
+    assert.equal(first.prevHash, '0'.repeat(64));
+    assert.equal(second.seq, 2);
+    assert.equal(second.prevHash, first.hash);
+    assert.deepEqual(verifyAuditChain(), { valid: true, entries: 2, brokenAt: null });
+});
+
+test('the chain survives rotation, including files rotated away', () => {
+    for (let index = 0; index < 20; index++) {
+        writeAuditEntry({ tool: 'execute_query', user: 'jane', databaseId: 'sales', sql: `SELECT * FROM orders WHERE id = ${index}`.padEnd(200), outcome: 'success' });
+    }
+    assert.equal(fs.existsSync(rotatedFile(1)), true);
+    assert.equal(fs.existsSync(rotatedFile(2)), true);
+    assert.equal(fs.existsSync(rotatedFile(3)), false);
+    assert.ok(fs.statSync(auditFile).size <= 1024);
+
+    // The oldest file left points at an entry that was deleted with its file
+    const oldest = JSON.parse(readLines(rotatedFile(2))[0]);
+    assert.ok(oldest.seq > 1);
+
+    const result = verifyAuditChain();
+    assert.equal(result.valid, true);
+    assert.equal(result.entries, 22 - oldest.seq + 1);
+
+    // Searches read every file, newest first
+    const newest = queryAudit({ user: 'jane', limit: 3 });
+    assert.deepEqual(newest.map(entry => entry.seq), [22, 21, 20]);
+    assert.equal(queryAudit({ databaseId: 'hr' }).length, 0);
+});
+
+test('edited, deleted and garbled entries break the chain', () => {
+    withTamperedFile(rotatedFile(1), lines => lines.map((line, index) =>
+        index === 0 ? line.replace('"outcome":"success"', '"outcome":"error"') : line), () => {
+        assert.equal(verifyAuditChain().brokenAt.reason, 'entry hash does not match its contents');
+    });
+
+    withTamperedFile(rotatedFile(1), lines => lines.filter((line, index) => index !== 0), () => {
+        const { valid, brokenAt } = verifyAuditChain();
+        assert.equal(valid, false);
+        assert.equal(brokenAt.file, rotatedFile(1));
+        assert.equal(brokenAt.reason, 'prevHash does not match the previous entry');
+    });
+
+    withTamperedFile(auditFile, lines => [...lines, '{"seq":'], () => {
+        assert.equal(verifyAuditChain().brokenAt.reason, 'unparseable line');
+    });
+
+    assert.equal(verifyAuditChain().valid, true);
+});
+
+test('parameters are hashed independently of key order', () => {
+    assert.equal(hashParameters({ a: 1, b: 'x' }), hashParameters({ b: 'x', a: 1 }));
+    assert.notEqual(hashParameters({ a: 1 }), hashParameters({ a: 2 }));
+    assert.equal(hashParameters({}), null);
+    assert.equal(hashParameters(undefined), null);
+});
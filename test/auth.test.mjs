@@ -0,0 +1,104 @@
+// test/auth.test.mjs - API key and JWT verification
+import { after, test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-auth-'));
+const ecKeys = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+const rsaKeys = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const otherKeys = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+
+fs.writeFileSync(path.join(dir, 'jwks.json'), JSON.stringify({
+    keys: [
+        { ...ecKeys.publicKey.export({ format: 'jwk' }), kid: 'ec-1', alg: 'ES256' },
+        { ...rsaKeys.publicKey.export({ format: 'jwk' }), kid: 'rsa-1', alg: 'RS256' }
+    ]
+}));
+fs.writeFileSync(path.join(dir, 'keys.json'), JSON.stringify({
+    keys: [{ user: 'reporter', roles: ['analyst'], keyHash: crypto.createHash('sha256').update('s3cret').digest('hex') }]
+}));
+
+process.env.AUTH_JWKS_FILE = path.join(dir, 'jwks.json');
+process.env.AUTH_API_KEYS_FILE = path.join(dir, 'keys.json');
+process.env.AUTH_JWT_AUDIENCE = 'mssql-mcp-server';
+const { authenticateRequest } = await import('../Lib/auth.mjs');
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+const now = () => Math.floor(Date.now() / 1000);
+
+function sign(payload, { alg = 'ES256', kid = 'ec-1', key = ecKeys.privateKey } = {}) {
+    const signingInput = `${encode({ alg, kid, typ: 'JWT' })}.${encode(payload)}`;
+    const signature = alg === 'ES256'
+        ? crypto.sign('sha256', Buffer.from(signingInput), { key, dsaEncoding: 'ieee-p1363' })
+        : crypto.sign('sha256', Buffer.from(signingInput), key);
+    return `${signingInput}.${signature.toString('base64url')}`;
+}
+
+const bearer = token => ({ headers: { authorization: `Bearer ${token}` } });
+const claims = (extra = {}) => ({ sub: 'alice', roles: ['dba'], aud: 'mssql-mcp-server', exp: now() + 300, ...extra });
+
+test('valid ES256 and RS256 tokens authenticate their subject and roles', () => {
+    const ec = authenticateRequest(bearer(sign(claims())));
+    assert.equal(ec.extra.user, 'alice');
+    assert.deepEqual(ec.extra.roles, ['dba']);
+    assert.equal(ec.extra.authMethod, 'jwt');
+
+    const rsa = authenticateRequest(bearer(sign(claims(), { alg: 'RS256', kid: 'rsa-1', key: rsaKeys.privateKey })));
+    assert.equal(rsa.extra.user, 'alice');
+});
+
+test('tokens without a usable exp claim are rejected', () => {
+    const { exp, ...noExpiry } = claims();
+    assert.throws(() => authenticateRequest(bearer(sign(noExpiry))), /no expiry/);
+    assert.throws(() => authenticateRequest(bearer(sign(claims({ exp: String(now() + 300) })))), /no expiry/);
+    assert.throws(() => authenticateRequest(bearer(sign(claims({ exp: now() - 600 })))), /expired/);
+});
+
+test('tokens that are not valid yet are rejected', () => {
+    assert.throws(() => authenticateRequest(bearer(sign(claims({ nbf: now() + 600 })))), /not valid yet/);
+    assert.throws(() => authenticateRequest(bearer(sign(claims({ nbf: 'soon' })))), /invalid nbf/);
+});
+
+test('unsupported algorithms are rejected, including none and HMAC', () => {
+    const unsigned = `${encode({ alg: 'none', kid: 'ec-1' })}.${encode(claims())}.`;
+    assert.throws(() => authenticateRequest(bearer(unsigned)), /Unsupported token algorithm: none/);
+
+    // HS256 keyed with the public key must not pass as a signature
+    const signingInput = `${encode({ alg: 'HS256', kid: 'rsa-1' })}.${encode(claims())}`;
+    const publicPem = rsaKeys.publicKey.export({ format: 'pem', type: 'spki' });
+    const hmac = crypto.createHmac('sha256', publicPem).update(signingInput).digest('base64url');
+    assert.throws(() => authenticateRequest(bearer(`${signingInput}.${hmac}`)), /Unsupported token algorithm: HS256/);
+});
+
+test('the kid and algorithm must match a key in the JWKS', () => {
+    assert.throws(() => authenticateRequest(bearer(sign(claims(), { kid: 'missing' }))), /No verification key/);
+    // An RS256 token can't name the EC key
+    assert.throws(() => authenticateRequest(bearer(sign(claims(), { alg: 'RS256', kid: 'ec-1', key: rsaKeys.privateKey }))), /No verification key/);
+});
+
+test('forged or tampered signatures are rejected', () => {
+    assert.throws(() => authenticateRequest(bearer(sign(claims(), { key: otherKeys.privateKey }))), /Invalid token signature/);
+
+    const [header, , signature] = sign(claims()).split('.');
+    const tampered = `${header}.${encode(claims({ sub: 'mallory' }))}.${signature}`;
+    assert.throws(() => authenticateRequest(bearer(tampered)), /Invalid token signature/);
+});
+
+test('the audience must match AUTH_JWT_AUDIENCE', () => {
+    assert.throws(() => authenticateRequest(bearer(sign(claims({ aud: 'another-api' })))), /audience/);
+});
+
+test('API keys are matched by their hash', () => {
+    const viaHeader = authenticateRequest({ headers: { 'x-api-key': 's3cret' } });
+    assert.equal(viaHeader.extra.user, 'reporter');
+    assert.equal(viaHeader.extra.authMethod, 'api-key');
+
+    assert.equal(authenticateRequest(bearer('s3cret')).extra.user, 'reporter');
+    assert.throws(() => authenticateRequest({ headers: { 'x-api-key': 'wrong' } }));
+    assert.throws(() => authenticateRequest({ headers: {} }), /Missing credentials/);
+});
@@ -0,0 +1,195 @@
+// test/exportWriter.test.mjs - Export files written and read back in every format
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import ExcelJS from 'exceljs';
+import { createExportWriter, readExportFile, formatBytes, PARQUET_COMPRESSIONS, NDJSON_METADATA_SUFFIX } from '../Lib/exportWriter.mjs';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-export-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const COLUMNS = [
+    { name: 'id', type: 'int', length: null, precision: null, scale: null },
+    { name: 'big', type: 'bigint', length: null, precision: null, scale: null },
+    { name: 'amount', type: 'decimal', length: null, precision: 10, scale: 4 },
+    { name: 'wide', type: 'decimal', length: null, precision: 38, scale: 2 },
+    { name: 'created', type: 'datetime2', length: null, precision: null, scale: 7 },
+    { name: 'day', type: 'date', length: null, precision: null, scale: null },
+    { name: 'at', type: 'time', length: null, precision: null, scale: 7 },
+    { name: 'flag', type: 'bit', length: null, precision: null, scale: null },
+    { name: 'name', type: 'nvarchar', length: 50, precision: null, scale: null },
+    { name: 'ssn', type: 'int', length: null, precision: null, scale: null }
+];
+
+// Rows as the tools hand them over: masked and serialized
+const ROWS = [
+    {
+        id: 1, big: '9223372036854775807', amount: '1.5000', wide: '123456789012345678901234567890.12',
+        created: '2024-02-29T13:05:09.1234560Z', day: '2024-02-29', at: '13:05:09.1234560',
+        flag: true, name: 'Zoë, "quoted"', ssn: '****'
+    },
+    {
+        id: 2, big: '-42', amount: '-0.0001', wide: '0.00',
+        created: '1999-12-31T23:59:59.0000000Z', day: '0001-01-01', at: '00:00:00.0000000',
+        flag: false, name: null, ssn: null
+    }
+];
+const METADATA = { sql: 'SELECT * FROM t', rowCount: ROWS.length, maskedColumns: ['ssn'] };
+const WIDE_DECIMAL_NOTE = /^wide: only the first 15 significant digits are kept/;
+
+/**
+ * Write the test rows to a file
+ * @param {string} name - File name in the temp directory
+ * @param {object} options - Export options
+ * @returns {Promise<object>} - What finish() returned
+ */
+async function writeExport(name, options) {
+    const writer = createExportWriter(path.join(dir, name), options);
+    await writer.start(COLUMNS, ['ssn']);
+    await writer.writeRows(ROWS.slice(0, 1));
+    await writer.writeRows(ROWS.slice(1));
+    return writer.finish(METADATA);
+}
+
+test('JSON exports read back with their metadata', async () => {
+    const info = await writeExport('rows.json', { format: 'json' });
+    assert.equal(info.rows, 2);
+    const saved = await readExportFile(info.path, 10);
+    assert.equal(saved.format, 'json');
+    assert.deepEqual(saved.rows, ROWS);
+    const { valueNotes, ...metadata } = saved.metadata;
+    assert.deepEqual(metadata, METADATA);
+    assert.equal(valueNotes.length, 1);
+    assert.match(valueNotes[0], WIDE_DECIMAL_NOTE);
+    assert.equal(saved.rowCount, 2);
+});
+
+test('an empty JSON export is still well formed', async () => {
+    const writer = createExportWriter(path.join(dir, 'empty.json'), { format: 'json' });
+    await writer.finish({ rowCount: 0 });
+    assert.deepEqual(JSON.parse(fs.readFileSync(writer.path, 'utf8')), { results: [], metadata: { rowCount: 0 } });
+});
+
+test('NDJSON exports keep their metadata in a sidecar, compressed or not', async () => {
+    for (const compress of [false, true]) {
+        const info = await writeExport(compress ? 'rows.ndjson.gz' : 'rows.ndjson', { format: 'ndjson', compress });
+        assert.equal(info.metadataPath, info.path + NDJSON_METADATA_SUFFIX);
+        if (compress) assert.equal(zlib.gunzipSync(fs.readFileSync(info.path)).toString().split('\n').length, 3);
+
+        const saved = await readExportFile(info.path, 10);
+        assert.equal(saved.format, 'ndjson');
+        assert.deepEqual(saved.rows, ROWS);
+        assert.equal(saved.rowCount, 2);
+        assert.equal(saved.metadata.sql, METADATA.sql);
+        assert.match(saved.metadata.valueNotes[0], WIDE_DECIMAL_NOTE);
+
+        const first = await readExportFile(info.path, 1);
+        assert.deepEqual(first.rows, ROWS.slice(0, 1));
+    }
+});
+
+test('CSV exports quote text and leave NULL empty', async () => {
+    const info = await writeExport('rows.csv', { format: 'csv', csvDelimiter: ';' });
+    const lines = fs.readFileSync(info.path, 'utf8').split('\n');
+    assert.equal(lines[0], COLUMNS.map(column => column.name).join(';'));
+    assert.equal(lines[1], '1;"9223372036854775807";"1.5000";"123456789012345678901234567890.12";"2024-02-29T13:05:09.1234560Z";"2024-02-29";"13:05:09.1234560";true;"Zoë, ""quoted""";"****"');
+    assert.equal(lines[2], '2;"-42";"-0.0001";"0.00";"1999-12-31T23:59:59.0000000Z";"0001-01-01";"00:00:00.0000000";false;;');
+    assert.equal(lines[3], '');
+    // CSV has nowhere to keep notes, so the caller gets them
+    assert.match(info.valueNotes[0], WIDE_DECIMAL_NOTE);
+});
+
+test('XLSX exports type cells by SQL type and keep masked and out-of-range values as text', async () => {
+    const info = await writeExport('rows.xlsx', { format: 'xlsx', sheetName: 'Orders: 2024/Q1' });
+    assert.deepEqual(info.sheets, ['Orders_ 2024_Q1']);
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.readFile(info.path);
+    const sheet = workbook.getWorksheet('Orders_ 2024_Q1');
+    assert.deepEqual(sheet.getRow(1).values.slice(1), COLUMNS.map(column => column.name));
+    assert.deepEqual(sheet.getRow(2).values.slice(1, 5), ['int', 'bigint', 'decimal(10, 4)', 'decimal(38, 2)']);
+
+    const [id, big, amount, wide, created, day, at, flag, name, ssn] = sheet.getRow(3).values.slice(1);
+    assert.equal(id, 1);
+    assert.equal(big, '9223372036854775807');
+    assert.equal(amount, 1.5);
+    assert.equal(typeof wide, 'number');
+    assert.deepEqual(created, new Date(Date.UTC(2024, 1, 29, 13, 5, 9, 123)));
+    assert.deepEqual(day, new Date(Date.UTC(2024, 1, 29)));
+    // Excel reads a time-formatted fraction of a day back as a time on its epoch day
+    assert.deepEqual(at, new Date(Date.UTC(1899, 11, 30, 13, 5, 9, 123)));
+    assert.equal(flag, true);
+    assert.equal(name, 'Zoë, "quoted"');
+    assert.equal(ssn, '****');
+    assert.equal(sheet.getRow(4).getCell(6).value, '0001-01-01');
+    assert.equal(sheet.getColumn(3).numFmt, '0.0000');
+
+    // Columns the driver can't hand over exactly are listed on a Notes worksheet
+    const notes = workbook.getWorksheet('Notes');
+    assert.match(notes.getRow(2).getCell(1).value, /^Orders_ 2024_Q1: wide: only the first 15 significant digits/);
+    assert.equal(info.valueNotes.length, 1);
+});
+
+test('Parquet exports round-trip with every codec', async () => {
+    for (const parquetCompression of Object.keys(PARQUET_COMPRESSIONS)) {
+        const info = await writeExport(`rows-${parquetCompression}.parquet`, { format: 'parquet', parquetCompression });
+        assert.equal(info.codec, parquetCompression);
+        assert.equal(info.compressed, parquetCompression !== 'none');
+
+        const saved = await readExportFile(info.path, 10);
+        assert.equal(saved.format, 'parquet');
+        assert.equal(saved.rowCount, 2);
+        assert.equal(saved.metadata.sql, METADATA.sql);
+        assert.deepEqual(saved.metadata.maskedColumns, ['ssn']);
+        assert.match(saved.metadata.valueNotes[0], WIDE_DECIMAL_NOTE);
+
+        const [first, second] = saved.rows;
+        assert.equal(first.id, 1);
+        assert.equal(first.big, 9223372036854775807n);
+        assert.equal(first.amount, '1.5000');
+        assert.equal(second.amount, '-0.0001');
+        assert.equal(second.wide, '0.00');
+        assert.equal(first.at, '13:05:09.123456');
+        assert.equal(second.at, '00:00:00.000000');
+        assert.equal(first.flag, true);
+        assert.equal(first.name, 'Zoë, "quoted"');
+        assert.equal(second.name, null);
+        // The masked int column was written as text
+        assert.equal(first.ssn, '****');
+        assert.equal(second.ssn, null);
+    }
+});
+
+test('Parquet dates and timestamps keep their values', async () => {
+    const saved = await readExportFile(path.join(dir, 'rows-snappy.parquet'), 10);
+    const [first, second] = saved.rows;
+    assert.equal(new Date(first.created).toISOString(), '2024-02-29T13:05:09.123Z');
+    assert.equal(new Date(first.day).toISOString(), '2024-02-29T00:00:00.000Z');
+    assert.equal(new Date(second.created).toISOString(), '1999-12-31T23:59:59.000Z');
+});
+
+test('Parquet rejects values that do not fit the column type and unknown codecs', async () => {
+    assert.throws(() => createExportWriter(path.join(dir, 'bad.parquet'), { format: 'parquet', parquetCompression: 'lz4' }), /Unknown Parquet compression "lz4"/);
+
+    const writer = createExportWriter(path.join(dir, 'misfit.parquet'), { format: 'parquet' });
+    writer.start(COLUMNS.slice(0, 1));
+    assert.throws(() => writer.writeRows([{ id: '****' }]), /Column "id": "\*\*\*\*" doesn't fit Parquet type INT32/);
+    writer.abort();
+});
+
+test('aborted exports leave no file behind', async () => {
+    const writer = createExportWriter(path.join(dir, 'aborted.csv'), { format: 'csv' });
+    await writer.start(COLUMNS);
+    await writer.writeRows(ROWS);
+    writer.abort();
+    assert.equal(fs.existsSync(writer.path), false);
+});
+
+test('formatBytes', () => {
+    assert.equal(formatBytes(512), '512 B');
+    assert.equal(formatBytes(1536), '1.5 KB');
+    assert.equal(formatBytes(5 * 1024 ** 3), '5.0 GB');
+});
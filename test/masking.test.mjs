@@ -0,0 +1,90 @@
+// test/masking.test.mjs - Column masking rules and mask plans
+import { after, test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-masking-'));
+const policyFile = path.join(dir, 'masking-policy.json');
+const writePolicy = policy => fs.writeFileSync(policyFile, typeof policy === 'string' ? policy : JSON.stringify(policy));
+
+writePolicy({
+    rules: [
+        { databases: ['prod'], schema: 'dbo', table: 'Passengers', column: 'Ssn', mask: 'full' },
+        { schema: 'dbo', table: 'Passengers', column: 'Email', mask: 'partial', showFirst: 2, showLast: 0 },
+        { table: 'Cards', column: 'Card*', mask: 'hash' },
+        { table: 'Passengers', column: 'Notes', mask: 'null' }
+    ]
+});
+process.env.MASKING_POLICY_FILE = policyFile;
+process.env.MASKING_HASH_SALT = 'pepper';
+const masking = await import('../Lib/masking.mjs');
+const { loadMaskingPolicy, findMaskRule, maskValue, applyMaskPlan, getRecordsetMaskPlan, getMaskedResultColumns, getResultMaskPlan, isMaskingEnabled } = masking;
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('rules match schema, table and column case-insensitively, with wildcards and database lists', () => {
+    loadMaskingPolicy();
+    assert.equal(findMaskRule('prod', 'dbo', 'passengers', 'SSN').mask, 'full');
+    assert.equal(findMaskRule('test', 'dbo', 'Passengers', 'Ssn'), null);
+    assert.equal(findMaskRule('test', 'sales', 'Cards', 'CardNumber').mask, 'hash');
+    assert.equal(findMaskRule('prod', 'dbo', 'Passengers', 'Name'), null);
+    assert.equal(isMaskingEnabled('test'), true);
+});
+
+test('mask types transform values and keep NULL as NULL', () => {
+    loadMaskingPolicy();
+    assert.equal(maskValue('123-45-6789', { mask: 'full' }), '********');
+    assert.equal(maskValue('jane@example.com', { mask: 'partial', showFirst: 2, showLast: 0 }), 'ja**************');
+    assert.equal(maskValue('4111111111111111', { mask: 'partial' }), '************1111');
+    assert.equal(maskValue('abc', { mask: 'partial' }), '***');
+    assert.equal(maskValue('private', { mask: 'null' }), null);
+    assert.equal(maskValue(null, { mask: 'full' }), null);
+    assert.equal(
+        maskValue('4111111111111111', { mask: 'hash' }),
+        crypto.createHmac('sha256', 'pepper').update('4111111111111111').digest('hex')
+    );
+});
+
+test('a plan masks the traced columns of the first result set', () => {
+    loadMaskingPolicy();
+    const plan = { databaseId: 'prod', columns: new Map([['x', findMaskRule('prod', 'dbo', 'Passengers', 'Ssn')]]), maskAll: false, maskLater: false };
+    const rows = [{ id: 1, x: '123-45-6789' }];
+    rows.columns = { id: {}, x: {} };
+
+    const masked = applyMaskPlan(rows, plan);
+    assert.deepEqual([...masked], [{ id: 1, x: '********' }]);
+    assert.equal(masked.columns, rows.columns);
+    assert.equal(rows[0].x, '123-45-6789');
+    assert.deepEqual(getMaskedResultColumns(plan, ['id', 'x']), [{ column: 'x', mask: 'full' }]);
+});
+
+test('later result sets are masked in full or not at all', () => {
+    const rule = { mask: 'full' };
+    const maskLater = { databaseId: 'prod', columns: new Map([['x', rule]]), maskAll: false, maskLater: true };
+    assert.deepEqual(getMaskedResultColumns(getRecordsetMaskPlan(maskLater, 1), ['id', 'Ssn']).map(entry => entry.column), ['id', 'Ssn']);
+
+    // A column that shares a traced name in a later result set isn't masked by its name alone
+    const clean = { ...maskLater, maskLater: false };
+    assert.deepEqual(getMaskedResultColumns(getRecordsetMaskPlan(clean, 1), ['x']), []);
+    assert.equal(getRecordsetMaskPlan(clean, 0), clean);
+});
+
+test('a query that cannot be described is masked in full', async () => {
+    loadMaskingPolicy();
+    // No such database is configured, so describing the query fails
+    const plan = await getResultMaskPlan('SELECT Ssn AS x FROM dbo.Passengers', {}, 'unconfigured-db');
+    assert.equal(plan.maskAll, true);
+    assert.deepEqual(applyMaskPlan([{ x: '123-45-6789', id: 7 }], plan), [{ x: '********', id: '********' }]);
+    assert.equal(getRecordsetMaskPlan(plan, 2).maskAll, true);
+});
+
+test('an unreadable policy file masks every column', async () => {
+    writePolicy('{ "rules": [');
+    loadMaskingPolicy();
+    assert.equal(findMaskRule('any', 'dbo', 'Orders', 'Total').mask, 'full');
+    const plan = await getResultMaskPlan('SELECT 1 AS one', {}, 'any');
+    assert.deepEqual(applyMaskPlan([{ one: 1 }], plan), [{ one: '********' }]);
+});
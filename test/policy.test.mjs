@@ -0,0 +1,73 @@
+// test/policy.test.mjs - Database access policy, including failing closed
+import { after, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-policy-'));
+const policyFile = path.join(dir, 'access-policy.json');
+const writePolicy = policy => fs.writeFileSync(policyFile, typeof policy === 'string' ? policy : JSON.stringify(policy));
+
+writePolicy({
+    default: [{ databases: ['sandbox'], operations: ['read'] }],
+    roles: {
+        analyst: { databases: ['kzn', 'gp'], operations: ['read'] },
+        dba: { databases: ['*'], operations: ['*'] }
+    },
+    users: {
+        'jane.doe': [{ databases: ['kzn'], operations: ['read', 'dml', 'exec'] }]
+    }
+});
+process.env.ACCESS_POLICY_FILE = policyFile;
+const { loadAccessPolicy, isAccessAllowed, isDatabaseVisible, assertAccessAllowed, filterVisibleDatabases } = await import('../Lib/policy.mjs');
+const { AuthorizationError } = await import('../Lib/errors.mjs');
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const caller = (user, roles = []) => ({ authInfo: { extra: { user, roles } } });
+const anonymous = {};
+
+test('grants combine the default, the user entry and the roles', () => {
+    loadAccessPolicy();
+    const jane = caller('jane.doe', ['analyst']);
+    assert.equal(isAccessAllowed(jane, 'kzn', 'dml'), true);
+    assert.equal(isAccessAllowed(jane, 'gp', 'read'), true);
+    assert.equal(isAccessAllowed(jane, 'gp', 'dml'), false);
+    assert.equal(isAccessAllowed(jane, 'kzn', 'ddl'), false);
+    assert.equal(isAccessAllowed(jane, 'sandbox', 'read'), true);
+
+    assert.equal(isAccessAllowed(caller('root', ['dba']), 'anything', 'ddl'), true);
+    assert.equal(isAccessAllowed(anonymous, 'sandbox', 'read'), true);
+    assert.equal(isAccessAllowed(anonymous, 'kzn', 'read'), false);
+});
+
+test('databases without any grant are hidden', () => {
+    loadAccessPolicy();
+    const analyst = caller('sam', ['analyst']);
+    assert.equal(isDatabaseVisible(analyst, 'gp'), true);
+    assert.equal(isDatabaseVisible(analyst, 'payroll'), false);
+    assert.deepEqual(
+        filterVisibleDatabases(analyst, [{ id: 'kzn' }, { id: 'payroll' }, { id: 'sandbox' }]).map(db => db.id),
+        ['kzn', 'sandbox']
+    );
+});
+
+test('denied operations throw an AuthorizationError', () => {
+    loadAccessPolicy();
+    assert.throws(() => assertAccessAllowed(caller('sam', ['analyst']), 'kzn', 'dml'), AuthorizationError);
+    assert.doesNotThrow(() => assertAccessAllowed(caller('sam', ['analyst']), 'kzn', 'read'));
+});
+
+test('an unreadable policy file denies everything', () => {
+    writePolicy('{ "roles": { "dba": ');
+    loadAccessPolicy();
+    assert.equal(isAccessAllowed(caller('root', ['dba']), 'kzn', 'read'), false);
+    assert.equal(isDatabaseVisible(caller('root', ['dba']), 'kzn'), false);
+});
+
+test('an unknown operation class in the policy denies everything', () => {
+    writePolicy({ roles: { dba: { databases: ['*'], operations: ['read', 'admin'] } } });
+    loadAccessPolicy();
+    assert.equal(isAccessAllowed(caller('root', ['dba']), 'kzn', 'read'), false);
+});
@@ -0,0 +1,69 @@
+// test/procedures.test.mjs - Procedure parameter binding and execution policy
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.PROCEDURE_APPROVAL = 'non-local';
+process.env.PROCEDURE_APPROVAL_EXEMPT = 'report.*';
+process.env.PROCEDURE_DENY = 'sys.*,dbo.usp_Purge?';
+const { bindProcedureParameters, isProcedureDenied, procedureNeedsApproval } = await import('../Lib/procedures.mjs');
+const { ValidationError } = await import('../Lib/errors.mjs');
+
+// A description as describeProcedure builds it from sys.parameters
+const PROCEDURE = {
+    schema: 'dbo',
+    name: 'usp_Orders',
+    qualifiedName: 'dbo.usp_Orders',
+    quotedName: '[dbo].[usp_Orders]',
+    parameters: [
+        { name: 'CustomerId', type: 'int', output: false, tableValued: false, supported: true },
+        { name: 'Since', type: 'datetime2', scale: 3, output: false, tableValued: false, supported: true },
+        { name: 'Note', type: 'nvarchar', length: 200, output: false, tableValued: false, supported: true },
+        { name: 'Node', type: 'hierarchyid', output: false, tableValued: false, supported: false },
+        { name: 'Total', type: 'decimal', precision: 18, scale: 2, output: true, tableValued: false, supported: true }
+    ]
+};
+
+test('plain values take the discovered type and outputs are always bound', () => {
+    const { bindings, parameters, execSql } = bindProcedureParameters(PROCEDURE, { '@customerid': 42, since: '2024-01-01' });
+    assert.deepEqual(bindings.map(binding => [binding.name, binding.output]), [['CustomerId', false], ['Since', false], ['Total', true]]);
+    assert.deepEqual(parameters, {
+        CustomerId: { type: 'int', value: 42 },
+        Since: { type: 'datetime2', scale: 3, value: '2024-01-01' },
+        Total: { type: 'decimal', precision: 18, scale: 2, value: null }
+    });
+    assert.equal(execSql, 'EXEC [dbo].[usp_Orders] @CustomerId = @CustomerId, @Since = @Since, @Total = @Total OUTPUT');
+});
+
+test('typed values override the discovered type, and untyped parameters are left to the driver', () => {
+    const typed = { value: 'x', type: 'varchar', length: 10 };
+    const { parameters } = bindProcedureParameters(PROCEDURE, { Note: typed, Node: '/1/2/' });
+    assert.equal(parameters.Note, typed);
+    assert.equal(parameters.Node, '/1/2/');
+    assert.equal(parameters.CustomerId, undefined);
+});
+
+test('unknown, table-valued and unbindable output parameters are rejected', () => {
+    assert.throws(() => bindProcedureParameters(PROCEDURE, { Customer: 1 }),
+        /dbo.usp_Orders has no parameters named customer; it takes @CustomerId, @Since, @Note, @Node, @Total/);
+
+    const tableValued = { ...PROCEDURE, parameters: [{ name: 'Rows', type: 'OrderRows', output: false, tableValued: true, supported: false }] };
+    assert.throws(() => bindProcedureParameters(tableValued, { Rows: [] }), /table-valued parameter/);
+    // Left out, it takes its default (an empty table)
+    assert.equal(bindProcedureParameters(tableValued).execSql, 'EXEC [dbo].[usp_Orders]');
+
+    const variantOutput = { ...PROCEDURE, parameters: [{ name: 'Result', type: 'sql_variant', output: true, tableValued: false, supported: false }] };
+    assert.throws(() => bindProcedureParameters(variantOutput), ValidationError);
+    assert.throws(() => bindProcedureParameters({ ...PROCEDURE, parameters: [] }, { id: 1 }), /it takes no parameters/);
+});
+
+test('PROCEDURE_DENY and PROCEDURE_APPROVAL patterns match case-insensitively', () => {
+    assert.equal(isProcedureDenied('sys.sp_configure'), true);
+    assert.equal(isProcedureDenied('SYS.xp_cmdshell'), true);
+    assert.equal(isProcedureDenied('dbo.usp_Purge1'), true);
+    assert.equal(isProcedureDenied('dbo.usp_Purge10'), false);
+    assert.equal(isProcedureDenied('dbo.usp_Orders'), false);
+
+    assert.equal(procedureNeedsApproval('dbo.usp_Orders', false), true);
+    assert.equal(procedureNeedsApproval('dbo.usp_Orders', true), false);
+    assert.equal(procedureNeedsApproval('Report.usp_Daily', false), false);
+});
@@ -0,0 +1,76 @@
+// test/savedQueries.test.mjs - Saved query definitions and parameter resolution
+import { after, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-saved-'));
+process.env.SAVED_QUERIES_PATH = dir;
+const { saveQuery, getSavedQuery, loadSavedQueries, resolveSavedQueryParameters } = await import('../Lib/savedQueries.mjs');
+const { ValidationError } = await import('../Lib/errors.mjs');
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const orders = saveQuery({
+    name: 'orders-by-region',
+    sql: 'SELECT * FROM orders WHERE region = @region AND total >= @minTotal AND placed >= @since AND shipped = @shipped AND updated < @before',
+    parameters: [
+        { name: 'region', type: 'string' },
+        { name: 'minTotal', type: 'number', default: '0' },
+        { name: 'since', type: 'date', required: false },
+        { name: 'shipped', type: 'boolean', default: false },
+        { name: 'before', type: 'datetime', required: false }
+    ]
+}, 'jane');
+
+test('supplied values are coerced to their declared types', () => {
+    const values = resolveSavedQueryParameters(orders, {
+        region: 'EMEA', minTotal: '12.5', since: '2024-02-29T18:00:00Z', shipped: 'true', before: '2024-03-01T08:30:00Z'
+    });
+    assert.deepEqual(values, {
+        region: 'EMEA',
+        minTotal: 12.5,
+        since: { value: '2024-02-29', type: 'date' },
+        shipped: true,
+        before: { value: '2024-03-01T08:30:00.000Z', type: 'datetime2' }
+    });
+});
+
+test('missing values fall back to defaults, or null when optional', () => {
+    assert.deepEqual(resolveSavedQueryParameters(orders, { region: 'APAC', since: '' }), {
+        region: 'APAC', minTotal: 0, since: null, shipped: false, before: null
+    });
+});
+
+test('required, unknown and mistyped parameters are rejected', () => {
+    assert.throws(() => resolveSavedQueryParameters(orders, {}), /needs parameter region \(string\)/);
+    assert.throws(() => resolveSavedQueryParameters(orders, { region: 'EMEA', regoin: 'x' }), /has no parameters named regoin/);
+    for (const [name, value] of [['minTotal', 'lots'], ['shipped', 'yes'], ['since', 'not a date'], ['since', true]]) {
+        assert.throws(() => resolveSavedQueryParameters(orders, { region: 'EMEA', [name]: value }), ValidationError, `${name}=${value}`);
+    }
+
+    const counted = saveQuery({ name: 'top-n', sql: 'SELECT TOP (@n) * FROM t', parameters: [{ name: 'n', type: 'integer' }] }, 'jane');
+    assert.deepEqual(resolveSavedQueryParameters(counted, { n: '10' }), { n: 10 });
+    assert.throws(() => resolveSavedQueryParameters(counted, { n: '2.5' }), /must be a integer/);
+});
+
+test('definitions are checked when saved', () => {
+    assert.throws(() => saveQuery({ name: 'bad name', sql: 'SELECT 1' }, 'jane'), /Invalid saved query name/);
+    assert.throws(() => saveQuery({ name: 'orders-by-region', sql: 'SELECT 1' }, 'jane'), /already exists/);
+    assert.throws(() => saveQuery({ name: 'unused', sql: 'SELECT 1', parameters: [{ name: 'id', type: 'integer' }] }, 'jane'), /doesn't use: id/);
+    assert.throws(() => saveQuery({ name: 'twice', sql: 'SELECT @id', parameters: [{ name: 'id', type: 'integer' }, { name: 'id', type: 'integer' }] }, 'jane'), /defines parameter id twice/);
+    assert.throws(() => saveQuery({ name: 'typed', sql: 'SELECT @id', parameters: [{ name: 'id', type: 'uuid' }] }, 'jane'), /unknown type "uuid"/);
+    assert.throws(() => saveQuery({ name: 'defaulted', sql: 'SELECT @id', parameters: [{ name: 'id', type: 'integer', default: 'one' }] }, 'jane'), /must be a integer/);
+});
+
+test('overwriting bumps the version and survives a reload', () => {
+    const updated = saveQuery({ name: 'top-n', sql: 'SELECT TOP (@n) * FROM t ORDER BY id', parameters: [{ name: 'n', type: 'integer', default: 5 }] }, 'joe', { overwrite: true });
+    assert.equal(updated.version, 2);
+    assert.equal(updated.createdBy, 'jane');
+    assert.equal(updated.updatedBy, 'joe');
+
+    loadSavedQueries();
+    assert.deepEqual(getSavedQuery('top-n'), JSON.parse(JSON.stringify(updated)));
+    assert.deepEqual(resolveSavedQueryParameters(getSavedQuery('top-n')), { n: 5 });
+});
@@ -0,0 +1,65 @@
+// test/scheduler.test.mjs - Cron expression parsing and matching
+import { after, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-scheduler-'));
+process.env.SCHEDULES_FILE = path.join(dir, 'schedules.json');
+const { parseCron, cronMatches } = await import('../Lib/scheduler.mjs');
+const { ValidationError } = await import('../Lib/errors.mjs');
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// Local times, as cronMatches uses the server clock. 1 January 2024 was a Monday.
+const at = (day, hour = 0, minute = 0, month = 1) => new Date(2024, month - 1, day, hour, minute);
+
+test('fields accept wildcards, lists, ranges and steps', () => {
+    const cron = parseCron('*/15 9-17/4 1,15 * *');
+    assert.deepEqual([...cron.minutes], [0, 15, 30, 45]);
+    assert.deepEqual([...cron.hours], [9, 13, 17]);
+    assert.deepEqual([...cron.daysOfMonth], [1, 15]);
+    assert.equal(cron.months.size, 12);
+    assert.equal(cron.domRestricted, true);
+    assert.equal(cron.dowRestricted, false);
+
+    // A start with a step runs to the end of the field
+    assert.deepEqual([...parseCron('50/5 * * * *').minutes], [50, 55]);
+    // 7 is Sunday too
+    assert.equal(parseCron('0 0 * * 7').daysOfWeek.has(0), true);
+});
+
+test('malformed and out-of-range expressions are rejected', () => {
+    for (const expression of ['', '* * * *', '* * * * * *', '60 * * * *', '* 24 * * *', '* * 0 * *', '* * * 13 *', '* * * * 8', '5-1 * * * *', '*/0 * * * *', 'a * * * *', '1,,2 * * * *']) {
+        assert.throws(() => parseCron(expression), ValidationError, expression);
+    }
+});
+
+test('an expression matches only the minutes it names', () => {
+    const weekdayMornings = parseCron('0 7 * * 1-5');
+    assert.equal(cronMatches(weekdayMornings, at(1, 7, 0)), true);
+    assert.equal(cronMatches(weekdayMornings, at(1, 7, 1)), false);
+    assert.equal(cronMatches(weekdayMornings, at(1, 8, 0)), false);
+    assert.equal(cronMatches(weekdayMornings, at(5, 7, 0)), true);
+    assert.equal(cronMatches(weekdayMornings, at(6, 7, 0)), false);
+    assert.equal(cronMatches(weekdayMornings, at(7, 7, 0)), false);
+
+    const quarterly = parseCron('30 2 1 1,4,7,10 *');
+    assert.equal(cronMatches(quarterly, at(1, 2, 30, 4)), true);
+    assert.equal(cronMatches(quarterly, at(1, 2, 30, 5)), false);
+    assert.equal(cronMatches(quarterly, at(2, 2, 30, 4)), false);
+});
+
+test('a day matches on either field when both day fields are restricted', () => {
+    // The 15th of the month, or any Sunday
+    const cron = parseCron('0 0 15 * 0');
+    assert.equal(cronMatches(cron, at(15)), true);
+    assert.equal(cronMatches(cron, at(7)), true);
+    assert.equal(cronMatches(cron, at(8)), false);
+
+    // With one day field left as *, only the other one counts
+    assert.equal(cronMatches(parseCron('0 0 15 * *'), at(7)), false);
+    assert.equal(cronMatches(parseCron('0 0 * * 0'), at(15)), false);
+    assert.equal(cronMatches(parseCron('0 0 * * 7'), at(14)), true);
+});
@@ -0,0 +1,83 @@
+// test/sqlLexer.test.mjs - Statement splitting and operation classification
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeSql, classifySqlOperation, splitSqlStatements, tokenizeSql } from '../Lib/sqlLexer.mjs';
+
+test('keywords in comments, strings and identifiers are ignored', () => {
+    assert.equal(classifySqlOperation("SELECT 'DELETE FROM t' AS note FROM t"), 'read');
+    assert.equal(classifySqlOperation('SELECT 1 -- DROP TABLE t'), 'read');
+    assert.equal(classifySqlOperation('SELECT 1 /* UPDATE t SET a = 1 */ FROM t'), 'read');
+    assert.equal(classifySqlOperation('SELECT [delete], "drop" FROM [update]'), 'read');
+    assert.equal(classifySqlOperation("SELECT N'it''s; DROP TABLE t' FROM t"), 'read');
+});
+
+test('tokens keep strings and bracketed identifiers whole', () => {
+    const tokens = tokenizeSql("SELECT [a b], 'x;y' FROM t");
+    assert.deepEqual(tokens.filter(token => token.type === 'identifier').map(token => token.value), ['[a b]']);
+    assert.deepEqual(tokens.filter(token => token.type === 'string').map(token => token.text), ['x;y']);
+});
+
+test('data-modifying statements are found anywhere in the batch', () => {
+    assert.equal(classifySqlOperation('SELECT 1; DELETE FROM t'), 'dml');
+    assert.equal(classifySqlOperation('SELECT 1 DELETE FROM t'), 'dml');
+    assert.equal(classifySqlOperation('WITH c AS (SELECT id FROM t) DELETE FROM c'), 'dml');
+    assert.equal(classifySqlOperation('WITH c AS (SELECT id FROM t) SELECT * FROM c'), 'read');
+    assert.equal(classifySqlOperation('TRUNCATE TABLE t'), 'dml');
+    assert.equal(classifySqlOperation('DROP TABLE t'), 'ddl');
+});
+
+test('SELECT INTO creates a table, SELECT @variable does not', () => {
+    assert.equal(classifySqlOperation('SELECT * INTO archive FROM t'), 'ddl');
+    assert.equal(classifySqlOperation('SELECT @count = COUNT(*) FROM t'), 'read');
+    assert.equal(classifySqlOperation('INSERT INTO t SELECT * FROM s'), 'dml');
+});
+
+test('DML keywords inside other constructs are not statements', () => {
+    assert.equal(classifySqlOperation('SELECT * FROM a INNER MERGE JOIN b ON a.id = b.id'), 'read');
+    assert.equal(analyzeSql('CREATE TABLE t (id int REFERENCES p(id) ON DELETE CASCADE)').operations.join(), 'ddl');
+});
+
+test('EXEC, procedure calls and dynamic SQL are classified', () => {
+    assert.equal(classifySqlOperation('EXEC dbo.report @year = 2024'), 'exec');
+    assert.equal(classifySqlOperation('dbo.report 2024'), 'exec');
+    assert.equal(classifySqlOperation("EXEC('SELECT 1')"), 'exec');
+    assert.equal(classifySqlOperation("EXEC('DELETE FROM t')"), 'dml');
+    assert.equal(classifySqlOperation("EXEC sp_executesql N'UPDATE t SET a = 1'"), 'dml');
+    assert.equal(classifySqlOperation('SELECT * FROM OPENQUERY(remote, \'SELECT 1\')'), 'exec');
+
+    // sp_executesql is found however its name is qualified or quoted
+    for (const name of ['sys.sp_executesql', 'master.dbo.sp_executesql', '[sys].[sp_executesql]', 'master..sp_executesql']) {
+        const analysis = analyzeSql(`EXEC ${name} N'DELETE FROM t'`);
+        assert.deepEqual(analysis.operations, ['dml', 'exec'], name);
+        assert.equal(analysis.hasDynamicSql, true, name);
+        assert.equal(analysis.modifiesData, true, name);
+    }
+    assert.equal(analyzeSql('EXEC sys.sp_executesql @sql').hasUnresolvedDynamicSql, true);
+
+    // Pass-through queries run on the linked server, where they can't be classified
+    for (const sql of ["SELECT * FROM OPENQUERY(remote, 'DELETE FROM t')", "SELECT * FROM OPENROWSET('SQLNCLI', 'Server=x;', 'SELECT 1')"]) {
+        const analysis = analyzeSql(sql);
+        assert.equal(analysis.hasUnresolvedDynamicSql, true, sql);
+        assert.equal(analysis.modifiesData, true, sql);
+    }
+
+    const unresolved = analyzeSql('EXEC (@sql)');
+    assert.equal(unresolved.hasDynamicSql, true);
+    assert.equal(unresolved.hasUnresolvedDynamicSql, true);
+    assert.equal(unresolved.modifiesData, true);
+});
+
+test('GO separates batches and only counts on its own line', () => {
+    const statements = splitSqlStatements('SELECT 1\nGO\nSELECT 2');
+    assert.deepEqual(statements.map(statement => [statement.text, statement.batch]), [['SELECT 1', 0], ['SELECT 2', 1]]);
+
+    // The first statement of each batch may call a procedure without EXEC
+    assert.equal(classifySqlOperation('SELECT 1\nGO\ndbo.cleanup'), 'exec');
+    assert.equal(splitSqlStatements('SELECT go FROM t').length, 1);
+});
+
+test('module bodies are not run by the batch that creates them', () => {
+    const analysis = analyzeSql('CREATE PROCEDURE dbo.p AS BEGIN DELETE FROM t; SELECT 1; END');
+    assert.equal(analysis.statements.length, 1);
+    assert.deepEqual(analysis.operations, ['ddl']);
+});
@@ -0,0 +1,117 @@
+// test/valueSerializer.test.mjs - Serialization of SQL Server values for output
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    getValueFormat,
+    getValueFormatNotes,
+    serializeValue,
+    serializeRows,
+    formatValueText,
+    toWkt
+} from '../Lib/valueSerializer.mjs';
+
+const DEFAULTS = getValueFormat({ numerics: 'string', binary: 'base64', dates: 'iso', spatial: 'wkt' });
+const format = overrides => ({ ...DEFAULTS, ...overrides });
+
+test('getValueFormat rejects unknown modes', () => {
+    assert.deepEqual(getValueFormat({ numerics: 'number', binary: 'hex', dates: 'epoch', spatial: 'object' }),
+        { numerics: 'number', binary: 'hex', dates: 'epoch', spatial: 'object' });
+    assert.throws(() => getValueFormat({ dates: 'local' }), { name: 'ValidationError', message: /dates value format "local"/ });
+});
+
+test('exact numerics keep their declared scale', () => {
+    assert.equal(serializeValue(1.5, { type: 'decimal', scale: 4 }, DEFAULTS), '1.5000');
+    assert.equal(serializeValue(-0.1, { type: 'numeric', scale: 2 }, DEFAULTS), '-0.10');
+    assert.equal(serializeValue(12.3, { type: 'money', scale: null }, DEFAULTS), '12.3000');
+    assert.equal(serializeValue(7, { type: 'decimal', scale: null }, DEFAULTS), '7');
+    assert.equal(serializeValue(1.5, { type: 'decimal', scale: 4 }, format({ numerics: 'number' })), 1.5);
+});
+
+test('digits past double precision are written as zeros', () => {
+    assert.equal(serializeValue(12345678901234567890, { type: 'decimal', scale: 0 }, DEFAULTS), '12345678901234600000');
+    assert.equal(serializeValue(1234567890.123456789, { type: 'decimal', scale: 9 }, DEFAULTS), '1234567890.123460000');
+    assert.equal(serializeValue(-1e25, { type: 'decimal', scale: 2 }, DEFAULTS), '-10000000000000000000000000.00');
+});
+
+test('bigints stay exact as strings', () => {
+    assert.equal(serializeValue('9223372036854775807', { type: 'bigint' }, DEFAULTS), '9223372036854775807');
+    assert.equal(serializeValue(9007199254740993n, { type: null }, DEFAULTS), '9007199254740993');
+    assert.equal(serializeValue('42', { type: 'bigint' }, format({ numerics: 'number' })), 42);
+});
+
+test('dates follow their type and the dates mode', () => {
+    const value = new Date(Date.UTC(2024, 1, 29, 13, 5, 9, 123));
+    value.nanosecondsDelta = 0.0004567;
+    assert.equal(serializeValue(value, { type: 'datetime2', scale: 7 }, DEFAULTS), '2024-02-29T13:05:09.1234567Z');
+    assert.equal(serializeValue(value, { type: 'datetime2', scale: 2 }, DEFAULTS), '2024-02-29T13:05:09.12Z');
+    assert.equal(serializeValue(value, { type: 'datetime', scale: null }, DEFAULTS), '2024-02-29T13:05:09.123Z');
+    assert.equal(serializeValue(value, { type: 'smalldatetime', scale: null }, DEFAULTS), '2024-02-29T13:05:09Z');
+    assert.equal(serializeValue(value, { type: 'date', scale: null }, DEFAULTS), '2024-02-29');
+    assert.equal(serializeValue(value, { type: 'time', scale: 3 }, DEFAULTS), '13:05:09.123');
+    assert.equal(serializeValue(value, { type: 'date', scale: null }, format({ dates: 'epoch' })), value.getTime());
+    assert.equal(serializeValue(value, { type: 'time', scale: 0 }, format({ dates: 'epoch' })), '13:05:09');
+    assert.equal(serializeValue(new Date(NaN), { type: 'datetime' }, DEFAULTS), null);
+});
+
+test('binary values, including buffers read back from JSON', () => {
+    const buffer = Buffer.from([0xde, 0xad, 0xbe, 0xef]);
+    assert.equal(serializeValue(buffer, { type: 'varbinary' }, DEFAULTS), '3q2+7w==');
+    assert.equal(serializeValue(buffer, { type: 'varbinary' }, format({ binary: 'hex' })), '0xDEADBEEF');
+    assert.equal(serializeValue(buffer.toJSON(), { type: null }, format({ binary: 'hex' })), '0xDEADBEEF');
+});
+
+test('uniqueidentifiers are upper case and other values pass through', () => {
+    assert.equal(serializeValue('6f9619ff-8b86-d011-b42d-00c04fc964ff', { type: 'uniqueidentifier' }, DEFAULTS), '6F9619FF-8B86-D011-B42D-00C04FC964FF');
+    assert.equal(serializeValue('text', { type: 'nvarchar' }, DEFAULTS), 'text');
+    assert.equal(serializeValue(true, { type: 'bit' }, DEFAULTS), true);
+    assert.equal(serializeValue(undefined, { type: 'int' }, DEFAULTS), null);
+});
+
+test('spatial values become WKT', () => {
+    const point = { points: [{ lat: 47.65, lng: -122.34 }], figures: [{ pointOffset: 0 }], shapes: [{ parentOffset: -1, figureOffset: 0, type: 1 }] };
+    assert.equal(serializeValue(point, { type: 'geography' }, DEFAULTS), 'POINT (-122.34 47.65)');
+    assert.equal(serializeValue(point, { type: 'geography' }, format({ spatial: 'object' })), point);
+
+    const polygon = {
+        points: [{ x: 0, y: 0 }, { x: 4, y: 0 }, { x: 4, y: 4 }, { x: 0, y: 0 }, { x: 1, y: 1 }, { x: 2, y: 1 }, { x: 2, y: 2 }, { x: 1, y: 1 }],
+        figures: [{ pointOffset: 0 }, { pointOffset: 4 }],
+        shapes: [{ parentOffset: -1, figureOffset: 0, type: 3 }]
+    };
+    assert.equal(toWkt(polygon), 'POLYGON ((0 0, 4 0, 4 4, 0 0), (1 1, 2 1, 2 2, 1 1))');
+
+    const multipoint = {
+        points: [{ x: 1, y: 2 }, { x: 3, y: 4 }],
+        figures: [{ pointOffset: 0 }, { pointOffset: 1 }],
+        shapes: [{ parentOffset: -1, figureOffset: 0, type: 4 }, { parentOffset: 0, figureOffset: 0, type: 1 }, { parentOffset: 0, figureOffset: 1, type: 1 }]
+    };
+    assert.equal(toWkt(multipoint), 'MULTIPOINT ((1 2), (3 4))');
+    assert.equal(toWkt({ points: [], figures: [], shapes: [{ parentOffset: -1, figureOffset: -1, type: 1 }] }), 'POINT EMPTY');
+});
+
+test('serializeRows keeps the column metadata of the recordset', () => {
+    const rows = [{ id: '1', amount: 2.5, note: null }];
+    rows.columns = { id: {}, amount: {} };
+    const columns = [{ name: 'id', type: 'bigint' }, { name: 'amount', type: 'decimal', scale: 2 }, { name: 'note', type: 'nvarchar' }];
+    const serialized = serializeRows(rows, columns, DEFAULTS);
+    assert.deepEqual([...serialized], [{ id: '1', amount: '2.50', note: null }]);
+    assert.equal(serialized.columns, rows.columns);
+});
+
+test('formatValueText writes objects as JSON and keeps NULL', () => {
+    assert.equal(formatValueText(null), null);
+    assert.equal(formatValueText(3), '3');
+    assert.equal(formatValueText({ a: 1 }), '{"a":1}');
+});
+
+test('getValueFormatNotes flags datetimeoffset and wide decimals only', () => {
+    const notes = getValueFormatNotes([
+        { name: 'created', type: 'datetimeoffset' },
+        { name: 'total', type: 'decimal', precision: 38 },
+        { name: 'price', type: 'decimal', precision: 10 },
+        { name: 'id', type: 'int' }
+    ]);
+    assert.equal(notes.length, 2);
+    assert.match(notes[0], /^created: datetimeoffset values are shown in UTC/);
+    assert.match(notes[1], /^total: only the first 15 significant digits/);
+    assert.deepEqual(getValueFormatNotes([{ name: 'price', type: 'numeric', precision: 15 }]), []);
+});